@@ -140,14 +140,14 @@ export class AddPointCommandHandler extends CommandHandler {
     console.log('AddPointCommandHandler.handleSpecificInput:', input);
     
     // 检查是否是坐标输入
-    if (GeometryUtils.isCoordinateInput(input)) {
-      const coord = GeometryUtils.parseCoordinate(input);
+    if (this.isCoordinateInput(input)) {
+      const coord = this.parseCoordinate(input);
       if (coord) {
         return this.selectCoordinate(coord);
       } else {
         return { 
           success: false, 
-          message: '坐标格式错误，请使用: lon,lat,height' 
+          message: this.getCoordinateInputError(input) 
         };
       }
     }
@@ -167,8 +167,8 @@ export class AddPointCommandHandler extends CommandHandler {
   console.log('AddPointCommandHandler.handleConfirmationInput:', input);
   
   // 🔧 关键修复：检查输入的坐标是否与当前坐标相同
-  if (GeometryUtils.isCoordinateInput(input)) {
-    const inputCoord = GeometryUtils.parseCoordinate(input);
+  if (this.isCoordinateInput(input)) {
+    const inputCoord = this.parseCoordinate(input);
     if (inputCoord && this.currentCoord) {
       
       // 🔧 重要修复：使用更宽松的精度比较
@@ -206,7 +206,7 @@ export class AddPointCommandHandler extends CommandHandler {
     } else {
       return { 
         success: false, 
-        message: '坐标格式错误，请使用: lon,lat,height' 
+        message: this.getCoordinateInputError(input) 
       };
     }
   }
@@ -252,7 +252,7 @@ export class AddPointCommandHandler extends CommandHandler {
       state: ConfirmationState.WAITING_CONFIRM,
       method: ConfirmationMethod.BOTH,
       data: coord,
-      message: `确认在 (${coord.lon.toFixed(6)}, ${coord.lat.toFixed(6)}, ${coord.height.toFixed(2)}m) 添加点`
+      message: `确认在 (${GeometryUtils.formatPosition(coord)}) 添加点`
     });
 
     // 显示临时预览点
@@ -262,7 +262,7 @@ export class AddPointCommandHandler extends CommandHandler {
 
     return {
       success: true,
-      message: `已选择位置: ${coord.lon.toFixed(6)}, ${coord.lat.toFixed(6)}, ${coord.height.toFixed(2)}m (按回车确认或右键确认)`,
+      message: `已选择位置: ${GeometryUtils.formatPosition(coord)} (按回车确认或右键确认)`,
       coordString: `${coord.lon.toFixed(6)},${coord.lat.toFixed(6)},${coord.height.toFixed(2)}`,
       needsConfirm: true,
       needsMapClick: true, // 仍然可以点击地图重新选择位置
@@ -292,6 +292,22 @@ export class AddPointCommandHandler extends CommandHandler {
     return this.finish(data);
   }
 
+  /**
+   * 相对坐标的参考点：已选择的位置，否则为之前命令的最后一个点
+   * @returns {Object|null} 坐标
+   */
+  getLastPoint() {
+    return this.currentCoord || super.getLastPoint();
+  }
+
+  /**
+   * 光标预览：提示框显示光标处的坐标（由EditorController调用）
+   * @returns {Object} { anchors }
+   */
+  getCursorPreview() {
+    return { anchors: [] };
+  }
+
   /**
    * 🔧 重构：获取特定命令的占位符文本
    * @returns {string} 占位符文本
@@ -0,0 +1,424 @@
+import { Command, CommandHandler, CommandFactory, ConfirmationState, ConfirmationMethod } from './base/CommandBase.js';
+import GeometryUtils from '../utils/GeometryUtils.js';
+
+/**
+ * 添加多边形的具体命令 - 紧凑ID版本
+ * 负责实际的数据操作，支持撤销
+ */
+export class AddPolygonCommand extends Command {
+  constructor(czmlModel, coordinates) {
+    super('AddPolygon', `添加多边形 (${coordinates.length} 个顶点)`);
+
+    this.czmlModel = czmlModel;
+    this.coordinates = [...coordinates]; // 复制数组避免外部修改
+    this.polygonId = null;
+    this.polygonName = null;
+  }
+
+  /**
+   * 执行添加多边形操作
+   * @returns {boolean} 是否执行成功
+   */
+  execute() {
+    try {
+      if (this.executed) {
+        console.warn('AddPolygonCommand: 命令已经执行过了');
+        return false;
+      }
+
+      if (!this.isValid()) {
+        throw new Error('多边形数据无效');
+      }
+
+      // addPolygon会自动生成紧凑ID并闭合顶点环
+      this.polygonId = this.czmlModel.addPolygon(this.coordinates);
+
+      const polygonEntity = this.czmlModel.getEntityById(this.polygonId);
+      this.polygonName = polygonEntity ? polygonEntity.name : `Polygon-${this.polygonId}`;
+
+      this.description = `添加多边形: ${this.polygonName}`;
+
+      this.executed = true;
+
+      console.log(`AddPolygonCommand executed: ${this.polygonName} (ID: ${this.polygonId}) with ${this.coordinates.length} vertices`);
+      return true;
+
+    } catch (error) {
+      console.error('AddPolygonCommand execution failed:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 撤销添加多边形操作
+   * @returns {boolean} 是否撤销成功
+   */
+  undo() {
+    try {
+      if (!this.executed || !this.polygonId) {
+        console.warn('AddPolygonCommand: 无法撤销，命令未执行或无效的多边形ID');
+        return false;
+      }
+
+      const success = this.czmlModel.removeEntityById(this.polygonId);
+
+      if (success) {
+        this.executed = false;
+        console.log(`AddPolygonCommand undone: ${this.polygonName} (ID: ${this.polygonId})`);
+        return true;
+      }
+
+      return false;
+
+    } catch (error) {
+      console.error('AddPolygonCommand undo failed:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 验证命令是否有效
+   * @returns {boolean} 是否有效
+   */
+  isValid() {
+    return GeometryUtils.validateCoordinates(this.coordinates, 3);
+  }
+
+  /**
+   * 获取创建的多边形ID
+   * @returns {string|null} 多边形ID
+   */
+  getPolygonId() {
+    return this.polygonId;
+  }
+
+  /**
+   * 获取创建的多边形名称
+   * @returns {string|null} 多边形名称
+   */
+  getPolygonName() {
+    return this.polygonName;
+  }
+
+  /**
+   * 获取顶点坐标数组
+   * @returns {Array} 坐标数组的副本
+   */
+  getCoordinates() {
+    return [...this.coordinates];
+  }
+}
+
+/**
+ * AddPolygon命令处理器 - 使用统一确认机制
+ * 与AddPolylineCommandHandler相同的方式收集顶点，确认时闭合成环
+ */
+export class AddPolygonCommandHandler extends CommandHandler {
+  constructor(context) {
+    super('AddPolygon', context);
+    this.coordinates = []; // 收集的顶点
+    this.isReadyToFinish = false; // 是否准备完成绘制
+  }
+
+  /**
+   * 开始处理命令
+   * @returns {Object} 初始结果
+   */
+  start() {
+    this.waitingForMapClick = true;
+    this.result = {
+      success: true,
+      message: '开始绘制多边形：点击地图添加顶点 (至少需要3个点)',
+      needsMapClick: true,
+      needsConfirm: false
+    };
+    return this.result;
+  }
+
+  /**
+   * 处理特定命令的输入
+   * @param {string} input 用户输入
+   * @returns {Object} 处理结果
+   */
+  handleSpecificInput(input) {
+    console.log('AddPolygonCommandHandler.handleSpecificInput:', {
+      input,
+      coordinatesLength: this.coordinates.length,
+      isReadyToFinish: this.isReadyToFinish
+    });
+
+    if (this.isCoordinateInput(input)) {
+      const coord = this.parseCoordinate(input);
+      if (coord) {
+        return this.addVertex(coord);
+      } else {
+        return {
+          success: false,
+          message: this.getCoordinateInputError(input)
+        };
+      }
+    }
+
+    // 空输入表示完成绘制（如果有足够的点）
+    if (input.trim() === '') {
+      if (this.coordinates.length >= 3) {
+        return this.prepareToFinish();
+      } else {
+        return {
+          success: false,
+          message: `多边形至少需要3个点，当前只有${this.coordinates.length}个点`
+        };
+      }
+    }
+
+    return {
+      success: false,
+      message: `请继续点击地图添加顶点 (当前${this.coordinates.length}个点)，或按回车完成绘制`
+    };
+  }
+
+  /**
+   * 处理确认状态下的输入
+   * @param {string} input 用户输入
+   * @returns {Object} 处理结果
+   */
+  handleConfirmationInput(input) {
+    console.log('AddPolygonCommandHandler.handleConfirmationInput:', input);
+
+    if (this.isReadyToFinish && input.trim() === '') {
+      return this.executeConfirmation('enter');
+    }
+
+    // 确认状态下输入新坐标：继续添加顶点
+    if (this.isCoordinateInput(input)) {
+      const coord = this.parseCoordinate(input);
+      if (coord) {
+        this.clearConfirmationState();
+        this.isReadyToFinish = false;
+        return this.addVertex(coord);
+      } else {
+        return {
+          success: false,
+          message: this.getCoordinateInputError(input)
+        };
+      }
+    }
+
+    return {
+      success: false,
+      message: '请按回车确认完成多边形，或输入新坐标继续添加顶点'
+    };
+  }
+
+  /**
+   * 处理地图点击
+   * @param {Object} coord 坐标对象
+   * @returns {Object} 处理结果
+   */
+  handleMapClick(coord) {
+    if (!this.isWaitingForMapClick()) {
+      return { success: false, message: '当前不接受地图点击' };
+    }
+
+    console.log('AddPolygonCommandHandler.handleMapClick:', coord);
+
+    if (this.isWaitingForConfirmation()) {
+      this.clearConfirmationState();
+      this.isReadyToFinish = false;
+    }
+
+    return this.addVertex(coord);
+  }
+
+  /**
+   * 处理特定命令的右键点击
+   * @returns {Object} 处理结果
+   */
+  handleSpecificRightClick() {
+    if (this.coordinates.length >= 3) {
+      return this.prepareToFinish();
+    }
+
+    return {
+      success: false,
+      message: `多边形至少需要3个点，当前只有${this.coordinates.length}个点`
+    };
+  }
+
+  /**
+   * 添加顶点
+   * @param {Object} coord 坐标对象
+   * @returns {Object} 处理结果
+   */
+  addVertex(coord) {
+    if (!GeometryUtils.validateCoordinate(coord)) {
+      return {
+        success: false,
+        message: '坐标无效，请重新选择'
+      };
+    }
+
+    this.coordinates.push(coord);
+
+    // 更新临时预览
+    if (this.context.mapView && this.context.mapView.updateTemporaryPolygon) {
+      this.context.mapView.updateTemporaryPolygon(this.coordinates);
+    }
+
+    const pointCount = this.coordinates.length;
+    let message = `已添加第${pointCount}个顶点: ${GeometryUtils.formatPosition(coord)}`;
+
+    if (pointCount < 3) {
+      message += ` (继续点击添加顶点，至少需要3个点)`;
+    } else {
+      message += ' (可按回车或右键闭合多边形，或继续添加顶点)';
+    }
+
+    return {
+      success: true,
+      message: message,
+      needsMapClick: true,
+      needsConfirm: false
+    };
+  }
+
+  /**
+   * 准备完成绘制
+   * @returns {Object} 处理结果
+   */
+  prepareToFinish() {
+    if (this.coordinates.length < 3) {
+      return {
+        success: false,
+        message: `多边形至少需要3个点，当前只有${this.coordinates.length}个点`
+      };
+    }
+
+    this.isReadyToFinish = true;
+
+    this.setConfirmationState({
+      state: ConfirmationState.WAITING_CONFIRM,
+      method: ConfirmationMethod.BOTH,
+      data: this.coordinates,
+      message: `确认闭合多边形 (${this.coordinates.length} 个顶点)`
+    });
+
+    // 周长包含闭合边
+    const perimeter = GeometryUtils.calculatePolylineLength([...this.coordinates, this.coordinates[0]]);
+    const perimeterText = perimeter ? `周长: ${perimeter.toFixed(2)}m` : '';
+
+    return {
+      success: true,
+      message: `准备闭合多边形: ${this.coordinates.length} 个顶点 ${perimeterText}`,
+      needsMapClick: true, // 仍然可以点击地图添加更多顶点
+      needsConfirm: true
+    };
+  }
+
+  /**
+   * 确认处理回调
+   * @param {string} method 确认方法
+   * @param {*} data 确认数据
+   * @returns {Object} 处理结果
+   */
+  onConfirm(method, data) {
+    console.log(`AddPolygonCommandHandler.onConfirm: 方法=${method}, 顶点数=${data ? data.length : 0}`);
+
+    if (!GeometryUtils.validateCoordinates(data, 3)) {
+      return {
+        success: false,
+        message: '确认的多边形数据无效，至少需要3个有效顶点'
+      };
+    }
+
+    return this.finish(data);
+  }
+
+  /**
+   * 相对坐标的参考点：最后一个顶点，还没有顶点时为之前命令的最后一个点
+   * @returns {Object|null} 坐标
+   */
+  getLastPoint() {
+    return this.coordinates[this.coordinates.length - 1] || super.getLastPoint();
+  }
+
+  /**
+   * 光标预览：从最后一个顶点到光标的线段，并画出回到第一个顶点的闭合线（由EditorController调用）
+   * @returns {Object} { anchors, closed }
+   */
+  getCursorPreview() {
+    return { anchors: this.coordinates, closed: true };
+  }
+
+  /**
+   * 获取特定命令的占位符文本
+   * @returns {string} 占位符文本
+   */
+  getSpecificPlaceholder() {
+    const pointCount = this.coordinates.length;
+
+    if (this.isReadyToFinish) {
+      return `已准备闭合 (${pointCount} 个顶点)`;
+    }
+
+    if (pointCount === 0) {
+      return '左键点击地图开始绘制多边形';
+    } else if (pointCount < 3) {
+      return `继续点击地图添加第${pointCount + 1}个顶点 (至少需要3个点)`;
+    } else {
+      return `已有${pointCount}个顶点，继续添加或按回车/右键闭合`;
+    }
+  }
+
+  /**
+   * 创建AddPolygonCommand实例
+   * @param {Array} coordinates 顶点坐标数组
+   * @returns {AddPolygonCommand} 命令实例
+   */
+  createCommand(coordinates) {
+    return new AddPolygonCommand(this.context.czmlModel, coordinates);
+  }
+
+  /**
+   * 取消时的清理工作
+   */
+  onCancel() {
+    if (this.context.mapView && this.context.mapView.hideTemporaryPolygon) {
+      this.context.mapView.hideTemporaryPolygon();
+    }
+
+    this.coordinates = [];
+    this.isReadyToFinish = false;
+  }
+
+  /**
+   * 完成时的清理工作
+   */
+  onFinish() {
+    if (this.context.mapView && this.context.mapView.hideTemporaryPolygon) {
+      this.context.mapView.hideTemporaryPolygon();
+    }
+
+    this.coordinates = [];
+    this.isReadyToFinish = false;
+  }
+}
+
+/**
+ * AddPolygon命令工厂
+ * 负责创建AddPolygonCommandHandler实例
+ */
+export class AddPolygonCommandFactory extends CommandFactory {
+  constructor() {
+    super('AddPolygon', '添加多边形到地图 (使用紧凑ID格式)');
+  }
+
+  /**
+   * 创建命令处理器
+   * @param {Object} context 上下文对象
+   * @returns {AddPolygonCommandHandler} 命令处理器实例
+   */
+  createHandler(context) {
+    return new AddPolygonCommandHandler(context);
+  }
+}
\ No newline at end of file
@@ -151,14 +151,14 @@ export class AddPolylineCommandHandler extends CommandHandler {
     });
     
     // 检查是否是坐标输入
-    if (GeometryUtils.isCoordinateInput(input)) {
-      const coord = GeometryUtils.parseCoordinate(input);
+    if (this.isCoordinateInput(input)) {
+      const coord = this.parseCoordinate(input);
       if (coord) {
         return this.addCoordinatePoint(coord);
       } else {
         return { 
           success: false, 
-          message: '坐标格式错误，请使用: lon,lat,height' 
+          message: this.getCoordinateInputError(input) 
         };
       }
     }
@@ -197,8 +197,8 @@ export class AddPolylineCommandHandler extends CommandHandler {
     }
     
     // 检查是否是新的坐标输入
-    if (GeometryUtils.isCoordinateInput(input)) {
-      const coord = GeometryUtils.parseCoordinate(input);
+    if (this.isCoordinateInput(input)) {
+      const coord = this.parseCoordinate(input);
       if (coord) {
         console.log('📍 在确认状态下添加新坐标点');
         // 清除确认状态，添加新点
@@ -208,7 +208,7 @@ export class AddPolylineCommandHandler extends CommandHandler {
       } else {
         return { 
           success: false, 
-          message: '坐标格式错误，请使用: lon,lat,height' 
+          message: this.getCoordinateInputError(input) 
         };
       }
     }
@@ -284,7 +284,7 @@ export class AddPolylineCommandHandler extends CommandHandler {
     }
     
     const pointCount = this.coordinates.length;
-    let message = `已添加第${pointCount}个点: ${coord.lon.toFixed(6)}, ${coord.lat.toFixed(6)}, ${coord.height.toFixed(2)}m`;
+    let message = `已添加第${pointCount}个点: ${GeometryUtils.formatPosition(coord)}`;
     
     if (pointCount === 1) {
       message += ' (继续点击添加点，至少需要2个点)';
@@ -355,6 +355,22 @@ export class AddPolylineCommandHandler extends CommandHandler {
     return this.finish(data);
   }
 
+  /**
+   * 相对坐标的参考点：折线的最后一个点，还没有点时为之前命令的最后一个点
+   * @returns {Object|null} 坐标
+   */
+  getLastPoint() {
+    return this.coordinates[this.coordinates.length - 1] || super.getLastPoint();
+  }
+
+  /**
+   * 光标预览：从最后一个点到光标的线段，提示框显示线段长度、方位角和总长（由EditorController调用）
+   * @returns {Object} { anchors }
+   */
+  getCursorPreview() {
+    return { anchors: this.coordinates };
+  }
+
   /**
    * 🔧 重构：获取特定命令的占位符文本
    * @returns {string} 占位符文本
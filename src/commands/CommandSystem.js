@@ -1,8 +1,23 @@
 // 导入所有命令工厂
 import { AddPointCommandFactory } from './AddPointCommand.js';
 import { AddPolylineCommandFactory } from './AddPolylineCommand.js';
+import { AddPolygonCommandFactory } from './AddPolygonCommand.js';
 import { EditPointCommandFactory } from './EditPointCommand.js';
+import { EditPolylineCommandFactory } from './EditPolylineCommand.js';
+import { DeleteCommandFactory } from './DeleteCommand.js';
+import { SelectCommandFactory } from './SelectCommand.js';
+import { SelectWindowCommandFactory } from './SelectWindowCommand.js';
+import { OsnapCommandFactory } from './OsnapCommand.js';
+import { OrthoCommandFactory, PolarCommandFactory, GridCommandFactory } from './DraftingCommands.js';
+import { CoordFormatCommandFactory } from './CoordFormatCommand.js';
+import { MeasureCommandFactory } from './MeasureCommand.js';
+import { RecordWaypointsCommandFactory } from './RecordWaypointsCommand.js';
+import { DocumentCommandFactory } from './DocumentCommand.js';
+import { SetAvailabilityCommandFactory } from './SetAvailabilityCommand.js';
 import { ClearCommandFactory, HelpCommandFactory } from './UtilityCommands.js';
+import { ImportCommandFactory, ImportGeoJSONCommandFactory, ImportKMLCommandFactory, ImportGPXCommandFactory } from './ImportCommand.js';
+import { ImportCSVCommandFactory } from './ImportCSVCommand.js';
+import { ExportGeoJSONCommandFactory, ExportKMLCommandFactory, ExportKMZCommandFactory } from './ExportCommands.js';
 
 /**
  * 命令历史管理器
@@ -17,9 +32,16 @@ class CommandHistory {
 
   /**
    * 添加命令到历史记录
+   * 同一个命令实例只添加一次：CommandHandler.finish() 通过上下文中的 commandHistory 添加命令，
+   * 之后CommandSystem看到 result.command 时会再次添加；重复添加会让一次操作占两个撤销步骤，
+   * 第二次撤销作用在已撤销的命令上而失败
    * @param {Command} command 命令实例
    */
   addCommand(command) {
+    if (this.history.includes(command)) {
+      return;
+    }
+
     // 如果当前不在历史记录的末尾，删除后面的记录
     if (this.currentIndex < this.history.length - 1) {
       this.history = this.history.slice(0, this.currentIndex + 1);
@@ -120,6 +142,7 @@ class CommandSystem {
     this.currentHandler = null; // 当前活动的命令处理器
     this.inputHistory = []; // 用户输入历史
     this.commandHistory = new CommandHistory(); // 命令执行历史（用于撤销）
+    this.lastPoint = null; // 最后输入的点（新命令中相对坐标 @东,北 的参考点）
     
     this.registerBuiltinCommands();
     console.log('CommandSystem 已初始化');
@@ -131,9 +154,31 @@ class CommandSystem {
   registerBuiltinCommands() {
     this.registerCommand(new AddPointCommandFactory());
     this.registerCommand(new AddPolylineCommandFactory());
+    this.registerCommand(new AddPolygonCommandFactory());
     this.registerCommand(new ClearCommandFactory());
     this.registerCommand(new HelpCommandFactory());
     this.registerCommand(new EditPointCommandFactory());
+    this.registerCommand(new EditPolylineCommandFactory());
+    this.registerCommand(new DeleteCommandFactory());
+    this.registerCommand(new SelectCommandFactory());
+    this.registerCommand(new SelectWindowCommandFactory());
+    this.registerCommand(new OsnapCommandFactory());
+    this.registerCommand(new OrthoCommandFactory());
+    this.registerCommand(new PolarCommandFactory());
+    this.registerCommand(new GridCommandFactory());
+    this.registerCommand(new CoordFormatCommandFactory());
+    this.registerCommand(new MeasureCommandFactory());
+    this.registerCommand(new RecordWaypointsCommandFactory());
+    this.registerCommand(new DocumentCommandFactory());
+    this.registerCommand(new SetAvailabilityCommandFactory());
+    this.registerCommand(new ImportCommandFactory());
+    this.registerCommand(new ImportGeoJSONCommandFactory());
+    this.registerCommand(new ExportGeoJSONCommandFactory());
+    this.registerCommand(new ImportKMLCommandFactory());
+    this.registerCommand(new ExportKMLCommandFactory());
+    this.registerCommand(new ExportKMZCommandFactory());
+    this.registerCommand(new ImportCSVCommandFactory());
+    this.registerCommand(new ImportGPXCommandFactory());
     
     console.log(`已注册 ${this.commandFactories.size} 个内置命令`);
   }
@@ -177,6 +222,7 @@ class CommandSystem {
       console.log('命令处理器结果:', result);
       console.log('处理器是否完成:', this.currentHandler.isCompleted());
       
+      this.rememberLastPoint(this.currentHandler);
       // 如果处理器完成，清除当前处理器
       if (this.currentHandler.isCompleted()) {
         console.log('命令处理器已完成，清除当前处理器');
@@ -209,8 +255,10 @@ class CommandSystem {
       // 添加命令注册表到上下文中（用于Help命令）
       const enhancedContext = {
         ...context,
+        commandArgs: args,
         commandRegistry: this.commandFactories,
-        commandHistory: this.commandHistory
+        commandHistory: this.commandHistory,
+        lastPoint: this.lastPoint
       };
 
       // 创建新的命令处理器
@@ -231,6 +279,7 @@ class CommandSystem {
       console.log('新命令处理器启动结果:', result);
       console.log('处理器是否完成:', this.currentHandler.isCompleted());
       
+      this.rememberLastPoint(this.currentHandler);
       // 如果处理器立即完成，清除当前处理器
       if (this.currentHandler.isCompleted()) {
         console.log('新命令处理器立即完成，清除当前处理器');
@@ -284,6 +333,7 @@ class CommandSystem {
       console.log('地图点击处理结果:', result);
       console.log('处理器是否完成:', this.currentHandler.isCompleted());
       
+      this.rememberLastPoint(this.currentHandler);
       // 如果处理器完成，清除当前处理器
       if (this.currentHandler.isCompleted()) {
         console.log('地图点击后命令完成，清除当前处理器');
@@ -305,6 +355,44 @@ class CommandSystem {
     };
   }
 
+  /**
+   * 处理命令处理器的异步结果（如文件读取完成）
+   * @param {CommandHandler} handler 产生结果的处理器
+   * @param {Object} result 处理结果
+   * @returns {boolean} 结果是否仍然有效（处理器仍是当前处理器）
+   */
+  handleAsyncResult(handler, result) {
+    if (this.currentHandler !== handler) {
+      console.log('忽略已失效处理器的异步结果:', handler.commandName);
+      return false;
+    }
+
+    this.rememberLastPoint(handler);
+    if (handler.isCompleted()) {
+      console.log('异步处理后命令完成，清除当前处理器');
+
+      if (result.success && result.command) {
+        this.commandHistory.addCommand(result.command);
+      }
+
+      this.currentHandler = null;
+    }
+
+    return true;
+  }
+
+  /**
+   * 记录处理器当前的最后一个点，供之后的命令使用相对坐标
+   * 🔧 命令完成时会清理自己的状态，所以每次处理输入后都记录，而不是只在完成时记录
+   * @param {CommandHandler} handler 命令处理器
+   */
+  rememberLastPoint(handler) {
+    const point = handler.completed ? null : handler.getLastPoint();
+    if (point) {
+      this.lastPoint = { ...point };
+    }
+  }
+
   /**
    * 撤销上一个命令
    * @returns {Object} 撤销结果
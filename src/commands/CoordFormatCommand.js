@@ -0,0 +1,97 @@
+import { CommandHandler, CommandFactory } from './base/CommandBase.js';
+import GeometryUtils from '../utils/GeometryUtils.js';
+
+const FORMAT_ALIASES = {
+  deg: 'degrees',
+  degree: 'degrees',
+  degrees: 'degrees',
+  经纬度: 'degrees',
+  utm: 'utm',
+  mgrs: 'mgrs'
+};
+
+/**
+ * CoordFormat命令处理器
+ * 设置列表、命令消息和状态栏中坐标的显示格式（不进入撤销历史），立即完成
+ * 只影响显示，CZML中始终存储为cartographicDegrees；输入时各种格式都可以直接使用
+ * 用法:
+ *   CoordFormat                 显示当前格式
+ *   CoordFormat deg|utm|mgrs    经纬度 / UTM（毫米精度）/ MGRS（1米精度）
+ */
+export class CoordFormatCommandHandler extends CommandHandler {
+  constructor(context) {
+    super('CoordFormat', context);
+  }
+
+  /**
+   * 开始处理命令（立即执行）
+   */
+  start() {
+    const args = (this.context.commandArgs || []).map(arg => arg.toLowerCase());
+
+    if (args.length === 0) {
+      return this.complete(true, this.describe());
+    }
+
+    const format = args.length === 1 ? FORMAT_ALIASES[args[0]] : null;
+    if (!format) {
+      return this.complete(false, `未知的坐标格式: ${args.join(' ')}\n用法: CoordFormat [deg|utm|mgrs]`);
+    }
+
+    GeometryUtils.setCoordinateFormat(format);
+    const controller = this.context.editorController;
+    if (controller && controller.refreshCoordinateDisplay) {
+      controller.refreshCoordinateDisplay();
+    }
+    return this.complete(true, this.describe());
+  }
+
+  /**
+   * 当前格式的说明文本
+   * @returns {string} 说明
+   */
+  describe() {
+    const format = GeometryUtils.coordinateFormat;
+    const note = format === 'degrees' ? '' : '（南纬80°以南和北纬84°以北仍显示经纬度）';
+    return `坐标显示格式: ${GeometryUtils.COORDINATE_FORMAT_NAMES[format]}${note}`;
+  }
+
+  /**
+   * 完成命令
+   * @param {boolean} success 是否成功
+   * @param {string} message 消息
+   * @returns {Object} 执行结果
+   */
+  complete(success, message) {
+    this.completed = true;
+    this.result = { success, message, needsMapClick: false, needsConfirm: false };
+    return this.result;
+  }
+
+  /**
+   * 处理用户输入（不需要）
+   */
+  handleInput(input) {
+    return this.getResult();
+  }
+
+  /**
+   * 显示设置不产生可撤销的命令
+   */
+  createCommand(data) {
+    return null;
+  }
+}
+
+/**
+ * CoordFormat命令工厂
+ */
+export class CoordFormatCommandFactory extends CommandFactory {
+  constructor() {
+    super('CoordFormat', '坐标显示格式：列表、消息和状态栏显示为经纬度、UTM或MGRS (CoordFormat [deg|utm|mgrs])');
+  }
+
+  createHandler(context) {
+    return new CoordFormatCommandHandler(context);
+  }
+}
\ No newline at end of file
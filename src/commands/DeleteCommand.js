@@ -0,0 +1,251 @@
+import { Command, CommandHandler, CommandFactory, ConfirmationState, ConfirmationMethod } from './base/CommandBase.js';
+
+/**
+ * 删除实体的具体命令
+ * 撤销时按原文档位置恢复，保持列表和导出顺序不变
+ */
+export class DeleteCommand extends Command {
+  constructor(czmlModel, entityIds) {
+    const names = entityIds.map(id => czmlModel.getEntityById(id)?.name || id);
+    super('Delete', entityIds.length === 1 ? `删除 ${names[0]}` : `删除 ${entityIds.length} 个实体`);
+
+    this.czmlModel = czmlModel;
+    this.entityIds = [...entityIds];
+    this.removedRecords = [];
+  }
+
+  /**
+   * 执行删除
+   * @returns {boolean} 是否执行成功
+   */
+  execute() {
+    try {
+      if (this.executed) {
+        console.warn('DeleteCommand: 命令已经执行过了');
+        return false;
+      }
+
+      this.removedRecords = this.czmlModel.removeEntities(this.entityIds);
+      this.executed = true;
+
+      console.log(`DeleteCommand executed: ${this.description}`);
+      return this.removedRecords.length > 0;
+
+    } catch (error) {
+      console.error('DeleteCommand execution failed:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 撤销删除（恢复到原位置）
+   * @returns {boolean} 是否撤销成功
+   */
+  undo() {
+    try {
+      if (!this.executed) {
+        console.warn('DeleteCommand: 无法撤销，命令未执行');
+        return false;
+      }
+
+      this.czmlModel.restoreEntities(this.removedRecords);
+      this.removedRecords = [];
+      this.executed = false;
+
+      console.log(`DeleteCommand undone: ${this.description}`);
+      return true;
+
+    } catch (error) {
+      console.error('DeleteCommand undo failed:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 验证命令是否有效
+   * @returns {boolean} 是否有效
+   */
+  isValid() {
+    return this.entityIds.length > 0 &&
+      this.entityIds.every(id => id !== 'document' && this.czmlModel.getEntityById(id));
+  }
+}
+
+/**
+ * Delete命令处理器
+ * 用法:
+ *   Delete PT_xxx [PL_yyy ...]  直接删除输入的实体（逗号或空格分隔）
+ *   Delete                       有当前选择集时删除选择集，否则点击地图或输入ID选择实体，回车或右键删除
+ */
+export class DeleteCommandHandler extends CommandHandler {
+  constructor(context) {
+    super('Delete', context);
+    this.pendingIds = [];
+  }
+
+  /**
+   * 开始处理命令
+   */
+  start() {
+    const args = (this.context.commandArgs || []).join(' ').trim();
+    if (args) {
+      const parsed = this.parseEntityIds(args);
+      if (parsed.error) {
+        this.completed = true;
+        this.result = { success: false, message: parsed.error, needsMapClick: false, needsConfirm: false };
+        return this.result;
+      }
+      return this.finish({ entityIds: parsed.ids });
+    }
+
+    const selectedIds = (this.context.selectedIds || []).filter(id => this.context.czmlModel.getEntityById(id));
+    if (selectedIds.length > 0) {
+      return this.finish({ entityIds: selectedIds });
+    }
+
+    this.waitingForMapClick = true;
+    return {
+      success: true,
+      message: '请选择要删除的实体：点击地图上的点、线或面，或输入实体ID，回车或右键删除',
+      needsMapClick: true,
+      needsConfirm: false
+    };
+  }
+
+  /**
+   * 处理用户输入（追加要删除的实体ID）
+   */
+  handleSpecificInput(input) {
+    if (input === '') {
+      return { success: false, message: '还没有选择实体，请点击地图上的实体或输入实体ID' };
+    }
+
+    const parsed = this.parseEntityIds(input);
+    if (parsed.error) {
+      return { success: false, message: parsed.error };
+    }
+    return this.addPendingIds(parsed.ids);
+  }
+
+  /**
+   * 确认状态下的输入：继续追加实体
+   */
+  handleConfirmationInput(input) {
+    const parsed = this.parseEntityIds(input);
+    if (parsed.error) {
+      return { success: false, message: parsed.error };
+    }
+    return this.addPendingIds(parsed.ids);
+  }
+
+  /**
+   * 处理实体选择结果（由EditorController调用）
+   */
+  handleEntitySelection(result) {
+    if (result.success && result.entityId) {
+      return this.addPendingIds([result.entityId]);
+    }
+
+    return {
+      success: false,
+      message: result.message || '请点击地图上的实体，或输入实体ID'
+    };
+  }
+
+  /**
+   * 解析输入的实体ID列表
+   * @param {string} text 逗号或空格分隔的ID
+   * @returns {Object} { ids } 或 { error }
+   */
+  parseEntityIds(text) {
+    const ids = [...new Set(text.split(/[\s,，]+/).filter(Boolean))];
+    // 🔧 不限制ID前缀：导入的CZML实体可能使用任意ID（以及导入时生成的EN_前缀ID）
+    const missing = ids.filter(id => id === 'document' || !this.context.czmlModel.getEntityById(id));
+
+    if (missing.length > 0) {
+      return { error: `实体不存在: ${missing.join(', ')}` };
+    }
+    return { ids };
+  }
+
+  /**
+   * 将实体加入待删除列表并等待确认
+   * @param {Array} ids 实体ID数组
+   * @returns {Object} 处理结果
+   */
+  addPendingIds(ids) {
+    ids.forEach(id => {
+      if (this.pendingIds.includes(id)) return;
+      this.pendingIds.push(id);
+      if (this.context.mapView) {
+        this.context.mapView.highlightSpecificEntity(id, true);
+      }
+    });
+
+    const names = this.pendingIds.map(id => this.context.czmlModel.getEntityById(id)?.name || id);
+    this.setConfirmationState({
+      state: ConfirmationState.WAITING_CONFIRM,
+      method: ConfirmationMethod.BOTH,
+      data: { entityIds: [...this.pendingIds] },
+      message: `确认删除 ${this.pendingIds.length} 个实体`
+    });
+
+    return {
+      success: true,
+      message: `待删除 (${this.pendingIds.length}): ${names.join(', ')}\n继续点击或输入ID追加，回车或右键删除`,
+      needsMapClick: false,
+      needsConfirm: true
+    };
+  }
+
+  /**
+   * 确认处理回调
+   */
+  onConfirm(method, data) {
+    this.clearPendingHighlight();
+    return this.finish(data);
+  }
+
+  /**
+   * 恢复待删除实体的高亮
+   */
+  clearPendingHighlight() {
+    if (!this.context.mapView) return;
+    this.pendingIds.forEach(id => this.context.mapView.highlightSpecificEntity(id, false));
+  }
+
+  onCancel() {
+    this.clearPendingHighlight();
+    this.pendingIds = [];
+  }
+
+  /**
+   * 获取占位符文本
+   */
+  getSpecificPlaceholder() {
+    if (this.pendingIds.length > 0) {
+      return `已选择 ${this.pendingIds.length} 个实体：回车或右键删除，继续点击或输入ID追加，Esc取消`;
+    }
+    return '点击地图上的实体，或输入实体ID (如: PT_xxxxxxxx PL_xxxxxxxx)';
+  }
+
+  /**
+   * 创建DeleteCommand实例
+   */
+  createCommand(data) {
+    return new DeleteCommand(this.context.czmlModel, data.entityIds);
+  }
+}
+
+/**
+ * Delete命令工厂
+ */
+export class DeleteCommandFactory extends CommandFactory {
+  constructor() {
+    super('Delete', '删除实体 (Delete [ID ...]，无参数时删除选择集或点击地图选择)');
+  }
+
+  createHandler(context) {
+    return new DeleteCommandHandler(context);
+  }
+}
\ No newline at end of file
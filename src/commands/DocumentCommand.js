@@ -0,0 +1,340 @@
+import { Command, CommandHandler, CommandFactory, ConfirmationState, ConfirmationMethod } from './base/CommandBase.js';
+import CzmlModel from '../models/CzmlModel.js';
+import TimeUtils from '../utils/TimeUtils.js';
+
+/**
+ * 输入中的字段别名
+ */
+const FIELD_KEYS = {
+  name: 'name', '名称': 'name',
+  description: 'description', desc: 'description', '描述': 'description',
+  version: 'version', '版本': 'version',
+  interval: 'interval', '区间': 'interval',
+  start: 'start', '开始': 'start',
+  stop: 'stop', end: 'stop', '结束': 'stop',
+  currenttime: 'currentTime', current: 'currentTime', time: 'currentTime', '当前时间': 'currentTime',
+  multiplier: 'multiplier', speed: 'multiplier', '倍速': 'multiplier',
+  range: 'range',
+  step: 'step',
+  clock: 'clock', '时钟': 'clock'
+};
+
+/**
+ * 规范化时钟中的时间（UTC ISO字符串），无法解析的值保持原样交给模型校验报错
+ * @param {Object|null} clock CZML时钟
+ * @returns {Object|null} 规范化后的时钟
+ */
+function normalizeClock(clock) {
+  if (!clock) return null;
+
+  const normalized = { ...clock };
+  const interval = TimeUtils.parseInterval(clock.interval);
+  if (interval) {
+    normalized.interval = TimeUtils.formatInterval(interval.start, interval.stop);
+  }
+  if (clock.currentTime !== undefined) {
+    normalized.currentTime = TimeUtils.parseTime(clock.currentTime) || clock.currentTime;
+  }
+  return normalized;
+}
+
+/**
+ * 格式化文档属性摘要
+ * @param {Object} properties { name, description, version, clock }
+ * @returns {string} 多行摘要
+ */
+function formatDocumentProperties(properties) {
+  const { name, description, version, clock } = properties;
+  const lines = [
+    `名称: ${name || '(无)'}`,
+    `描述: ${description || '(无)'}`,
+    `版本: ${version || '(无)'}`
+  ];
+
+  if (clock) {
+    lines.push(`时钟区间: ${clock.interval}`);
+    lines.push(`当前时间: ${clock.currentTime || '(区间开始)'}`);
+    lines.push(`倍速: ${clock.multiplier ?? '(默认 1)'}  range: ${clock.range || '(默认 LOOP_STOP)'}  step: ${clock.step || '(默认 SYSTEM_CLOCK_MULTIPLIER)'}`);
+  } else {
+    lines.push('时钟: (无)');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * 修改document包的具体命令
+ */
+export class DocumentCommand extends Command {
+  constructor(czmlModel, oldProperties, newProperties) {
+    super('Document', `修改文档属性: ${newProperties.name || ''}`.trim());
+
+    this.czmlModel = czmlModel;
+    this.oldProperties = JSON.parse(JSON.stringify(oldProperties));
+    this.newProperties = JSON.parse(JSON.stringify(newProperties));
+  }
+
+  /**
+   * 执行修改
+   * @returns {boolean} 是否执行成功
+   */
+  execute() {
+    try {
+      if (this.executed) {
+        console.warn('DocumentCommand: 命令已经执行过了');
+        return false;
+      }
+
+      this.czmlModel.setDocumentProperties(this.newProperties);
+      this.executed = true;
+
+      console.log(`DocumentCommand executed: ${this.description}`);
+      return true;
+
+    } catch (error) {
+      console.error('DocumentCommand execution failed:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 撤销修改（恢复原属性，不再校验）
+   * @returns {boolean} 是否撤销成功
+   */
+  undo() {
+    try {
+      if (!this.executed) {
+        console.warn('DocumentCommand: 无法撤销，命令未执行');
+        return false;
+      }
+
+      this.czmlModel.setDocumentProperties(this.oldProperties, false);
+      this.executed = false;
+
+      console.log('DocumentCommand undone');
+      return true;
+
+    } catch (error) {
+      console.error('DocumentCommand undo failed:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 验证命令是否有效
+   * @returns {boolean} 是否有效
+   */
+  isValid() {
+    return CzmlModel.getDocumentPropertiesError(this.newProperties) === null &&
+      JSON.stringify(this.oldProperties) !== JSON.stringify(this.newProperties);
+  }
+}
+
+/**
+ * Document命令处理器
+ * 命令行: 显示当前文档属性，输入 key=value 修改，回车应用
+ * 面板: 上下文中带 documentProperties 时直接校验并应用
+ * 用法: Document [name=... description=... version=1.0 interval=开始/结束 start=... stop=... currentTime=... multiplier=10 range=LOOP_STOP step=SYSTEM_CLOCK_MULTIPLIER clock=none]
+ */
+export class DocumentCommandHandler extends CommandHandler {
+  constructor(context) {
+    super('Document', context);
+    this.originalProperties = context.czmlModel.getDocumentProperties();
+    this.draft = JSON.parse(JSON.stringify(this.originalProperties));
+    this.panelProperties = context.documentProperties || null;
+  }
+
+  /**
+   * 开始处理命令
+   */
+  start() {
+    if (this.panelProperties) {
+      return this.applyPanelProperties();
+    }
+
+    // 参数中的修改直接进入预览，出错时命令保持活动，可重新输入
+    const args = (this.context.commandArgs || []).join(' ').trim();
+    if (args) {
+      return this.applyEdits(args);
+    }
+
+    return {
+      success: true,
+      message: `当前文档属性:\n${formatDocumentProperties(this.originalProperties)}\n` +
+        '输入 key=value 修改 (name, description, version, interval, start, stop, currentTime, multiplier, range, step, clock=none)，回车应用',
+      needsMapClick: false,
+      needsConfirm: false
+    };
+  }
+
+  /**
+   * 应用面板提交的属性
+   * @returns {Object} 执行结果
+   */
+  applyPanelProperties() {
+    const properties = {
+      ...this.panelProperties,
+      clock: normalizeClock(this.panelProperties.clock)
+    };
+
+    const error = CzmlModel.getDocumentPropertiesError(properties);
+    if (error || !this.hasChanges(properties)) {
+      this.completed = true;
+      this.result = {
+        success: !error,
+        message: error ? `文档属性无效: ${error}` : '文档属性没有变化',
+        needsMapClick: false,
+        needsConfirm: false
+      };
+      return this.result;
+    }
+
+    return this.finish({ oldProperties: this.originalProperties, newProperties: properties });
+  }
+
+  /**
+   * 处理用户输入
+   */
+  handleSpecificInput(input) {
+    if (input === '') {
+      if (!this.hasChanges(this.draft)) {
+        this.completed = true;
+        this.result = {
+          success: true,
+          message: '文档属性没有变化',
+          needsMapClick: false,
+          needsConfirm: false
+        };
+        return this.result;
+      }
+      return this.finish({ oldProperties: this.originalProperties, newProperties: this.draft });
+    }
+
+    return this.applyEdits(input);
+  }
+
+  /**
+   * 解析并应用 key=value 修改到草稿，整行校验通过后才生效
+   * @param {string} input 输入文本，值可以包含空格（到下一个 key= 为止）
+   * @returns {Object} 处理结果
+   */
+  applyEdits(input) {
+    const draft = JSON.parse(JSON.stringify(this.draft));
+    const tokens = input.split(/\s+(?=[\w\u4e00-\u9fa5]+=)/);
+    let start = null;
+    let stop = null;
+
+    for (const token of tokens) {
+      const separator = token.indexOf('=');
+      if (separator <= 0) {
+        return { success: false, message: `无法识别的输入: ${token} (格式: key=value)` };
+      }
+
+      const key = FIELD_KEYS[token.slice(0, separator).trim().toLowerCase()];
+      const value = token.slice(separator + 1).trim();
+      if (!key) {
+        return { success: false, message: `未知字段: ${token.slice(0, separator)}` };
+      }
+
+      if (['name', 'description', 'version'].includes(key)) {
+        draft[key] = value === '' ? null : value;
+      } else if (key === 'clock') {
+        if (!['none', 'off', '-', '无'].includes(value.toLowerCase())) {
+          return { success: false, message: 'clock 只支持 clock=none (移除时钟)，请用 interval/start/stop 设置时钟' };
+        }
+        draft.clock = null;
+      } else if (key === 'interval') {
+        const interval = TimeUtils.parseInterval(value);
+        if (!interval) {
+          return { success: false, message: `时钟区间格式错误: ${value} (如 2024-05-01T00:00:00Z/2024-05-01T01:00:00Z)` };
+        }
+        draft.clock = { ...(draft.clock || {}), interval: TimeUtils.formatInterval(interval.start, interval.stop) };
+      } else if (key === 'start' || key === 'stop') {
+        const time = TimeUtils.parseTime(value);
+        if (!time) {
+          return { success: false, message: `时间格式错误: ${key}=${value} (ISO 8601，如 2024-05-01T08:00:00Z)` };
+        }
+        if (key === 'start') start = time; else stop = time;
+      } else {
+        if (!draft.clock && !start && !stop) {
+          return { success: false, message: `文档还没有时钟，请先设置 interval (或 start 和 stop) 再设置 ${key}` };
+        }
+        draft.clock = draft.clock || {};
+        if (key === 'currentTime') {
+          draft.clock.currentTime = TimeUtils.parseTime(value) || value;
+        } else if (key === 'multiplier') {
+          draft.clock.multiplier = Number(value);
+        } else {
+          draft.clock[key] = value.toUpperCase();
+        }
+      }
+    }
+
+    // start/stop 与现有区间合并
+    if (start || stop) {
+      const current = draft.clock ? TimeUtils.parseInterval(draft.clock.interval) : null;
+      const newStart = start || (current && current.start);
+      const newStop = stop || (current && current.stop);
+      if (!newStart || !newStop) {
+        return { success: false, message: '文档还没有时钟区间，请同时设置 start 和 stop' };
+      }
+      draft.clock = { ...(draft.clock || {}), interval: `${newStart}/${newStop}` };
+    }
+
+    const error = CzmlModel.getDocumentPropertiesError(draft);
+    if (error) {
+      return { success: false, message: `文档属性无效: ${error}` };
+    }
+
+    this.draft = draft;
+    this.setConfirmationState({
+      state: ConfirmationState.WAITING_CONFIRM,
+      method: ConfirmationMethod.ENTER_ONLY,
+      data: { oldProperties: this.originalProperties, newProperties: this.draft },
+      message: '确认应用文档属性'
+    });
+
+    return {
+      success: true,
+      message: `文档属性预览:\n${formatDocumentProperties(this.draft)}\n回车应用，或继续输入 key=value 修改`,
+      needsMapClick: false,
+      needsConfirm: true
+    };
+  }
+
+  /**
+   * 草稿是否与原属性不同
+   * @param {Object} properties 文档属性
+   * @returns {boolean} 是否有修改
+   */
+  hasChanges(properties) {
+    return JSON.stringify(properties) !== JSON.stringify(this.originalProperties);
+  }
+
+  /**
+   * 获取占位符文本
+   */
+  getSpecificPlaceholder() {
+    return '输入 key=value 修改文档属性 (如 name=演练 multiplier=10)，回车应用，Esc取消';
+  }
+
+  /**
+   * 创建DocumentCommand实例
+   */
+  createCommand(data) {
+    return new DocumentCommand(this.context.czmlModel, data.oldProperties, data.newProperties);
+  }
+}
+
+/**
+ * Document命令工厂
+ */
+export class DocumentCommandFactory extends CommandFactory {
+  constructor() {
+    super('Document', '编辑文档属性：名称、描述、版本和时钟 (Document [key=value ...])，也可在"文档"标签页中编辑');
+  }
+
+  createHandler(context) {
+    return new DocumentCommandHandler(context);
+  }
+}
\ No newline at end of file
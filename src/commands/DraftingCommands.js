@@ -0,0 +1,217 @@
+import { CommandHandler, CommandFactory } from './base/CommandBase.js';
+
+const ON_WORDS = ['on', '开'];
+const OFF_WORDS = ['off', '关'];
+
+/**
+ * 绘图辅助设置命令的基类
+ * 修改context.snapSettings（不进入撤销历史），立即完成
+ */
+class DraftingSettingHandler extends CommandHandler {
+  /**
+   * 开始处理命令（立即执行）
+   */
+  start() {
+    const settings = this.context.snapSettings;
+    if (!settings) {
+      return this.complete(false, '绘图辅助设置不可用');
+    }
+
+    const args = (this.context.commandArgs || []).map(arg => arg.toLowerCase());
+    try {
+      return this.complete(true, this.apply(settings, args));
+    } catch (error) {
+      return this.complete(false, error.message);
+    }
+  }
+
+  /**
+   * 按参数修改设置（由子类实现）
+   * @param {SnapSettings} settings 设置
+   * @param {Array} args 小写的命令参数
+   * @returns {string} 修改后的设置说明，参数无效时抛出错误
+   */
+  apply(settings, args) {
+    throw new Error('apply方法必须被子类实现');
+  }
+
+  /**
+   * 完成命令
+   * @param {boolean} success 是否成功
+   * @param {string} message 消息
+   * @returns {Object} 执行结果
+   */
+  complete(success, message) {
+    this.completed = true;
+    this.result = { success, message, needsMapClick: false, needsConfirm: false };
+    return this.result;
+  }
+
+  /**
+   * 处理用户输入（不需要）
+   */
+  handleInput(input) {
+    return this.getResult();
+  }
+
+  /**
+   * 设置命令不产生可撤销的命令
+   */
+  createCommand(data) {
+    return null;
+  }
+}
+
+/**
+ * Ortho命令处理器
+ * 正交：AddPolyline等绘制时新线段限制为南北或东西方向（与极轴追踪互斥），命令进行中可按F8切换
+ * 用法: Ortho [on|off]，省略参数时切换
+ */
+export class OrthoCommandHandler extends DraftingSettingHandler {
+  constructor(context) {
+    super('Ortho', context);
+  }
+
+  apply(settings, args) {
+    if (args.length === 0) {
+      settings.setOrtho(!settings.ortho);
+    } else if (args.length === 1 && ON_WORDS.includes(args[0])) {
+      settings.setOrtho(true);
+    } else if (args.length === 1 && OFF_WORDS.includes(args[0])) {
+      settings.setOrtho(false);
+    } else {
+      throw new Error('用法: Ortho [on|off]');
+    }
+    return settings.describeTracking();
+  }
+}
+
+/**
+ * Polar命令处理器
+ * 极轴追踪：绘制时新线段的方位角限制为增量的整数倍（与正交互斥），命令进行中可按F10切换
+ * 用法: Polar [on|off] [增量]，如 Polar 15；省略参数时切换，只给增量时同时打开
+ */
+export class PolarCommandHandler extends DraftingSettingHandler {
+  constructor(context) {
+    super('Polar', context);
+  }
+
+  apply(settings, args) {
+    let enabled = args.length === 0 ? !settings.polar : true;
+
+    for (const arg of args) {
+      if (ON_WORDS.includes(arg)) {
+        enabled = true;
+      } else if (OFF_WORDS.includes(arg)) {
+        enabled = false;
+      } else if (/^\d+(\.\d+)?°?$/.test(arg)) {
+        settings.setPolarIncrement(parseFloat(arg));
+      } else {
+        throw new Error(`未知参数: ${arg}\n用法: Polar [on|off] [增量]`);
+      }
+    }
+
+    settings.setPolar(enabled);
+    return settings.describeTracking();
+  }
+}
+
+/**
+ * Grid命令处理器
+ * 栅格捕捉：点击地图的位置捕捉到最近的栅格节点，并在地图上显示栅格线，命令进行中可按F9切换
+ * 用法:
+ *   Grid [on|off]              省略参数时切换
+ *   Grid 0.5                   经纬度栅格，间距0.5°（也可写 0.5deg）
+ *   Grid 100m                  米制栅格，间距100米，原点为当前视野中心
+ *   Grid 100m origin 120,30    米制栅格并指定原点
+ */
+export class GridCommandHandler extends DraftingSettingHandler {
+  constructor(context) {
+    super('Grid', context);
+  }
+
+  apply(settings, args) {
+    const usage = '用法: Grid [on|off] [间距[deg|m]] [origin 经度,纬度]';
+    let enabled = args.length === 0 ? !settings.grid : true;
+    let spacing = null;
+    let origin = null;
+
+    for (let index = 0; index < args.length; index++) {
+      const arg = args[index];
+      const spacingMatch = arg.match(/^(\d+(?:\.\d+)?)(deg|°|m)?$/);
+
+      if (ON_WORDS.includes(arg)) {
+        enabled = true;
+      } else if (OFF_WORDS.includes(arg)) {
+        enabled = false;
+      } else if (spacingMatch) {
+        // 单位也可以作为下一个参数 (Grid 100 m)
+        let unit = spacingMatch[2];
+        if (!unit && ['deg', '°', 'm'].includes(args[index + 1])) {
+          unit = args[++index];
+        }
+        spacing = { value: parseFloat(spacingMatch[1]), unit: unit === 'm' ? 'meter' : 'degree' };
+      } else if (arg === 'origin') {
+        const parts = (args[++index] || '').split(',').map(Number);
+        if (parts.length < 2 || parts.some(value => !Number.isFinite(value))) {
+          throw new Error(`栅格原点格式错误，应为 经度,纬度\n${usage}`);
+        }
+        origin = { lon: parts[0], lat: parts[1] };
+      } else {
+        throw new Error(`未知参数: ${arg}\n${usage}`);
+      }
+    }
+
+    if (spacing) {
+      // 米制栅格默认以当前视野中心为原点
+      if (spacing.unit === 'meter' && !origin) {
+        origin = this.context.mapView && this.context.mapView.getViewCenter();
+      }
+      settings.setGridSpacing(spacing.value, spacing.unit);
+    }
+    if (origin) {
+      settings.setGridOrigin(origin);
+    }
+    settings.setGrid(enabled);
+    return settings.describeGrid();
+  }
+}
+
+/**
+ * Ortho命令工厂
+ */
+export class OrthoCommandFactory extends CommandFactory {
+  constructor() {
+    super('Ortho', '正交：绘制时线段限制为南北或东西方向 (Ortho [on|off])，F8切换');
+  }
+
+  createHandler(context) {
+    return new OrthoCommandHandler(context);
+  }
+}
+
+/**
+ * Polar命令工厂
+ */
+export class PolarCommandFactory extends CommandFactory {
+  constructor() {
+    super('Polar', '极轴追踪：绘制时线段方位角限制为增量的整数倍 (Polar [on|off] [增量])，F10切换');
+  }
+
+  createHandler(context) {
+    return new PolarCommandHandler(context);
+  }
+}
+
+/**
+ * Grid命令工厂
+ */
+export class GridCommandFactory extends CommandFactory {
+  constructor() {
+    super('Grid', '栅格捕捉并显示栅格线 (Grid [on|off] [间距[deg|m]] [origin 经度,纬度])，F9切换');
+  }
+
+  createHandler(context) {
+    return new GridCommandHandler(context);
+  }
+}
\ No newline at end of file
@@ -1,5 +1,6 @@
 import { Command, CommandHandler, CommandFactory, ConfirmationState, ConfirmationMethod } from './base/CommandBase.js';
 import GeometryUtils from '../utils/GeometryUtils.js';
+import EntityTypeRegistry from '../models/EntityTypeRegistry.js';
 
 /**
  * 编辑点的具体命令（保持不变）
@@ -14,6 +15,7 @@ export class EditPointCommand extends Command {
     this.oldCoordinate = { ...oldCoordinate };
     this.newCoordinate = { ...newCoordinate };
     this.pointName = pointName;
+    this.oldPosition = null; // 执行前的完整position（可能是时间采样位置），用于撤销
   }
 
   execute() {
@@ -32,17 +34,21 @@ export class EditPointCommand extends Command {
         throw new Error(`找不到ID为 ${this.pointId} 的点`);
       }
 
-      pointEntity.position.cartographicDegrees = [
-        this.newCoordinate.lon,
-        this.newCoordinate.lat,  
-        this.newCoordinate.height
-      ];
+      // 🔧 编辑后变为静态位置；保存原position以便撤销时恢复航点
+      this.oldPosition = JSON.parse(JSON.stringify(pointEntity.position));
+      pointEntity.position = {
+        cartographicDegrees: [
+          this.newCoordinate.lon,
+          this.newCoordinate.lat,  
+          this.newCoordinate.height
+        ]
+      };
 
       const distance = GeometryUtils.calculateDistance(this.oldCoordinate, this.newCoordinate);
       const distanceText = distance ? `${distance.toFixed(2)}m` : '未知距离';
       this.description = `编辑点: ${this.pointName} (移动 ${distanceText})`;
 
-      this.czmlModel.notifyListeners();
+      this.czmlModel.notifyEntitiesUpdated(this.pointId, ['position']);
       this.executed = true;
       
       console.log(`EditPointCommand executed: ${this.pointName} moved ${distanceText}`);
@@ -67,13 +73,9 @@ export class EditPointCommand extends Command {
         return false;
       }
 
-      pointEntity.position.cartographicDegrees = [
-        this.oldCoordinate.lon,
-        this.oldCoordinate.lat,
-        this.oldCoordinate.height
-      ];
+      pointEntity.position = JSON.parse(JSON.stringify(this.oldPosition));
 
-      this.czmlModel.notifyListeners();
+      this.czmlModel.notifyEntitiesUpdated(this.pointId, ['position']);
       this.executed = false;
       
       console.log(`EditPointCommand undone: ${this.pointName} restored to original position`);
@@ -137,9 +139,23 @@ export class EditPointCommandHandler extends CommandHandler {
    * 开始处理命令
    */
   start() {
+    // 地图上直接拖动点：松开时立即提交
+    if (this.context.dragEdit) {
+      return this.applyDragEdit(this.context.dragEdit);
+    }
+
     this.waitingForMapClick = true;
     this.currentStep = 'SELECT_POINT';
     
+    // 选择集中只有一个点时直接编辑该点（先选择后操作）
+    const selectedIds = this.context.selectedIds || [];
+    if (selectedIds.length === 1 && EntityTypeRegistry.isOfType(selectedIds[0], 'point')) {
+      const pointEntity = this.context.czmlModel.getEntityById(selectedIds[0]);
+      if (pointEntity) {
+        return this.selectTargetPoint(selectedIds[0], pointEntity);
+      }
+    }
+    
     return {
       success: true,
       message: '请选择要编辑的点：点击地图上的点（已高亮显示），或输入点ID',
@@ -148,6 +164,26 @@ export class EditPointCommandHandler extends CommandHandler {
     };
   }
 
+  /**
+   * 提交地图上直接拖动的结果（由EditorController通过上下文 dragEdit 传入）
+   * @param {Object} dragEdit { entityId, coordinate }
+   * @returns {Object} 执行结果
+   */
+  applyDragEdit(dragEdit) {
+    const pointEntity = this.context.czmlModel.getEntityById(dragEdit.entityId);
+    if (!pointEntity || !EntityTypeRegistry.isOfType(dragEdit.entityId, 'point')) {
+      this.completed = true;
+      this.result = { success: false, message: `点 '${dragEdit.entityId}' 不存在`, needsMapClick: false, needsConfirm: false };
+      return this.result;
+    }
+
+    return this.finish({
+      pointId: dragEdit.entityId,
+      oldCoordinate: GeometryUtils.getEntityCoordinates(pointEntity)[0],
+      newCoordinate: dragEdit.coordinate
+    });
+  }
+
   /**
    * 🔧 简化：处理特定命令的输入
    */
@@ -159,7 +195,7 @@ export class EditPointCommandHandler extends CommandHandler {
 
     if (this.currentStep === 'SELECT_POINT') {
       // 选择目标点阶段 - 只处理点ID输入
-      if (input.startsWith('PT_')) {
+      if (EntityTypeRegistry.isOfType(input, 'point')) {
         const pointEntity = this.context.czmlModel.getEntityById(input);
         if (pointEntity) {
           return this.selectTargetPoint(input, pointEntity);
@@ -178,14 +214,14 @@ export class EditPointCommandHandler extends CommandHandler {
     } 
     else if (this.currentStep === 'SELECT_POSITION') {
       // 选择新位置阶段
-      if (GeometryUtils.isCoordinateInput(input)) {
-        const coord = GeometryUtils.parseCoordinate(input);
+      if (this.isCoordinateInput(input)) {
+        const coord = this.parseCoordinate(input);
         if (coord) {
           return this.selectNewPosition(coord);
         } else {
           return { 
             success: false, 
-            message: '坐标格式错误，请使用格式: lon,lat,height' 
+            message: this.getCoordinateInputError(input) 
           };
         }
       }
@@ -206,8 +242,8 @@ export class EditPointCommandHandler extends CommandHandler {
     console.log('EditPointCommandHandler.handleConfirmationInput:', input);
     
     // 如果输入新的坐标，更新新位置
-    if (GeometryUtils.isCoordinateInput(input)) {
-      const inputCoord = GeometryUtils.parseCoordinate(input);
+    if (this.isCoordinateInput(input)) {
+      const inputCoord = this.parseCoordinate(input);
       if (inputCoord && this.newCoordinate) {
         // 比较坐标是否相近
         const lonDiff = Math.abs(inputCoord.lon - this.newCoordinate.lon);
@@ -231,7 +267,7 @@ export class EditPointCommandHandler extends CommandHandler {
       } else {
         return { 
           success: false, 
-          message: '坐标格式错误，请使用格式: lon,lat,height' 
+          message: this.getCoordinateInputError(input) 
         };
       }
     }
@@ -302,13 +338,8 @@ export class EditPointCommandHandler extends CommandHandler {
   selectTargetPoint(pointId, pointEntity) {
     this.targetPointId = pointId;
     
-    // 提取当前坐标
-    const cartographicDegrees = pointEntity.position.cartographicDegrees;
-    this.targetCoordinate = {
-      lon: cartographicDegrees[0],
-      lat: cartographicDegrees[1], 
-      height: cartographicDegrees[2]
-    };
+    // 提取当前坐标（时间采样位置取第一个航点）
+    this.targetCoordinate = GeometryUtils.getEntityCoordinates(pointEntity)[0];
 
     // 切换到选择位置阶段
     this.currentStep = 'SELECT_POSITION';
@@ -352,7 +383,7 @@ export class EditPointCommandHandler extends CommandHandler {
 
     return {
       success: true,
-      message: `${pointName} 将移动到 (${newCoord.lon.toFixed(6)}, ${newCoord.lat.toFixed(6)}, ${newCoord.height}m)，移动距离: ${distanceText}`,
+      message: `${pointName} 将移动到 (${GeometryUtils.formatPosition(newCoord)})，移动距离: ${distanceText}`,
       coordString: `${newCoord.lon.toFixed(6)},${newCoord.lat.toFixed(6)},${newCoord.height}`,
       needsMapClick: true,
       needsConfirm: true,
@@ -378,6 +409,28 @@ export class EditPointCommandHandler extends CommandHandler {
     return this.finish(data);
   }
 
+  /**
+   * 相对坐标的参考点：已选择的新位置，否则为点的原位置
+   * @returns {Object|null} 坐标
+   */
+  getLastPoint() {
+    if (this.currentStep === 'SELECT_POSITION') {
+      return this.newCoordinate || this.targetCoordinate;
+    }
+    return super.getLastPoint();
+  }
+
+  /**
+   * 光标预览：选择新位置时显示从原位置到光标的距离和方位角（由EditorController调用）
+   * @returns {Object|null} { anchors, showTotal }，选择点阶段返回null
+   */
+  getCursorPreview() {
+    if (this.currentStep !== 'SELECT_POSITION' || !this.targetCoordinate) {
+      return null;
+    }
+    return { anchors: [this.targetCoordinate], showTotal: false };
+  }
+
   /**
    * 🔧 简化：获取占位符文本
    */
@@ -0,0 +1,486 @@
+import { Command, CommandHandler, CommandFactory } from './base/CommandBase.js';
+import GeometryUtils from '../utils/GeometryUtils.js';
+import EntityTypeRegistry from '../models/EntityTypeRegistry.js';
+
+/**
+ * 编辑折线顶点的具体命令（移动、插入或删除一个顶点）
+ * 执行和撤销都整体替换顶点数组，名称中的 "(N pts)" 由CzmlModel同步
+ */
+export class EditPolylineCommand extends Command {
+  /**
+   * @param {CzmlModel} czmlModel CZML模型
+   * @param {string} polylineId 折线ID
+   * @param {Array} oldCoordinates 编辑前的顶点坐标
+   * @param {Array} newCoordinates 编辑后的顶点坐标
+   * @param {Object} edit 编辑操作 { type: 'move' | 'insert' | 'delete', index }，index为顶点索引（0起）
+   */
+  constructor(czmlModel, polylineId, oldCoordinates, newCoordinates, edit) {
+    const polylineName = czmlModel.getEntityById(polylineId)?.name || polylineId;
+    const actionText = { move: '移动', insert: '插入', delete: '删除' }[edit.type];
+    super('EditPolyline', `${actionText}顶点 ${edit.index + 1}: ${polylineName}`);
+
+    this.czmlModel = czmlModel;
+    this.polylineId = polylineId;
+    this.oldCoordinates = oldCoordinates.map(coord => ({ ...coord }));
+    this.newCoordinates = newCoordinates.map(coord => ({ ...coord }));
+    this.edit = { ...edit };
+  }
+
+  execute() {
+    try {
+      if (this.executed) {
+        console.warn('EditPolylineCommand: 命令已经执行过了');
+        return false;
+      }
+
+      this.czmlModel.setPolylineCoordinates(this.polylineId, this.newCoordinates);
+      this.executed = true;
+
+      console.log(`EditPolylineCommand executed: ${this.description}`);
+      return true;
+
+    } catch (error) {
+      console.error('EditPolylineCommand execution failed:', error);
+      return false;
+    }
+  }
+
+  undo() {
+    try {
+      if (!this.executed) {
+        console.warn('EditPolylineCommand: 无法撤销，命令未执行');
+        return false;
+      }
+
+      this.czmlModel.setPolylineCoordinates(this.polylineId, this.oldCoordinates);
+      this.executed = false;
+
+      console.log(`EditPolylineCommand undone: ${this.description}`);
+      return true;
+
+    } catch (error) {
+      console.error('EditPolylineCommand undo failed:', error);
+      return false;
+    }
+  }
+
+  isValid() {
+    if (!this.czmlModel.getEntityById(this.polylineId)?.polyline) {
+      return false;
+    }
+
+    if (!GeometryUtils.validateCoordinates(this.newCoordinates, 2)) {
+      return false;
+    }
+
+    return JSON.stringify(this.oldCoordinates) !== JSON.stringify(this.newCoordinates);
+  }
+}
+
+/**
+ * EditPolyline命令处理器
+ * 流程: 选择折线（点击地图或输入ID）→ 显示顶点控制柄，连续编辑 → 回车或右键完成
+ * 每次编辑是一个独立的可撤销命令，Esc结束编辑时已完成的编辑保留
+ * 编辑方式:
+ *   拖动顶点            移动顶点
+ *   拖动或点击线段中点  插入顶点
+ *   n                   选择第n个顶点（从1开始）
+ *   lon,lat,height      将选中的顶点移动到坐标
+ *   move n lon,lat,h    移动第n个顶点
+ *   insert n [lon,lat,h] 在第n和第n+1个顶点之间插入（省略坐标时插入到线段中点）
+ *   delete [n]          删除第n个顶点（省略时删除选中的顶点）
+ */
+export class EditPolylineCommandHandler extends CommandHandler {
+  constructor(context) {
+    super('EditPolyline', context);
+    this.targetPolylineId = null;
+    this.activeIndex = -1; // 选中的顶点索引，-1表示没有
+    this.editCount = 0;
+    this.lastCommand = null; // 最近一次编辑的命令
+    this.currentStep = 'SELECT_POLYLINE'; // 'SELECT_POLYLINE' | 'EDIT_VERTICES'
+  }
+
+  /**
+   * 开始处理命令
+   */
+  start() {
+    // 地图上直接拖动选中折线的顶点：松开时提交一次移动并结束
+    if (this.context.dragEdit) {
+      return this.applyDragEdit(this.context.dragEdit);
+    }
+
+    this.waitingForMapClick = true;
+
+    // 参数中的ID，或选择集中唯一的折线（先选择后操作）
+    const [polylineId] = this.context.commandArgs || [];
+    const selectedIds = this.context.selectedIds || [];
+    const targetId = polylineId ||
+      (selectedIds.length === 1 && EntityTypeRegistry.isOfType(selectedIds[0], 'polyline') ? selectedIds[0] : null);
+
+    if (targetId) {
+      const result = this.selectTargetPolyline(targetId);
+      if (result.success || polylineId) {
+        return { ...result, needsMapClick: true };
+      }
+    }
+
+    return {
+      success: true,
+      message: '请选择要编辑的折线：点击地图上的折线，或输入折线ID',
+      needsMapClick: true,
+      needsConfirm: false
+    };
+  }
+
+  /**
+   * 提交地图上直接拖动顶点的结果（由EditorController通过上下文 dragEdit 传入）
+   * @param {Object} dragEdit { entityId, index, coordinate }
+   * @returns {Object} 执行结果
+   */
+  applyDragEdit(dragEdit) {
+    const selected = this.selectTargetPolyline(dragEdit.entityId);
+    const result = selected.success ? this.moveVertex(dragEdit.index, dragEdit.coordinate) : selected;
+
+    this.completed = true;
+    this.result = {
+      success: result.success,
+      message: result.success ? `${this.commandName} 执行成功: ${this.lastCommand.getDescription()}` : result.message,
+      needsMapClick: false,
+      needsConfirm: false
+    };
+    return this.result;
+  }
+
+  /**
+   * 处理用户输入
+   */
+  handleSpecificInput(input) {
+    if (this.currentStep === 'SELECT_POLYLINE') {
+      if (input === '') {
+        return { success: false, message: '请点击地图上的折线，或输入折线ID (格式: PL_xxxxxxxx)' };
+      }
+      return this.selectTargetPolyline(input);
+    }
+
+    // 回车或右键（空输入）完成编辑
+    if (input === '') {
+      return this.finishEditing();
+    }
+
+    const coordinates = this.getCoordinates();
+    if (coordinates.length === 0) {
+      return { success: false, message: '折线已不存在，请按Esc退出' };
+    }
+
+    let match;
+    if (/^\d+$/.test(input)) {
+      return this.selectVertex(parseInt(input, 10) - 1);
+    }
+
+    if (this.isCoordinateInput(input)) {
+      if (this.activeIndex < 0) {
+        return { success: false, message: '请先选择顶点（点击顶点或输入序号），或使用 move n lon,lat,height' };
+      }
+      return this.moveVertexTo(this.activeIndex, input);
+    }
+
+    if ((match = input.match(/^(?:m|move)\s+(\d+)\s+(.+)$/i))) {
+      return this.moveVertexTo(parseInt(match[1], 10) - 1, match[2]);
+    }
+
+    if ((match = input.match(/^(?:i|insert)\s+(\d+)(?:\s+(.+))?$/i))) {
+      const index = parseInt(match[1], 10) - 1;
+      if (index < 0 || index >= coordinates.length - 1) {
+        return { success: false, message: `线段序号应为 1 到 ${coordinates.length - 1}（在第n和第n+1个顶点之间插入）` };
+      }
+
+      const coord = match[2] ?
+        this.parseCoordinate(match[2]) :
+        GeometryUtils.interpolateGeodesic(coordinates[index], coordinates[index + 1], 0.5);
+      if (!coord) {
+        return { success: false, message: this.getCoordinateInputError(match[2]) };
+      }
+      return this.insertVertex(index + 1, coord);
+    }
+
+    if ((match = input.match(/^(?:d|del|delete)(?:\s+(\d+))?$/i))) {
+      const index = match[1] ? parseInt(match[1], 10) - 1 : this.activeIndex;
+      if (index < 0) {
+        return { success: false, message: '请先选择顶点，或使用 delete n' };
+      }
+      return this.deleteVertex(index);
+    }
+
+    return {
+      success: false,
+      message: '无法识别的输入。拖动顶点移动，拖动中点插入；或输入 n、lon,lat,height、move n 坐标、insert n、delete n，回车完成'
+    };
+  }
+
+  /**
+   * 处理实体选择结果（由EditorController调用）
+   */
+  handleEntitySelection(result) {
+    if (result.success && result.entityType === 'polyline') {
+      return this.selectTargetPolyline(result.entityId);
+    }
+
+    return { success: false, message: '请点击地图上的折线，或输入折线ID' };
+  }
+
+  /**
+   * 处理点击控制柄（由EditorController调用）：点击顶点选中，点击中点插入
+   * @param {Object} handle { kind: 'vertex' | 'midpoint', index }
+   * @returns {Object} 处理结果
+   */
+  handleVertexClick(handle) {
+    if (handle.kind === 'vertex') {
+      return this.selectVertex(handle.index);
+    }
+
+    const segment = this.getCoordinates().slice(handle.index, handle.index + 2);
+    const coord = segment.length === 2 ? GeometryUtils.interpolateGeodesic(segment[0], segment[1], 0.5) : null;
+    return coord ? this.insertVertex(handle.index + 1, coord) : { success: false, message: '线段不存在' };
+  }
+
+  /**
+   * 处理拖动控制柄（由EditorController调用）：拖动顶点移动，拖动中点插入
+   * @param {Object} handle { kind: 'vertex' | 'midpoint', index }
+   * @param {Object} coord 松开鼠标时的坐标
+   * @returns {Object} 处理结果
+   */
+  handleVertexDrag(handle, coord) {
+    if (handle.kind === 'vertex') {
+      return this.moveVertex(handle.index, coord);
+    }
+    return this.insertVertex(handle.index + 1, coord);
+  }
+
+  /**
+   * 选择目标折线
+   * @param {string} polylineId 折线ID
+   * @returns {Object} 处理结果
+   */
+  selectTargetPolyline(polylineId) {
+    const entity = this.context.czmlModel.getEntityById(polylineId);
+    if (!entity || !EntityTypeRegistry.isOfType(polylineId, 'polyline')) {
+      return { success: false, message: `折线 '${polylineId}' 不存在，请点击地图上的折线或输入有效的折线ID` };
+    }
+
+    if (!Array.isArray(entity.polyline?.positions?.cartographicDegrees)) {
+      return { success: false, message: `${entity.name || polylineId} 的位置不是经纬度坐标，无法编辑顶点` };
+    }
+
+    this.targetPolylineId = polylineId;
+    this.activeIndex = -1;
+    this.currentStep = 'EDIT_VERTICES';
+
+    return {
+      success: true,
+      message: `编辑 ${entity.name || polylineId}: 拖动顶点移动，拖动或点击线段中点插入顶点；` +
+        '也可输入 n 选择顶点、lon,lat,height 移动、insert n、delete n，回车或右键完成',
+      needsMapClick: true,
+      needsConfirm: false
+    };
+  }
+
+  /**
+   * 选择顶点（用于输入坐标或删除）
+   * @param {number} index 顶点索引
+   * @returns {Object} 处理结果
+   */
+  selectVertex(index) {
+    const coordinates = this.getCoordinates();
+    if (index < 0 || index >= coordinates.length) {
+      return { success: false, message: `顶点序号应为 1 到 ${coordinates.length}` };
+    }
+
+    this.activeIndex = index;
+    return {
+      success: true,
+      message: `已选择顶点 ${index + 1} (${GeometryUtils.formatCoordinateShort(coordinates[index], 6)})，输入新坐标移动，或输入 delete 删除`,
+      needsMapClick: true,
+      needsConfirm: false
+    };
+  }
+
+  /**
+   * 按输入的坐标文本移动顶点
+   * @param {number} index 顶点索引
+   * @param {string} text 坐标文本 lon,lat,height
+   * @returns {Object} 处理结果
+   */
+  moveVertexTo(index, text) {
+    const coord = this.parseCoordinate(text);
+    if (!coord) {
+      return { success: false, message: this.getCoordinateInputError(text) };
+    }
+    return this.moveVertex(index, coord);
+  }
+
+  /**
+   * 移动顶点
+   * @param {number} index 顶点索引
+   * @param {Object} coord 新坐标
+   * @returns {Object} 处理结果
+   */
+  moveVertex(index, coord) {
+    const coordinates = this.getCoordinates();
+    if (index < 0 || index >= coordinates.length) {
+      return { success: false, message: `顶点序号应为 1 到 ${coordinates.length}` };
+    }
+
+    const newCoordinates = [...coordinates];
+    newCoordinates[index] = coord;
+    return this.applyEdit(coordinates, newCoordinates, { type: 'move', index });
+  }
+
+  /**
+   * 插入顶点
+   * @param {number} index 新顶点的索引
+   * @param {Object} coord 新顶点坐标
+   * @returns {Object} 处理结果
+   */
+  insertVertex(index, coord) {
+    const coordinates = this.getCoordinates();
+    const newCoordinates = [...coordinates];
+    newCoordinates.splice(index, 0, coord);
+    return this.applyEdit(coordinates, newCoordinates, { type: 'insert', index });
+  }
+
+  /**
+   * 删除顶点（折线至少保留2个顶点）
+   * @param {number} index 顶点索引
+   * @returns {Object} 处理结果
+   */
+  deleteVertex(index) {
+    const coordinates = this.getCoordinates();
+    if (index < 0 || index >= coordinates.length) {
+      return { success: false, message: `顶点序号应为 1 到 ${coordinates.length}` };
+    }
+    if (coordinates.length <= 2) {
+      return { success: false, message: '折线至少需要2个顶点，不能再删除（可用Delete删除整条折线）' };
+    }
+
+    const newCoordinates = coordinates.filter((coord, i) => i !== index);
+    return this.applyEdit(coordinates, newCoordinates, { type: 'delete', index });
+  }
+
+  /**
+   * 执行一次顶点编辑并加入撤销历史，命令保持活动以便继续编辑
+   * @param {Array} oldCoordinates 编辑前的顶点坐标
+   * @param {Array} newCoordinates 编辑后的顶点坐标
+   * @param {Object} edit 编辑操作 { type, index }
+   * @returns {Object} 处理结果
+   */
+  applyEdit(oldCoordinates, newCoordinates, edit) {
+    if (!GeometryUtils.validateCoordinates(newCoordinates, 2)) {
+      return { success: false, message: '坐标无效，请重新输入' };
+    }
+
+    const command = this.createCommand({ oldCoordinates, newCoordinates, edit });
+    if (!command.isValid()) {
+      return { success: false, message: '顶点位置没有变化' };
+    }
+    if (!command.execute()) {
+      return { success: false, message: `${this.commandName} 执行失败: ${command.getDescription()}` };
+    }
+
+    this.addToHistory(command);
+    this.lastCommand = command;
+    this.editCount++;
+    this.activeIndex = edit.type === 'delete' ? -1 : edit.index;
+
+    return {
+      success: true,
+      message: `${command.getDescription()}（现有 ${newCoordinates.length} 个顶点），可继续编辑，回车完成`,
+      needsMapClick: true,
+      needsConfirm: false
+    };
+  }
+
+  /**
+   * 完成编辑（每次编辑已单独加入撤销历史）
+   * @returns {Object} 执行结果
+   */
+  finishEditing() {
+    this.completed = true;
+    this.waitingForMapClick = false;
+    this.result = {
+      success: true,
+      message: this.editCount > 0 ? `EditPolyline 完成: 共 ${this.editCount} 次编辑` : 'EditPolyline 完成: 没有修改',
+      needsMapClick: false,
+      needsConfirm: false
+    };
+    return this.result;
+  }
+
+  /**
+   * 从模型读取目标折线的当前顶点（撤销/重做后保持最新）
+   * @returns {Array} 顶点坐标数组
+   */
+  getCoordinates() {
+    const entity = this.targetPolylineId && this.context.czmlModel.getEntityById(this.targetPolylineId);
+    return entity ? GeometryUtils.getEntityCoordinates(entity) : [];
+  }
+
+  /**
+   * 重新绘制顶点控制柄（切换交互模式或文档变化后由EditorController调用）
+   */
+  refreshPreview() {
+    const mapView = this.context.mapView;
+    if (!mapView || this.currentStep !== 'EDIT_VERTICES' || this.isCompleted()) {
+      return;
+    }
+
+    const coordinates = this.getCoordinates();
+    if (this.activeIndex >= coordinates.length) {
+      this.activeIndex = -1;
+    }
+
+    if (coordinates.length > 0) {
+      mapView.showVertexHandles(coordinates, this.activeIndex);
+    } else {
+      mapView.hideVertexHandles();
+    }
+  }
+
+  /**
+   * 获取占位符文本
+   */
+  getSpecificPlaceholder() {
+    if (this.currentStep === 'SELECT_POLYLINE') {
+      return '点击地图上的折线，或输入折线ID (如: PL_xxxxxxxx)';
+    }
+    if (this.activeIndex >= 0) {
+      return `顶点 ${this.activeIndex + 1}: 输入 lon,lat,height 移动或 delete 删除；拖动顶点/中点编辑，回车完成`;
+    }
+    return '拖动顶点移动、拖动中点插入；或输入 n、move n 坐标、insert n、delete n，回车完成';
+  }
+
+  /**
+   * 创建EditPolylineCommand实例
+   */
+  createCommand(data) {
+    return new EditPolylineCommand(
+      this.context.czmlModel,
+      this.targetPolylineId,
+      data.oldCoordinates,
+      data.newCoordinates,
+      data.edit
+    );
+  }
+}
+
+/**
+ * EditPolyline命令工厂
+ */
+export class EditPolylineCommandFactory extends CommandFactory {
+  constructor() {
+    super('EditPolyline', '编辑折线顶点 (选择折线 → 拖动顶点移动、拖动中点插入、输入坐标或 delete n → 回车完成)');
+  }
+
+  createHandler(context) {
+    return new EditPolylineCommandHandler(context);
+  }
+}
\ No newline at end of file
@@ -0,0 +1,212 @@
+import { CommandHandler, CommandFactory } from './base/CommandBase.js';
+import FileUtils from '../utils/FileUtils.js';
+import GeoJsonUtils from '../utils/GeoJsonUtils.js';
+import KmlUtils from '../utils/KmlUtils.js';
+import ZipUtils from '../utils/ZipUtils.js';
+
+/**
+ * 根据命令参数确定导出文件名
+ * @param {Array} args 命令参数
+ * @param {string} defaultName 默认文件名
+ * @param {string} extension 扩展名 (如 '.geojson')
+ * @returns {string} 文件名
+ */
+function resolveFileName(args, defaultName, extension) {
+  const name = (args || []).join(' ').trim();
+  if (!name) return defaultName;
+  return FileUtils.getExtension(name) === extension ? name : `${name}${extension}`;
+}
+
+/**
+ * ExportGeoJSON命令处理器
+ * 将当前文档导出为GeoJSON FeatureCollection，无需Command（因为不修改数据）
+ * 用法: ExportGeoJSON [文件名]
+ */
+export class ExportGeoJSONCommandHandler extends CommandHandler {
+  constructor(context) {
+    super('ExportGeoJSON', context);
+    this.fileName = resolveFileName(context.commandArgs, 'editor-output.geojson', '.geojson');
+  }
+
+  /**
+   * 开始处理命令（立即导出）
+   * @returns {Object} 执行结果
+   */
+  start() {
+    const { geojson, exported, skipped } = GeoJsonUtils.fromCzml(this.context.czmlModel.getCzmlDocument());
+
+    this.completed = true;
+
+    if (exported === 0) {
+      this.result = {
+        success: false,
+        message: '没有可导出为GeoJSON的几何实体',
+        needsMapClick: false,
+        needsConfirm: false
+      };
+      return this.result;
+    }
+
+    FileUtils.download(JSON.stringify(geojson, null, 2), this.fileName, 'application/geo+json');
+
+    let message = `已导出 ${exported} 个要素到 ${this.fileName}`;
+    if (skipped.length > 0) {
+      message += ` (跳过 ${skipped.length} 个无法转换的实体: ${skipped.join(', ')})`;
+    }
+
+    this.result = {
+      success: true,
+      message,
+      needsMapClick: false,
+      needsConfirm: false
+    };
+    return this.result;
+  }
+
+  /**
+   * 处理用户输入（不需要）
+   * @param {string} input 用户输入
+   * @returns {Object} 处理结果
+   */
+  handleInput(input) {
+    return this.getResult();
+  }
+
+  /**
+   * 不需要创建Command（因为导出不修改数据）
+   * @param {*} data 数据
+   * @returns {null} 不创建命令
+   */
+  createCommand(data) {
+    return null;
+  }
+}
+
+/**
+ * ExportGeoJSON命令工厂
+ */
+export class ExportGeoJSONCommandFactory extends CommandFactory {
+  constructor() {
+    super('ExportGeoJSON', '导出为GeoJSON FeatureCollection (ExportGeoJSON [文件名])，高度作为第三个坐标');
+  }
+
+  /**
+   * 创建命令处理器
+   * @param {Object} context 上下文对象
+   * @returns {ExportGeoJSONCommandHandler} 命令处理器实例
+   */
+  createHandler(context) {
+    return new ExportGeoJSONCommandHandler(context);
+  }
+}
+
+/**
+ * ExportKML命令处理器
+ * 将当前文档导出为KML，或打包为KMZ（doc.kml），无需Command（因为不修改数据）
+ * 用法: ExportKML [文件名] / ExportKMZ [文件名]
+ */
+export class ExportKMLCommandHandler extends CommandHandler {
+  constructor(context, kmz = false) {
+    super(kmz ? 'ExportKMZ' : 'ExportKML', context);
+    this.kmz = kmz;
+    this.fileName = kmz
+      ? resolveFileName(context.commandArgs, 'editor-output.kmz', '.kmz')
+      : resolveFileName(context.commandArgs, 'editor-output.kml', '.kml');
+  }
+
+  /**
+   * 开始处理命令（立即导出）
+   * @returns {Object} 执行结果
+   */
+  start() {
+    const { kml, exported, skipped } = KmlUtils.fromCzml(this.context.czmlModel.getCzmlDocument());
+
+    this.completed = true;
+
+    if (exported === 0) {
+      this.result = {
+        success: false,
+        message: '没有可导出为KML的几何实体',
+        needsMapClick: false,
+        needsConfirm: false
+      };
+      return this.result;
+    }
+
+    if (this.kmz) {
+      // KMZ压缩是异步的，下载在压缩完成后触发
+      ZipUtils.zip([{ name: 'doc.kml', data: kml }])
+        .then(blob => FileUtils.download(blob, this.fileName))
+        .catch(error => console.error('KMZ打包失败:', error));
+    } else {
+      FileUtils.download(kml, this.fileName, 'application/vnd.google-earth.kml+xml');
+    }
+
+    let message = `已导出 ${exported} 个Placemark到 ${this.fileName}`;
+    if (skipped.length > 0) {
+      message += ` (跳过 ${skipped.length} 个无法转换的实体: ${skipped.join(', ')})`;
+    }
+
+    this.result = {
+      success: true,
+      message,
+      needsMapClick: false,
+      needsConfirm: false
+    };
+    return this.result;
+  }
+
+  /**
+   * 处理用户输入（不需要）
+   * @param {string} input 用户输入
+   * @returns {Object} 处理结果
+   */
+  handleInput(input) {
+    return this.getResult();
+  }
+
+  /**
+   * 不需要创建Command（因为导出不修改数据）
+   * @param {*} data 数据
+   * @returns {null} 不创建命令
+   */
+  createCommand(data) {
+    return null;
+  }
+}
+
+/**
+ * ExportKML命令工厂
+ */
+export class ExportKMLCommandFactory extends CommandFactory {
+  constructor() {
+    super('ExportKML', '导出为KML (ExportKML [文件名])，颜色写入IconStyle/LineStyle/PolyStyle');
+  }
+
+  /**
+   * 创建命令处理器
+   * @param {Object} context 上下文对象
+   * @returns {ExportKMLCommandHandler} 命令处理器实例
+   */
+  createHandler(context) {
+    return new ExportKMLCommandHandler(context);
+  }
+}
+
+/**
+ * ExportKMZ命令工厂
+ */
+export class ExportKMZCommandFactory extends CommandFactory {
+  constructor() {
+    super('ExportKMZ', '导出为KMZ压缩包 (ExportKMZ [文件名])');
+  }
+
+  /**
+   * 创建命令处理器
+   * @param {Object} context 上下文对象
+   * @returns {ExportKMLCommandHandler} 命令处理器实例
+   */
+  createHandler(context) {
+    return new ExportKMLCommandHandler(context, true);
+  }
+}
\ No newline at end of file
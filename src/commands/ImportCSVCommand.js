@@ -0,0 +1,417 @@
+import { Command, CommandHandler, CommandFactory, ConfirmationState, ConfirmationMethod } from './base/CommandBase.js';
+import FileUtils from '../utils/FileUtils.js';
+import CsvUtils from '../utils/CsvUtils.js';
+
+/**
+ * 映射输入中的字段别名
+ */
+const FIELD_KEYS = {
+  lon: 'lon', lng: 'lon', x: 'lon', '经度': 'lon',
+  lat: 'lat', y: 'lat', '纬度': 'lat',
+  height: 'height', h: 'height', alt: 'height', z: 'height', '高度': 'height',
+  name: 'name', '名称': 'name',
+  seq: 'seq', order: 'seq', '序号': 'seq'
+};
+
+/**
+ * 被拒绝行在消息中最多列出的数量
+ */
+const MAX_REJECTED_LINES = 10;
+
+/**
+ * 格式化被拒绝的行
+ * @param {Array} rejected 被拒绝的行 [{ line, reason }]
+ * @returns {string} 报告文本，没有被拒绝的行时为空字符串
+ */
+function formatRejectedRows(rejected) {
+  if (rejected.length === 0) return '';
+
+  const lines = rejected.slice(0, MAX_REJECTED_LINES).map(item => `⚠️ 第${item.line}行: ${item.reason}`);
+  if (rejected.length > MAX_REJECTED_LINES) {
+    lines.push(`⚠️ ... 另有 ${rejected.length - MAX_REJECTED_LINES} 行被拒绝`);
+  }
+  return `\n${lines.join('\n')}`;
+}
+
+/**
+ * 导入CSV的具体命令
+ * 每行创建一个点（CzmlModel.addPoint），可选按序号列连成一条折线，整体作为一个撤销步骤
+ */
+export class ImportCSVCommand extends Command {
+  constructor(czmlModel, points, connectLine = false, sourceName = '') {
+    super('ImportCSV', `导入表格 ${sourceName || ''}`.trim());
+
+    this.czmlModel = czmlModel;
+    this.points = points; // [{ coord, name, properties }]，已按连线顺序排列
+    this.connectLine = connectLine;
+    this.sourceName = sourceName;
+    this.createdIds = [];
+    this.polylineId = null;
+  }
+
+  /**
+   * 执行导入操作
+   * @returns {boolean} 是否执行成功
+   */
+  execute() {
+    try {
+      if (this.executed) {
+        console.warn('ImportCSVCommand: 命令已经执行过了');
+        return false;
+      }
+
+      if (!this.isValid()) {
+        throw new Error('没有有效的点');
+      }
+
+      this.createdIds = [];
+      this.polylineId = null;
+
+      // 批量添加，视图只刷新一次
+      this.czmlModel.batch(() => {
+        this.points.forEach(point => {
+          const options = { properties: point.properties };
+          if (point.name) options.name = point.name;
+          this.createdIds.push(this.czmlModel.addPoint(point.coord, options));
+        });
+
+        if (this.connectLine && this.points.length >= 2) {
+          this.polylineId = this.czmlModel.addPolyline(this.points.map(point => point.coord));
+          this.createdIds.push(this.polylineId);
+        }
+      });
+
+      this.description = `导入表格 ${this.sourceName}: ${this.points.length} 个点${this.polylineId ? ' 和 1 条连线' : ''}`;
+      this.executed = true;
+
+      console.log(`ImportCSVCommand executed: ${this.description}`);
+      return true;
+
+    } catch (error) {
+      console.error('ImportCSVCommand execution failed:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 撤销导入操作
+   * @returns {boolean} 是否撤销成功
+   */
+  undo() {
+    try {
+      if (!this.executed || this.createdIds.length === 0) {
+        console.warn('ImportCSVCommand: 无法撤销，命令未执行或没有创建实体');
+        return false;
+      }
+
+      this.czmlModel.batch(() => {
+        this.createdIds.forEach(id => this.czmlModel.removeEntityById(id));
+      });
+
+      this.executed = false;
+      console.log(`ImportCSVCommand undone: removed ${this.createdIds.length} entities`);
+      return true;
+
+    } catch (error) {
+      console.error('ImportCSVCommand undo failed:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 验证命令是否有效
+   * @returns {boolean} 是否有效
+   */
+  isValid() {
+    return Array.isArray(this.points) && this.points.length > 0;
+  }
+}
+
+/**
+ * ImportCSV命令处理器
+ * 读取CSV/TSV（文件或剪贴板），识别列映射并预览，回车后导入
+ * 用法: ImportCSV [clipboard]
+ * 映射输入: lon=2 lat=3 height=4 name=1 seq=5（列序号从1开始，也可用列名；seq=none 取消连线）
+ */
+export class ImportCSVCommandHandler extends CommandHandler {
+  constructor(context) {
+    super('ImportCSV', context);
+    const source = ((context.commandArgs || [])[0] || '').toLowerCase();
+    this.fromClipboard = ['clipboard', 'paste', 'c', '剪贴板'].includes(source);
+    this.files = context.files || null;
+    this.sourceName = '';
+    this.table = null;
+    this.mapping = null;
+    this.loading = false;
+  }
+
+  /**
+   * 开始处理命令：读取剪贴板或打开文件选择框
+   * @returns {Object} 初始结果
+   */
+  start() {
+    this.loading = true;
+
+    if (this.fromClipboard) {
+      if (!navigator.clipboard || !navigator.clipboard.readText) {
+        this.completed = true;
+        this.result = {
+          success: false,
+          message: '浏览器不支持读取剪贴板，请使用 ImportCSV 选择文件',
+          needsMapClick: false,
+          needsConfirm: false
+        };
+        return this.result;
+      }
+
+      navigator.clipboard.readText()
+        .then(text => this.loadText(text, '剪贴板'))
+        .catch(error => this.failLoading(`读取剪贴板失败: ${error.message}`));
+
+      this.result = {
+        success: true,
+        message: '正在读取剪贴板...',
+        needsMapClick: false,
+        needsConfirm: false
+      };
+      return this.result;
+    }
+
+    const filesPromise = this.files && this.files.length > 0
+      ? Promise.resolve(this.files)
+      : FileUtils.pickFiles({ accept: '.csv,.tsv,.txt', multiple: false });
+
+    filesPromise.then(files => {
+      if (this.isCompleted()) return;
+
+      if (files.length === 0) {
+        this.failLoading('未选择文件，导入已取消');
+        return;
+      }
+
+      FileUtils.readAsText(files[0])
+        .then(text => this.loadText(text, files[0].name))
+        .catch(error => this.failLoading(error.message));
+    });
+
+    this.result = {
+      success: true,
+      message: '请选择CSV/TSV文件 (.csv, .tsv, .txt)',
+      needsMapClick: false,
+      needsConfirm: false
+    };
+    return this.result;
+  }
+
+  /**
+   * 读取失败时取消命令并报告
+   * @param {string} message 失败原因
+   */
+  failLoading(message) {
+    if (this.isCompleted()) return;
+
+    this.cancel();
+    this.reportAsyncResult({ success: false, message });
+  }
+
+  /**
+   * 解析表格文本，猜测列映射并进入确认状态
+   * @param {string} text 表格文本
+   * @param {string} sourceName 来源名称
+   */
+  loadText(text, sourceName) {
+    if (this.isCompleted()) return;
+
+    try {
+      this.table = CsvUtils.parseTable(text);
+    } catch (error) {
+      this.failLoading(`${sourceName}: ${error.message}`);
+      return;
+    }
+
+    this.loading = false;
+    this.sourceName = sourceName;
+    this.mapping = CsvUtils.guessMapping(this.table.headers, this.table.hasHeader);
+
+    this.reportAsyncResult(this.showPreview(`已读取 ${sourceName}: ${this.table.rows.length} 行数据`));
+  }
+
+  /**
+   * 显示列映射和预览结果，并等待确认
+   * @param {string} prefix 消息前缀
+   * @returns {Object} 处理结果
+   */
+  showPreview(prefix) {
+    const columns = this.table.headers.map((header, index) => `${index + 1}.${header}`).join(' ');
+    const mappingText = CsvUtils.FIELDS
+      .map(field => `${field}=${this.mapping[field] === null ? '-' : this.table.headers[this.mapping[field]]}`)
+      .join(' ');
+
+    let previewText;
+    if (this.mapping.lon === null || this.mapping.lat === null) {
+      previewText = '⚠️ 请指定经度和纬度列';
+    } else {
+      const { points, rejected } = CsvUtils.toPointRecords(this.table, this.mapping);
+      previewText = `有效 ${points.length} 行，拒绝 ${rejected.length} 行`;
+      if (this.mapping.seq !== null && points.length >= 2) {
+        previewText += `，按 ${this.table.headers[this.mapping.seq]} 连成折线`;
+      }
+      previewText += formatRejectedRows(rejected);
+    }
+
+    this.setConfirmationState({
+      state: ConfirmationState.WAITING_CONFIRM,
+      method: ConfirmationMethod.ENTER_ONLY,
+      data: { mapping: this.mapping },
+      message: '输入 lon=列 lat=列 height=列 name=列 seq=列 修改映射，回车导入'
+    });
+
+    return {
+      success: true,
+      message: `${prefix}\n列: ${columns}\n映射: ${mappingText}\n${previewText}\n输入 lon=列 lat=列 height=列 name=列 seq=列 修改映射 (列序号或列名，none 取消)，回车导入`,
+      needsMapClick: false,
+      needsConfirm: true
+    };
+  }
+
+  /**
+   * 将异步结果交给控制器显示
+   * @param {Object} result 处理结果
+   */
+  reportAsyncResult(result) {
+    const controller = this.context.editorController;
+    if (controller && controller.handleAsyncCommandResult) {
+      controller.handleAsyncCommandResult(this, result);
+    }
+  }
+
+  /**
+   * 处理特定命令的输入
+   * @param {string} input 用户输入
+   * @returns {Object} 处理结果
+   */
+  handleSpecificInput(input) {
+    if (this.loading) {
+      return {
+        success: false,
+        message: '正在读取表格，请稍候... (按Esc取消)'
+      };
+    }
+
+    return this.handleConfirmationInput(input);
+  }
+
+  /**
+   * 处理列映射输入，如 "lon=2 lat=3 seq=序号"
+   * @param {string} input 用户输入
+   * @returns {Object} 处理结果
+   */
+  handleConfirmationInput(input) {
+    if (!this.table) {
+      return { success: false, message: '表格尚未读取' };
+    }
+
+    const mapping = { ...this.mapping };
+    const assignments = input.split(/\s+/).filter(Boolean);
+
+    for (const assignment of assignments) {
+      const match = assignment.match(/^([^=]+)=(.*)$/);
+      const field = match ? FIELD_KEYS[match[1].toLowerCase()] : null;
+
+      if (!field) {
+        return {
+          success: false,
+          message: `无法识别 "${assignment}"，格式: lon=列 lat=列 height=列 name=列 seq=列`
+        };
+      }
+
+      const value = match[2].trim();
+      if (['none', '-', ''].includes(value.toLowerCase())) {
+        mapping[field] = null;
+        continue;
+      }
+
+      const index = CsvUtils.findColumn(this.table.headers, value);
+      if (index < 0) {
+        return {
+          success: false,
+          message: `找不到列 "${value}"，可用列: ${this.table.headers.map((header, i) => `${i + 1}.${header}`).join(' ')}`
+        };
+      }
+      mapping[field] = index;
+    }
+
+    this.mapping = mapping;
+    return this.showPreview('列映射已更新');
+  }
+
+  /**
+   * 确认处理回调（回车 = 按当前映射导入）
+   * @param {string} method 确认方法
+   * @param {Object} data 确认数据
+   * @returns {Object} 处理结果
+   */
+  onConfirm(method, data) {
+    if (this.mapping.lon === null || this.mapping.lat === null) {
+      return { success: false, message: '请先指定经度和纬度列，如 lon=2 lat=3' };
+    }
+
+    const { points, rejected } = CsvUtils.toPointRecords(this.table, this.mapping);
+    if (points.length === 0) {
+      return {
+        success: false,
+        message: `没有有效的行，请检查列映射${formatRejectedRows(rejected)}`
+      };
+    }
+
+    const connectLine = this.mapping.seq !== null;
+    const result = this.finish({
+      points: connectLine ? CsvUtils.sortBySequence(points) : points,
+      connectLine
+    });
+
+    if (result.success) {
+      result.message = `导入成功 ${this.sourceName}: ${points.length} 个点` +
+        `${result.command.polylineId ? '，1 条连线' : ''}，拒绝 ${rejected.length} 行${formatRejectedRows(rejected)}`;
+    }
+    return result;
+  }
+
+  /**
+   * 获取特定命令的占位符文本
+   * @returns {string} 占位符文本
+   */
+  getSpecificPlaceholder() {
+    if (this.loading) {
+      return '正在读取表格... (按Esc取消)';
+    }
+    return '输入 lon=列 lat=列 height=列 name=列 seq=列，回车导入';
+  }
+
+  /**
+   * 创建ImportCSVCommand实例
+   * @param {Object} data 导入数据 { points, connectLine }
+   * @returns {ImportCSVCommand} 命令实例
+   */
+  createCommand(data) {
+    return new ImportCSVCommand(this.context.czmlModel, data.points, data.connectLine, this.sourceName);
+  }
+}
+
+/**
+ * ImportCSV命令工厂
+ */
+export class ImportCSVCommandFactory extends CommandFactory {
+  constructor() {
+    super('ImportCSV', '从CSV/TSV导入点 (ImportCSV 选择文件，ImportCSV clipboard 读取剪贴板)，可按序号列连线');
+  }
+
+  /**
+   * 创建命令处理器
+   * @param {Object} context 上下文对象
+   * @returns {ImportCSVCommandHandler} 命令处理器实例
+   */
+  createHandler(context) {
+    return new ImportCSVCommandHandler(context);
+  }
+}
\ No newline at end of file
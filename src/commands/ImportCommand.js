@@ -0,0 +1,616 @@
+import { Command, CommandHandler, CommandFactory, ConfirmationState, ConfirmationMethod } from './base/CommandBase.js';
+import EntityTypeRegistry from '../models/EntityTypeRegistry.js';
+import CzmlModel from '../models/CzmlModel.js';
+import FileUtils from '../utils/FileUtils.js';
+import CzmlFileUtils from '../utils/CzmlFileUtils.js';
+import GeoJsonUtils from '../utils/GeoJsonUtils.js';
+import KmlUtils from '../utils/KmlUtils.js';
+import GpxUtils from '../utils/GpxUtils.js';
+import ZipUtils from '../utils/ZipUtils.js';
+
+/**
+ * 将几何记录转换为CZML数据包
+ * @param {Object} czmlModel CZML模型（用于生成ID和默认样式）
+ * @param {Array} records 几何记录数组
+ * @param {Array} warnings 转换失败的说明会追加到此数组
+ * @returns {Array} CZML数据包数组
+ */
+function recordsToPackets(czmlModel, records, warnings) {
+  const packets = [];
+  records.forEach((record, index) => {
+    try {
+      packets.push(czmlModel.createGeometryPacket(record, record.style));
+    } catch (error) {
+      warnings.push(`${record.name || `第${index + 1}个几何`}: ${error.message}`);
+    }
+  });
+  return packets;
+}
+
+/**
+ * 解析GeoJSON文件
+ * @param {string} text 文件内容
+ * @param {Object} czmlModel CZML模型
+ * @returns {Object} { packets, warnings }
+ */
+function parseGeoJson(text, czmlModel) {
+  const { records, skipped } = GeoJsonUtils.parse(text);
+  const warnings = [...skipped];
+  const packets = recordsToPackets(czmlModel, records, warnings);
+  return { packets, warnings };
+}
+
+/**
+ * 解析KML文本
+ * @param {string} text 文件内容
+ * @param {Object} czmlModel CZML模型
+ * @returns {Object} { packets, warnings }
+ */
+function parseKml(text, czmlModel) {
+  const { records, skipped } = KmlUtils.parse(text);
+  const warnings = [...skipped];
+  const packets = recordsToPackets(czmlModel, records, warnings);
+  return { packets, warnings };
+}
+
+/**
+ * 解析GPX文本
+ * @param {string} text 文件内容
+ * @param {Object} czmlModel CZML模型
+ * @returns {Object} { packets, warnings }
+ */
+function parseGpx(text, czmlModel) {
+  const { records, skipped } = GpxUtils.parse(text);
+  const warnings = [...skipped];
+  const packets = recordsToPackets(czmlModel, records, warnings);
+  return { packets, warnings };
+}
+
+/**
+ * 从KMZ包中读取主KML文件（优先doc.kml，否则为第一个.kml文件）
+ * @param {ArrayBuffer} buffer KMZ数据
+ * @returns {Promise<string>} KML文本
+ */
+async function readKmzDocument(buffer) {
+  const files = await ZipUtils.unzip(buffer);
+  const kmlFiles = files.filter(file => FileUtils.getExtension(file.name) === '.kml');
+  const docFile = kmlFiles.find(file => file.name.toLowerCase() === 'doc.kml') || kmlFiles[0];
+
+  if (!docFile) {
+    throw new Error('KMZ中没有KML文件');
+  }
+  return new TextDecoder().decode(docFile.data);
+}
+
+/**
+ * 支持的导入格式
+ * 每种格式声明扩展名和解析函数 (file, czmlModel) => Promise<{packets, warnings}>
+ */
+export const IMPORT_FORMATS = [
+  {
+    name: 'CZML',
+    extensions: ['.czml', '.json'],
+    parse: async (file, czmlModel) => {
+      const text = await FileUtils.readAsText(file);
+
+      // .json 也可能是GeoJSON
+      if (FileUtils.getExtension(file.name) === '.json') {
+        let data = null;
+        try {
+          data = JSON.parse(text);
+        } catch (error) {
+          // 格式错误由CzmlFileUtils统一报告
+        }
+        if (GeoJsonUtils.isGeoJson(data)) {
+          return parseGeoJson(text, czmlModel);
+        }
+      }
+
+      return { packets: CzmlFileUtils.parse(text), warnings: [] };
+    }
+  },
+  {
+    name: 'GeoJSON',
+    extensions: ['.geojson'],
+    parse: async (file, czmlModel) => parseGeoJson(await FileUtils.readAsText(file), czmlModel)
+  },
+  {
+    name: 'KML',
+    extensions: ['.kml', '.kmz'],
+    parse: async (file, czmlModel) => {
+      const text = FileUtils.getExtension(file.name) === '.kmz'
+        ? await readKmzDocument(await FileUtils.readAsArrayBuffer(file))
+        : await FileUtils.readAsText(file);
+      return parseKml(text, czmlModel);
+    }
+  },
+  {
+    name: 'GPX',
+    extensions: ['.gpx'],
+    parse: async (file, czmlModel) => parseGpx(await FileUtils.readAsText(file), czmlModel)
+  }
+];
+
+/**
+ * 按名称获取导入格式
+ * @param {string} name 格式名称 (如 'GeoJSON')
+ * @returns {Object} 导入格式
+ */
+export function getImportFormat(name) {
+  return IMPORT_FORMATS.find(format => format.name === name);
+}
+
+/**
+ * 导入模式
+ */
+export const ImportMode = {
+  REPLACE: 'replace', // 替换整个文档
+  MERGE: 'merge'      // 合并到当前文档
+};
+
+/**
+ * 解析导入模式输入
+ * @param {string} input 用户输入
+ * @returns {string|null} 导入模式，无法识别时返回null
+ */
+function parseImportMode(input) {
+  const value = (input || '').trim().toLowerCase();
+  if (['replace', 'r', '替换'].includes(value)) return ImportMode.REPLACE;
+  if (['merge', 'm', '合并'].includes(value)) return ImportMode.MERGE;
+  return null;
+}
+
+/**
+ * 按实体类型统计数据包（ID相同的多个数据包合并后算作一个实体，删除标记单独计数）
+ * @param {Array} packets CZML数据包数组
+ * @returns {string} 统计描述 (如 "3 个点, 1 个线, 2 个其他实体")
+ */
+export function describePackets(packets) {
+  const counts = new Map();
+  let otherCount = 0;
+  let deleteCount = 0;
+
+  CzmlModel.coalescePackets(packets).forEach(packet => {
+    if (packet.id === 'document') return;
+    if (CzmlModel.isDeletePacket(packet)) {
+      deleteCount++;
+      return;
+    }
+
+    const definition = EntityTypeRegistry.resolve(packet);
+    if (definition) {
+      counts.set(definition.label, (counts.get(definition.label) || 0) + 1);
+    } else {
+      otherCount++;
+    }
+  });
+
+  const parts = Array.from(counts.entries()).map(([label, count]) => `${count} 个${label}`);
+  if (otherCount > 0) {
+    parts.push(`${otherCount} 个其他实体`);
+  }
+  if (deleteCount > 0) {
+    parts.push(`${deleteCount} 个删除标记`);
+  }
+
+  return parts.length > 0 ? parts.join(', ') : '没有实体';
+}
+
+/**
+ * 导入文件的具体命令
+ * 整个导入作为一个可撤销的步骤，撤销时恢复导入前的文档快照
+ */
+export class ImportCommand extends Command {
+  constructor(czmlModel, packets, mode = ImportMode.MERGE, sourceName = '') {
+    super('Import', `导入 ${sourceName || '文件'}`);
+
+    this.czmlModel = czmlModel;
+    this.packets = JSON.parse(JSON.stringify(packets)); // 深拷贝避免外部修改
+    this.mode = mode;
+    this.sourceName = sourceName;
+    this.snapshot = null; // 导入前的文档快照（用于撤销）
+    this.importResult = null;
+  }
+
+  /**
+   * 执行导入操作
+   * @returns {boolean} 是否执行成功
+   */
+  execute() {
+    try {
+      if (this.executed) {
+        console.warn('ImportCommand: 命令已经执行过了');
+        return false;
+      }
+
+      if (!this.isValid()) {
+        throw new Error('导入数据无效');
+      }
+
+      this.snapshot = this.czmlModel.getDocumentSnapshot();
+
+      // 每次执行都使用数据包副本，避免重做时与模型共享对象
+      const packets = JSON.parse(JSON.stringify(this.packets));
+      this.importResult = this.czmlModel.importPackets(packets, this.mode);
+
+      const modeText = this.mode === ImportMode.REPLACE ? '替换' : '合并';
+      this.description = `导入 ${this.sourceName || '文件'} (${modeText}): ${describePackets(this.packets)}`;
+
+      this.executed = true;
+
+      console.log(`ImportCommand executed: ${this.description}`);
+      return true;
+
+    } catch (error) {
+      console.error('ImportCommand execution failed:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 撤销导入操作
+   * @returns {boolean} 是否撤销成功
+   */
+  undo() {
+    try {
+      if (!this.executed || !this.snapshot) {
+        console.warn('ImportCommand: 无法撤销，命令未执行或无快照数据');
+        return false;
+      }
+
+      this.czmlModel.restoreDocument(this.snapshot);
+      this.executed = false;
+
+      console.log(`ImportCommand undone: ${this.sourceName}`);
+      return true;
+
+    } catch (error) {
+      console.error('ImportCommand undo failed:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 验证命令是否有效
+   * @returns {boolean} 是否有效
+   */
+  isValid() {
+    return Array.isArray(this.packets) &&
+      this.packets.length > 0 &&
+      Object.values(ImportMode).includes(this.mode);
+  }
+
+  /**
+   * 获取导入结果摘要
+   * @returns {string} 摘要文本
+   */
+  getSummary() {
+    if (!this.importResult) return '';
+
+    let summary = describePackets(this.packets);
+    if (this.importResult.updated.length > 0) {
+      summary += ` (其中 ${this.importResult.updated.length} 个替换了同ID的已有实体)`;
+    }
+    if (this.importResult.removed && this.importResult.removed.length > 0) {
+      summary += ` (删除了 ${this.importResult.removed.length} 个同ID的已有实体)`;
+    }
+    if (this.importResult.documentReplaced) {
+      summary += ' (已替换整个文档)';
+    }
+    if (this.importResult.documentIgnored) {
+      summary += ' (合并时忽略了文件中的document数据包，文档名称和时钟保持不变)';
+    }
+    return summary;
+  }
+}
+
+/**
+ * Import命令处理器
+ * 读取文件（文件选择框或拖放），解析后询问替换还是合并
+ * 用法: Import [replace|merge]，指定模式时跳过询问
+ * 子命令（如 ImportGeoJSON）通过 formats 限定可选的文件格式
+ */
+export class ImportCommandHandler extends CommandHandler {
+  constructor(context, name = 'Import', formats = IMPORT_FORMATS) {
+    super(name, context);
+    this.formats = formats;
+    this.mode = parseImportMode((context.commandArgs || [])[0]);
+    this.files = context.files || null; // 拖放时直接提供的文件
+    this.importData = null; // { packets, sourceName }
+    this.loading = false;
+  }
+
+  /**
+   * 开始处理命令：打开文件选择框或直接读取拖放的文件
+   * @returns {Object} 初始结果
+   */
+  start() {
+    this.loading = true;
+
+    if (this.files && this.files.length > 0) {
+      this.loadFiles(this.files);
+      this.result = {
+        success: true,
+        message: `正在读取 ${this.files.length} 个文件...`,
+        needsMapClick: false,
+        needsConfirm: false
+      };
+      return this.result;
+    }
+
+    const accept = ImportCommandHandler.getAcceptString(this.formats);
+
+    FileUtils.pickFiles({ accept, multiple: true })
+      .then(files => {
+        if (this.isCompleted()) return;
+
+        if (files.length === 0) {
+          this.cancel();
+          this.reportAsyncResult({ success: false, message: '未选择文件，导入已取消' });
+          return;
+        }
+
+        this.loadFiles(files);
+      });
+
+    this.result = {
+      success: true,
+      message: `请选择要导入的文件 (${accept})`,
+      needsMapClick: false,
+      needsConfirm: false
+    };
+    return this.result;
+  }
+
+  /**
+   * 获取文件选择框接受的扩展名
+   * @param {Array} formats 导入格式列表
+   * @returns {string} 如 '.czml,.json'
+   */
+  static getAcceptString(formats = IMPORT_FORMATS) {
+    return formats.flatMap(format => format.extensions).join(',');
+  }
+
+  /**
+   * 读取并解析文件
+   * @param {Array<File>} files 文件数组
+   */
+  async loadFiles(files) {
+    const packets = [];
+    const loadedNames = [];
+    const errors = [];
+
+    for (const file of files) {
+      const extension = FileUtils.getExtension(file.name);
+      const format = this.formats.find(item => item.extensions.includes(extension));
+
+      if (!format) {
+        errors.push(`${file.name}: 不支持的文件类型`);
+        continue;
+      }
+
+      try {
+        const { packets: filePackets, warnings } = await format.parse(file, this.context.czmlModel);
+        warnings.forEach(warning => errors.push(`${file.name}: ${warning}`));
+        filePackets.forEach(packet => {
+          // 多个文件时只保留第一个document包
+          if (packet.id === 'document' && packets.some(item => item.id === 'document')) return;
+          packets.push(packet);
+        });
+        loadedNames.push(file.name);
+      } catch (error) {
+        errors.push(`${file.name}: ${error.message}`);
+      }
+    }
+
+    // 读取期间命令可能已被取消
+    if (this.isCompleted()) return;
+
+    this.loading = false;
+
+    const errorText = errors.length > 0 ? `\n⚠️ ${errors.join('\n⚠️ ')}` : '';
+
+    if (packets.filter(packet => packet.id !== 'document').length === 0) {
+      this.cancel();
+      this.reportAsyncResult({
+        success: false,
+        message: `没有可导入的实体${errorText}`
+      });
+      return;
+    }
+
+    this.importData = {
+      packets,
+      sourceName: loadedNames.join(', ')
+    };
+
+    // 已指定模式时直接导入
+    if (this.mode) {
+      const result = this.finish({ ...this.importData, mode: this.mode });
+      if (errorText) result.message += errorText;
+      this.reportAsyncResult(result);
+      return;
+    }
+
+    this.setConfirmationState({
+      state: ConfirmationState.WAITING_CONFIRM,
+      method: ConfirmationMethod.ENTER_ONLY,
+      data: this.importData,
+      message: '输入 replace 替换当前文档，或 merge 合并 (回车默认合并)'
+    });
+
+    this.reportAsyncResult({
+      success: true,
+      message: `已读取 ${this.importData.sourceName}: ${describePackets(packets)}。输入 replace 替换当前文档，或 merge 合并 (回车默认合并)${errorText}`,
+      needsMapClick: false,
+      needsConfirm: true
+    });
+  }
+
+  /**
+   * 将异步结果交给控制器显示
+   * @param {Object} result 处理结果
+   */
+  reportAsyncResult(result) {
+    const controller = this.context.editorController;
+    if (controller && controller.handleAsyncCommandResult) {
+      controller.handleAsyncCommandResult(this, result);
+    }
+  }
+
+  /**
+   * 处理特定命令的输入
+   * @param {string} input 用户输入
+   * @returns {Object} 处理结果
+   */
+  handleSpecificInput(input) {
+    if (this.loading) {
+      return {
+        success: false,
+        message: '正在读取文件，请稍候... (按Esc取消)'
+      };
+    }
+
+    return this.handleConfirmationInput(input);
+  }
+
+  /**
+   * 处理确认状态下的输入（replace / merge）
+   * @param {string} input 用户输入
+   * @returns {Object} 处理结果
+   */
+  handleConfirmationInput(input) {
+    const mode = parseImportMode(input);
+
+    if (!mode || !this.importData) {
+      return {
+        success: false,
+        message: '请输入 replace (替换) 或 merge (合并)，回车默认合并'
+      };
+    }
+
+    this.clearConfirmationState();
+    return this.finish({ ...this.importData, mode });
+  }
+
+  /**
+   * 确认处理回调（回车 = 合并）
+   * @param {string} method 确认方法
+   * @param {Object} data 导入数据
+   * @returns {Object} 处理结果
+   */
+  onConfirm(method, data) {
+    return this.finish({ ...data, mode: ImportMode.MERGE });
+  }
+
+  /**
+   * 完成导入，在结果消息中附加摘要
+   * @param {Object} data 导入数据 { packets, sourceName, mode }
+   * @returns {Object} 处理结果
+   */
+  finish(data) {
+    const result = super.finish(data);
+
+    if (result.success && result.command) {
+      const modeText = data.mode === ImportMode.REPLACE ? '替换' : '合并';
+      result.message = `导入成功 (${modeText}) ${data.sourceName}: ${result.command.getSummary()}`;
+    }
+
+    return result;
+  }
+
+  /**
+   * 获取特定命令的占位符文本
+   * @returns {string} 占位符文本
+   */
+  getSpecificPlaceholder() {
+    if (this.loading) {
+      return '正在读取文件... (按Esc取消)';
+    }
+    return '输入 replace 或 merge，回车默认合并';
+  }
+
+  /**
+   * 创建ImportCommand实例
+   * @param {Object} data 导入数据 { packets, sourceName, mode }
+   * @returns {ImportCommand} 命令实例
+   */
+  createCommand(data) {
+    return new ImportCommand(this.context.czmlModel, data.packets, data.mode, data.sourceName);
+  }
+}
+
+/**
+ * Import命令工厂
+ */
+export class ImportCommandFactory extends CommandFactory {
+  constructor() {
+    super('Import', '从文件导入CZML/GeoJSON/KML/KMZ/GPX (Import [replace|merge]，也可将文件拖放到地图或面板)');
+  }
+
+  /**
+   * 创建命令处理器
+   * @param {Object} context 上下文对象
+   * @returns {ImportCommandHandler} 命令处理器实例
+   */
+  createHandler(context) {
+    return new ImportCommandHandler(context);
+  }
+}
+
+/**
+ * ImportGeoJSON命令工厂
+ * Point/MultiPoint → 点，LineString/MultiLineString → 线，Polygon/MultiPolygon → 面
+ */
+export class ImportGeoJSONCommandFactory extends CommandFactory {
+  constructor() {
+    super('ImportGeoJSON', '从GeoJSON文件导入 (ImportGeoJSON [replace|merge])，要素properties保存到CZML properties');
+  }
+
+  /**
+   * 创建命令处理器
+   * @param {Object} context 上下文对象
+   * @returns {ImportCommandHandler} 仅接受GeoJSON的导入处理器
+   */
+  createHandler(context) {
+    return new ImportCommandHandler(context, 'ImportGeoJSON', [getImportFormat('GeoJSON')]);
+  }
+}
+
+/**
+ * ImportKML命令工厂
+ * 导入Placemark中的点、线、面，保留名称、描述和样式颜色，支持KMZ
+ */
+export class ImportKMLCommandFactory extends CommandFactory {
+  constructor() {
+    super('ImportKML', '从KML/KMZ文件导入 (ImportKML [replace|merge])，保留名称、描述和线/图标颜色');
+  }
+
+  /**
+   * 创建命令处理器
+   * @param {Object} context 上下文对象
+   * @returns {ImportCommandHandler} 仅接受KML/KMZ的导入处理器
+   */
+  createHandler(context) {
+    return new ImportCommandHandler(context, 'ImportKML', [getImportFormat('KML')]);
+  }
+}
+
+/**
+ * ImportGPX命令工厂
+ * 航点 → 点，航迹段和路线 → 线，保留高程和时间
+ */
+export class ImportGPXCommandFactory extends CommandFactory {
+  constructor() {
+    super('ImportGPX', '从GPX文件导入 (ImportGPX [replace|merge])，航点为点，航迹/路线为线，保留高程和时间');
+  }
+
+  /**
+   * 创建命令处理器
+   * @param {Object} context 上下文对象
+   * @returns {ImportCommandHandler} 仅接受GPX的导入处理器
+   */
+  createHandler(context) {
+    return new ImportCommandHandler(context, 'ImportGPX', [getImportFormat('GPX')]);
+  }
+}
\ No newline at end of file
@@ -0,0 +1,360 @@
+import { CommandFactory } from './base/CommandBase.js';
+import { AddPolylineCommandHandler } from './AddPolylineCommand.js';
+import GeometryUtils from '../utils/GeometryUtils.js';
+
+const CLOSE_KEYWORDS = ['c', 'close', '闭合'];
+const COPY_KEYWORDS = ['copy', '复制'];
+
+/**
+ * Measure命令处理器
+ * 复用AddPolyline的取点交互（地图点击、坐标输入、捕捉和光标预览），逐段报告WGS84大地线长度、方位角和累计长度，
+ * 闭合后报告面积；只使用临时图形，不修改CZML文档，也不进入撤销历史
+ * 用法:
+ *   Measure    点击地图或输入坐标取点；回车/右键结束，c 闭合并计算面积，copy 复制当前结果
+ */
+export class MeasureCommandHandler extends AddPolylineCommandHandler {
+  constructor(context) {
+    super(context);
+    this.commandName = 'Measure';
+    this.closed = false;
+  }
+
+  /**
+   * 开始处理命令
+   * @returns {Object} 初始结果
+   */
+  start() {
+    this.waitingForMapClick = true;
+    this.result = {
+      success: true,
+      message: '开始测量：点击地图或输入坐标取点，回车/右键结束，c 闭合并计算面积，copy 复制结果',
+      needsMapClick: true,
+      needsConfirm: false
+    };
+    return this.result;
+  }
+
+  /**
+   * 处理特定命令的输入：闭合和复制，其余（坐标、回车）与AddPolyline相同
+   * @param {string} input 用户输入
+   * @returns {Object} 处理结果
+   */
+  handleSpecificInput(input) {
+    const keyword = input.trim().toLowerCase();
+
+    if (CLOSE_KEYWORDS.includes(keyword)) {
+      if (this.coordinates.length < 3) {
+        return {
+          success: false,
+          message: `闭合测量至少需要3个点，当前只有${this.coordinates.length}个点`
+        };
+      }
+      this.closed = true;
+      return this.finishMeasurement();
+    }
+
+    if (COPY_KEYWORDS.includes(keyword)) {
+      return this.copyReport();
+    }
+
+    if (keyword === '' && this.coordinates.length < 2) {
+      return {
+        success: false,
+        message: `测量至少需要2个点，当前只有${this.coordinates.length}个点`
+      };
+    }
+
+    if (keyword !== '' && !this.isCoordinateInput(input)) {
+      return {
+        success: false,
+        message: `请继续取点 (当前${this.coordinates.length}个点)，回车结束，c 闭合，copy 复制结果`
+      };
+    }
+
+    return super.handleSpecificInput(input);
+  }
+
+  /**
+   * 处理特定命令的右键点击：结束测量
+   * @returns {Object} 处理结果
+   */
+  handleSpecificRightClick() {
+    if (this.coordinates.length < 2) {
+      return {
+        success: false,
+        message: `测量至少需要2个点，当前只有${this.coordinates.length}个点`
+      };
+    }
+    return this.finishMeasurement();
+  }
+
+  /**
+   * 添加测量点，报告新线段的长度、方位角和累计长度
+   * @param {Object} coord 坐标对象
+   * @returns {Object} 处理结果
+   */
+  addCoordinatePoint(coord) {
+    if (!GeometryUtils.validateCoordinate(coord)) {
+      return {
+        success: false,
+        message: '坐标无效，请重新选择'
+      };
+    }
+
+    this.coordinates.push(coord);
+    this.updateOverlays();
+
+    const pointCount = this.coordinates.length;
+    let message = `第${pointCount}个点: ${GeometryUtils.formatPosition(coord)}`;
+    if (pointCount >= 2) {
+      const segments = this.getSegments();
+      const segment = segments[segments.length - 1];
+      message += `\n${this.formatSegment(segment)}，累计 ${GeometryUtils.formatDistance(this.getTotalLength(segments))}`;
+    }
+
+    return {
+      success: true,
+      message: message,
+      needsMapClick: true,
+      needsConfirm: false
+    };
+  }
+
+  /**
+   * 回车结束测量（不需要再确认）
+   * @returns {Object} 处理结果
+   */
+  prepareToFinish() {
+    return this.finishMeasurement();
+  }
+
+  /**
+   * 结束测量：输出完整结果并清除临时图形
+   * 🔧 不调用finish()：测量不产生命令，CZML文档和撤销历史都不变
+   * @returns {Object} 处理结果
+   */
+  finishMeasurement() {
+    const report = this.buildReport();
+
+    this.onFinish();
+    this.completed = true;
+    this.collectingData = false;
+    this.waitingForMapClick = false;
+    this.result = {
+      success: true,
+      message: report,
+      needsMapClick: false,
+      needsConfirm: false
+    };
+    return this.result;
+  }
+
+  /**
+   * 复制当前测量结果到剪贴板（异步，结果由控制器显示）
+   * @returns {Object} 处理结果
+   */
+  copyReport() {
+    if (this.coordinates.length < 2) {
+      return {
+        success: false,
+        message: `还没有可复制的测量结果，当前只有${this.coordinates.length}个点`
+      };
+    }
+
+    if (!navigator.clipboard || !navigator.clipboard.writeText) {
+      return {
+        success: false,
+        message: '浏览器不支持写入剪贴板，请在输出区域中选中结果复制'
+      };
+    }
+
+    const continueResult = message => ({ success: true, message, needsMapClick: true, needsConfirm: false });
+    navigator.clipboard.writeText(this.buildReport())
+      .then(() => this.reportAsyncResult(continueResult('测量结果已复制到剪贴板')))
+      .catch(error => this.reportAsyncResult({
+        success: false,
+        message: `复制失败: ${error.message}，请在输出区域中选中结果复制`,
+        needsMapClick: true,
+        needsConfirm: false
+      }));
+
+    return continueResult('正在复制测量结果...');
+  }
+
+  /**
+   * 将异步结果交给控制器显示
+   * @param {Object} result 处理结果
+   */
+  reportAsyncResult(result) {
+    const controller = this.context.editorController;
+    if (controller && controller.handleAsyncCommandResult) {
+      controller.handleAsyncCommandResult(this, result);
+    }
+  }
+
+  /**
+   * 计算各线段（闭合时包含最后一个点回到第一个点的线段）
+   * @returns {Array} [{ from, to, start, end, distance, bearing }]，from/to为从1开始的点序号
+   */
+  getSegments() {
+    const points = this.coordinates;
+    const count = this.closed ? points.length : points.length - 1;
+    const segments = [];
+
+    for (let i = 0; i < count; i++) {
+      const j = (i + 1) % points.length;
+      const geodesic = GeometryUtils.calculateGeodesic(points[i], points[j]);
+      segments.push({
+        from: i + 1,
+        to: j + 1,
+        start: points[i],
+        end: points[j],
+        distance: geodesic ? geodesic.distance : null,
+        bearing: geodesic ? geodesic.bearing : null
+      });
+    }
+    return segments;
+  }
+
+  /**
+   * 累计长度
+   * @param {Array} segments 线段
+   * @returns {number|null} 长度（米）
+   */
+  getTotalLength(segments) {
+    if (segments.some(segment => segment.distance === null)) {
+      return null;
+    }
+    return segments.reduce((sum, segment) => sum + segment.distance, 0);
+  }
+
+  /**
+   * 格式化一条线段
+   * @param {Object} segment 线段
+   * @returns {string} 文本，如 "线段 1→2: 1.234 km，方位 45.0°"
+   */
+  formatSegment(segment) {
+    const bearing = segment.bearing === null ? '-' : `${segment.bearing.toFixed(1)}°`;
+    return `线段 ${segment.from}→${segment.to}: ${GeometryUtils.formatDistance(segment.distance)}，方位 ${bearing}`;
+  }
+
+  /**
+   * 生成完整的测量结果文本（输出区域和剪贴板共用）
+   * @returns {string} 测量结果
+   */
+  buildReport() {
+    const segments = this.getSegments();
+    const lines = [`测量结果 (${this.coordinates.length} 个点${this.closed ? '，闭合' : ''}，WGS84椭球面):`];
+
+    this.coordinates.forEach((coord, index) => {
+      lines.push(`  点 ${index + 1}: ${GeometryUtils.formatPosition(coord)}`);
+    });
+
+    let total = 0;
+    segments.forEach(segment => {
+      total += segment.distance || 0;
+      lines.push(`  ${this.formatSegment(segment)}，累计 ${GeometryUtils.formatDistance(total)}`);
+    });
+
+    lines.push(`总长: ${GeometryUtils.formatDistance(this.getTotalLength(segments))}`);
+    if (this.closed) {
+      lines.push(`面积: ${GeometryUtils.formatArea(GeometryUtils.calculatePolygonArea(this.coordinates))}`);
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * 更新临时图形：折线预览和线段中点的长度、方位角标注
+   */
+  updateOverlays() {
+    const mapView = this.context.mapView;
+    if (!mapView) {
+      return;
+    }
+
+    if (mapView.updateTemporaryPolyline) {
+      mapView.updateTemporaryPolyline(this.coordinates);
+    }
+
+    if (mapView.showMeasureLabels) {
+      mapView.showMeasureLabels(this.getSegments().map(segment => ({
+        coord: this.getSegmentMidpoint(segment),
+        text: `${GeometryUtils.formatDistance(segment.distance)}  ${segment.bearing === null ? '-' : `${segment.bearing.toFixed(1)}°`}`
+      })));
+    }
+  }
+
+  /**
+   * 线段在椭球面上的中点（标注位置）
+   * @param {Object} segment 线段
+   * @returns {Object} 坐标
+   */
+  getSegmentMidpoint(segment) {
+    const midpoint = segment.distance !== null && segment.bearing !== null
+      ? GeometryUtils.calculateDestination(segment.start, segment.distance / 2, segment.bearing)
+      : null;
+    return midpoint || GeometryUtils.interpolateCoordinate(segment.start, segment.end, 0.5);
+  }
+
+  /**
+   * 获取特定命令的占位符文本
+   * @returns {string} 占位符文本
+   */
+  getSpecificPlaceholder() {
+    const pointCount = this.coordinates.length;
+
+    if (pointCount === 0) {
+      return '点击地图或输入坐标开始测量';
+    } else if (pointCount === 1) {
+      return '继续取第2个点';
+    } else if (pointCount === 2) {
+      return '已有2个点，继续取点，回车/右键结束，copy 复制';
+    }
+    return `已有${pointCount}个点，继续取点，回车/右键结束，c 闭合计算面积，copy 复制`;
+  }
+
+  /**
+   * 测量不产生可撤销的命令
+   */
+  createCommand(data) {
+    return null;
+  }
+
+  /**
+   * 清除临时图形
+   */
+  clearOverlays() {
+    if (this.context.mapView && this.context.mapView.hideMeasureLabels) {
+      this.context.mapView.hideMeasureLabels();
+    }
+  }
+
+  /**
+   * 取消时的清理工作
+   */
+  onCancel() {
+    this.clearOverlays();
+    super.onCancel();
+  }
+
+  /**
+   * 完成时的清理工作
+   */
+  onFinish() {
+    this.clearOverlays();
+    super.onFinish();
+  }
+}
+
+/**
+ * Measure命令工厂
+ */
+export class MeasureCommandFactory extends CommandFactory {
+  constructor() {
+    super('Measure', '测量距离、方位角和面积：逐段报告长度、方位角和累计长度，c 闭合后报告面积（不修改文档，不进入撤销历史）');
+  }
+
+  createHandler(context) {
+    return new MeasureCommandHandler(context);
+  }
+}
\ No newline at end of file
@@ -0,0 +1,124 @@
+import { CommandHandler, CommandFactory } from './base/CommandBase.js';
+import SnapSettings from '../models/SnapSettings.js';
+
+/**
+ * Osnap命令处理器
+ * 修改对象捕捉设置（不进入撤销历史），立即完成；命令进行中可按F3切换总开关
+ * 用法:
+ *   Osnap                       显示当前设置
+ *   Osnap on | off              打开 / 关闭对象捕捉
+ *   Osnap 模式 ...              切换捕捉模式（endpoint/end、vertex/ver、midpoint/mid、nearest/near，也可用中文名）
+ *   Osnap +模式 / -模式         启用 / 停用捕捉模式
+ *   Osnap all | none            启用 / 停用所有捕捉模式
+ *   Osnap tolerance 像素        设置捕捉容差 (1-50)
+ */
+export class OsnapCommandHandler extends CommandHandler {
+  constructor(context) {
+    super('Osnap', context);
+  }
+
+  /**
+   * 开始处理命令（立即执行）
+   */
+  start() {
+    const settings = this.context.snapSettings;
+    const args = (this.context.commandArgs || []).map(arg => arg.toLowerCase());
+
+    if (!settings) {
+      return this.complete(false, '对象捕捉不可用');
+    }
+
+    if (args.length === 0) {
+      return this.complete(true, settings.describe());
+    }
+
+    if (args.length === 1 && ['on', '开'].includes(args[0])) {
+      settings.setEnabled(true);
+      return this.complete(true, settings.describe());
+    }
+    if (args.length === 1 && ['off', '关'].includes(args[0])) {
+      settings.setEnabled(false);
+      return this.complete(true, settings.describe());
+    }
+    if (args.length === 1 && ['all', '全部'].includes(args[0])) {
+      settings.setModes(SnapSettings.MODES);
+      return this.complete(true, settings.describe());
+    }
+    if (args.length === 1 && ['none', '无'].includes(args[0])) {
+      settings.setModes([]);
+      return this.complete(true, settings.describe());
+    }
+
+    if (['tolerance', 'tol'].includes(args[0])) {
+      try {
+        settings.setTolerance(args[1]);
+      } catch (error) {
+        return this.complete(false, error.message);
+      }
+      return this.complete(true, settings.describe());
+    }
+
+    // 先全部校验再修改，避免部分模式已切换后才报错
+    const changes = [];
+    for (const arg of args) {
+      const operator = /^[+-]/.test(arg) ? arg[0] : null;
+      const mode = SnapSettings.parseMode(operator ? arg.slice(1) : arg);
+      if (!mode) {
+        return this.complete(false,
+          `未知的捕捉模式: ${arg}\n可用模式: ${SnapSettings.MODES.join(', ')}\n用法: Osnap [on|off|all|none] [+|-]模式 ... | tolerance 像素`);
+      }
+      changes.push({ mode, operator });
+    }
+
+    changes.forEach(({ mode, operator }) => {
+      if (operator) {
+        settings.setMode(mode, operator === '+');
+      } else {
+        settings.toggleMode(mode);
+      }
+    });
+
+    // 切换模式时顺便打开总开关，否则修改不会生效
+    settings.setEnabled(true);
+    return this.complete(true, settings.describe());
+  }
+
+  /**
+   * 完成命令
+   * @param {boolean} success 是否成功
+   * @param {string} message 消息
+   * @returns {Object} 执行结果
+   */
+  complete(success, message) {
+    this.completed = true;
+    this.result = { success, message, needsMapClick: false, needsConfirm: false };
+    return this.result;
+  }
+
+  /**
+   * 处理用户输入（不需要）
+   */
+  handleInput(input) {
+    return this.getResult();
+  }
+
+  /**
+   * 捕捉设置不产生可撤销的命令
+   */
+  createCommand(data) {
+    return null;
+  }
+}
+
+/**
+ * Osnap命令工厂
+ */
+export class OsnapCommandFactory extends CommandFactory {
+  constructor() {
+    super('Osnap', '对象捕捉设置：点击地图时捕捉到端点、顶点、中点或线上最近点 (Osnap [on|off] [+|-]模式 ... | tolerance 像素)，F3切换');
+  }
+
+  createHandler(context) {
+    return new OsnapCommandHandler(context);
+  }
+}
\ No newline at end of file
@@ -0,0 +1,628 @@
+import { Command, CommandHandler, CommandFactory, ConfirmationState, ConfirmationMethod } from './base/CommandBase.js';
+import GeometryUtils from '../utils/GeometryUtils.js';
+import TimeUtils from '../utils/TimeUtils.js';
+import EntityTypeRegistry from '../models/EntityTypeRegistry.js';
+
+/**
+ * 各插值算法的默认阶数
+ */
+const DEFAULT_DEGREES = {
+  LINEAR: 1,
+  LAGRANGE: 5,
+  HERMITE: 2
+};
+
+/**
+ * 默认航点时间间隔（秒）
+ */
+const DEFAULT_STEP_SECONDS = 60;
+
+/**
+ * 航点输入开头的 +间隔：必须带单位（如 +90s、+5m），+120.5 这样的纯数字是坐标
+ */
+const TIME_OFFSET = /^\+\d+(?:\.\d+)?[smhd]$/i;
+
+/**
+ * 新建时钟时，整条轨迹的播放时长目标（秒），用于计算播放倍速
+ */
+const PLAYBACK_SECONDS = 60;
+
+/**
+ * 根据航点计算document时钟
+ * 已有时钟时只扩展interval以覆盖所有航点，否则新建一个循环播放整条轨迹的时钟
+ * @param {Object|null} clock 当前document时钟
+ * @param {Array} samples 按时间排序的航点 [{ time, coord }]
+ * @returns {Object} CZML clock
+ */
+function createClockForSamples(clock, samples) {
+  const start = samples[0].time;
+  const stop = samples[samples.length - 1].time;
+
+  if (clock) {
+    const interval = TimeUtils.parseInterval(clock.interval);
+    if (!interval) {
+      return { ...clock, interval: TimeUtils.formatInterval(start, stop) };
+    }
+
+    const newStart = TimeUtils.secondsBetween(interval.start, start) < 0 ? start : interval.start;
+    const newStop = TimeUtils.secondsBetween(interval.stop, stop) > 0 ? stop : interval.stop;
+    return { ...clock, interval: TimeUtils.formatInterval(newStart, newStop) };
+  }
+
+  const duration = TimeUtils.secondsBetween(start, stop);
+  return {
+    interval: TimeUtils.formatInterval(start, stop),
+    currentTime: start,
+    multiplier: Math.max(1, Math.round(duration / PLAYBACK_SECONDS)),
+    range: 'LOOP_STOP',
+    step: 'SYSTEM_CLOCK_MULTIPLIER'
+  };
+}
+
+/**
+ * 记录航点的具体命令
+ * 将点的位置替换为时间采样位置，并扩展document时钟覆盖航点时间，整体作为一个撤销步骤
+ */
+export class RecordWaypointsCommand extends Command {
+  constructor(czmlModel, pointId, newPosition, newClock) {
+    const pointName = czmlModel.getEntityById(pointId)?.name || pointId;
+    super('RecordWaypoints', `记录航点: ${pointName}`);
+
+    this.czmlModel = czmlModel;
+    this.pointId = pointId;
+    this.pointName = pointName;
+    this.newPosition = JSON.parse(JSON.stringify(newPosition));
+    this.newClock = newClock ? { ...newClock } : null;
+    this.oldPosition = null;
+    this.oldClock = null;
+  }
+
+  /**
+   * 执行记录操作
+   * @returns {boolean} 是否执行成功
+   */
+  execute() {
+    try {
+      if (this.executed) {
+        console.warn('RecordWaypointsCommand: 命令已经执行过了');
+        return false;
+      }
+
+      if (!this.isValid()) {
+        throw new Error('航点数据无效');
+      }
+
+      const pointEntity = this.czmlModel.getEntityById(this.pointId);
+      if (!pointEntity) {
+        throw new Error(`找不到ID为 ${this.pointId} 的点`);
+      }
+
+      this.oldPosition = JSON.parse(JSON.stringify(pointEntity.position));
+      this.oldClock = this.czmlModel.getDocumentClock();
+
+      this.czmlModel.batch(() => {
+        pointEntity.position = JSON.parse(JSON.stringify(this.newPosition));
+        this.czmlModel.notifyEntitiesUpdated(this.pointId, ['position']);
+        this.czmlModel.setDocumentClock(this.newClock);
+      });
+
+      const sampleCount = this.newPosition.cartographicDegrees.length / 4;
+      this.description = `记录航点: ${this.pointName} (${sampleCount} 个航点)`;
+      this.executed = true;
+
+      console.log(`RecordWaypointsCommand executed: ${this.description}`);
+      return true;
+
+    } catch (error) {
+      console.error('RecordWaypointsCommand execution failed:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 撤销记录操作（恢复原位置和原时钟）
+   * @returns {boolean} 是否撤销成功
+   */
+  undo() {
+    try {
+      if (!this.executed) {
+        console.warn('RecordWaypointsCommand: 无法撤销，命令未执行');
+        return false;
+      }
+
+      const pointEntity = this.czmlModel.getEntityById(this.pointId);
+      if (!pointEntity) {
+        console.error(`撤销时找不到ID为 ${this.pointId} 的点`);
+        return false;
+      }
+
+      this.czmlModel.batch(() => {
+        pointEntity.position = JSON.parse(JSON.stringify(this.oldPosition));
+        this.czmlModel.notifyEntitiesUpdated(this.pointId, ['position']);
+        this.czmlModel.setDocumentClock(this.oldClock);
+      });
+
+      this.executed = false;
+      console.log(`RecordWaypointsCommand undone: ${this.pointName} restored`);
+      return true;
+
+    } catch (error) {
+      console.error('RecordWaypointsCommand undo failed:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 验证命令是否有效（至少2个航点）
+   * @returns {boolean} 是否有效
+   */
+  isValid() {
+    return !!this.pointId && typeof this.pointId === 'string' &&
+      GeometryUtils.getPositionSamples(this.newPosition).length >= 2;
+  }
+}
+
+/**
+ * RecordWaypoints命令处理器
+ * 选择点 → 点击地图或输入坐标逐个记录带时间的航点 → 回车/右键完成
+ * 用法: RecordWaypoints [linear|lagrange|hermite] [阶数]
+ * 航点输入: lon,lat,height（时间为上一航点 + 间隔）、时间 lon,lat,height（ISO 8601时间或带单位的 +时长，如 +90s、+5m）
+ * 其他输入: step=30s 设置默认间隔，u 删除上一个记录的航点
+ */
+export class RecordWaypointsCommandHandler extends CommandHandler {
+  constructor(context) {
+    super('RecordWaypoints', context);
+    this.targetPointId = null;
+    this.samples = [];        // 按时间排序的航点 [{ time, coord }]
+    this.recordedSteps = [];  // 本次记录的航点 [{ time, replaced }]，replaced为被替换的原航点（用于 u 撤销）
+    this.stepSeconds = DEFAULT_STEP_SECONDS;
+    this.interpolation = null;
+    this.argumentError = null;
+    this.currentStep = 'SELECT_POINT'; // 'SELECT_POINT' | 'RECORD'
+
+    this.parseArguments(context.commandArgs || []);
+  }
+
+  /**
+   * 解析插值参数
+   * @param {Array} args 命令参数
+   */
+  parseArguments(args) {
+    if (args.length === 0) return;
+
+    const algorithm = args[0].toUpperCase();
+    if (!GeometryUtils.INTERPOLATION_ALGORITHMS.includes(algorithm)) {
+      this.argumentError = `未知的插值算法: ${args[0]} (可选: ${GeometryUtils.INTERPOLATION_ALGORITHMS.join(', ').toLowerCase()})`;
+      return;
+    }
+
+    const degree = args.length > 1 ? Number(args[1]) : DEFAULT_DEGREES[algorithm];
+    if (!Number.isInteger(degree) || degree < 1) {
+      this.argumentError = `插值阶数必须是正整数: ${args[1]}`;
+      return;
+    }
+
+    this.interpolation = { algorithm, degree };
+  }
+
+  /**
+   * 开始处理命令
+   */
+  start() {
+    if (this.argumentError) {
+      this.completed = true;
+      this.result = {
+        success: false,
+        message: `${this.argumentError}\n用法: RecordWaypoints [linear|lagrange|hermite] [阶数]`,
+        needsMapClick: false,
+        needsConfirm: false
+      };
+      return this.result;
+    }
+
+    this.waitingForMapClick = true;
+    this.currentStep = 'SELECT_POINT';
+
+    return {
+      success: true,
+      message: '请选择要记录航点的点：点击地图上的点（已高亮显示），或输入点ID',
+      needsMapClick: true,
+      needsConfirm: false
+    };
+  }
+
+  /**
+   * 处理用户输入（启动时参数错误则直接返回结果）
+   * @param {string} input 用户输入
+   * @returns {Object} 处理结果
+   */
+  handleInput(input) {
+    if (this.completed) {
+      return this.getResult();
+    }
+    return super.handleInput(input);
+  }
+
+  /**
+   * 处理特定命令的输入
+   */
+  handleSpecificInput(input) {
+    if (this.currentStep === 'SELECT_POINT') {
+      if (EntityTypeRegistry.isOfType(input, 'point')) {
+        const pointEntity = this.context.czmlModel.getEntityById(input);
+        if (pointEntity) {
+          return this.selectTargetPoint(input, pointEntity);
+        }
+        return {
+          success: false,
+          message: `点 '${input}' 不存在，请重新输入有效的点ID`
+        };
+      }
+
+      return {
+        success: false,
+        message: '请点击地图上的点，或输入有效的点ID (格式: PT_xxxxxxxx)'
+      };
+    }
+
+    // RECORD 阶段
+    if (input === '') {
+      return this.prepareToFinish();
+    }
+
+    if (input.toLowerCase() === 'u') {
+      return this.removeLastWaypoint();
+    }
+
+    const stepMatch = /^step\s*[=\s]\s*(.+)$/i.exec(input);
+    if (stepMatch) {
+      const seconds = TimeUtils.parseDuration(stepMatch[1]);
+      if (!seconds) {
+        return { success: false, message: `间隔格式错误: ${stepMatch[1]} (如 30、30s、5m、1h)` };
+      }
+      this.stepSeconds = seconds;
+      return {
+        success: true,
+        message: `默认航点间隔已设为 ${TimeUtils.formatDuration(seconds)}`,
+        needsMapClick: true,
+        needsConfirm: false
+      };
+    }
+
+    return this.parseWaypointInput(input);
+  }
+
+  /**
+   * 解析航点输入: [时间] lon,lat,height
+   * @param {string} input 用户输入
+   * @returns {Object} 处理结果
+   */
+  parseWaypointInput(input) {
+    // 坐标本身可以包含空格，只有第一个空格前是ISO时间或带单位的 +间隔 时才把它当作时间
+    const trimmed = input.trim();
+    const timeMatch = trimmed.match(/^(\S+)\s+(.+)$/);
+    const hasTime = !!timeMatch && (TimeUtils.isTime(timeMatch[1]) || TIME_OFFSET.test(timeMatch[1]));
+    const coordText = hasTime ? timeMatch[2] : trimmed;
+    const timeText = hasTime ? timeMatch[1] : null;
+
+    if (!this.isCoordinateInput(coordText)) {
+      return {
+        success: false,
+        message: '航点格式错误，请使用: lon,lat,height 或 时间 lon,lat,height (时间为ISO 8601或 +30s 这样的间隔)'
+      };
+    }
+
+    const coord = this.parseCoordinate(coordText);
+    if (!coord) {
+      return { success: false, message: this.getCoordinateInputError(coordText) };
+    }
+
+    let time = null;
+    if (timeText) {
+      time = TimeUtils.parseTime(timeText);
+      if (!time) {
+        const seconds = TimeUtils.parseDuration(timeText);
+        if (seconds === null || !timeText.startsWith('+')) {
+          return { success: false, message: `时间格式错误: ${timeText} (如 2024-05-01T08:00:00Z 或 +90s)` };
+        }
+        time = TimeUtils.addSeconds(this.getLastTime(), seconds);
+      }
+    }
+
+    return this.addWaypoint(coord, time);
+  }
+
+  /**
+   * 处理确认状态下的输入：非空输入继续记录航点
+   */
+  handleConfirmationInput(input) {
+    this.clearConfirmationState();
+    return this.handleSpecificInput(input);
+  }
+
+  /**
+   * 处理地图点击
+   */
+  handleMapClick(coord) {
+    if (!this.isWaitingForMapClick()) {
+      return { success: false, message: '当前不接受地图点击' };
+    }
+
+    if (this.currentStep !== 'RECORD') {
+      // SELECT_POINT 状态下，地图点击由EditorController的实体选择处理
+      return { success: false, message: '请点击地图上的点实体' };
+    }
+
+    if (this.isWaitingForConfirmation()) {
+      this.clearConfirmationState();
+    }
+    return this.addWaypoint(coord, null);
+  }
+
+  /**
+   * 右键完成记录
+   */
+  handleSpecificRightClick() {
+    if (this.currentStep !== 'RECORD') {
+      return { success: false, message: '请先选择要记录航点的点' };
+    }
+    return this.prepareToFinish();
+  }
+
+  /**
+   * 处理实体选择结果（由EditorController调用）
+   */
+  handleEntitySelection(result) {
+    if (result.success && result.entityType === 'point') {
+      const pointEntity = this.context.czmlModel.getEntityById(result.entityId);
+      if (pointEntity) {
+        return this.selectTargetPoint(result.entityId, pointEntity);
+      }
+    }
+
+    return {
+      success: false,
+      message: result.message || '请点击地图上的点实体'
+    };
+  }
+
+  /**
+   * 选择目标点，读取已有航点
+   * 静态点以当前位置作为第一个航点，时间取document时钟的当前时间（没有时钟时为现在）
+   */
+  selectTargetPoint(pointId, pointEntity) {
+    const existingSamples = GeometryUtils.getPositionSamples(pointEntity.position);
+
+    if (existingSamples.length > 0) {
+      this.samples = existingSamples;
+      if (!this.interpolation) {
+        const algorithm = pointEntity.position.interpolationAlgorithm || 'LINEAR';
+        this.interpolation = {
+          algorithm,
+          degree: pointEntity.position.interpolationDegree || DEFAULT_DEGREES[algorithm] || 1
+        };
+      }
+    } else {
+      const coord = GeometryUtils.getEntityCoordinates(pointEntity)[0];
+      if (!coord) {
+        return { success: false, message: `${pointEntity.name || pointId} 没有有效的位置` };
+      }
+      this.samples = [{ time: this.getStartTime(), coord }];
+    }
+
+    if (!this.interpolation) {
+      this.interpolation = { algorithm: 'LINEAR', degree: DEFAULT_DEGREES.LINEAR };
+    }
+
+    this.targetPointId = pointId;
+    this.recordedSteps = [];
+    this.currentStep = 'RECORD';
+    this.refreshPreview();
+
+    const last = this.samples[this.samples.length - 1];
+    return {
+      success: true,
+      message: `已选择 ${pointEntity.name || pointId}，现有 ${this.samples.length} 个航点 (最后: ${last.time})。` +
+        `点击地图或输入坐标记录航点，默认间隔 ${TimeUtils.formatDuration(this.stepSeconds)}，回车或右键完成`,
+      needsMapClick: true,
+      needsConfirm: false
+    };
+  }
+
+  /**
+   * 获取新轨迹的开始时间
+   * @returns {string} document时钟的当前时间或开始时间，没有时钟时为现在
+   */
+  getStartTime() {
+    const clock = this.context.czmlModel.getDocumentClock();
+    if (clock) {
+      const currentTime = TimeUtils.parseTime(clock.currentTime);
+      if (currentTime) return currentTime;
+
+      const interval = TimeUtils.parseInterval(clock.interval);
+      if (interval) return interval.start;
+    }
+    return TimeUtils.now();
+  }
+
+  /**
+   * 获取最后一个航点的时间
+   * @returns {string} ISO时间
+   */
+  getLastTime() {
+    return this.samples[this.samples.length - 1].time;
+  }
+
+  /**
+   * 添加航点（时间相同的航点会被替换）
+   * @param {Object} coord 坐标
+   * @param {string|null} time ISO时间，为null时为最后一个航点 + 默认间隔
+   * @returns {Object} 处理结果
+   */
+  addWaypoint(coord, time) {
+    if (!GeometryUtils.validateCoordinate(coord)) {
+      return { success: false, message: '坐标无效，请重新选择' };
+    }
+
+    const waypointTime = time || TimeUtils.addSeconds(this.getLastTime(), this.stepSeconds);
+    const existingIndex = this.findSampleIndex(waypointTime);
+    const replaced = existingIndex >= 0 ? this.samples[existingIndex] : null;
+
+    if (existingIndex >= 0) {
+      this.samples[existingIndex] = { time: waypointTime, coord };
+    } else {
+      this.samples.push({ time: waypointTime, coord });
+      this.samples.sort((a, b) => TimeUtils.secondsBetween(b.time, a.time));
+    }
+    this.recordedSteps.push({ time: waypointTime, replaced });
+    this.refreshPreview();
+
+    const action = existingIndex >= 0 ? '已替换' : '已记录';
+    return {
+      success: true,
+      message: `${action}航点 ${waypointTime}: ${GeometryUtils.formatPosition(coord)} (共 ${this.samples.length} 个航点)`,
+      needsMapClick: true,
+      needsConfirm: false
+    };
+  }
+
+  /**
+   * 查找与指定时间相同的航点
+   * @param {string} time ISO时间
+   * @returns {number} 航点索引，没有时返回-1
+   */
+  findSampleIndex(time) {
+    return this.samples.findIndex(sample => TimeUtils.secondsBetween(sample.time, time) === 0);
+  }
+
+  /**
+   * 撤销本次记录的最后一个航点：新增的航点被删除，替换的航点恢复为原航点
+   * @returns {Object} 处理结果
+   */
+  removeLastWaypoint() {
+    const step = this.recordedSteps.pop();
+    if (!step) {
+      return { success: false, message: '没有本次记录的航点可删除' };
+    }
+
+    const index = this.findSampleIndex(step.time);
+    if (step.replaced) {
+      this.samples[index] = step.replaced;
+    } else {
+      this.samples.splice(index, 1);
+    }
+    this.refreshPreview();
+
+    const action = step.replaced ? '已恢复被替换的航点' : '已删除航点';
+    return {
+      success: true,
+      message: `${action} ${step.time} (剩余 ${this.samples.length} 个航点)`,
+      needsMapClick: true,
+      needsConfirm: false
+    };
+  }
+
+  /**
+   * 更新航点轨迹的临时预览
+   */
+  refreshPreview() {
+    if (this.currentStep === 'RECORD' && this.context.mapView && this.context.mapView.updateTemporaryPolyline) {
+      this.context.mapView.updateTemporaryPolyline(this.samples.map(sample => sample.coord));
+    }
+  }
+
+  /**
+   * 准备完成记录（设置确认状态）
+   */
+  prepareToFinish() {
+    if (this.samples.length < 2) {
+      return {
+        success: false,
+        message: `至少需要2个航点，当前只有${this.samples.length}个`
+      };
+    }
+
+    const position = GeometryUtils.createSampledPosition(this.samples, this.interpolation);
+    const clock = createClockForSamples(this.context.czmlModel.getDocumentClock(), this.samples);
+    const duration = TimeUtils.secondsBetween(this.samples[0].time, this.getLastTime());
+    const length = GeometryUtils.calculatePolylineLength(this.samples.map(sample => sample.coord));
+    const lengthText = length ? `，路径长度 ${length.toFixed(2)}m` : '';
+
+    this.setConfirmationState({
+      state: ConfirmationState.WAITING_CONFIRM,
+      method: ConfirmationMethod.BOTH,
+      data: { pointId: this.targetPointId, position, clock },
+      message: `确认记录 ${this.samples.length} 个航点`
+    });
+
+    return {
+      success: true,
+      message: `准备记录 ${this.samples.length} 个航点: 时长 ${TimeUtils.formatDuration(duration)}${lengthText}，` +
+        `插值 ${this.interpolation.algorithm} (${this.interpolation.degree} 阶)`,
+      needsMapClick: true,
+      needsConfirm: true
+    };
+  }
+
+  /**
+   * 确认处理回调
+   */
+  onConfirm(method, data) {
+    if (!data || !data.pointId || !data.position) {
+      return { success: false, message: '确认数据不完整' };
+    }
+    return this.finish(data);
+  }
+
+  /**
+   * 获取占位符文本
+   */
+  getSpecificPlaceholder() {
+    if (this.currentStep === 'SELECT_POINT') {
+      return '点击地图上的点（已高亮），或输入点ID (如: PT_xxxxxxxx)';
+    }
+    return `航点 ${this.samples.length + 1}: 点击地图，或输入 [时间|+间隔] lon,lat,height；step=30s 设置间隔，u 删除上一个，回车完成`;
+  }
+
+  /**
+   * 创建RecordWaypointsCommand实例
+   */
+  createCommand(data) {
+    return new RecordWaypointsCommand(
+      this.context.czmlModel,
+      data.pointId,
+      data.position,
+      data.clock
+    );
+  }
+
+  onCancel() {
+    this.hidePreview();
+  }
+
+  onFinish() {
+    this.hidePreview();
+  }
+
+  /**
+   * 隐藏航点轨迹预览
+   */
+  hidePreview() {
+    if (this.context.mapView && this.context.mapView.hideTemporaryPolyline) {
+      this.context.mapView.hideTemporaryPolyline();
+    }
+  }
+}
+
+/**
+ * RecordWaypoints命令工厂
+ */
+export class RecordWaypointsCommandFactory extends CommandFactory {
+  constructor() {
+    super('RecordWaypoints', '为点记录带时间的航点，生成时间采样位置 (RecordWaypoints [linear|lagrange|hermite] [阶数])');
+  }
+
+  createHandler(context) {
+    return new RecordWaypointsCommandHandler(context);
+  }
+}
\ No newline at end of file
@@ -0,0 +1,170 @@
+import { CommandHandler, CommandFactory } from './base/CommandBase.js';
+
+/**
+ * 将带通配符 (* ?) 的模式转换为不区分大小写的正则
+ * @param {string} pattern 模式
+ * @returns {RegExp} 正则
+ */
+function wildcardToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`^${escaped.replace(/\*/g, '.*').replace(/\?/g, '.')}$`, 'i');
+}
+
+/**
+ * 拆分参数：支持用双引号包含带空格的名称
+ * @param {string} text 参数文本
+ * @returns {Array} 参数数组
+ */
+function tokenize(text) {
+  const tokens = [];
+  const pattern = /([+-]?)"([^"]*)"|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    tokens.push(match[3] !== undefined ? match[3] : `${match[1]}${match[2]}`);
+  }
+  return tokens;
+}
+
+/**
+ * Select命令处理器
+ * 修改编辑器选择集（不进入撤销历史），立即完成
+ * 用法:
+ *   Select                 显示当前选择集
+ *   Select ID或名称 ...    替换选择集（名称不区分大小写，支持 * ? 通配符，带空格的名称用双引号）
+ *   Select +ID / -ID       追加 / 移除
+ *   Select all | none      全选 / 清空
+ */
+export class SelectCommandHandler extends CommandHandler {
+  constructor(context) {
+    super('Select', context);
+  }
+
+  /**
+   * 开始处理命令（立即执行）
+   */
+  start() {
+    const selection = this.context.selection;
+    const args = (this.context.commandArgs || []).join(' ').trim();
+
+    if (!selection) {
+      return this.complete(false, '选择集不可用');
+    }
+
+    if (!args) {
+      return this.complete(true, this.describeSelection(selection.getIds()));
+    }
+
+    const keyword = args.toLowerCase();
+    if (['none', 'clear', '无'].includes(keyword)) {
+      selection.clear();
+      return this.complete(true, '已清空选择集');
+    }
+    if (['all', '全部'].includes(keyword)) {
+      selection.set(this.getSelectableEntities().map(entity => entity.id));
+      return this.complete(true, this.describeSelection(selection.getIds()));
+    }
+
+    const tokens = tokenize(args);
+    let ids = /^[+-]/.test(tokens[0]) ? selection.getIds() : [];
+
+    for (const token of tokens) {
+      const operator = /^[+-]/.test(token) ? token[0] : '+';
+      const term = operator === token[0] ? token.slice(1) : token;
+      const matched = this.findEntities(term);
+
+      if (matched.length === 0) {
+        return this.complete(false, `没有找到匹配的实体: ${term}`);
+      }
+
+      if (operator === '-') {
+        ids = ids.filter(id => !matched.includes(id));
+      } else {
+        ids = [...new Set([...ids, ...matched])];
+      }
+    }
+
+    selection.set(ids);
+    return this.complete(true, this.describeSelection(ids));
+  }
+
+  /**
+   * 查找匹配的实体：ID完全匹配优先，否则按名称或ID通配符匹配
+   * @param {string} term ID、名称或通配符模式
+   * @returns {Array} 实体ID数组
+   */
+  findEntities(term) {
+    const entities = this.getSelectableEntities();
+    if (entities.some(entity => entity.id === term)) {
+      return [term];
+    }
+
+    const pattern = wildcardToRegExp(term);
+    return entities
+      .filter(entity => pattern.test(entity.name || '') || pattern.test(entity.id))
+      .map(entity => entity.id);
+  }
+
+  /**
+   * 可选择的实体（所有几何实体，不含document）
+   * @returns {Array} CZML实体数组
+   */
+  getSelectableEntities() {
+    return this.context.czmlModel.getAllGeometries();
+  }
+
+  /**
+   * 描述选择集
+   * @param {Array} ids 实体ID数组
+   * @returns {string} 描述文本
+   */
+  describeSelection(ids) {
+    if (ids.length === 0) {
+      return '选择集为空 (点击地图或列表选择，Shift+单击追加，Esc清空)';
+    }
+
+    const names = ids.map(id => {
+      const name = this.context.czmlModel.getEntityById(id)?.name;
+      return name ? `${name} (${id})` : id;
+    });
+    return `已选择 ${ids.length} 个实体: ${names.join(', ')}`;
+  }
+
+  /**
+   * 完成命令
+   * @param {boolean} success 是否成功
+   * @param {string} message 消息
+   * @returns {Object} 执行结果
+   */
+  complete(success, message) {
+    this.completed = true;
+    this.result = { success, message, needsMapClick: false, needsConfirm: false };
+    return this.result;
+  }
+
+  /**
+   * 处理用户输入（不需要）
+   */
+  handleInput(input) {
+    return this.getResult();
+  }
+
+  /**
+   * 选择命令不产生可撤销的命令
+   */
+  createCommand(data) {
+    return null;
+  }
+}
+
+/**
+ * Select命令工厂
+ */
+export class SelectCommandFactory extends CommandFactory {
+  constructor() {
+    super('Select', '按ID或名称选择实体 (Select [+|-]ID或名称 ... | all | none)，选择后Delete等命令作用于选择集');
+  }
+
+  createHandler(context) {
+    return new SelectCommandHandler(context);
+  }
+}
\ No newline at end of file
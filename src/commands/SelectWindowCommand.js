@@ -0,0 +1,175 @@
+import { CommandHandler, CommandFactory } from './base/CommandBase.js';
+
+/**
+ * 区域形状
+ */
+const SHAPES = ['box', 'lasso'];
+
+/**
+ * SelectWindow命令处理器
+ * 在地图上拖出矩形或套索，选择顶点投影落在区域内的点和折线（不进入撤销历史）
+ * 用法: SelectWindow [box|lasso] [crossing] [add]
+ *   box       按住左键拖出矩形（默认）
+ *   lasso     按住左键自由绘制套索
+ *   crossing  任一顶点在区域内即选中（默认需要所有顶点都在区域内）
+ *   add       追加到选择集（默认替换）
+ */
+export class SelectWindowCommandHandler extends CommandHandler {
+  constructor(context) {
+    super('SelectWindow', context);
+    this.shape = 'box';
+    this.crossing = false;
+    this.additive = false;
+    this.argumentError = null;
+
+    this.parseArguments(context.commandArgs || []);
+  }
+
+  /**
+   * 解析参数
+   * @param {Array} args 命令参数
+   */
+  parseArguments(args) {
+    for (const arg of args) {
+      const value = arg.toLowerCase();
+      if (SHAPES.includes(value)) {
+        this.shape = value;
+      } else if (value === 'crossing' || value === 'c') {
+        this.crossing = true;
+      } else if (value === 'add' || value === '+') {
+        this.additive = true;
+      } else {
+        this.argumentError = `未知参数: ${arg}`;
+        return;
+      }
+    }
+  }
+
+  /**
+   * 开始处理命令
+   */
+  start() {
+    if (this.argumentError || !this.context.selection) {
+      this.completed = true;
+      this.result = {
+        success: false,
+        message: this.argumentError ?
+          `${this.argumentError}\n用法: SelectWindow [box|lasso] [crossing] [add]` :
+          '选择集不可用',
+        needsMapClick: false,
+        needsConfirm: false
+      };
+      return this.result;
+    }
+
+    this.waitingForMapClick = true;
+    return {
+      success: true,
+      message: this.getPrompt(),
+      needsMapClick: true,
+      needsConfirm: false
+    };
+  }
+
+  /**
+   * 处理启动时已完成的情况
+   */
+  handleInput(input) {
+    if (this.completed) {
+      return this.getResult();
+    }
+    return super.handleInput(input);
+  }
+
+  /**
+   * 处理用户输入：切换区域形状或选择方式
+   */
+  handleSpecificInput(input) {
+    const value = input.toLowerCase();
+    if (SHAPES.includes(value)) {
+      this.shape = value;
+    } else if (value === 'crossing' || value === 'c') {
+      this.crossing = !this.crossing;
+    } else if (value === 'add' || value === '+') {
+      this.additive = !this.additive;
+    } else {
+      return { success: false, message: '请在地图上拖动选择区域，或输入 box、lasso、crossing、add 切换选择方式' };
+    }
+
+    // 需要地图交互，控制器会按新的形状重新启用区域选择
+    return {
+      success: true,
+      message: this.getPrompt(),
+      needsMapClick: true,
+      needsConfirm: false
+    };
+  }
+
+  /**
+   * 处理区域选择结果（由EditorController调用）
+   * @param {Array|null} region 屏幕坐标多边形，区域过小时为null
+   * @returns {Object} 处理结果
+   */
+  handleRegionSelection(region) {
+    if (!region) {
+      return { success: false, message: '选择区域太小，请重新拖动' };
+    }
+
+    const selection = this.context.selection;
+    const entityIds = this.context.mapView.getEntitiesInRegion(region, this.crossing);
+
+    if (this.additive) {
+      selection.add(entityIds);
+    } else {
+      selection.set(entityIds);
+    }
+
+    this.completed = true;
+    this.result = {
+      success: true,
+      message: entityIds.length > 0 ?
+        `区域内 ${entityIds.length} 个实体，当前选择 ${selection.size()} 个` :
+        `区域内没有点或折线，当前选择 ${selection.size()} 个`,
+      needsMapClick: false,
+      needsConfirm: false
+    };
+    return this.result;
+  }
+
+  /**
+   * 当前选择方式的提示
+   * @returns {string} 提示文本
+   */
+  getPrompt() {
+    const shapeText = this.shape === 'box' ? '按住左键拖出矩形' : '按住左键绘制套索';
+    const modeText = this.crossing ? '任一顶点在区域内即选中' : '所有顶点都在区域内才选中';
+    return `${shapeText}选择点和折线 (${modeText}，${this.additive ? '追加到' : '替换'}选择集)`;
+  }
+
+  /**
+   * 获取占位符文本
+   */
+  getSpecificPlaceholder() {
+    return `${this.shape === 'box' ? '拖出矩形' : '绘制套索'}选择，输入 box/lasso/crossing/add 切换，Esc取消`;
+  }
+
+  /**
+   * 选择命令不产生可撤销的命令
+   */
+  createCommand(data) {
+    return null;
+  }
+}
+
+/**
+ * SelectWindow命令工厂
+ */
+export class SelectWindowCommandFactory extends CommandFactory {
+  constructor() {
+    super('SelectWindow', '框选或套索选择点和折线 (SelectWindow [box|lasso] [crossing] [add])');
+  }
+
+  createHandler(context) {
+    return new SelectWindowCommandHandler(context);
+  }
+}
\ No newline at end of file
@@ -0,0 +1,334 @@
+import { Command, CommandHandler, CommandFactory, ConfirmationState, ConfirmationMethod } from './base/CommandBase.js';
+import CzmlModel from '../models/CzmlModel.js';
+import EntityTypeRegistry from '../models/EntityTypeRegistry.js';
+import TimeUtils from '../utils/TimeUtils.js';
+
+/**
+ * 表示移除可用时间（始终可见）的输入
+ */
+const CLEAR_KEYWORDS = ['none', 'off', 'always', '-', '无', '始终'];
+
+/**
+ * 解析可用时间输入
+ * 多个区间用逗号或分号分隔；每个区间为 "开始/结束" 或 "开始 结束"
+ * @param {string} text 输入文本
+ * @returns {Object} { availability } 成功（null表示移除），或 { error } 失败
+ */
+function parseAvailabilityInput(text) {
+  const trimmed = (text || '').trim();
+  if (trimmed === '' || CLEAR_KEYWORDS.includes(trimmed.toLowerCase())) {
+    return { availability: null };
+  }
+
+  const intervals = [];
+  for (const part of trimmed.split(/\s*[,;，；]\s*/)) {
+    const bounds = part.includes('/') ? part.split('/') : part.split(/\s+/);
+    const interval = bounds.length === 2 ? TimeUtils.parseInterval(bounds.join('/')) : null;
+    if (!interval) {
+      return { error: `可用时间格式错误: ${part} (如 2024-05-01T08:00:00Z/2024-05-01T09:00:00Z，结束不早于开始)` };
+    }
+    intervals.push(TimeUtils.formatInterval(interval.start, interval.stop));
+  }
+
+  return { availability: intervals.length === 1 ? intervals[0] : intervals };
+}
+
+/**
+ * 格式化可用时间
+ * @param {string|Array|null} availability CZML availability
+ * @returns {string} 显示文本
+ */
+function formatAvailability(availability) {
+  if (availability === null || availability === undefined) {
+    return '始终可见';
+  }
+  return (Array.isArray(availability) ? availability : [availability]).join(', ');
+}
+
+/**
+ * 设置实体可用时间的具体命令
+ */
+export class SetAvailabilityCommand extends Command {
+  constructor(czmlModel, entityId, oldAvailability, newAvailability) {
+    const entityName = czmlModel.getEntityById(entityId)?.name || entityId;
+    super('SetAvailability', `设置可用时间: ${entityName}`);
+
+    this.czmlModel = czmlModel;
+    this.entityId = entityId;
+    this.entityName = entityName;
+    this.oldAvailability = oldAvailability;
+    this.newAvailability = newAvailability;
+  }
+
+  /**
+   * 执行设置
+   * @returns {boolean} 是否执行成功
+   */
+  execute() {
+    try {
+      if (this.executed) {
+        console.warn('SetAvailabilityCommand: 命令已经执行过了');
+        return false;
+      }
+
+      this.czmlModel.setEntityAvailability(this.entityId, this.newAvailability);
+      this.executed = true;
+
+      console.log(`SetAvailabilityCommand executed: ${this.entityName} → ${formatAvailability(this.newAvailability)}`);
+      return true;
+
+    } catch (error) {
+      console.error('SetAvailabilityCommand execution failed:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 撤销设置（恢复原可用时间，不再校验）
+   * @returns {boolean} 是否撤销成功
+   */
+  undo() {
+    try {
+      if (!this.executed) {
+        console.warn('SetAvailabilityCommand: 无法撤销，命令未执行');
+        return false;
+      }
+
+      this.czmlModel.setEntityAvailability(this.entityId, this.oldAvailability, false);
+      this.executed = false;
+
+      console.log(`SetAvailabilityCommand undone: ${this.entityName}`);
+      return true;
+
+    } catch (error) {
+      console.error('SetAvailabilityCommand undo failed:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 验证命令是否有效
+   * @returns {boolean} 是否有效
+   */
+  isValid() {
+    if (!this.czmlModel.getEntityById(this.entityId)) {
+      return false;
+    }
+    if (this.newAvailability !== null && CzmlModel.getAvailabilityError(this.newAvailability)) {
+      return false;
+    }
+    return JSON.stringify(this.oldAvailability) !== JSON.stringify(this.newAvailability);
+  }
+}
+
+/**
+ * SetAvailability命令处理器
+ * 流程: 选择实体（点击地图或输入ID）→ 输入可用时间区间 → 回车确认
+ * 列表面板: 上下文中带 availabilityEdit { entityId, text } 时直接校验并应用
+ * 用法: SetAvailability [实体ID] [开始/结束[, 开始/结束...] | none]
+ */
+export class SetAvailabilityCommandHandler extends CommandHandler {
+  constructor(context) {
+    super('SetAvailability', context);
+    this.targetEntityId = null;
+    this.currentStep = 'SELECT_ENTITY'; // 'SELECT_ENTITY' | 'INPUT_INTERVAL'
+    this.panelEdit = context.availabilityEdit || null;
+  }
+
+  /**
+   * 开始处理命令
+   */
+  start() {
+    if (this.panelEdit) {
+      return this.applyPanelEdit();
+    }
+
+    const [entityId, ...rest] = this.context.commandArgs || [];
+
+    // 没有参数且选择集中只有一个实体时直接设置该实体（先选择后操作）
+    const selectedIds = this.context.selectedIds || [];
+    if (!entityId && selectedIds.length === 1) {
+      const result = this.selectTargetEntity(selectedIds[0]);
+      if (result.success) {
+        return result;
+      }
+    }
+
+    if (entityId) {
+      const result = this.selectTargetEntity(entityId);
+      if (result.success) {
+        return rest.length > 0 ? this.handleSpecificInput(rest.join(' ')) : result;
+      }
+    }
+
+    // 没有参数或参数中的ID无效时，进入选择实体阶段
+    this.waitingForMapClick = true;
+    return {
+      success: !entityId,
+      message: `${entityId ? `实体 '${entityId}' 不存在。` : ''}请选择要设置可用时间的实体：点击地图上的点、线或面，或输入实体ID`,
+      needsMapClick: true,
+      needsConfirm: false
+    };
+  }
+
+  /**
+   * 应用列表面板提交的可用时间
+   * @returns {Object} 执行结果
+   */
+  applyPanelEdit() {
+    const { entityId, text } = this.panelEdit;
+    const entity = this.context.czmlModel.getEntityById(entityId);
+    const parsed = parseAvailabilityInput(text);
+    const oldAvailability = this.context.czmlModel.getEntityAvailability(entityId);
+
+    let message = null;
+    if (!entity) {
+      message = `实体 '${entityId}' 不存在`;
+    } else if (parsed.error) {
+      message = parsed.error;
+    } else if (JSON.stringify(parsed.availability) === JSON.stringify(oldAvailability)) {
+      this.completed = true;
+      this.result = { success: true, message: '可用时间没有变化', needsMapClick: false, needsConfirm: false };
+      return this.result;
+    }
+
+    if (message) {
+      this.completed = true;
+      this.result = { success: false, message, needsMapClick: false, needsConfirm: false };
+      return this.result;
+    }
+
+    return this.finish({ entityId, oldAvailability, newAvailability: parsed.availability });
+  }
+
+  /**
+   * 处理用户输入
+   */
+  handleSpecificInput(input) {
+    if (input === '') {
+      return {
+        success: false,
+        message: this.currentStep === 'SELECT_ENTITY' ?
+          '请点击地图上的实体，或输入实体ID' :
+          '请输入可用时间区间，或输入 none 移除可用时间'
+      };
+    }
+
+    if (this.currentStep === 'SELECT_ENTITY') {
+      return this.selectTargetEntity(input);
+    }
+
+    const parsed = parseAvailabilityInput(input);
+    if (parsed.error) {
+      return { success: false, message: parsed.error };
+    }
+
+    const oldAvailability = this.context.czmlModel.getEntityAvailability(this.targetEntityId);
+    if (JSON.stringify(parsed.availability) === JSON.stringify(oldAvailability)) {
+      return { success: false, message: `可用时间没有变化 (当前: ${formatAvailability(oldAvailability)})，请输入新的区间` };
+    }
+
+    const entityName = this.context.czmlModel.getEntityById(this.targetEntityId)?.name || this.targetEntityId;
+    this.setConfirmationState({
+      state: ConfirmationState.WAITING_CONFIRM,
+      method: ConfirmationMethod.ENTER_ONLY,
+      data: {
+        entityId: this.targetEntityId,
+        oldAvailability,
+        newAvailability: parsed.availability
+      },
+      message: `确认设置 ${entityName} 的可用时间`
+    });
+
+    return {
+      success: true,
+      message: `${entityName} 可用时间: ${formatAvailability(oldAvailability)} → ${formatAvailability(parsed.availability)}\n回车确认，或重新输入区间`,
+      needsMapClick: false,
+      needsConfirm: true
+    };
+  }
+
+  /**
+   * 处理实体选择结果（由EditorController调用）
+   */
+  handleEntitySelection(result) {
+    if (result.success && result.entityId) {
+      return this.selectTargetEntity(result.entityId);
+    }
+
+    return {
+      success: false,
+      message: result.message || '请点击地图上的实体，或输入实体ID'
+    };
+  }
+
+  /**
+   * 选择目标实体
+   * @param {string} entityId 实体ID
+   * @returns {Object} 处理结果
+   */
+  selectTargetEntity(entityId) {
+    const entity = this.context.czmlModel.getEntityById(entityId);
+    if (!entity || entityId === 'document' || !EntityTypeRegistry.getByEntityId(entityId)) {
+      return {
+        success: false,
+        message: `实体 '${entityId}' 不存在，请点击地图上的实体或输入有效的实体ID`
+      };
+    }
+
+    this.targetEntityId = entityId;
+    this.currentStep = 'INPUT_INTERVAL';
+    this.waitingForMapClick = false;
+
+    const current = this.context.czmlModel.getEntityAvailability(entityId);
+    return {
+      success: true,
+      message: `已选择 ${entity.name || entityId} (当前可用时间: ${formatAvailability(current)})\n` +
+        '输入区间 开始/结束 (ISO 8601，多个区间用逗号分隔)，或输入 none 移除',
+      needsMapClick: false,
+      needsConfirm: false
+    };
+  }
+
+  /**
+   * 确认处理回调
+   */
+  onConfirm(method, data) {
+    return this.finish(data);
+  }
+
+  /**
+   * 获取占位符文本
+   */
+  getSpecificPlaceholder() {
+    if (this.currentStep === 'SELECT_ENTITY') {
+      return '点击地图上的实体，或输入实体ID (如: PT_xxxxxxxx)';
+    }
+    return '输入可用时间 开始/结束 (如 2024-05-01T08:00:00Z/2024-05-01T09:00:00Z)，none 移除，Esc取消';
+  }
+
+  /**
+   * 创建SetAvailabilityCommand实例
+   */
+  createCommand(data) {
+    return new SetAvailabilityCommand(
+      this.context.czmlModel,
+      data.entityId,
+      data.oldAvailability,
+      data.newAvailability
+    );
+  }
+}
+
+/**
+ * SetAvailability命令工厂
+ */
+export class SetAvailabilityCommandFactory extends CommandFactory {
+  constructor() {
+    super('SetAvailability', '设置实体的可用时间区间 (SetAvailability [ID] [开始/结束 | none])，也可在列表中编辑');
+  }
+
+  createHandler(context) {
+    return new SetAvailabilityCommandHandler(context);
+  }
+}
\ No newline at end of file
@@ -27,6 +27,7 @@ export class ClearCommand extends Command {
       this.backupEntities = {
         points: [...this.czmlModel.getAllPoints()],
         polylines: [...this.czmlModel.getAllPolylines()],
+        polygons: [...this.czmlModel.getAllPolygons()],
         count: stats.totalGeometries
       };
       
@@ -37,6 +38,7 @@ export class ClearCommand extends Command {
       console.log(`ClearCommand executed: cleared ${this.backupEntities.count} entities`);
       console.log(`- Points: ${this.backupEntities.points.length}`);
       console.log(`- Polylines: ${this.backupEntities.polylines.length}`);
+      console.log(`- Polygons: ${this.backupEntities.polygons.length}`);
       
       // 更新命令描述
       this.description = `清除了 ${this.backupEntities.count} 个几何实体`;
@@ -61,16 +63,18 @@ export class ClearCommand extends Command {
       }
 
       // 恢复所有备份的实体
-      [...this.backupEntities.points, ...this.backupEntities.polylines].forEach(entity => {
+      const restoredEntities = [...this.backupEntities.points, ...this.backupEntities.polylines, ...this.backupEntities.polygons];
+      restoredEntities.forEach(entity => {
         this.czmlModel.czmlDocument.push(entity);
       });
       
-      this.czmlModel.notifyListeners();
+      this.czmlModel.notifyListeners({ added: restoredEntities.map(entity => entity.id) });
       this.executed = false;
       
       console.log(`ClearCommand undone: restored ${this.backupEntities.count} entities`);
       console.log(`- Points: ${this.backupEntities.points.length}`);
       console.log(`- Polylines: ${this.backupEntities.polylines.length}`);
+      console.log(`- Polygons: ${this.backupEntities.polygons.length}`);
       
       return true;
       
@@ -115,6 +119,7 @@ export class ClearCommandHandler extends CommandHandler {
     if (this.context.mapView) {
       this.context.mapView.hideTemporaryPoint();
       this.context.mapView.hideTemporaryPolyline();
+      this.context.mapView.hideTemporaryPolygon();
     }
     
     // 立即执行清除
@@ -145,7 +150,7 @@ export class ClearCommandHandler extends CommandHandler {
  */
 export class ClearCommandFactory extends CommandFactory {
   constructor() {
-    super('Clear', '清除所有几何实体（点和线）');
+    super('Clear', '清除所有几何实体（点、线和面）');
   }
 
   /**
@@ -183,20 +188,40 @@ export class HelpCommandHandler extends CommandHandler {
     }
     
     helpText += '\n新特性:\n';
-    helpText += '✨ 紧凑ID格式: PT_xxxxxxxx (点), PL_xxxxxxxx (线)\n';
-    helpText += '✨ 智能命名: Point-xxxxxxxx, Polyline-xxxxxxxx (N pts)\n';
+    helpText += '✨ 紧凑ID格式: PT_xxxxxxxx (点), PL_xxxxxxxx (线), PG_xxxxxxxx (面)\n';
+    helpText += '✨ 智能命名: Point-xxxxxxxx, Polyline-xxxxxxxx (N pts), Polygon-xxxxxxxx (N pts)\n';
     helpText += '✨ 节省空间: ID长度减少69%\n';
     helpText += '✨ 完全唯一: 基于时间戳+随机数\n';
     
     helpText += '\n快捷键:\n';
     helpText += '• Enter: 执行命令/确认操作\n';
-    helpText += '• Esc: 取消当前命令\n';
+    helpText += '• Esc: 取消当前命令（没有命令时清空选择集）\n';
     helpText += '• ↑/↓: 浏览输入历史\n';
-    helpText += '• 左键: 选择位置/添加点\n';
+    helpText += '• 左键: 选择位置/添加点；没有命令时选择实体\n';
+    helpText += '• Shift+左键: 追加或取消选择实体（地图和列表）\n';
+    helpText += '• 左键拖动点: 直接移动点；选中一条折线后拖动其顶点（可撤销）\n';
+    helpText += '• 左键拖动: SelectWindow命令中框选或套索选择\n';
     helpText += '• 右键: 确认操作/完成绘制\n';
     helpText += '• Ctrl+Z: 撤销上一个操作\n';
     helpText += '• Ctrl+Y: 重做下一个操作\n';
     helpText += '• Ctrl+H: 显示命令历史\n';
+    helpText += '• F3: 打开/关闭对象捕捉（点击地图时捕捉到已有的端点、顶点、中点和线上最近点）\n';
+    helpText += '• F8: 打开/关闭正交（绘制时线段限制为南北或东西方向）\n';
+    helpText += '• F9: 打开/关闭栅格捕捉（显示栅格线）\n';
+    helpText += '• F10: 打开/关闭极轴追踪（方位角按增量取整，Polar命令设置增量）\n';
+    
+    helpText += '\n测量 (Measure):\n';
+    helpText += '• 取点方式与AddPolyline相同，逐段输出WGS84大地线长度、方位角和累计长度\n';
+    helpText += '• 回车/右键结束，c 闭合并计算面积，copy 复制结果；只显示临时图形，不修改文档，也不能撤销\n';
+    
+    helpText += '\n坐标输入 (AddPoint、AddPolyline、AddPolygon、EditPoint、EditPolyline、Measure、RecordWaypoints):\n';
+    helpText += '• lon,lat[,height]: 绝对坐标，可用逗号、分号或空格分隔，支持 1.2e2 这样的写法；省略高度时取地形高度（未加载时为0）\n';
+    helpText += '• 30°15\'20"N 120°10\'E、N30.5 E120: 度分秒和半球字母，带半球字母时按字母区分经纬度\n';
+    helpText += '• utm 51N 352000 3456000 [高度]: UTM坐标（N/S为半球，也可用纬度带字母）\n';
+    helpText += '• 51RUQ5200056000 或 51R UQ 52000 56000 [高度]: MGRS坐标（分开写时可带小数，如 52000.125）\n';
+    helpText += '• 坐标显示格式由 CoordFormat deg|utm|mgrs 设置，CZML中始终存储为经纬度\n';
+    helpText += '• @东,北[,高差]: 相对于上一个点的东向、北向距离（米）\n';
+    helpText += '• @距离<方位角: 相对于上一个点的距离（米）和方位角（正北为0°，顺时针），在WGS84椭球面上求解\n';
     
     helpText += '\n调试命令:\n';
     helpText += '• window.czmlEditor.getStats() - 获取统计信息\n';
@@ -1,3 +1,5 @@
+import GeometryUtils from '../../utils/GeometryUtils.js';
+
 /**
  * 命令基类
  * 表示一个可执行、可撤销的操作
@@ -465,33 +467,52 @@ export class CommandHandler {
   }
 
   /**
-   * 验证坐标格式
+   * 检查输入是否为坐标（绝对坐标 lon,lat[,height]、度分秒，或相对坐标 @东,北[,高差]、@距离<方位角）
    * @param {string} input 输入字符串
-   * @returns {boolean} 是否为坐标格式
+   * @returns {boolean} 是否为坐标输入
    */
   isCoordinateInput(input) {
-    return /^-?\d+\.?\d*,-?\d+\.?\d*,-?\d+\.?\d*$/.test(input.trim());
+    return GeometryUtils.isCoordinateInput(input);
   }
 
   /**
-   * 解析坐标字符串
-   * @param {string} input 坐标字符串 "lon,lat,height"
+   * 解析坐标字符串，相对坐标以getLastPoint()为参考点，省略高度时取getDefaultHeight()
+   * @param {string} input 坐标字符串
    * @returns {Object|null} 坐标对象或null
    */
   parseCoordinate(input) {
-    try {
-      const parts = input.split(',').map(s => parseFloat(s.trim()));
-      if (parts.length === 3 && parts.every(p => !isNaN(p))) {
-        return {
-          lon: parts[0],
-          lat: parts[1],
-          height: parts[2]
-        };
-      }
-    } catch (error) {
-      console.error('坐标解析失败:', error);
-    }
-    return null;
+    return GeometryUtils.parseCoordinate(input, this.getLastPoint(), (lon, lat) => this.getDefaultHeight(lon, lat));
+  }
+
+  /**
+   * 相对坐标的参考点（子类按自己的状态重写，如折线的最后一个顶点）
+   * 默认为之前命令输入的最后一个点
+   * @returns {Object|null} 坐标，没有时返回null
+   */
+  getLastPoint() {
+    return this.context.lastPoint || null;
+  }
+
+  /**
+   * 输入坐标省略高度时使用的高度：地形已加载时取地形高度，否则为0
+   * @param {number} lon 经度
+   * @param {number} lat 纬度
+   * @returns {number} 高度（米）
+   */
+  getDefaultHeight(lon, lat) {
+    const mapView = this.context.mapView;
+    const height = mapView && mapView.getTerrainHeight ? mapView.getTerrainHeight(lon, lat) : null;
+    return Number.isFinite(height) ? height : 0;
+  }
+
+  /**
+   * 坐标无法解析时的提示（指出出错的部分）
+   * @param {string} input 用户输入
+   * @returns {string} 提示文本
+   */
+  getCoordinateInputError(input) {
+    const { error } = GeometryUtils.parseCoordinateInput(input, { lastPoint: this.getLastPoint() });
+    return error ? `坐标错误: ${error}` : '坐标格式错误，请使用: lon,lat[,height]、@东,北[,高差] 或 @距离<方位角';
   }
 }
 
@@ -1,5 +1,9 @@
 import CzmlModel from '../models/CzmlModel.js';
+import EntityTypeRegistry from '../models/EntityTypeRegistry.js';
+import SelectionModel from '../models/SelectionModel.js';
+import SnapSettings from '../models/SnapSettings.js';
 import GeometryUtils from '../utils/GeometryUtils.js';
+import FileUtils from '../utils/FileUtils.js';
 import MapView from '../views/MapView.js';
 import UIView from '../views/UIView.js';
 import CommandSystem from '../commands/CommandSystem.js';
@@ -11,8 +15,11 @@ const MapInteractionMode = {
   NONE: 'none',                    // 无交互
   ADD_POINT: 'add_point',         // 添加点模式（点击创建点）
   ADD_POLYLINE: 'add_polyline',   // 添加折线模式（点击添加点到折线）
+  ADD_POLYGON: 'add_polygon',     // 添加多边形模式（点击添加顶点到多边形）
   SELECT_ENTITY: 'select_entity', // 选择实体模式（点击选择现有实体）
-  EDIT_POINT: 'edit_point'        // 编辑点模式（先选择实体，再选择新位置）
+  EDIT_POINT: 'edit_point',       // 编辑点模式（先选择实体，再选择新位置）
+  SELECT_REGION: 'select_region', // 区域选择模式（拖出矩形或套索选择实体）
+  EDIT_VERTICES: 'edit_vertices'  // 顶点编辑模式（拖动或点击折线的顶点控制柄）
 };
 
 /**
@@ -25,6 +32,10 @@ class EditorController {
     this.mapView = new MapView(mapContainerId);
     this.uiView = new UIView(uiPanelId);
     this.commandSystem = new CommandSystem();
+    this.selection = new SelectionModel(); // 编辑器选择集（地图、列表和Select命令共享）
+    this.snapSettings = new SnapSettings(); // 对象捕捉和绘图辅助设置（Osnap、Ortho、Polar、Grid命令和F3/F8/F9/F10修改）
+    this.mapView.setSnapSettings(this.snapSettings);
+    this.cursorCoordinate = null; // 光标处的坐标（状态栏显示）
     
     this.inputHistory = [];
     this.historyIndex = -1;
@@ -46,6 +57,9 @@ class EditorController {
     this.setupKeyboardShortcuts();
     this.updateUI();
     
+    // 没有活动命令时启用点击选择
+    this.setMapInteractionMode(MapInteractionMode.NONE);
+    
     setTimeout(() => {
       this.uiView.focusCommandInput();
     }, 100);
@@ -64,19 +78,130 @@ class EditorController {
   }
 
   setupModelListeners() {
-    this.czmlModel.addListener((czmlDocument) => {
-      this.mapView.updateFromCzml(czmlDocument);
-      this.updateGeometryList();
+    this.czmlModel.addListener((czmlDocument, changes) => {
+      this.mapView.updateFromCzml(czmlDocument, changes);
+      this.updateGeometryList(changes);
+      
+      if (changes.reset || changes.updated.includes('document')) {
+        this.updateDocumentPanel();
+      }
+      
+      // 选择集只保留仍然存在的实体
+      if (changes.reset) {
+        this.selection.prune(id => id !== 'document' && !!this.czmlModel.getEntityById(id));
+      } else if (changes.removed.length > 0) {
+        this.selection.remove(changes.removed);
+      }
+      
+      // 命令进行中文档可能被撤销/重做修改，让处理器按最新文档重绘预览（如EditPolyline的顶点控制柄）
+      if (this.commandSystem.currentHandler) {
+        this.refreshHandlerPreview(this.commandSystem.currentHandler);
+      } else {
+        this.updateSelectionGrips();
+      }
+    });
+    
+    this.selection.addListener((ids, changes) => {
+      this.applySelectionHighlight(ids, changes);
+      this.updateSelectionGrips();
+    });
+
+    // 捕捉设置变化后，旧的捕捉标记可能已不再有效；栅格捕捉打开时显示栅格线
+    this.snapSettings.addListener((settings) => {
+      this.mapView.hideSnapMarker();
+      this.mapView.setGridOverlay(settings.grid ? settings.getGridStep() : null);
     });
   }
 
+  /**
+   * 在地图和列表中同步选择集的高亮
+   * @param {Array} ids 选中的实体ID
+   * @param {Object} changes { added, removed }
+   */
+  applySelectionHighlight(ids, changes) {
+    changes.removed.forEach(id => this.mapView.highlightSpecificEntity(id, false));
+    changes.added.forEach(id => this.mapView.highlightSpecificEntity(id, true));
+    this.uiView.setSelectedEntities(ids);
+  }
+
+  /**
+   * 处理地图或列表上的选择点击
+   * @param {Object} result { entityId, additive }：entityId为null表示点击空白处；additive为Shift+单击
+   */
+  handleSelectionClick({ entityId, additive }) {
+    if (!entityId) {
+      if (!additive) this.selection.clear();
+      return;
+    }
+
+    if (additive) {
+      this.selection.toggle(entityId);
+    } else {
+      this.selection.set([entityId]);
+    }
+  }
+
+  /**
+   * 没有活动命令且只选中一条折线时显示它的顶点控制柄，可以直接拖动顶点
+   */
+  updateSelectionGrips() {
+    if (this.currentMapMode !== MapInteractionMode.NONE) {
+      return;
+    }
+
+    const ids = this.selection.getIds();
+    const entity = ids.length === 1 && EntityTypeRegistry.isOfType(ids[0], 'polyline') ?
+      this.czmlModel.getEntityById(ids[0]) : null;
+
+    if (entity && Array.isArray(entity.polyline?.positions?.cartographicDegrees)) {
+      const coordinates = GeometryUtils.getEntityCoordinates(entity);
+      this.mapView.showVertexHandles(coordinates, -1, { entityId: entity.id, midpoints: false });
+    } else {
+      this.mapView.hideVertexHandles();
+    }
+  }
+
+  /**
+   * 提交地图上的直接拖动：点通过EditPoint、折线顶点通过EditPolyline，各生成一个可撤销命令
+   * @param {Object} target { kind: 'point', entityId } 或 { kind: 'vertex', entityId, index }
+   * @param {Object} coord 松开鼠标时的坐标
+   */
+  handleDragEdit(target, coord) {
+    if (this.commandSystem.getCurrentCommandStatus().hasCommand) {
+      return;
+    }
+
+    const commandName = target.kind === 'point' ? 'EditPoint' : 'EditPolyline';
+    const context = { ...this.createContext(), dragEdit: { ...target, coordinate: coord } };
+    const result = this.commandSystem.parseAndExecute(commandName, context);
+
+    this.handleCommandResult(result);
+    this.updateUIState();
+  }
+
+  /**
+   * Esc：取消当前命令；没有活动命令时清空选择集
+   */
+  handleEscape() {
+    if (!this.commandSystem.getCurrentCommandStatus().hasCommand && this.selection.size() > 0) {
+      this.selection.clear();
+      this.uiView.addOutput('已清空选择集', 'info');
+      return;
+    }
+    this.handleCancelCommand();
+  }
+
   setupViewListeners() {
     this.uiView.addListener('executeCommand', (command) => {
       this.handleCommand(command);
     });
 
     this.uiView.addListener('cancelCommand', () => {
-      this.handleCancelCommand();
+      this.handleEscape();
+    });
+
+    this.uiView.addListener('listItemClick', (result) => {
+      this.handleSelectionClick(result);
     });
 
     this.uiView.addListener('navigateHistory', (direction) => {
@@ -98,6 +223,31 @@ class EditorController {
     this.uiView.addListener('updateCzmlData', (czmlData) => {
       this.updateCzmlData(czmlData);
     });
+
+    this.uiView.addListener('importFiles', (files) => {
+      this.importFiles(files);
+    });
+
+    this.uiView.addListener('requestDocumentUpdate', () => {
+      this.updateDocumentPanel();
+    });
+
+    this.uiView.addListener('updateDocument', (properties) => {
+      this.updateDocumentProperties(properties);
+    });
+
+    this.uiView.addListener('setAvailability', ({ entityId, text }) => {
+      this.updateEntityAvailability(entityId, text);
+    });
+
+    // 地图和面板都接受文件拖放
+    this.uiView.enableFileDrop([this.mapView.getContainer()]);
+
+    // 状态栏显示光标处的坐标（按当前坐标显示格式）
+    this.mapView.enableCursorCoordinate((coord) => {
+      this.cursorCoordinate = coord;
+      this.updateCursorCoordinate();
+    });
   }
 
   setupKeyboardShortcuts() {
@@ -114,6 +264,31 @@ class EditorController {
         e.preventDefault();
         this.showCommandHistory();
       }
+      else if (e.key === 'F3') {
+        // 命令进行中也可以切换对象捕捉
+        e.preventDefault();
+        this.snapSettings.toggleEnabled();
+        this.uiView.addOutput(this.snapSettings.describe(), 'info');
+      }
+      else if (e.key === 'F8') {
+        e.preventDefault();
+        this.snapSettings.setOrtho(!this.snapSettings.ortho);
+        this.uiView.addOutput(this.snapSettings.describeTracking(), 'info');
+      }
+      else if (e.key === 'F9') {
+        e.preventDefault();
+        this.snapSettings.setGrid(!this.snapSettings.grid);
+        this.uiView.addOutput(this.snapSettings.describeGrid(), 'info');
+      }
+      else if (e.key === 'F10') {
+        e.preventDefault();
+        this.snapSettings.setPolar(!this.snapSettings.polar);
+        this.uiView.addOutput(this.snapSettings.describeTracking(), 'info');
+      }
+      else if (e.key === 'Escape' && !(e.target.closest && e.target.closest('input, textarea, select'))) {
+        // 焦点在地图等非输入控件上时按Esc（命令输入框自己处理Esc）
+        this.handleEscape();
+      }
     });
   }
 
@@ -201,7 +376,10 @@ class EditorController {
       czmlModel: this.czmlModel,
       mapView: this.mapView,
       uiView: this.uiView,
-      editorController: this
+      editorController: this,
+      selection: this.selection,
+      selectedIds: this.selection.getIds(),
+      snapSettings: this.snapSettings
     };
   }
 
@@ -228,6 +406,87 @@ class EditorController {
     // 🔧 移除：不再在这里管理输入框状态
   }
 
+  /**
+   * 处理命令的异步结果（如文件读取完成后）
+   * @param {CommandHandler} handler 产生结果的处理器
+   * @param {Object} result 处理结果
+   */
+  handleAsyncCommandResult(handler, result) {
+    if (!this.commandSystem.handleAsyncResult(handler, result)) {
+      return;
+    }
+
+    this.handleCommandResult(result);
+    this.updateUIState();
+  }
+
+  /**
+   * 导入文件（拖放或导入按钮）
+   * @param {Array<File>} files 文件数组，为空时打开文件选择框
+   * @param {string} mode 导入模式 'replace' | 'merge'，为空时读取后询问
+   */
+  importFiles(files = null, mode = null) {
+    // 取消正在执行的命令
+    if (this.commandSystem.getCurrentCommandStatus().hasCommand) {
+      this.handleCancelCommand();
+    }
+
+    // 表格文件需要列映射，交给ImportCSV处理
+    const isTable = files && files.length > 0 &&
+      files.every(file => ['.csv', '.tsv'].includes(FileUtils.getExtension(file.name)));
+
+    let command;
+    if (isTable) {
+      command = 'ImportCSV';
+    } else {
+      command = mode ? `Import ${mode}` : 'Import';
+    }
+    this.uiView.addOutput(`> ${command}`, 'command');
+
+    const context = { ...this.createContext(), files };
+    const result = this.commandSystem.parseAndExecute(command, context);
+
+    this.handleCommandResult(result);
+    this.updateUIState();
+  }
+
+  /**
+   * 应用文档面板提交的属性（通过Document命令，可撤销）
+   * @param {Object} properties { name, description, version, clock }
+   */
+  updateDocumentProperties(properties) {
+    if (this.commandSystem.getCurrentCommandStatus().hasCommand) {
+      this.handleCancelCommand();
+    }
+
+    this.uiView.addOutput('> Document', 'command');
+
+    const context = { ...this.createContext(), documentProperties: properties };
+    const result = this.commandSystem.parseAndExecute('Document', context);
+
+    this.handleCommandResult(result);
+    this.updateUIState();
+  }
+
+  /**
+   * 应用列表中编辑的实体可用时间（通过SetAvailability命令，可撤销）
+   * @param {string} entityId 实体ID
+   * @param {string} text 可用时间文本，为空时移除
+   */
+  updateEntityAvailability(entityId, text) {
+    if (this.commandSystem.getCurrentCommandStatus().hasCommand) {
+      this.handleCancelCommand();
+    }
+
+    this.uiView.addOutput(`> SetAvailability ${entityId} ${text}`.trim(), 'command');
+
+    const context = { ...this.createContext(), availabilityEdit: { entityId, text } };
+    const result = this.commandSystem.parseAndExecute('SetAvailability', context);
+
+    this.handleCommandResult(result);
+    this.updateUIState();
+  }
+
   /**
    * 🔧 简化版本：处理取消命令
    */
@@ -320,13 +579,19 @@ class EditorController {
     this.mapInteractionCallbacks = {
       onMapClick: callbacks.onMapClick || null,
       onEntitySelect: callbacks.onEntitySelect || null,
-      onRightClick: callbacks.onRightClick || null
+      onRightClick: callbacks.onRightClick || null,
+      entityTypes: callbacks.entityTypes || ['point'], // 实体选择模式下可选择的类型
+      regionShape: callbacks.regionShape || 'box',     // 区域选择模式的形状
+      onRegionSelect: callbacks.onRegionSelect || null,
+      onVertexClick: callbacks.onVertexClick || null,  // 顶点编辑模式的控制柄回调
+      onVertexDrag: callbacks.onVertexDrag || null
     };
     
     // 根据模式启用相应的地图交互
     switch (mode) {
       case MapInteractionMode.ADD_POINT:
       case MapInteractionMode.ADD_POLYLINE:
+      case MapInteractionMode.ADD_POLYGON:
         this.enablePointCreationMode();
         break;
         
@@ -338,9 +603,24 @@ class EditorController {
         this.enableEditPointMode();
         break;
         
+      case MapInteractionMode.SELECT_REGION:
+        this.mapView.enableRegionSelection(this.mapInteractionCallbacks.regionShape, (region) => {
+          if (this.mapInteractionCallbacks.onRegionSelect) {
+            this.mapInteractionCallbacks.onRegionSelect(region);
+          }
+        });
+        break;
+        
+      case MapInteractionMode.EDIT_VERTICES:
+        this.enableVertexEditMode();
+        break;
+        
       case MapInteractionMode.NONE:
       default:
-        // 已经清理，无需额外操作
+        // 没有命令交互时，左键点击用于选择实体，拖动点或选中折线的顶点直接移动
+        this.mapView.enableClickSelection((result) => this.handleSelectionClick(result));
+        this.mapView.enableDragEditing((target, coord) => this.handleDragEdit(target, coord));
+        this.updateSelectionGrips();
         break;
     }
   }
@@ -355,22 +635,33 @@ class EditorController {
     this.mapView.disableMapClick();
     this.mapView.disableRightClickConfirm();
     this.mapView.disableEntitySelection();
+    this.mapView.disableClickSelection();
+    this.mapView.disableRegionSelection();
+    this.mapView.disableVertexEditing();
+    this.mapView.disableDragEditing();
+    this.mapView.disableCursorPreview();
     
     // 清理临时UI效果
     this.mapView.hideTemporaryPoint();
     this.mapView.hideTemporaryPolyline();
+    this.mapView.hideTemporaryPolygon();
     this.mapView.highlightSelectablePoints(false);
     
     this.currentMapMode = MapInteractionMode.NONE;
     this.mapInteractionCallbacks = {
       onMapClick: null,
       onEntitySelect: null, 
-      onRightClick: null
+      onRightClick: null,
+      entityTypes: ['point'],
+      regionShape: 'box',
+      onRegionSelect: null,
+      onVertexClick: null,
+      onVertexDrag: null
     };
   }
 
   /**
-   * 🔧 启用点创建模式（AddPoint, AddPolyline）
+   * 🔧 启用点创建模式（AddPoint, AddPolyline, AddPolygon）
    */
   enablePointCreationMode() {
     console.log('🔵 启用点创建模式');
@@ -379,7 +670,8 @@ class EditorController {
       if (this.mapInteractionCallbacks.onMapClick) {
         this.mapInteractionCallbacks.onMapClick(coord);
       }
-    });
+    }, { getAnchor: () => this.getTrackingAnchor() });
+    this.enableCursorPreview();
     
     this.mapView.enableRightClickConfirm(() => {
       if (this.mapInteractionCallbacks.onRightClick) {
@@ -396,14 +688,25 @@ class EditorController {
   enableEntitySelectionMode() {
     console.log('🟡 启用实体选择模式');
     
+    const entityTypes = this.mapInteractionCallbacks.entityTypes;
+    
     // 高亮可选择的点
-    this.mapView.highlightSelectablePoints(true);
+    if (entityTypes.includes('point')) {
+      this.mapView.highlightSelectablePoints(true);
+    }
     
     this.mapView.enableEntitySelection((result) => {
       if (this.mapInteractionCallbacks.onEntitySelect) {
         this.mapInteractionCallbacks.onEntitySelect(result);
       }
-    });
+    }, entityTypes);
+    
+    // 需要时支持右键确认（如Delete选择多个实体后右键删除）
+    if (this.mapInteractionCallbacks.onRightClick) {
+      this.mapView.enableRightClickConfirm(() => {
+        this.mapInteractionCallbacks.onRightClick();
+      });
+    }
   }
 
   /**
@@ -416,6 +719,58 @@ class EditorController {
       if (this.mapInteractionCallbacks.onMapClick) {
         this.mapInteractionCallbacks.onMapClick(coord);
       }
+    }, { getAnchor: () => this.getTrackingAnchor() });
+    this.enableCursorPreview();
+    
+    this.mapView.enableRightClickConfirm(() => {
+      if (this.mapInteractionCallbacks.onRightClick) {
+        this.mapInteractionCallbacks.onRightClick();
+      } else {
+        this.handleRightClickConfirm();
+      }
+    });
+  }
+
+  /**
+   * 启用光标预览（橡皮筋线段和测量提示框）
+   * 预览内容由当前命令处理器的getCursorPreview提供，每次鼠标移动时读取
+   */
+  enableCursorPreview() {
+    const handler = this.commandSystem.currentHandler;
+    if (handler && typeof handler.getCursorPreview === 'function') {
+      this.mapView.enableCursorPreview(() => handler.getCursorPreview());
+    }
+  }
+
+  /**
+   * 正交和极轴追踪的起点：当前命令光标预览的最后一个顶点
+   * @returns {Object|null} 坐标，没有顶点时返回null
+   */
+  getTrackingAnchor() {
+    const handler = this.commandSystem.currentHandler;
+    const preview = handler && typeof handler.getCursorPreview === 'function' ? handler.getCursorPreview() : null;
+    const anchors = (preview && preview.anchors) || [];
+    return anchors.length > 0 ? anchors[anchors.length - 1] : null;
+  }
+
+  /**
+   * 启用顶点编辑模式（EditPolyline的第二阶段）
+   * 控制柄由命令处理器的refreshPreview绘制
+   */
+  enableVertexEditMode() {
+    console.log('🟣 启用顶点编辑模式');
+    
+    this.mapView.enableVertexEditing({
+      onHandleClick: (handle) => {
+        if (this.mapInteractionCallbacks.onVertexClick) {
+          this.mapInteractionCallbacks.onVertexClick(handle);
+        }
+      },
+      onHandleDrag: (handle, coord) => {
+        if (this.mapInteractionCallbacks.onVertexDrag) {
+          this.mapInteractionCallbacks.onVertexDrag(handle, coord);
+        }
+      }
     });
     
     this.mapView.enableRightClickConfirm(() => {
@@ -448,16 +803,25 @@ class EditorController {
         onRightClick: () => this.handleRightClickConfirm()
       });
     } 
-    else if (handler.constructor.name === 'AddPolylineCommandHandler') {
+    else if (handler.constructor.name === 'AddPolylineCommandHandler' ||
+             handler.constructor.name === 'MeasureCommandHandler') {
+      // Measure复用折线的取点交互
       this.setMapInteractionMode(MapInteractionMode.ADD_POLYLINE, {
         onMapClick: (coord) => this.handleMapClick(coord),
         onRightClick: () => this.handleRightClickConfirm()
       });
     }
-    else if (handler.constructor.name === 'EditPointCommandHandler') {
-      // 🔧 关键：EditPoint根据当前步骤决定模式
+    else if (handler.constructor.name === 'AddPolygonCommandHandler') {
+      this.setMapInteractionMode(MapInteractionMode.ADD_POLYGON, {
+        onMapClick: (coord) => this.handleMapClick(coord),
+        onRightClick: () => this.handleRightClickConfirm()
+      });
+    }
+    else if (handler.constructor.name === 'EditPointCommandHandler' ||
+             handler.constructor.name === 'RecordWaypointsCommandHandler') {
+      // 🔧 关键：EditPoint/RecordWaypoints根据当前步骤决定模式（先选择点，再在地图上取位置）
       if (handler.currentStep === 'SELECT_POINT') {
-        console.log('🎯 EditPoint第一阶段：启用实体选择模式');
+        console.log('🎯 第一阶段：启用实体选择模式');
         this.setMapInteractionMode(MapInteractionMode.SELECT_ENTITY, {
           onEntitySelect: (result) => {
             console.log('🎯 实体选择回调被调用:', result);
@@ -471,23 +835,84 @@ class EditorController {
             this.updateUIState();
             
             // 🔧 关键：如果进入第二阶段，切换地图交互模式
-            if (handler.currentStep === 'SELECT_POSITION') {
-              console.log('🎯 EditPoint进入第二阶段：切换到编辑点模式');
+            if (handler.currentStep !== 'SELECT_POINT') {
+              console.log('🎯 进入第二阶段：切换到编辑点模式');
               this.setMapInteractionMode(MapInteractionMode.EDIT_POINT, {
                 onMapClick: (coord) => this.handleMapClick(coord),
                 onRightClick: () => this.handleRightClickConfirm()
               });
+              this.refreshHandlerPreview(handler);
             }
           }
         });
-      } else if (handler.currentStep === 'SELECT_POSITION') {
-        console.log('🎯 EditPoint第二阶段：启用编辑点模式');
+      } else {
+        console.log('🎯 第二阶段：启用编辑点模式');
         this.setMapInteractionMode(MapInteractionMode.EDIT_POINT, {
           onMapClick: (coord) => this.handleMapClick(coord),
           onRightClick: () => this.handleRightClickConfirm()
         });
+        this.refreshHandlerPreview(handler);
+      }
+    }
+    else if (handler.constructor.name === 'DeleteCommandHandler') {
+      // Delete可以连续选择多个任意类型的实体，回车或右键删除
+      this.setMapInteractionMode(MapInteractionMode.SELECT_ENTITY, {
+        entityTypes: EntityTypeRegistry.getAll().map(definition => definition.type),
+        onEntitySelect: (result) => {
+          this.handleCommandResult(handler.handleEntitySelection(result));
+          this.updateUIState();
+        },
+        onRightClick: () => this.handleRightClickConfirm()
+      });
+    }
+    else if (handler.constructor.name === 'SetAvailabilityCommandHandler') {
+      // SetAvailability可以选择任意类型的实体，选中后在命令行输入区间
+      if (handler.currentStep === 'SELECT_ENTITY') {
+        this.setMapInteractionMode(MapInteractionMode.SELECT_ENTITY, {
+          entityTypes: EntityTypeRegistry.getAll().map(definition => definition.type),
+          onEntitySelect: (result) => {
+            this.handleCommandResult(handler.handleEntitySelection(result));
+            this.updateUIState();
+          }
+        });
+      } else {
+        this.setMapInteractionMode(MapInteractionMode.NONE);
+      }
+    }
+    else if (handler.constructor.name === 'EditPolylineCommandHandler') {
+      // EditPolyline先选择折线，再通过顶点控制柄连续编辑
+      if (handler.currentStep === 'SELECT_POLYLINE') {
+        this.setMapInteractionMode(MapInteractionMode.SELECT_ENTITY, {
+          entityTypes: ['polyline'],
+          onEntitySelect: (result) => {
+            this.handleCommandResult(handler.handleEntitySelection(result));
+            this.updateUIState();
+          }
+        });
+      } else {
+        this.setMapInteractionMode(MapInteractionMode.EDIT_VERTICES, {
+          onVertexClick: (handle) => {
+            this.handleCommandResult(handler.handleVertexClick(handle));
+            this.updateUIState();
+          },
+          onVertexDrag: (handle, coord) => {
+            this.handleCommandResult(handler.handleVertexDrag(handle, coord));
+            this.updateUIState();
+          },
+          onRightClick: () => this.handleRightClickConfirm()
+        });
+        this.refreshHandlerPreview(handler);
       }
     }
+    else if (handler.constructor.name === 'SelectWindowCommandHandler') {
+      // SelectWindow拖出区域后一次完成
+      this.setMapInteractionMode(MapInteractionMode.SELECT_REGION, {
+        regionShape: handler.shape,
+        onRegionSelect: (region) => {
+          this.handleAsyncCommandResult(handler, handler.handleRegionSelection(region));
+        }
+      });
+    }
     else {
       // 默认模式：点创建模式
       console.log('🎯 使用默认的点创建模式');
@@ -498,6 +923,16 @@ class EditorController {
     }
   }
 
+  /**
+   * 切换交互模式会清理临时预览，由处理器重新绘制自己的预览（如航点轨迹）
+   * @param {CommandHandler} handler 当前命令处理器
+   */
+  refreshHandlerPreview(handler) {
+    if (typeof handler.refreshPreview === 'function') {
+      handler.refreshPreview();
+    }
+  }
+
   /**
    * 🔧 替换：disableMapInteraction 方法 - 使用统一地图交互架构
    */
@@ -570,9 +1005,27 @@ class EditorController {
 
   updateUI() {
     this.updateGeometryList();
+    this.updateDocumentPanel();
     this.updateUIState(); // 🔧 使用统一的UI状态更新
   }
 
+  /**
+   * 更新状态栏中的光标坐标
+   */
+  updateCursorCoordinate() {
+    this.uiView.updateCursorCoordinate(
+      this.cursorCoordinate ? GeometryUtils.formatCoordinateShort(this.cursorCoordinate, 6) : '-'
+    );
+  }
+
+  /**
+   * 坐标显示格式变化后重新显示列表和状态栏中的坐标
+   */
+  refreshCoordinateDisplay() {
+    this.updateGeometryList();
+    this.updateCursorCoordinate();
+  }
+
   updateStatusBar() {
     const stats = this.getStatistics();
     if (this.uiView.updateStatusBar) {
@@ -580,13 +1033,11 @@ class EditorController {
     }
   }
 
-  updateGeometryList() {
-    const points = this.czmlModel.getAllPoints();
-    const polylines = this.czmlModel.getAllPolylines();
+  updateGeometryList(changes = null) {
     const allGeometries = this.czmlModel.getAllGeometries();
     const czmlData = this.czmlModel.getCzmlDocument();
     
-    this.uiView.updatePointsList(allGeometries, czmlData);
+    this.uiView.updatePointsList(allGeometries, czmlData, changes);
   }
 
   updateCzmlData(czmlData) {
@@ -634,6 +1085,10 @@ class EditorController {
     }
   }
 
+  updateDocumentPanel() {
+    this.uiView.updateDocumentPanel(this.czmlModel.getDocumentProperties());
+  }
+
   updateCzmlDisplay() {
     const czmlData = this.czmlModel.getCzmlDocument();
     this.uiView.updateCzmlDisplay(czmlData);
@@ -672,6 +1127,7 @@ class EditorController {
   getStatistics() {
     const points = this.czmlModel.getAllPoints();
     const polylines = this.czmlModel.getAllPolylines();
+    const polygons = this.czmlModel.getAllPolygons();
     const commandStatus = this.commandSystem.getCurrentCommandStatus();
     const commandStats = this.commandSystem.getStatistics();
     const historyInfo = this.commandSystem.getCommandHistoryInfo();
@@ -679,7 +1135,8 @@ class EditorController {
     return {
       totalPoints: points.length,
       totalPolylines: polylines.length,
-      totalGeometries: points.length + polylines.length,
+      totalPolygons: polygons.length,
+      totalGeometries: points.length + polylines.length + polygons.length,
       czmlSize: JSON.stringify(this.getCzmlData()).length,
       
       registeredCommands: commandStats.registeredCommands,
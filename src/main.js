@@ -1,4 +1,5 @@
 import EditorController from './controllers/EditorController.js';
+import EntityTypeRegistry from './models/EntityTypeRegistry.js';
 
 /**
  * CZML编辑器应用程序入口
@@ -51,6 +52,9 @@ class CzmlEditorApp {
         // 统计信息
         getStats: () => this.controller.getStatistics(),
         
+        // 实体类型注册表（用于注册新的几何类型）
+        entityTypes: EntityTypeRegistry,
+        
         // 命令操作
         executeCommand: (cmd) => this.controller.executeCommand(cmd),
         getCommands: () => this.controller.getAvailableCommands(),
@@ -93,6 +97,44 @@ class CzmlEditorApp {
           });
         },
         
+        addPolygon: (coordinates) => {
+          if (!Array.isArray(coordinates) || coordinates.length < 3) {
+            console.error('addPolygon需要至少3个坐标点的数组');
+            return;
+          }
+          this.controller.executeCommand('AddPolygon');
+          // 依次添加顶点，最后自动闭合
+          coordinates.forEach((coord, index) => {
+            setTimeout(() => {
+              if (typeof coord === 'object' && coord.lon !== undefined && coord.lat !== undefined) {
+                const height = coord.height || 0;
+                this.controller.executeCommand(`${coord.lon},${coord.lat},${height}`);
+              }
+              if (index === coordinates.length - 1) {
+                setTimeout(() => {
+                  this.controller.executeCommand('');
+                  setTimeout(() => this.controller.executeCommand(''), 50);
+                }, 50);
+              }
+            }, (index + 1) * 100);
+          });
+        },
+        
+        // 导入文件（files为File数组；mode为 'replace' | 'merge'，省略时读取后询问）
+        importFiles: (files, mode) => this.controller.importFiles(files, mode),
+        
+        // 文档属性（{ name, description, version, clock }，可撤销）
+        getDocument: () => this.controller.czmlModel.getDocumentProperties(),
+        updateDocument: (properties) => this.controller.updateDocumentProperties(properties),
+        
+        // 实体可用时间（"开始/结束"，为空时移除，可撤销）
+        setAvailability: (entityId, text) => this.controller.updateEntityAvailability(entityId, text),
+        
+        // 选择集（不进入撤销历史）
+        getSelection: () => this.controller.selection.getIds(),
+        select: (ids) => this.controller.selection.set(ids),
+        clearSelection: () => this.controller.selection.clear(),
+        
         clearAll: () => this.controller.executeCommand('Clear'),
         help: () => this.controller.executeCommand('Help')
       };
@@ -127,12 +169,33 @@ class CzmlEditorApp {
     使用说明:
     1. 在命令行输入 "AddPoint" 并按回车添加点
     2. 在命令行输入 "AddPolyline" 并按回车绘制折线
-    3. 左键点击地图选择位置或直接输入坐标
+    3. 左键点击地图选择位置或直接输入坐标（如 120.5, 30.2、30°15'20"N 120°10'E、utm 51N 352000 3456000 或 MGRS；相对上一个点: @东,北 或 @距离<方位角）
     4. 按回车或右键确认操作
     
     可用命令:
     - AddPoint      // 添加单个点
     - AddPolyline   // 绘制折线（多点连线）
+    - AddPolygon    // 绘制多边形（确认时自动闭合）
+    - EditPolyline  // 编辑折线顶点：拖动顶点移动、拖动中点插入、输入坐标或 delete n（每次编辑可单独撤销）
+    - Delete        // 删除实体（输入ID、点击地图选择或删除选择集，可撤销）
+    - Select        // 按ID或名称选择实体；也可点击地图或列表选择，Shift+单击追加，Esc清空
+    - SelectWindow  // 在地图上拖出矩形或套索选择点和折线 (SelectWindow lasso crossing add)
+    - Osnap         // 对象捕捉：点击地图时捕捉到端点、顶点、中点或线上最近点 (Osnap off, Osnap -near)
+    - Ortho         // 正交：绘制时线段限制为南北或东西方向
+    - Polar         // 极轴追踪：线段方位角按增量取整 (Polar 15)
+    - Grid          // 栅格捕捉并显示栅格线 (Grid 0.5, Grid 100m)
+    - CoordFormat   // 坐标显示格式：经纬度、UTM或MGRS (CoordFormat utm)
+    - Measure       // 测量距离、方位角和面积（c 闭合，copy 复制结果，不修改文档）
+    - RecordWaypoints // 为点记录带时间的航点（时间轴播放移动目标）
+    - Document      // 编辑文档名称、描述、版本和时钟（也可在"文档"标签页编辑）
+    - SetAvailability // 设置实体的可用时间区间，拖动时间轴时只在区间内显示（也可在列表中编辑）
+    - Import        // 导入CZML/GeoJSON/KML/KMZ/GPX文件（也可拖放文件到地图或面板）
+    - ImportGeoJSON // 导入GeoJSON文件
+    - ExportGeoJSON // 导出为GeoJSON FeatureCollection
+    - ImportKML     // 导入KML/KMZ文件
+    - ExportKML     // 导出为KML (ExportKMZ 导出为KMZ)
+    - ImportCSV     // 从CSV/TSV文件或剪贴板导入点 (ImportCSV clipboard)
+    - ImportGPX     // 导入GPX航点、航迹和路线
     - Clear         // 清除所有几何实体  
     - Help          // 显示帮助
     
@@ -145,12 +208,17 @@ class CzmlEditorApp {
     - Ctrl+Z        // 撤销上一个操作 ⭐
     - Ctrl+Y        // 重做下一个操作 ⭐
     - Ctrl+H        // 显示命令历史 ⭐
+    - F3            // 打开/关闭对象捕捉
+    - F8 / F10      // 打开/关闭正交 / 极轴追踪
+    - F9            // 打开/关闭栅格捕捉
     
     调试命令:
     - window.czmlEditor.addPoint(lon, lat, height)        // 直接添加点
     - window.czmlEditor.addPolyline([{lon,lat,height},...]) // 直接添加折线
+    - window.czmlEditor.addPolygon([{lon,lat,height},...])  // 直接添加多边形
     - window.czmlEditor.getCzmlData()                     // 获取CZML数据
     - window.czmlEditor.exportCzml()                      // 导出CZML文件
+    - window.czmlEditor.importFiles(files, 'merge')       // 导入文件
     - window.czmlEditor.getStats()                        // 获取统计信息
     - window.czmlEditor.undo()                            // 撤销操作 ⭐
     - window.czmlEditor.redo()                            // 重做操作 ⭐
@@ -1,4 +1,26 @@
 import CompactIdUtils from '../utils/CompactIdUtils.js';
+import EntityTypeRegistry from './EntityTypeRegistry.js';
+import TimeUtils from '../utils/TimeUtils.js';
+
+/**
+ * 细粒度模型事件名
+ */
+export const ModelEvent = {
+  ENTITY_ADDED: 'entityAdded',     // { id, entity }
+  ENTITY_CHANGED: 'entityChanged', // { id, entity, paths }
+  ENTITY_REMOVED: 'entityRemoved', // { id }
+  RESET: 'reset'                   // { document }
+};
+
+/**
+ * CZML时钟的range取值（到达区间边界时的行为）
+ */
+export const CLOCK_RANGES = ['UNBOUNDED', 'CLAMPED', 'LOOP_STOP'];
+
+/**
+ * CZML时钟的step取值（时钟推进方式）
+ */
+export const CLOCK_STEPS = ['TICK_DEPENDENT', 'SYSTEM_CLOCK_MULTIPLIER', 'SYSTEM_CLOCK'];
 
 class CzmlModel {
   constructor() {
@@ -11,24 +33,271 @@ class CzmlModel {
       }
     ];
     
-    this.listeners = []; // 数据变化监听器
+    this.listeners = []; // 数据变化监听器（整个文档）
+    this.eventHandlers = new Map(); // 细粒度事件处理器: 事件名 -> Set<Function>
+    
+    // 批处理状态
+    this.batchDepth = 0;
+    this.pendingChanges = null;
     
     console.log('CzmlModel初始化完成，使用紧凑ID系统 (PT_xxxxxxxx格式)');
   }
 
   /**
    * 添加监听器
-   * @param {Function} listener 监听函数
+   * @param {Function} listener 监听函数 (czmlDocument, changes) => void
    */
   addListener(listener) {
     this.listeners.push(listener);
   }
 
+  /**
+   * 移除监听器
+   * @param {Function} listener 监听函数
+   */
+  removeListener(listener) {
+    this.listeners = this.listeners.filter(item => item !== listener);
+  }
+
+  /**
+   * 订阅细粒度模型事件
+   * @param {string} eventName 事件名，见 ModelEvent
+   * @param {Function} handler 事件处理函数 (event) => void
+   * @returns {Function} 取消订阅函数
+   */
+  on(eventName, handler) {
+    if (!Object.values(ModelEvent).includes(eventName)) {
+      throw new Error(`未知的模型事件: ${eventName}`);
+    }
+    
+    if (!this.eventHandlers.has(eventName)) {
+      this.eventHandlers.set(eventName, new Set());
+    }
+    this.eventHandlers.get(eventName).add(handler);
+    
+    return () => this.off(eventName, handler);
+  }
+
+  /**
+   * 取消订阅细粒度模型事件
+   * @param {string} eventName 事件名
+   * @param {Function} handler 事件处理函数
+   */
+  off(eventName, handler) {
+    const handlers = this.eventHandlers.get(eventName);
+    if (handlers) {
+      handlers.delete(handler);
+    }
+  }
+
+  /**
+   * 触发细粒度事件
+   * @param {string} eventName 事件名
+   * @param {Object} event 事件对象
+   */
+  emit(eventName, event) {
+    const handlers = this.eventHandlers.get(eventName);
+    if (!handlers) return;
+    
+    handlers.forEach(handler => {
+      try {
+        handler(event);
+      } catch (error) {
+        console.error(`模型事件处理器出错 (${eventName}):`, error);
+      }
+    });
+  }
+
+  /**
+   * 批处理：回调中的所有修改合并为一次通知
+   * 支持嵌套，只有最外层结束时才发出通知
+   * @param {Function} operation 执行修改的回调
+   * @returns {*} 回调的返回值
+   */
+  batch(operation) {
+    this.batchDepth++;
+    
+    try {
+      return operation();
+    } finally {
+      this.batchDepth--;
+      
+      if (this.batchDepth === 0 && this.pendingChanges) {
+        const changeSet = this.pendingChanges;
+        this.pendingChanges = null;
+        
+        // 互相抵消后没有实际变化时不通知
+        if (!CzmlModel.isEmptyChangeSet(changeSet)) {
+          this.dispatchChanges(changeSet);
+        }
+      }
+    }
+  }
+
+  /**
+   * 是否处于批处理中
+   * @returns {boolean} 是否批处理中
+   */
+  isBatching() {
+    return this.batchDepth > 0;
+  }
+
   /**
    * 通知所有监听器数据已变化
+   * 监听器签名: (czmlDocument, changes) => void，只关心整个文档的旧监听器可以忽略第二个参数
+   * 批处理期间变更会被合并，批处理结束时统一通知
+   * @param {Object} changes 变更集 {added, updated, removed, paths}，省略表示整个文档已重置
+   */
+  notifyListeners(changes = null) {
+    const changeSet = CzmlModel.createChangeSet(changes);
+    
+    if (this.isBatching()) {
+      this.pendingChanges = this.pendingChanges ?
+        CzmlModel.mergeChangeSets(this.pendingChanges, changeSet) :
+        changeSet;
+      return;
+    }
+    
+    this.dispatchChanges(changeSet);
+  }
+
+  /**
+   * 向整个文档监听器和细粒度事件处理器分发变更集
+   * @param {Object} changeSet 规范化的变更集
+   */
+  dispatchChanges(changeSet) {
+    this.listeners.forEach(listener => listener(this.czmlDocument, changeSet));
+    
+    if (changeSet.reset) {
+      this.emit(ModelEvent.RESET, { document: this.czmlDocument });
+      return;
+    }
+    
+    changeSet.removed.forEach(id => {
+      this.emit(ModelEvent.ENTITY_REMOVED, { id });
+    });
+    
+    changeSet.added.forEach(id => {
+      this.emit(ModelEvent.ENTITY_ADDED, { id, entity: this.getEntityById(id) });
+    });
+    
+    changeSet.updated.forEach(id => {
+      this.emit(ModelEvent.ENTITY_CHANGED, {
+        id,
+        entity: this.getEntityById(id),
+        paths: changeSet.paths[id] || []
+      });
+    });
+  }
+
+  /**
+   * 通知监听器指定实体已被修改（直接修改实体数据后调用）
+   * @param {string|Array} ids 实体ID或ID数组
+   * @param {Array} paths 修改的属性路径 (如 ['position.cartographicDegrees'])，省略表示整个实体
    */
-  notifyListeners() {
-    this.listeners.forEach(listener => listener(this.czmlDocument));
+  notifyEntitiesUpdated(ids, paths = []) {
+    const updated = Array.isArray(ids) ? ids : [ids];
+    const pathMap = {};
+    updated.forEach(id => {
+      pathMap[id] = [...paths];
+    });
+    
+    this.notifyListeners({ updated, paths: pathMap });
+  }
+
+  /**
+   * 创建规范化的变更集
+   * @param {Object} changes 部分变更集，为空时表示重置
+   * @returns {Object} 变更集 {reset, added, updated, removed, paths}
+   */
+  static createChangeSet(changes = null) {
+    if (!changes) {
+      return { reset: true, added: [], updated: [], removed: [], paths: {} };
+    }
+    
+    return {
+      reset: false,
+      added: changes.added || [],
+      updated: changes.updated || [],
+      removed: changes.removed || [],
+      paths: changes.paths || {}
+    };
+  }
+
+  /**
+   * 判断变更集是否没有任何变化
+   * @param {Object} changeSet 变更集
+   * @returns {boolean} 是否为空
+   */
+  static isEmptyChangeSet(changeSet) {
+    return !changeSet.reset &&
+      changeSet.added.length === 0 &&
+      changeSet.updated.length === 0 &&
+      changeSet.removed.length === 0;
+  }
+
+  /**
+   * 合并两个变更集（批处理使用）
+   * 先添加后删除的实体互相抵消；先删除后添加的实体视为整体修改
+   * @param {Object} base 先发生的变更集
+   * @param {Object} next 后发生的变更集
+   * @returns {Object} 合并后的变更集
+   */
+  static mergeChangeSets(base, next) {
+    if (base.reset || next.reset) {
+      return CzmlModel.createChangeSet(null);
+    }
+    
+    const added = new Set(base.added);
+    const updated = new Set(base.updated);
+    const removed = new Set(base.removed);
+    const paths = { ...base.paths };
+    
+    next.removed.forEach(id => {
+      updated.delete(id);
+      delete paths[id];
+      if (added.has(id)) {
+        added.delete(id);
+      } else {
+        removed.add(id);
+      }
+    });
+    
+    next.added.forEach(id => {
+      if (removed.has(id)) {
+        removed.delete(id);
+        updated.add(id);
+        paths[id] = [];
+      } else {
+        added.add(id);
+      }
+    });
+    
+    next.updated.forEach(id => {
+      if (added.has(id)) return; // 新增实体的修改已包含在新增中
+      
+      // 路径为空数组表示整个实体都可能变化
+      const newPaths = next.paths[id] || [];
+      const oldPaths = updated.has(id) ? (paths[id] || []) : null;
+      
+      if (!oldPaths) {
+        paths[id] = [...newPaths];
+      } else if (oldPaths.length === 0 || newPaths.length === 0) {
+        paths[id] = [];
+      } else {
+        paths[id] = Array.from(new Set([...oldPaths, ...newPaths]));
+      }
+      
+      updated.add(id);
+    });
+    
+    return {
+      reset: false,
+      added: Array.from(added),
+      updated: Array.from(updated),
+      removed: Array.from(removed),
+      paths
+    };
   }
 
   /**
@@ -71,25 +340,37 @@ class CzmlModel {
   }
 
   /**
-   * 添加点到CZML文档
-   * @param {Object} coord 坐标对象 {lon, lat, height}
-   * @param {Object} options 可选的样式参数
-   * @returns {string} 新增点的ID
+   * 生成多边形的ID
+   * @returns {string} 多边形的唯一ID，格式: PG_2Kx9mP3A
    */
-  addPoint(coord, options = {}) {
-    const pointId = this.generatePointId();
-    const pointName = this.generatePointName(pointId);
-    
-    const defaultOptions = {
-      color: [255, 0, 0, 255], // 红色 RGBA
-      pixelSize: 10
-    };
+  generatePolygonId() {
+    return CompactIdUtils.generatePolygonId();
+  }
 
-    const finalOptions = { ...defaultOptions, ...options };
+  /**
+   * 生成多边形的名称
+   * @param {string} polygonId 多边形的ID
+   * @param {number} vertexCount 顶点数量（不含闭合点）
+   * @returns {string} 多边形的名称，格式: Polygon-2Kx9mP3A (4 pts)
+   */
+  generatePolygonName(polygonId, vertexCount) {
+    const content = CompactIdUtils.extractContent(polygonId);
+    return `Polygon-${content} (${vertexCount} pts)`;
+  }
+
+  /**
+   * 创建点的CZML数据包（不加入文档）
+   * @param {Object} coord 坐标 {lon, lat, height}
+   * @param {Object} options 可选参数：样式 (color, pixelSize) 及 name, description, properties
+   * @returns {Object} CZML数据包
+   */
+  createPointPacket(coord, options = {}) {
+    const pointId = this.generatePointId();
+    const finalOptions = { ...EntityTypeRegistry.get('point').defaultStyle, ...options };
     
     const pointData = {
       id: pointId,
-      name: pointName,
+      name: this.generatePointName(pointId),
       position: {
         cartographicDegrees: [coord.lon, coord.lat, coord.height]
       },
@@ -99,26 +380,21 @@ class CzmlModel {
       }
     };
 
-    this.czmlDocument.push(pointData);
-    this.notifyListeners(); // 通知视图更新
-    
-    console.log(`添加点: ${pointName} (ID: ${pointId})`);
-    return pointId;
+    return this.applyPacketOptions(pointData, options);
   }
 
   /**
-   * 添加polyline到CZML文档
+   * 创建polyline的CZML数据包（不加入文档）
    * @param {Array} coordinates 坐标数组，每个元素为 {lon, lat, height}
-   * @param {Object} options 可选的样式参数
-   * @returns {string} 新增polyline的ID
+   * @param {Object} options 可选参数：样式 (width, color, clampToGround) 及 name, description, properties
+   * @returns {Object} CZML数据包
    */
-  addPolyline(coordinates, options = {}) {
+  createPolylinePacket(coordinates, options = {}) {
     if (!coordinates || coordinates.length < 2) {
       throw new Error('Polyline至少需要2个点');
     }
 
     const polylineId = this.generatePolylineId();
-    const polylineName = this.generatePolylineName(polylineId, coordinates.length);
     
     // 将坐标转换为CZML格式 [lon1, lat1, height1, lon2, lat2, height2, ...]
     const cartographicDegrees = [];
@@ -126,17 +402,11 @@ class CzmlModel {
       cartographicDegrees.push(coord.lon, coord.lat, coord.height);
     });
 
-    const defaultOptions = {
-      width: 3,
-      color: [0, 255, 255, 255], // 青色 RGBA
-      clampToGround: true
-    };
-
-    const finalOptions = { ...defaultOptions, ...options };
+    const finalOptions = { ...EntityTypeRegistry.get('polyline').defaultStyle, ...options };
 
     const polylineData = {
       id: polylineId,
-      name: polylineName,
+      name: this.generatePolylineName(polylineId, coordinates.length),
       polyline: {
         positions: {
           cartographicDegrees: cartographicDegrees
@@ -153,12 +423,244 @@ class CzmlModel {
       }
     };
 
-    console.log(`添加polyline: ${polylineName} (ID: ${polylineId})`);
+    return this.applyPacketOptions(polylineData, options);
+  }
+
+  /**
+   * 创建多边形的CZML数据包（不加入文档）
+   * 顶点会自动闭合：如果首尾不同，将首点追加到末尾
+   * @param {Array} coordinates 顶点坐标数组，每个元素为 {lon, lat, height}
+   * @param {Object} options 可选参数：样式 (color, outline, outlineColor)、holes（内环坐标数组的数组）及 name, description, properties
+   * @returns {Object} CZML数据包
+   */
+  createPolygonPacket(coordinates, options = {}) {
+    if (!coordinates || coordinates.length < 3) {
+      throw new Error('Polygon至少需要3个点');
+    }
+
+    const ring = CzmlModel.closeRing(coordinates);
+    const vertexCount = ring.length - 1;
+    if (vertexCount < 3) {
+      throw new Error('Polygon至少需要3个不同的顶点');
+    }
+
+    const polygonId = this.generatePolygonId();
+
+    const finalOptions = { ...EntityTypeRegistry.get('polygon').defaultStyle, ...options };
+
+    const polygonData = {
+      id: polygonId,
+      name: this.generatePolygonName(polygonId, vertexCount),
+      polygon: {
+        positions: {
+          cartographicDegrees: CzmlModel.toCartographicDegrees(ring)
+        },
+        material: {
+          solidColor: {
+            color: {
+              rgba: finalOptions.color
+            }
+          }
+        },
+        outline: finalOptions.outline,
+        outlineColor: {
+          rgba: finalOptions.outlineColor
+        }
+      }
+    };
+
+    if (Array.isArray(options.holes) && options.holes.length > 0) {
+      polygonData.polygon.holes = {
+        cartographicDegrees: options.holes.map(hole => CzmlModel.toCartographicDegrees(CzmlModel.closeRing(hole)))
+      };
+    }
+
+    // 🔧 显式高度轮廓线才会被渲染：有非零顶点高度时按各顶点高度绘制，否则贴在椭球面（高度0）
+    const allVertices = [ring, ...(Array.isArray(options.holes) ? options.holes : [])].flat();
+    if (allVertices.some(coord => (coord.height || 0) !== 0)) {
+      polygonData.polygon.perPositionHeight = true;
+    } else {
+      polygonData.polygon.height = 0;
+    }
+
+    return this.applyPacketOptions(polygonData, options);
+  }
+
+  /**
+   * 根据几何记录创建CZML数据包（供文件导入使用）
+   * @param {Object} record 几何记录 { type: 'point'|'polyline'|'polygon', coordinates, holes, name, description, properties }
+   * @param {Object} options 额外的样式参数
+   * @returns {Object} CZML数据包
+   */
+  createGeometryPacket(record, options = {}) {
+    const finalOptions = {
+      ...options,
+      name: record.name,
+      description: record.description,
+      properties: record.properties
+    };
+
+    switch (record.type) {
+      case 'point':
+        return this.createPointPacket(record.coordinates[0], finalOptions);
+      case 'polyline':
+        return this.createPolylinePacket(record.coordinates, finalOptions);
+      case 'polygon':
+        return this.createPolygonPacket(record.coordinates, { ...finalOptions, holes: record.holes });
+      default:
+        throw new Error(`不支持的几何类型: ${record.type}`);
+    }
+  }
+
+  /**
+   * 将通用选项（名称、描述、属性）写入数据包
+   * @param {Object} packet CZML数据包
+   * @param {Object} options 选项 {name, description, properties}
+   * @returns {Object} 数据包
+   */
+  applyPacketOptions(packet, options) {
+    if (options.name) {
+      packet.name = options.name;
+    }
+    if (options.description) {
+      packet.description = options.description;
+    }
+    const properties = CzmlModel.toPropertyValues(options.properties);
+    if (Object.keys(properties).length > 0) {
+      packet.properties = properties;
+    }
+    return packet;
+  }
+
+  /**
+   * 将导入的属性（GeoJSON properties、KML ExtendedData等）转换为CZML properties中的常量值
+   * 🔧 CzmlDataSource会把null当作对象读取而抛出异常（整个文档都不显示），把数组当作时间区间列表，
+   * 把对象当作属性定义，所以去掉null/undefined，数组和对象保存为JSON字符串
+   * @param {Object|null} properties 属性
+   * @returns {Object} 可以写入CZML的属性
+   */
+  static toPropertyValues(properties) {
+    const values = {};
+    if (!properties || typeof properties !== 'object') {
+      return values;
+    }
+
+    Object.entries(properties).forEach(([key, value]) => {
+      if (value === null || value === undefined) {
+        return;
+      }
+      values[key] = typeof value === 'object' ? JSON.stringify(value) : value;
+    });
+    return values;
+  }
+
+  /**
+   * 闭合坐标环：如果首尾不同，将首点追加到末尾
+   * @param {Array} coordinates 坐标数组
+   * @returns {Array} 闭合后的新数组
+   */
+  static closeRing(coordinates) {
+    const ring = [...coordinates];
+    const first = ring[0];
+    const last = ring[ring.length - 1];
+    const isClosed = first.lon === last.lon && first.lat === last.lat && first.height === last.height;
+    if (!isClosed) {
+      ring.push({ ...first });
+    }
+    return ring;
+  }
+
+  /**
+   * 将坐标数组转换为CZML扁平格式
+   * @param {Array} coordinates 坐标数组，每个元素为 {lon, lat, height}
+   * @returns {Array} [lon1, lat1, height1, lon2, lat2, height2, ...]
+   */
+  static toCartographicDegrees(coordinates) {
+    const cartographicDegrees = [];
+    coordinates.forEach(coord => {
+      cartographicDegrees.push(coord.lon, coord.lat, coord.height);
+    });
+    return cartographicDegrees;
+  }
+
+  /**
+   * 添加点到CZML文档
+   * @param {Object} coord 坐标 {lon, lat, height}
+   * @param {Object} options 可选的样式参数
+   * @returns {string} 新增点的ID
+   */
+  addPoint(coord, options = {}) {
+    const pointData = this.createPointPacket(coord, options);
+
+    this.czmlDocument.push(pointData);
+    this.notifyListeners({ added: [pointData.id] }); // 通知视图更新
+    
+    console.log(`添加点: ${pointData.name} (ID: ${pointData.id})`);
+    return pointData.id;
+  }
+
+  /**
+   * 添加polyline到CZML文档
+   * @param {Array} coordinates 坐标数组，每个元素为 {lon, lat, height}
+   * @param {Object} options 可选的样式参数
+   * @returns {string} 新增polyline的ID
+   */
+  addPolyline(coordinates, options = {}) {
+    const polylineData = this.createPolylinePacket(coordinates, options);
+
+    console.log(`添加polyline: ${polylineData.name} (ID: ${polylineData.id})`);
 
     this.czmlDocument.push(polylineData);
-    this.notifyListeners(); // 通知视图更新
+    this.notifyListeners({ added: [polylineData.id] }); // 通知视图更新
     
-    return polylineId;
+    return polylineData.id;
+  }
+
+  /**
+   * 添加多边形到CZML文档
+   * 顶点会自动闭合：如果首尾不同，将首点追加到末尾
+   * @param {Array} coordinates 顶点坐标数组，每个元素为 {lon, lat, height}
+   * @param {Object} options 可选的样式参数
+   * @returns {string} 新增多边形的ID
+   */
+  addPolygon(coordinates, options = {}) {
+    const polygonData = this.createPolygonPacket(coordinates, options);
+
+    console.log(`添加polygon: ${polygonData.name} (ID: ${polygonData.id})`);
+
+    this.czmlDocument.push(polygonData);
+    this.notifyListeners({ added: [polygonData.id] }); // 通知视图更新
+
+    return polygonData.id;
+  }
+
+  /**
+   * 设置折线的顶点坐标（EditPolyline编辑顶点）
+   * 名称仍是自动生成的 "Polyline-xxx (N pts)" 时同步更新点数，用户改过的名称保持不变
+   * @param {string} id 折线ID
+   * @param {Array} coordinates 顶点坐标数组，每个元素为 {lon, lat, height}
+   * @throws {Error} 折线不存在、位置不是cartographicDegrees或顶点少于2个时抛出
+   */
+  setPolylineCoordinates(id, coordinates) {
+    const entity = this.getEntityById(id);
+    const positions = entity && entity.polyline && entity.polyline.positions;
+    if (!positions || !Array.isArray(positions.cartographicDegrees)) {
+      throw new Error(`找不到可编辑的折线: ${id}`);
+    }
+    if (!coordinates || coordinates.length < 2) {
+      throw new Error('Polyline至少需要2个点');
+    }
+
+    const oldCount = Math.floor(positions.cartographicDegrees.length / 3);
+    positions.cartographicDegrees = CzmlModel.toCartographicDegrees(coordinates);
+
+    const paths = ['polyline'];
+    if (entity.name === this.generatePolylineName(id, oldCount)) {
+      entity.name = this.generatePolylineName(id, coordinates.length);
+      paths.push('name');
+    }
+
+    this.notifyEntitiesUpdated(id, paths);
   }
 
   /**
@@ -169,6 +671,219 @@ class CzmlModel {
     return [...this.czmlDocument]; // 返回副本，防止外部修改
   }
 
+  /**
+   * 获取document包的时钟设置
+   * @returns {Object|null} CZML clock { interval, currentTime, multiplier, range, step } 的副本，没有时返回null
+   */
+  getDocumentClock() {
+    const clock = this.czmlDocument[0].clock;
+    return clock ? { ...clock } : null;
+  }
+
+  /**
+   * 设置document包的时钟（驱动地图的时间轴和动画播放）
+   * 🔧 移除时钟时全量重载：CzmlDataSource增量处理不会清除已有的时钟
+   * @param {Object|null} clock CZML clock，为null时移除
+   */
+  setDocumentClock(clock) {
+    const documentPacket = this.czmlDocument[0];
+
+    if (clock) {
+      documentPacket.clock = { ...clock };
+      this.notifyEntitiesUpdated('document', ['clock']);
+    } else if (documentPacket.clock) {
+      delete documentPacket.clock;
+      this.notifyListeners();
+    }
+  }
+
+  /**
+   * 获取document包的可编辑属性
+   * @returns {Object} { name, description, version, clock }，未设置的字段为null
+   */
+  getDocumentProperties() {
+    const documentPacket = this.czmlDocument[0];
+    return {
+      name: documentPacket.name ?? null,
+      description: documentPacket.description ?? null,
+      version: documentPacket.version ?? null,
+      clock: this.getDocumentClock()
+    };
+  }
+
+  /**
+   * 设置document包的属性（整体替换 name、description、version、clock）
+   * 值为null或空字符串的字段会被移除
+   * @param {Object} properties { name, description, version, clock }
+   * @param {boolean} validate 是否校验（撤销时恢复导入文档的原值不需要校验）
+   * @throws {Error} 属性无效时抛出，消息说明原因
+   */
+  setDocumentProperties(properties, validate = true) {
+    const error = validate ? CzmlModel.getDocumentPropertiesError(properties) : null;
+    if (error) {
+      throw new Error(error);
+    }
+
+    const documentPacket = this.czmlDocument[0];
+    const hadClock = !!documentPacket.clock;
+    const paths = [];
+
+    ['name', 'description', 'version'].forEach(key => {
+      const value = properties[key];
+      if (value === null || value === undefined || value === '') {
+        if (key in documentPacket) {
+          delete documentPacket[key];
+          paths.push(key);
+        }
+      } else if (documentPacket[key] !== value) {
+        documentPacket[key] = value;
+        paths.push(key);
+      }
+    });
+
+    if (properties.clock) {
+      if (JSON.stringify(documentPacket.clock) !== JSON.stringify(properties.clock)) {
+        documentPacket.clock = { ...properties.clock };
+        paths.push('clock');
+      }
+    } else {
+      delete documentPacket.clock;
+    }
+
+    // 🔧 移除时钟时全量重载：CzmlDataSource增量处理不会清除已有的时钟
+    if (hadClock && !documentPacket.clock) {
+      this.notifyListeners();
+    } else if (paths.length > 0) {
+      this.notifyEntitiesUpdated('document', paths);
+    }
+  }
+
+  /**
+   * 校验document包属性
+   * @param {Object} properties { name, description, version, clock }
+   * @returns {string|null} 无效原因，有效时返回null
+   */
+  static getDocumentPropertiesError(properties) {
+    if (!properties || typeof properties !== 'object') {
+      return '文档属性不是对象';
+    }
+
+    const { name, description, version, clock } = properties;
+
+    const isEmpty = value => value === null || value === undefined || value === '';
+
+    if (!isEmpty(name) && typeof name !== 'string') {
+      return '文档名称必须是文本';
+    }
+    if (!isEmpty(description) && typeof description !== 'string') {
+      return '文档描述必须是文本';
+    }
+    if (!isEmpty(version) && (typeof version !== 'string' || !/^\d+\.\d+$/.test(version))) {
+      return `CZML版本格式错误 (如 1.0): ${version}`;
+    }
+
+    return clock ? CzmlModel.getClockError(clock) : null;
+  }
+
+  /**
+   * 校验CZML时钟
+   * @param {Object} clock { interval, currentTime, multiplier, range, step }
+   * @returns {string|null} 无效原因，有效时返回null
+   */
+  static getClockError(clock) {
+    const interval = TimeUtils.parseInterval(clock.interval);
+    if (!interval) {
+      return `时钟区间格式错误，应为 开始/结束 的ISO 8601时间且结束不早于开始: ${clock.interval}`;
+    }
+
+    if (clock.currentTime !== undefined) {
+      const currentTime = TimeUtils.parseTime(clock.currentTime);
+      if (!currentTime) {
+        return `当前时间格式错误: ${clock.currentTime}`;
+      }
+      if (TimeUtils.secondsBetween(interval.start, currentTime) < 0 ||
+          TimeUtils.secondsBetween(currentTime, interval.stop) < 0) {
+        return `当前时间 ${currentTime} 不在时钟区间内`;
+      }
+    }
+
+    if (clock.multiplier !== undefined &&
+        (typeof clock.multiplier !== 'number' || !isFinite(clock.multiplier) || clock.multiplier === 0)) {
+      return `播放倍速必须是非零数字: ${clock.multiplier}`;
+    }
+
+    if (clock.range !== undefined && !CLOCK_RANGES.includes(clock.range)) {
+      return `时钟range无效: ${clock.range} (可选: ${CLOCK_RANGES.join(', ')})`;
+    }
+
+    if (clock.step !== undefined && !CLOCK_STEPS.includes(clock.step)) {
+      return `时钟step无效: ${clock.step} (可选: ${CLOCK_STEPS.join(', ')})`;
+    }
+
+    return null;
+  }
+
+  /**
+   * 获取实体的可用时间（availability）
+   * @param {string} id 实体ID
+   * @returns {string|Array|null} CZML availability（"开始/结束" 或区间数组）的副本，没有时返回null
+   */
+  getEntityAvailability(id) {
+    const entity = this.getEntityById(id);
+    if (!entity || entity.availability === undefined) {
+      return null;
+    }
+    return Array.isArray(entity.availability) ? [...entity.availability] : entity.availability;
+  }
+
+  /**
+   * 设置实体的可用时间，地图在时间轴上只在区间内显示该实体
+   * @param {string} id 实体ID
+   * @param {string|Array|null} availability "开始/结束" 或区间数组，为null时移除（始终可见）
+   * @param {boolean} validate 是否校验（撤销时恢复导入文档的原值不需要校验）
+   * @throws {Error} 实体不存在或区间无效时抛出，消息说明原因
+   */
+  setEntityAvailability(id, availability, validate = true) {
+    const entity = this.getEntityById(id);
+    if (!entity || id === 'document') {
+      throw new Error(`找不到实体: ${id}`);
+    }
+
+    const error = validate && availability !== null ? CzmlModel.getAvailabilityError(availability) : null;
+    if (error) {
+      throw new Error(error);
+    }
+
+    if (availability === null) {
+      if (entity.availability === undefined) return;
+      delete entity.availability;
+    } else {
+      if (JSON.stringify(entity.availability) === JSON.stringify(availability)) return;
+      entity.availability = Array.isArray(availability) ? [...availability] : availability;
+    }
+
+    this.notifyEntitiesUpdated(id, ['availability']);
+  }
+
+  /**
+   * 校验CZML availability
+   * @param {string|Array} availability "开始/结束" 的ISO 8601区间，或区间数组
+   * @returns {string|null} 无效原因，有效时返回null
+   */
+  static getAvailabilityError(availability) {
+    const intervals = Array.isArray(availability) ? availability : [availability];
+    if (intervals.length === 0) {
+      return '可用时间不能为空数组';
+    }
+
+    for (const interval of intervals) {
+      if (typeof interval !== 'string' || !TimeUtils.parseInterval(interval)) {
+        return `可用时间格式错误，应为 开始/结束 的ISO 8601时间且结束不早于开始: ${interval}`;
+      }
+    }
+    return null;
+  }
+
   /**
    * 根据ID获取特定的CZML实体
    * @param {string} id 实体ID
@@ -178,14 +893,23 @@ class CzmlModel {
     return this.czmlDocument.find(entity => entity.id === id) || null;
   }
 
+  /**
+   * 获取指定类型的所有实体（按实体类型注册表中的ID前缀识别）
+   * @param {string} type 类型名 ('point' | 'polyline' | 'polygon' | ...)
+   * @returns {Array} 实体数组
+   */
+  getEntitiesByType(type) {
+    return this.czmlDocument.filter(entity => 
+      entity.id !== 'document' && EntityTypeRegistry.isOfType(entity.id, type)
+    );
+  }
+
   /**
    * 获取所有点实体
    * @returns {Array} 所有点实体的数组
    */
   getAllPoints() {
-    return this.czmlDocument.filter(entity => 
-      entity.id.startsWith('PT_') && entity.id !== 'document'
-    );
+    return this.getEntitiesByType('point');
   }
 
   /**
@@ -193,19 +917,24 @@ class CzmlModel {
    * @returns {Array} 所有polyline实体的数组
    */
   getAllPolylines() {
-    return this.czmlDocument.filter(entity => 
-      entity.id.startsWith('PL_') && entity.id !== 'document'
-    );
+    return this.getEntitiesByType('polyline');
+  }
+
+  /**
+   * 获取所有多边形实体
+   * @returns {Array} 所有多边形实体的数组
+   */
+  getAllPolygons() {
+    return this.getEntitiesByType('polygon');
   }
 
   /**
-   * 获取所有几何实体（点和线）
+   * 获取所有几何实体（所有已注册类型）
    * @returns {Array} 所有几何实体的数组
    */
   getAllGeometries() {
     return this.czmlDocument.filter(entity => 
-      (entity.id.startsWith('PT_') || entity.id.startsWith('PL_')) && 
-      entity.id !== 'document'
+      entity.id !== 'document' && EntityTypeRegistry.isGeometryId(entity.id)
     );
   }
 
@@ -219,7 +948,7 @@ class CzmlModel {
     if (index > 0) { // 不能删除document实体（index 0）
       const removedEntity = this.czmlDocument[index];
       this.czmlDocument.splice(index, 1);
-      this.notifyListeners();
+      this.notifyListeners({ removed: [id] });
       console.log(`删除实体: ${removedEntity.name} (ID: ${id})`);
       return true;
     }
@@ -227,14 +956,226 @@ class CzmlModel {
   }
 
   /**
-   * 清除所有点
+   * 批量删除实体（一次通知）
+   * @param {Array} ids 实体ID数组，不存在的ID和document会被忽略
+   * @returns {Array} 被删除的记录 [{ index, entity }]，按原文档位置升序，用于 restoreEntities 撤销
    */
-  clearAllPoints() {
-    const beforeCount = this.getAllPoints().length;
+  removeEntities(ids) {
+    const wanted = new Set(ids);
+    const removed = [];
+
+    this.czmlDocument.forEach((entity, index) => {
+      if (index > 0 && wanted.has(entity.id)) {
+        removed.push({ index, entity });
+      }
+    });
+
+    if (removed.length === 0) {
+      return removed;
+    }
+
+    const removedIds = new Set(removed.map(record => record.entity.id));
+    this.czmlDocument = this.czmlDocument.filter(entity => !removedIds.has(entity.id));
+    this.notifyListeners({ removed: Array.from(removedIds) });
+
+    console.log(`删除实体: ${removed.map(record => record.entity.name || record.entity.id).join(', ')}`);
+    return removed;
+  }
+
+  /**
+   * 将删除的实体恢复到原文档位置
+   * @param {Array} records removeEntities 返回的记录 [{ index, entity }]（按位置升序）
+   */
+  restoreEntities(records) {
+    if (records.length === 0) return;
+
+    // 按原位置升序插入，前面的实体恢复后后面的索引即与删除前一致
+    [...records].sort((a, b) => a.index - b.index).forEach(({ index, entity }) => {
+      this.czmlDocument.splice(Math.min(index, this.czmlDocument.length), 0, entity);
+    });
+
+    this.notifyListeners({ added: records.map(record => record.entity.id) });
+  }
+
+  /**
+   * 获取整个文档的深拷贝快照（用于撤销）
+   * @returns {Array} CZML文档快照
+   */
+  getDocumentSnapshot() {
+    return JSON.parse(JSON.stringify(this.czmlDocument));
+  }
+
+  /**
+   * 用快照恢复整个文档
+   * @param {Array} snapshot CZML文档快照
+   */
+  restoreDocument(snapshot) {
+    this.czmlDocument = JSON.parse(JSON.stringify(snapshot));
+    this.notifyListeners();
+  }
+
+  /**
+   * 导入CZML数据包
+   * 文件中ID相同的多个数据包先按CZML的规则合并为一个（后面的包逐个属性补充前面的包）
+   * replace: 用导入的数据替换整个文档（保留编辑器的document包，除非导入数据自带）
+   * merge: 合并到当前文档，ID相同的已有实体被替换，其余追加到末尾；导入数据中的document包被忽略
+   * 只有 { id, delete: true } 的数据包只删除同ID的已有实体，不会作为实体保存
+   * @param {Array} packets CZML数据包数组（可包含document包）
+   * @param {string} mode 导入模式 'replace' | 'merge'
+   * @returns {Object} 导入结果 {added, updated, removed, documentReplaced, documentIgnored}（实体ID数组）
+   */
+  importPackets(packets, mode = 'merge') {
+    const coalesced = CzmlModel.coalescePackets(packets);
+    const documentPacket = coalesced.find(packet => packet.id === 'document');
+    const deletedIds = coalesced
+      .filter(packet => CzmlModel.isDeletePacket(packet) && packet.id && packet.id !== 'document')
+      .map(packet => packet.id);
+    const usedIds = new Set(mode === 'replace' ? [] : this.czmlDocument.map(entity => entity.id));
+    coalesced.forEach(packet => {
+      if (packet.id) usedIds.add(packet.id);
+    });
+    
+    // 🔧 delete标记只用于删除，其余数据包去掉标记后作为新实体（CZML中 delete 后的属性会重新创建实体）
+    const entityPackets = coalesced
+      .filter(packet => packet.id !== 'document' && !CzmlModel.isDeletePacket(packet))
+      .map(({ delete: _deleted, ...packet }) => packet.id ? packet : { ...packet, id: this.generateImportedId(packet, usedIds) });
+    
+    if (mode === 'replace') {
+      const newDocument = documentPacket ?
+        { version: '1.0', ...documentPacket } :
+        { ...this.czmlDocument[0] };
+      
+      this.czmlDocument = [newDocument, ...entityPackets];
+      this.notifyListeners();
+      
+      return {
+        added: entityPackets.map(packet => packet.id),
+        updated: [],
+        removed: [],
+        documentReplaced: true
+      };
+    }
+    
+    const added = [];
+    const updated = [];
+    const removed = deletedIds.filter(id => this.czmlDocument.some(entity => entity.id === id));
+    
+    this.batch(() => {
+      this.czmlDocument = this.czmlDocument.filter(entity => !removed.includes(entity.id));
+      
+      entityPackets.forEach(packet => {
+        const index = this.czmlDocument.findIndex(entity => entity.id === packet.id);
+        if (index > 0) {
+          this.czmlDocument[index] = packet;
+          updated.push(packet.id);
+        } else {
+          this.czmlDocument.push(packet);
+          added.push(packet.id);
+        }
+      });
+      
+      this.notifyListeners({ added, updated, removed });
+    });
+    
+    return { added, updated, removed, documentReplaced: false, documentIgnored: !!documentPacket };
+  }
+
+  /**
+   * 判断数据包是否只是删除标记（{ id, delete: true }，没有其他属性）
+   * @param {Object} packet CZML数据包
+   * @returns {boolean} 是否为删除标记
+   */
+  static isDeletePacket(packet) {
+    return packet.delete === true && Object.keys(packet).every(key => key === 'id' || key === 'delete');
+  }
+
+  /**
+   * 合并ID相同的数据包（按第一次出现的位置），没有ID的数据包保持不变
+   * CZML中同一ID的后续数据包是对前面数据包的补充，而不是替换
+   * delete: true 标记会保留在合并结果中，表示先删除已有的同ID实体
+   * @param {Array} packets CZML数据包数组
+   * @returns {Array} 合并后的数据包数组
+   */
+  static coalescePackets(packets) {
+    const result = [];
+    const indexById = new Map();
+
+    packets.forEach(packet => {
+      if (!packet.id || !indexById.has(packet.id)) {
+        if (packet.id) indexById.set(packet.id, result.length);
+        result.push(packet);
+        return;
+      }
+
+      const index = indexById.get(packet.id);
+      // delete: true 删除之前的数据，同一数据包中的其余属性重新创建实体
+      if (packet.delete === true) {
+        result[index] = { ...packet };
+      } else {
+        result[index] = CzmlModel.mergePacketProperties(result[index], packet);
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * 逐个属性合并两个数据包：对象属性递归合并，数组和其他值由后面的数据包覆盖
+   * @param {Object} base 前面的数据包（不会被修改）
+   * @param {Object} update 后面的数据包
+   * @returns {Object} 合并后的新对象
+   */
+  static mergePacketProperties(base, update) {
+    const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const merged = { ...base };
+
+    Object.entries(update).forEach(([key, value]) => {
+      merged[key] = isPlainObject(value) && isPlainObject(merged[key])
+        ? CzmlModel.mergePacketProperties(merged[key], value)
+        : value;
+    });
+    return merged;
+  }
+
+  /**
+   * 为没有ID的导入实体生成ID
+   * 可识别的几何类型使用对应前缀的紧凑ID；同一毫秒内批量生成时通过已用ID集合避免冲突
+   * @param {Object} packet CZML数据包
+   * @param {Set} usedIds 已使用的ID集合（生成的ID会加入其中）
+   * @returns {string} 新ID
+   */
+  generateImportedId(packet, usedIds) {
+    const definition = EntityTypeRegistry.resolve(packet);
+    const prefix = definition ? definition.prefix : 'EN';
+    
+    let id = CompactIdUtils.generateCompactId(prefix);
+    while (usedIds.has(id)) {
+      id = CompactIdUtils.generateCompactId(prefix);
+    }
+    
+    usedIds.add(id);
+    return id;
+  }
+
+  /**
+   * 清除指定类型的所有实体
+   * @param {string} type 类型名
+   * @returns {number} 清除的实体数量
+   */
+  clearEntitiesByType(type) {
+    const removedIds = this.getEntitiesByType(type).map(entity => entity.id);
     this.czmlDocument = this.czmlDocument.filter(entity => 
-      !entity.id.startsWith('PT_') || entity.id === 'document'
+      entity.id === 'document' || !EntityTypeRegistry.isOfType(entity.id, type)
     );
-    this.notifyListeners();
+    this.notifyListeners({ removed: removedIds });
+    return removedIds.length;
+  }
+
+  /**
+   * 清除所有点
+   */
+  clearAllPoints() {
+    const beforeCount = this.clearEntitiesByType('point');
     console.log(`清除了 ${beforeCount} 个点`);
   }
 
@@ -242,27 +1183,33 @@ class CzmlModel {
    * 清除所有polyline
    */
   clearAllPolylines() {
-    const beforeCount = this.getAllPolylines().length;
-    this.czmlDocument = this.czmlDocument.filter(entity => 
-      !entity.id.startsWith('PL_') || entity.id === 'document'
-    );
-    this.notifyListeners();
+    const beforeCount = this.clearEntitiesByType('polyline');
     console.log(`清除了 ${beforeCount} 条线`);
   }
 
   /**
-   * 清除所有几何实体（点和线）
+   * 清除所有多边形
+   */
+  clearAllPolygons() {
+    const beforeCount = this.clearEntitiesByType('polygon');
+    console.log(`清除了 ${beforeCount} 个多边形`);
+  }
+
+  /**
+   * 清除所有几何实体（所有已注册类型）
    */
   clearAllGeometries() {
     const beforePoints = this.getAllPoints().length;
     const beforePolylines = this.getAllPolylines().length;
+    const beforePolygons = this.getAllPolygons().length;
+    
+    const removedIds = this.getAllGeometries().map(entity => entity.id);
     
     this.czmlDocument = this.czmlDocument.filter(entity => 
-      (!entity.id.startsWith('PT_') && !entity.id.startsWith('PL_')) || 
-      entity.id === 'document'
+      entity.id === 'document' || !EntityTypeRegistry.isGeometryId(entity.id)
     );
-    this.notifyListeners();
-    console.log(`清除了 ${beforePoints} 个点和 ${beforePolylines} 条线`);
+    this.notifyListeners({ removed: removedIds });
+    console.log(`清除了 ${beforePoints} 个点、${beforePolylines} 条线和 ${beforePolygons} 个多边形`);
   }
 
   /**
@@ -272,12 +1219,14 @@ class CzmlModel {
   getStatistics() {
     const points = this.getAllPoints();
     const polylines = this.getAllPolylines();
+    const polygons = this.getAllPolygons();
     
     return {
       totalEntities: this.czmlDocument.length - 1, // 减去document实体
       totalPoints: points.length,
       totalPolylines: polylines.length,
-      totalGeometries: points.length + polylines.length,
+      totalPolygons: polygons.length,
+      totalGeometries: points.length + polylines.length + polygons.length,
       documentSize: JSON.stringify(this.czmlDocument).length,
       idFormat: 'compact', // 标识使用的ID格式
       entities: {
@@ -292,6 +1241,12 @@ class CzmlModel {
           name: p.name,
           timestamp: CompactIdUtils.extractTimestamp(p.id),
           random: CompactIdUtils.extractRandom(p.id)
+        })),
+        polygons: polygons.map(p => ({ 
+          id: p.id, 
+          name: p.name,
+          timestamp: CompactIdUtils.extractTimestamp(p.id),
+          random: CompactIdUtils.extractRandom(p.id)
         }))
       }
     };
@@ -365,11 +1320,14 @@ class CzmlModel {
   validateIds() {
     const points = this.getAllPoints();
     const polylines = this.getAllPolylines();
+    const polygons = this.getAllPolygons();
     
     let validPoints = 0;
     let invalidPoints = 0;
     let validPolylines = 0;
     let invalidPolylines = 0;
+    let validPolygons = 0;
+    let invalidPolygons = 0;
     
     const invalidEntities = [];
     
@@ -391,24 +1349,35 @@ class CzmlModel {
       }
     });
     
+    polygons.forEach(polygon => {
+      if (CompactIdUtils.isValidCompactId(polygon.id, 'PG')) {
+        validPolygons++;
+      } else {
+        invalidPolygons++;
+        invalidEntities.push({ type: 'polygon', id: polygon.id, name: polygon.name });
+      }
+    });
+    
     const result = {
       valid: {
         points: validPoints,
         polylines: validPolylines,
-        total: validPoints + validPolylines
+        polygons: validPolygons,
+        total: validPoints + validPolylines + validPolygons
       },
       invalid: {
         points: invalidPoints,
         polylines: invalidPolylines,
-        total: invalidPoints + invalidPolylines,
+        polygons: invalidPolygons,
+        total: invalidPoints + invalidPolylines + invalidPolygons,
         entities: invalidEntities
       },
-      isAllValid: invalidPoints === 0 && invalidPolylines === 0
+      isAllValid: invalidPoints === 0 && invalidPolylines === 0 && invalidPolygons === 0
     };
     
     console.log('ID格式验证结果:');
-    console.log(`✅ 有效: 点=${validPoints}, 线=${validPolylines}`);
-    console.log(`❌ 无效: 点=${invalidPoints}, 线=${invalidPolylines}`);
+    console.log(`✅ 有效: 点=${validPoints}, 线=${validPolylines}, 面=${validPolygons}`);
+    console.log(`❌ 无效: 点=${invalidPoints}, 线=${invalidPolylines}, 面=${invalidPolygons}`);
     
     if (!result.isAllValid) {
       console.log('无效的实体:', invalidEntities);
@@ -0,0 +1,307 @@
+import GeometryUtils from '../utils/GeometryUtils.js';
+import ProjectionUtils from '../utils/ProjectionUtils.js';
+
+/**
+ * 实体类型注册表
+ * 集中声明每种几何实体的ID前缀、CZML属性键、列表渲染器、校验器和默认样式
+ * 地图渲染统一由MapView中的CzmlDataSource完成
+ * 新增几何类型只需在这里调用 register()，模型、视图和ID工具都会自动识别
+ */
+class EntityTypeRegistry {
+  // 类型名 -> 类型定义
+  static types = new Map();
+
+  /**
+   * 注册实体类型
+   * @param {Object} definition 类型定义
+   * @param {string} definition.type 类型名 (如 'point')
+   * @param {string} definition.label 显示名称 (如 '点')
+   * @param {string} definition.prefix ID前缀 (如 'PT')
+   * @param {string} definition.czmlKey CZML属性键 (如 'point')
+   * @param {string} definition.icon 列表图标
+   * @param {string} definition.listColor 列表边框颜色
+   * @param {Object} definition.defaultStyle 默认样式
+   * @param {Function} definition.validate 校验函数 (czmlEntity) => boolean
+   * @param {Function} definition.renderListItem 列表渲染函数 (czmlEntity) => string(HTML)，根元素需带 data-entity-id
+   *   传入的 czmlEntity.id 和 czmlEntity.name 已做HTML转义；其它来自文件的字符串字段需自行用 escapeHtml() 转义
+   */
+  static register(definition) {
+    const required = ['type', 'prefix', 'czmlKey', 'validate', 'renderListItem'];
+    const missing = required.filter(key => !definition[key]);
+    if (missing.length > 0) {
+      throw new Error(`实体类型定义缺少字段: ${missing.join(', ')}`);
+    }
+
+    const conflict = this.getByPrefix(definition.prefix);
+    if (conflict && conflict.type !== definition.type) {
+      throw new Error(`ID前缀 ${definition.prefix} 已被类型 ${conflict.type} 使用`);
+    }
+
+    // 🔧 导入文件中的ID和名称不可信，统一在这里转义后再交给渲染函数
+    const render = definition.renderListItem;
+    this.types.set(definition.type, {
+      label: definition.type,
+      icon: '•',
+      listColor: '#007bff',
+      defaultStyle: {},
+      ...definition,
+      renderListItem(czmlEntity) {
+        return render.call(this, {
+          ...czmlEntity,
+          id: EntityTypeRegistry.escapeHtml(czmlEntity.id),
+          name: czmlEntity.name == null ? czmlEntity.name : EntityTypeRegistry.escapeHtml(czmlEntity.name)
+        });
+      }
+    });
+
+    console.log(`实体类型已注册: ${definition.type} (${definition.prefix}_)`);
+  }
+
+  /**
+   * 转义HTML特殊字符，用于把实体字段插入列表项HTML
+   * @param {*} text 文本
+   * @returns {string} 转义后的文本
+   */
+  static escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * 根据类型名获取定义
+   * @param {string} type 类型名
+   * @returns {Object|null} 类型定义
+   */
+  static get(type) {
+    return this.types.get(type) || null;
+  }
+
+  /**
+   * 获取所有已注册的类型定义
+   * @returns {Array} 类型定义数组（按注册顺序）
+   */
+  static getAll() {
+    return Array.from(this.types.values());
+  }
+
+  /**
+   * 获取所有已注册的ID前缀
+   * @returns {Array} 前缀数组 (如 ['PT', 'PL', 'PG'])
+   */
+  static getPrefixes() {
+    return this.getAll().map(definition => definition.prefix);
+  }
+
+  /**
+   * 根据ID前缀获取定义
+   * @param {string} prefix ID前缀
+   * @returns {Object|null} 类型定义
+   */
+  static getByPrefix(prefix) {
+    return this.getAll().find(definition => definition.prefix === prefix) || null;
+  }
+
+  /**
+   * 根据实体ID获取定义
+   * @param {string} id 实体ID
+   * @returns {Object|null} 类型定义
+   */
+  static getByEntityId(id) {
+    if (!id || typeof id !== 'string') return null;
+    return this.getAll().find(definition => id.startsWith(`${definition.prefix}_`)) || null;
+  }
+
+  /**
+   * 解析CZML实体的类型
+   * 优先使用ID前缀；外部导入的非紧凑ID实体则按CZML属性键识别
+   * @param {Object} czmlEntity CZML实体
+   * @returns {Object|null} 类型定义
+   */
+  static resolve(czmlEntity) {
+    if (!czmlEntity || czmlEntity.id === 'document') return null;
+
+    const byId = this.getByEntityId(czmlEntity.id);
+    if (byId) return byId;
+
+    return this.getAll().find(definition => czmlEntity[definition.czmlKey]) || null;
+  }
+
+  /**
+   * 判断ID是否属于指定类型
+   * @param {string} id 实体ID
+   * @param {string} type 类型名
+   * @returns {boolean} 是否属于该类型
+   */
+  static isOfType(id, type) {
+    const definition = this.getByEntityId(id);
+    return !!definition && definition.type === type;
+  }
+
+  /**
+   * 判断ID是否属于任何已注册的几何类型
+   * @param {string} id 实体ID
+   * @returns {boolean} 是否为几何实体ID
+   */
+  static isGeometryId(id) {
+    return !!this.getByEntityId(id);
+  }
+}
+
+/**
+ * 校验cartographicDegrees扁平数组
+ * @param {Array} cartographicDegrees 扁平坐标数组
+ * @param {number} minPoints 最少点数
+ * @returns {boolean} 是否有效
+ */
+function isValidDegrees(cartographicDegrees, minPoints) {
+  return Array.isArray(cartographicDegrees) &&
+    cartographicDegrees.length % 3 === 0 &&
+    GeometryUtils.validateCoordinates(
+      GeometryUtils.cartographicDegreesToCoordinates(cartographicDegrees),
+      minPoints
+    );
+}
+
+/**
+ * 点列表项的位置行：经纬度格式分两行显示，UTM/MGRS显示为一行（极地坐标仍显示经纬度）
+ * @param {Object} coord 坐标
+ * @returns {string} 位置HTML
+ */
+function formatPointLocation(coord) {
+  if (GeometryUtils.coordinateFormat === 'degrees' || !ProjectionUtils.isInUtmRange(coord)) {
+    return `经度: ${coord.lon.toFixed(6)}<br>
+          纬度: ${coord.lat.toFixed(6)}`;
+  }
+  return `${GeometryUtils.COORDINATE_FORMAT_NAMES[GeometryUtils.coordinateFormat]}: ${GeometryUtils.formatPlanar(coord)}`;
+}
+
+// =============================================
+// 内置实体类型
+// =============================================
+
+EntityTypeRegistry.register({
+  type: 'point',
+  label: '点',
+  prefix: 'PT',
+  czmlKey: 'point',
+  icon: '📍',
+  listColor: '#007bff',
+  defaultStyle: {
+    color: [255, 0, 0, 255], // 红色 RGBA
+    pixelSize: 10
+  },
+
+  validate(czmlEntity) {
+    if (!czmlEntity.point || !czmlEntity.position) return false;
+
+    // 🔧 支持时间采样位置 (epoch + [t, lon, lat, height, ...])
+    if (GeometryUtils.isSampledPosition(czmlEntity.position)) {
+      return GeometryUtils.getPositionSamples(czmlEntity.position).length > 0;
+    }
+    return isValidDegrees(czmlEntity.position.cartographicDegrees, 1);
+  },
+
+  renderListItem(czmlEntity) {
+    const samples = GeometryUtils.getPositionSamples(czmlEntity.position);
+    const coord = samples.length > 0 ?
+      samples[0].coord :
+      GeometryUtils.getEntityCoordinates(czmlEntity)[0];
+
+    // 采样位置显示起点和航点时间范围
+    const trackInfo = samples.length > 0 ? `
+          <br>航点: ${samples.length} 个 (${EntityTypeRegistry.escapeHtml(czmlEntity.position.interpolationAlgorithm || 'LINEAR')})<br>
+          ${samples[0].time} ~ ${samples[samples.length - 1].time}` : '';
+
+    return `
+      <div class="point-item" data-entity-id="${czmlEntity.id}" style="border-left-color: ${this.listColor};">
+        <div class="point-name">${this.icon} ${czmlEntity.name || czmlEntity.id} <span class="point-index"></span></div>
+        <div class="point-coords">
+          ${formatPointLocation(coord)}<br>
+          高度: ${coord.height.toFixed(2)}m${trackInfo}
+        </div>
+      </div>
+    `;
+  }
+});
+
+EntityTypeRegistry.register({
+  type: 'polyline',
+  label: '线',
+  prefix: 'PL',
+  czmlKey: 'polyline',
+  icon: '📏',
+  listColor: '#00ffff',
+  defaultStyle: {
+    width: 3,
+    color: [0, 255, 255, 255], // 青色 RGBA
+    clampToGround: true
+  },
+
+  validate(czmlEntity) {
+    return !!(czmlEntity.polyline && czmlEntity.polyline.positions &&
+      isValidDegrees(czmlEntity.polyline.positions.cartographicDegrees, 2));
+  },
+
+  renderListItem(czmlEntity) {
+    const coordinates = GeometryUtils.cartographicDegreesToCoordinates(
+      czmlEntity.polyline.positions.cartographicDegrees
+    );
+    const firstPoint = coordinates[0];
+    const lastPoint = coordinates[coordinates.length - 1];
+
+    return `
+      <div class="point-item" data-entity-id="${czmlEntity.id}" style="border-left-color: ${this.listColor};">
+        <div class="point-name">${this.icon} ${czmlEntity.name || czmlEntity.id} <span class="point-index"></span></div>
+        <div class="point-coords">
+          点数: ${coordinates.length}<br>
+          起点: ${GeometryUtils.formatPlanar(firstPoint, 3)}<br>
+          终点: ${GeometryUtils.formatPlanar(lastPoint, 3)}
+        </div>
+      </div>
+    `;
+  }
+});
+
+EntityTypeRegistry.register({
+  type: 'polygon',
+  label: '面',
+  prefix: 'PG',
+  czmlKey: 'polygon',
+  icon: '⬠',
+  listColor: '#ffa500',
+  defaultStyle: {
+    color: [255, 165, 0, 128], // 半透明橙色 RGBA
+    outlineColor: [255, 165, 0, 255],
+    outline: true
+  },
+
+  validate(czmlEntity) {
+    return !!(czmlEntity.polygon && czmlEntity.polygon.positions &&
+      isValidDegrees(czmlEntity.polygon.positions.cartographicDegrees, 3));
+  },
+
+  renderListItem(czmlEntity) {
+    const coordinates = GeometryUtils.cartographicDegreesToCoordinates(
+      czmlEntity.polygon.positions.cartographicDegrees
+    );
+    // 最后一个点是闭合点，不计入顶点数
+    const vertices = coordinates.slice(0, Math.max(coordinates.length - 1, 0));
+    const center = GeometryUtils.getCenterPoint(vertices);
+
+    return `
+      <div class="point-item" data-entity-id="${czmlEntity.id}" style="border-left-color: ${this.listColor};">
+        <div class="point-name">${this.icon} ${czmlEntity.name || czmlEntity.id} <span class="point-index"></span></div>
+        <div class="point-coords">
+          顶点数: ${vertices.length}<br>
+          中心: ${center ? GeometryUtils.formatPlanar(center, 3) : '未知'}
+        </div>
+      </div>
+    `;
+  }
+});
+
+export default EntityTypeRegistry;
\ No newline at end of file
@@ -0,0 +1,123 @@
+/**
+ * 选择集模型
+ * 编辑器级别的当前选择（实体ID集合，保持选择顺序），由地图点击、列表点击和Select命令修改，
+ * Delete、EditPoint等命令在没有指定目标时作用于选择集（先选择后操作）
+ * 选择集不属于文档，修改不进入撤销历史
+ */
+class SelectionModel {
+  constructor() {
+    this.ids = [];
+    this.listeners = []; // 选择变化监听器 (ids, changes) => void
+  }
+
+  /**
+   * 添加监听器
+   * @param {Function} listener 监听函数 (ids, { added, removed }) => void
+   */
+  addListener(listener) {
+    this.listeners.push(listener);
+  }
+
+  /**
+   * 移除监听器
+   * @param {Function} listener 监听函数
+   */
+  removeListener(listener) {
+    this.listeners = this.listeners.filter(item => item !== listener);
+  }
+
+  /**
+   * 获取选中的实体ID
+   * @returns {Array} 实体ID数组（副本，按选择顺序）
+   */
+  getIds() {
+    return [...this.ids];
+  }
+
+  /**
+   * 是否选中了实体
+   * @param {string} id 实体ID
+   * @returns {boolean} 是否选中
+   */
+  has(id) {
+    return this.ids.includes(id);
+  }
+
+  /**
+   * 选中实体的数量
+   * @returns {number} 数量
+   */
+  size() {
+    return this.ids.length;
+  }
+
+  /**
+   * 替换整个选择集
+   * @param {Array} ids 实体ID数组
+   */
+  set(ids) {
+    this.update([...new Set(ids)]);
+  }
+
+  /**
+   * 向选择集追加实体
+   * @param {Array} ids 实体ID数组
+   */
+  add(ids) {
+    this.update([...new Set([...this.ids, ...ids])]);
+  }
+
+  /**
+   * 从选择集移除实体
+   * @param {Array} ids 实体ID数组
+   */
+  remove(ids) {
+    const removed = new Set(ids);
+    this.update(this.ids.filter(id => !removed.has(id)));
+  }
+
+  /**
+   * 切换实体的选中状态
+   * @param {string} id 实体ID
+   */
+  toggle(id) {
+    if (this.has(id)) {
+      this.remove([id]);
+    } else {
+      this.add([id]);
+    }
+  }
+
+  /**
+   * 清空选择集
+   */
+  clear() {
+    this.update([]);
+  }
+
+  /**
+   * 只保留仍然存在的实体（文档重新加载或删除实体后调用）
+   * @param {Function} exists 判断实体是否存在的函数 (id) => boolean
+   */
+  prune(exists) {
+    this.update(this.ids.filter(id => exists(id)));
+  }
+
+  /**
+   * 更新选择集并通知监听器（没有变化时不通知）
+   * @param {Array} newIds 新的实体ID数组
+   */
+  update(newIds) {
+    const added = newIds.filter(id => !this.ids.includes(id));
+    const removed = this.ids.filter(id => !newIds.includes(id));
+    this.ids = newIds;
+
+    if (added.length === 0 && removed.length === 0) {
+      return;
+    }
+
+    this.listeners.forEach(listener => listener(this.getIds(), { added, removed }));
+  }
+}
+
+export default SelectionModel;
\ No newline at end of file
@@ -0,0 +1,298 @@
+/**
+ * 捕捉模式（按优先级排列，容差内有多个候选时取优先级高的）
+ * endpoint: 点的位置和折线的首末顶点
+ * vertex:   折线的中间顶点和多边形的顶点
+ * midpoint: 线段中点
+ * nearest:  线段上离光标最近的点（垂足）
+ */
+const SNAP_MODES = ['endpoint', 'vertex', 'midpoint', 'nearest'];
+
+const SNAP_MODE_NAMES = {
+  endpoint: '端点',
+  vertex: '顶点',
+  midpoint: '中点',
+  nearest: '最近点'
+};
+
+/**
+ * 栅格单位：degree 经纬度栅格（原点为0,0），meter 米制栅格（按栅格原点的纬度换算为经纬度间隔）
+ */
+const GRID_UNITS = ['degree', 'meter'];
+
+const METERS_PER_DEGREE = Math.PI / 180 * 6378137; // WGS84赤道上1度经度（及近似1度纬度）的长度
+
+/**
+ * 对象捕捉和绘图辅助设置
+ * 编辑器级别的状态（不属于文档，修改不进入撤销历史），
+ * MapView在地图拾取和onMapClick回调之间按这些设置处理点击位置：
+ * 对象捕捉到已有要素优先，否则依次应用栅格捕捉和正交/极轴追踪（相对于上一个顶点）
+ */
+class SnapSettings {
+  static MODES = SNAP_MODES;
+  static MODE_NAMES = SNAP_MODE_NAMES;
+  static GRID_UNITS = GRID_UNITS;
+
+  constructor() {
+    this.enabled = true;
+    this.modes = new Set(SNAP_MODES);
+    this.tolerance = 10; // 捕捉容差（像素）
+    this.ortho = false; // 正交：线段限制为南北或东西方向
+    this.polar = false; // 极轴追踪：线段方位角限制为增量的整数倍
+    this.polarIncrement = 15; // 极轴增量（度）
+    this.grid = false; // 栅格捕捉（同时在地图上显示栅格线）
+    this.gridSpacing = 1; // 栅格间距
+    this.gridUnit = 'degree';
+    this.gridOrigin = { lon: 0, lat: 0 }; // 栅格原点，米制栅格按原点纬度换算经度间隔
+    this.listeners = []; // 设置变化监听器 (settings) => void
+  }
+
+  /**
+   * 添加监听器
+   * @param {Function} listener 监听函数 (settings) => void
+   */
+  addListener(listener) {
+    this.listeners.push(listener);
+  }
+
+  /**
+   * 移除监听器
+   * @param {Function} listener 监听函数
+   */
+  removeListener(listener) {
+    this.listeners = this.listeners.filter(item => item !== listener);
+  }
+
+  /**
+   * 解析捕捉模式名称（支持英文名、缩写和中文名）
+   * @param {string} name 名称，如 endpoint、end、中点
+   * @returns {string|null} 捕捉模式，无法识别时返回null
+   */
+  static parseMode(name) {
+    const value = String(name).trim().toLowerCase();
+    if (!value) return null;
+    return SNAP_MODES.find(mode =>
+      (value.length >= 3 && mode.startsWith(value)) || SNAP_MODE_NAMES[mode] === value
+    ) || null;
+  }
+
+  /**
+   * 捕捉模式是否生效（总开关打开且该模式已启用）
+   * @param {string} mode 捕捉模式
+   * @returns {boolean} 是否生效
+   */
+  isModeActive(mode) {
+    return this.enabled && this.modes.has(mode);
+  }
+
+  /**
+   * 已启用的捕捉模式（按优先级排列）
+   * @returns {Array} 捕捉模式数组
+   */
+  getModes() {
+    return SNAP_MODES.filter(mode => this.modes.has(mode));
+  }
+
+  /**
+   * 打开或关闭对象捕捉
+   * @param {boolean} enabled 是否打开
+   */
+  setEnabled(enabled) {
+    if (this.enabled === !!enabled) return;
+    this.enabled = !!enabled;
+    this.notifyListeners();
+  }
+
+  /**
+   * 切换对象捕捉总开关
+   * @returns {boolean} 切换后的状态
+   */
+  toggleEnabled() {
+    this.setEnabled(!this.enabled);
+    return this.enabled;
+  }
+
+  /**
+   * 启用或停用某个捕捉模式
+   * @param {string} mode 捕捉模式
+   * @param {boolean} active 是否启用
+   */
+  setMode(mode, active) {
+    if (!SNAP_MODES.includes(mode)) {
+      throw new Error(`未知的捕捉模式: ${mode}`);
+    }
+    if (this.modes.has(mode) === !!active) return;
+
+    if (active) {
+      this.modes.add(mode);
+    } else {
+      this.modes.delete(mode);
+    }
+    this.notifyListeners();
+  }
+
+  /**
+   * 切换某个捕捉模式
+   * @param {string} mode 捕捉模式
+   * @returns {boolean} 切换后是否启用
+   */
+  toggleMode(mode) {
+    this.setMode(mode, !this.modes.has(mode));
+    return this.modes.has(mode);
+  }
+
+  /**
+   * 一次设置所有捕捉模式
+   * @param {Array} modes 要启用的捕捉模式
+   */
+  setModes(modes) {
+    this.modes = new Set(SNAP_MODES.filter(mode => modes.includes(mode)));
+    this.notifyListeners();
+  }
+
+  /**
+   * 设置捕捉容差
+   * @param {number} pixels 容差（像素，1-50）
+   */
+  setTolerance(pixels) {
+    const value = Number(pixels);
+    if (!Number.isFinite(value) || value < 1 || value > 50) {
+      throw new Error('捕捉容差必须是1到50之间的像素值');
+    }
+    this.tolerance = value;
+    this.notifyListeners();
+  }
+
+  /**
+   * 打开或关闭正交（与极轴追踪互斥）
+   * @param {boolean} enabled 是否打开
+   */
+  setOrtho(enabled) {
+    this.ortho = !!enabled;
+    if (this.ortho) this.polar = false;
+    this.notifyListeners();
+  }
+
+  /**
+   * 打开或关闭极轴追踪（与正交互斥）
+   * @param {boolean} enabled 是否打开
+   */
+  setPolar(enabled) {
+    this.polar = !!enabled;
+    if (this.polar) this.ortho = false;
+    this.notifyListeners();
+  }
+
+  /**
+   * 设置极轴增量
+   * @param {number} degrees 增量（度，大于0且能整除360）
+   */
+  setPolarIncrement(degrees) {
+    const value = Number(degrees);
+    if (!Number.isFinite(value) || value <= 0 || value > 180 || Math.abs(360 / value - Math.round(360 / value)) > 1e-9) {
+      throw new Error('极轴增量必须能整除360°，如 5、15、30、45、90');
+    }
+    this.polarIncrement = value;
+    this.notifyListeners();
+  }
+
+  /**
+   * 打开或关闭栅格捕捉
+   * @param {boolean} enabled 是否打开
+   */
+  setGrid(enabled) {
+    this.grid = !!enabled;
+    this.notifyListeners();
+  }
+
+  /**
+   * 设置栅格间距和单位
+   * @param {number} spacing 间距（度或米，大于0）
+   * @param {string} unit 'degree' | 'meter'，省略时保持当前单位
+   */
+  setGridSpacing(spacing, unit = this.gridUnit) {
+    const value = Number(spacing);
+    if (!Number.isFinite(value) || value <= 0) {
+      throw new Error('栅格间距必须大于0');
+    }
+    if (!GRID_UNITS.includes(unit)) {
+      throw new Error(`未知的栅格单位: ${unit}`);
+    }
+    if (unit === 'degree' && value > 90) {
+      throw new Error('经纬度栅格间距不能超过90°');
+    }
+    this.gridSpacing = value;
+    this.gridUnit = unit;
+    this.notifyListeners();
+  }
+
+  /**
+   * 设置栅格原点
+   * @param {Object} origin 原点 {lon, lat}
+   */
+  setGridOrigin(origin) {
+    if (!origin || !Number.isFinite(origin.lon) || !Number.isFinite(origin.lat) || Math.abs(origin.lat) >= 90) {
+      throw new Error('栅格原点无效');
+    }
+    this.gridOrigin = { lon: origin.lon, lat: origin.lat };
+    this.notifyListeners();
+  }
+
+  /**
+   * 栅格的经纬度间隔
+   * @returns {Object} { lon, lat, origin } 经度间隔、纬度间隔（度）和原点
+   */
+  getGridStep() {
+    if (this.gridUnit === 'degree') {
+      return { lon: this.gridSpacing, lat: this.gridSpacing, origin: { lon: 0, lat: 0 } };
+    }
+
+    const lat = this.gridSpacing / METERS_PER_DEGREE;
+    const lon = lat / Math.cos(this.gridOrigin.lat * Math.PI / 180);
+    return { lon, lat, origin: this.gridOrigin };
+  }
+
+  /**
+   * 栅格间距的说明文本
+   * @returns {string} 如 "0.5°" 或 "100 m"
+   */
+  formatGridSpacing() {
+    return this.gridUnit === 'degree' ? `${this.gridSpacing}°` : `${this.gridSpacing} m`;
+  }
+
+  /**
+   * 正交和极轴追踪的说明文本
+   * @returns {string} 说明
+   */
+  describeTracking() {
+    return `正交: ${this.ortho ? '开' : '关'}，极轴追踪: ${this.polar ? '开' : '关'} (增量 ${this.polarIncrement}°)`;
+  }
+
+  /**
+   * 栅格捕捉的说明文本
+   * @returns {string} 说明
+   */
+  describeGrid() {
+    const origin = this.gridUnit === 'meter' ?
+      `，原点 ${this.gridOrigin.lon.toFixed(6)},${this.gridOrigin.lat.toFixed(6)}` : '';
+    return `栅格捕捉: ${this.grid ? '开' : '关'}，间距 ${this.formatGridSpacing()}${origin}`;
+  }
+
+  /**
+   * 当前设置的说明文本
+   * @returns {string} 说明
+   */
+  describe() {
+    const modes = this.getModes().map(mode => SNAP_MODE_NAMES[mode]);
+    return `对象捕捉: ${this.enabled ? '开' : '关'}，` +
+      `模式: ${modes.length > 0 ? modes.join('、') : '无'}，容差 ${this.tolerance} 像素`;
+  }
+
+  /**
+   * 通知所有监听器设置已变化
+   */
+  notifyListeners() {
+    this.listeners.forEach(listener => listener(this));
+  }
+}
+
+export default SnapSettings;
\ No newline at end of file
@@ -1,3 +1,5 @@
+import EntityTypeRegistry from '../models/EntityTypeRegistry.js';
+
 /**
  * 紧凑ID工具类
  * 专门用于生成简洁且唯一的ID (格式: PT_2Kx9mP3A)
@@ -7,21 +9,40 @@ class CompactIdUtils {
   // 用于Base62编码的字符集（避免易混淆的字符0,1,O,I,l）
   static CHARSET = '23456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnpqrstuvwxyz';
 
+  // 🔧 同一毫秒内已生成的ID，批量导入时避免随机部分撞车
+  static lastTimestamp = 0;
+  static issuedIds = new Set();
+
   /**
    * 生成紧凑ID
-   * @param {string} prefix 前缀 ('PT' 表示点, 'PL' 表示线)
+   * @param {string} prefix 前缀 ('PT' 表示点, 'PL' 表示线, 'PG' 表示面)
    * @returns {string} 格式: PT_2Kx9mP3A (约11个字符)
    */
   static generateCompactId(prefix = 'PT') {
-    const timestamp = Date.now();
-    
-    // 将时间戳编码为Base62格式，取最后6位
-    const encodedTime = this.encodeBase62(timestamp).slice(-6);
-    
-    // 生成2位随机字符
-    const random = this.generateRandomString(2);
-    
-    return `${prefix}_${encodedTime}${random}`;
+    const maxPerTimestamp = this.CHARSET.length * this.CHARSET.length;
+
+    while (true) {
+      const timestamp = Date.now();
+      if (timestamp !== this.lastTimestamp) {
+        this.lastTimestamp = timestamp;
+        this.issuedIds.clear();
+      }
+
+      // 当前毫秒内的组合已用尽，等待下一毫秒
+      if (this.issuedIds.size >= maxPerTimestamp) continue;
+
+      // 将时间戳编码为Base62格式，取最后6位
+      const encodedTime = this.encodeBase62(timestamp).slice(-6);
+
+      // 生成2位随机字符
+      const random = this.generateRandomString(2);
+
+      const id = `${prefix}_${encodedTime}${random}`;
+      if (!this.issuedIds.has(id)) {
+        this.issuedIds.add(id);
+        return id;
+      }
+    }
   }
 
   /**
@@ -40,6 +61,14 @@ class CompactIdUtils {
     return this.generateCompactId('PL');
   }
 
+  /**
+   * 生成多边形ID
+   * @returns {string} 多边形ID，格式: PG_2Kx9mP3A
+   */
+  static generatePolygonId() {
+    return this.generateCompactId('PG');
+  }
+
   /**
    * Base62编码（数字转换为短字符串）
    * @param {number} num 要编码的数字
@@ -75,7 +104,7 @@ class CompactIdUtils {
   /**
    * 验证ID格式是否正确
    * @param {string} id 要验证的ID
-   * @param {string} expectedPrefix 期望的前缀 ('PT' 或 'PL')
+   * @param {string} expectedPrefix 期望的前缀（实体类型注册表中的任一前缀，如 'PT'）
    * @returns {boolean} 是否为有效的紧凑ID
    */
   static isValidCompactId(id, expectedPrefix = null) {
@@ -89,7 +118,7 @@ class CompactIdUtils {
     
     // 检查前缀
     if (expectedPrefix && prefix !== expectedPrefix) return false;
-    if (!['PT', 'PL'].includes(prefix)) return false;
+    if (!EntityTypeRegistry.getPrefixes().includes(prefix)) return false;
     
     // 检查内容长度（应该是8个字符：6位时间戳 + 2位随机）
     if (content.length !== 8) return false;
@@ -105,7 +134,7 @@ class CompactIdUtils {
   /**
    * 从ID中提取前缀
    * @param {string} id 完整ID
-   * @returns {string|null} 前缀 ('PT' 或 'PL')
+   * @returns {string|null} 前缀 ('PT'、'PL' 或 'PG')
    */
   static extractPrefix(id) {
     if (!id) return null;
@@ -0,0 +1,239 @@
+import GeometryUtils from './GeometryUtils.js';
+
+/**
+ * 列名识别规则（小写比较）
+ */
+const COLUMN_ALIASES = {
+  lon: ['lon', 'lng', 'long', 'longitude', 'x', '经度'],
+  lat: ['lat', 'latitude', 'y', '纬度'],
+  height: ['height', 'h', 'alt', 'altitude', 'elevation', 'ele', 'z', '高度', '高程'],
+  name: ['name', 'title', 'label', '名称', '名字', '点名'],
+  seq: ['seq', 'sequence', 'order', 'index', 'no', '序号', '顺序']
+};
+
+/**
+ * CSV工具类
+ * 负责解析CSV/TSV表格，并按列映射转换为点记录
+ *
+ * 列映射格式: { lon, lat, height, name, seq }，值为从0开始的列序号，未映射为null
+ */
+class CsvUtils {
+  /**
+   * 可映射的字段
+   */
+  static FIELDS = ['lon', 'lat', 'height', 'name', 'seq'];
+
+  /**
+   * 检测分隔符（根据第一行中制表符、逗号、分号的数量）
+   * @param {string} text 表格文本
+   * @returns {string} 分隔符
+   */
+  static detectDelimiter(text) {
+    const firstLine = text.split(/\r?\n/).find(line => line.trim() !== '') || '';
+    const candidates = ['\t', ',', ';'];
+    const counts = candidates.map(delimiter => firstLine.split(delimiter).length - 1);
+    const best = counts.indexOf(Math.max(...counts));
+    return counts[best] > 0 ? candidates[best] : ',';
+  }
+
+  /**
+   * 解析分隔文本为行数组（支持双引号转义）
+   * @param {string} text 表格文本
+   * @param {string} delimiter 分隔符
+   * @returns {Array} 行数组 [{ line, cells }]，line为文件中的行号（从1开始），跳过空行
+   */
+  static parseRows(text, delimiter) {
+    const rows = [];
+    let cells = [];
+    let cell = '';
+    let inQuotes = false;
+    let line = 1;
+    let rowLine = 1;
+
+    const pushRow = () => {
+      cells.push(cell);
+      if (cells.some(value => value.trim() !== '')) {
+        rows.push({ line: rowLine, cells: cells.map(value => value.trim()) });
+      }
+      cells = [];
+      cell = '';
+    };
+
+    const source = text.replace(/^\uFEFF/, '');
+    for (let i = 0; i < source.length; i++) {
+      const char = source[i];
+
+      if (inQuotes) {
+        if (char === '"' && source[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          if (char === '\n') line++;
+          cell += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === delimiter) {
+        cells.push(cell);
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && source[i + 1] === '\n') i++;
+        pushRow();
+        line++;
+        rowLine = line;
+      } else {
+        cell += char;
+      }
+    }
+    pushRow();
+
+    return rows;
+  }
+
+  /**
+   * 解析CSV/TSV表格
+   * 第一行全部不是数字时视为表头，否则自动命名为 列1、列2...
+   * @param {string} text 表格文本
+   * @returns {Object} { delimiter, headers, rows, hasHeader }
+   */
+  static parseTable(text) {
+    if (!text || text.trim() === '') {
+      throw new Error('表格内容为空');
+    }
+
+    const delimiter = this.detectDelimiter(text);
+    const rows = this.parseRows(text, delimiter);
+    if (rows.length === 0) {
+      throw new Error('表格内容为空');
+    }
+
+    const hasHeader = rows[0].cells.every(value => value === '' || isNaN(Number(value)));
+    const columnCount = Math.max(...rows.map(row => row.cells.length));
+    const headers = hasHeader
+      ? Array.from({ length: columnCount }, (_, index) => rows[0].cells[index] || `列${index + 1}`)
+      : Array.from({ length: columnCount }, (_, index) => `列${index + 1}`);
+
+    return {
+      delimiter,
+      headers,
+      rows: hasHeader ? rows.slice(1) : rows,
+      hasHeader
+    };
+  }
+
+  /**
+   * 根据表头猜测列映射
+   * 没有表头时按 经度, 纬度, 高度 的列顺序映射
+   * @param {Array} headers 表头
+   * @param {boolean} hasHeader 是否有表头
+   * @returns {Object} 列映射 { lon, lat, height, name, seq }
+   */
+  static guessMapping(headers, hasHeader) {
+    const mapping = { lon: null, lat: null, height: null, name: null, seq: null };
+
+    if (!hasHeader) {
+      mapping.lon = headers.length > 0 ? 0 : null;
+      mapping.lat = headers.length > 1 ? 1 : null;
+      mapping.height = headers.length > 2 ? 2 : null;
+      return mapping;
+    }
+
+    this.FIELDS.forEach(field => {
+      const index = headers.findIndex(header => COLUMN_ALIASES[field].includes(header.trim().toLowerCase()));
+      mapping[field] = index >= 0 ? index : null;
+    });
+
+    return mapping;
+  }
+
+  /**
+   * 查找列：支持从1开始的列序号或列名（不区分大小写）
+   * @param {Array} headers 表头
+   * @param {string} value 列序号或列名
+   * @returns {number} 从0开始的列序号，未找到时返回-1
+   */
+  static findColumn(headers, value) {
+    const text = (value || '').trim();
+    if (/^\d+$/.test(text)) {
+      const index = parseInt(text, 10) - 1;
+      return index >= 0 && index < headers.length ? index : -1;
+    }
+    return headers.findIndex(header => header.toLowerCase() === text.toLowerCase());
+  }
+
+  /**
+   * 按列映射将表格行转换为点记录
+   * 坐标由 GeometryUtils.getCoordinateError 校验，被拒绝的行记录原因
+   * @param {Object} table parseTable 的结果
+   * @param {Object} mapping 列映射
+   * @returns {Object} { points, rejected }：点记录 [{ line, coord, name, seq, properties }] 和被拒绝的行 [{ line, reason }]
+   */
+  static toPointRecords(table, mapping) {
+    const points = [];
+    const rejected = [];
+
+    table.rows.forEach(row => {
+      const cell = index => (index === null || index === undefined ? '' : (row.cells[index] || ''));
+
+      const parseNumber = (index, label) => {
+        const value = cell(index);
+        if (value === '') throw new Error(`${label}为空`);
+        const number = Number(value);
+        if (isNaN(number)) throw new Error(`${label}不是数字: "${value}"`);
+        return number;
+      };
+
+      try {
+        const coord = {
+          lon: parseNumber(mapping.lon, '经度'),
+          lat: parseNumber(mapping.lat, '纬度'),
+          height: mapping.height === null || cell(mapping.height) === '' ? 0 : parseNumber(mapping.height, '高度')
+        };
+
+        const error = GeometryUtils.getCoordinateError(coord);
+        if (error) throw new Error(error);
+
+        // 未映射的列保存为属性
+        const mappedColumns = this.FIELDS.map(field => mapping[field]).filter(index => index !== null);
+        const properties = {};
+        table.headers.forEach((header, index) => {
+          if (!mappedColumns.includes(index) && cell(index) !== '') {
+            properties[header] = cell(index);
+          }
+        });
+
+        points.push({
+          line: row.line,
+          coord,
+          name: mapping.name === null ? null : cell(mapping.name) || null,
+          seq: mapping.seq === null ? null : cell(mapping.seq),
+          properties
+        });
+      } catch (error) {
+        rejected.push({ line: row.line, reason: error.message });
+      }
+    });
+
+    return { points, rejected };
+  }
+
+  /**
+   * 按序号列排序点记录（数字按数值比较，否则按文本比较）
+   * @param {Array} points 点记录
+   * @returns {Array} 排序后的新数组
+   */
+  static sortBySequence(points) {
+    return [...points].sort((a, b) => {
+      const numberA = Number(a.seq);
+      const numberB = Number(b.seq);
+      if (a.seq !== '' && b.seq !== '' && !isNaN(numberA) && !isNaN(numberB)) {
+        return numberA - numberB;
+      }
+      return String(a.seq).localeCompare(String(b.seq));
+    });
+  }
+}
+
+export default CsvUtils;
\ No newline at end of file
@@ -0,0 +1,43 @@
+/**
+ * CZML文件工具类
+ * 负责解析和校验从文件读取的CZML文本
+ */
+class CzmlFileUtils {
+  /**
+   * 解析CZML文本
+   * 支持数据包数组，也支持单个数据包对象
+   * @param {string} text CZML/JSON文本
+   * @returns {Array} CZML数据包数组
+   */
+  static parse(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`JSON格式错误: ${error.message}`);
+    }
+
+    const packets = Array.isArray(data) ? data : [data];
+    if (packets.length === 0) {
+      throw new Error('CZML数据为空');
+    }
+
+    packets.forEach((packet, index) => {
+      if (!packet || typeof packet !== 'object' || Array.isArray(packet)) {
+        throw new Error(`第${index + 1}个数据包不是对象`);
+      }
+      if (packet.id !== undefined && typeof packet.id !== 'string') {
+        throw new Error(`第${index + 1}个数据包的id必须是字符串`);
+      }
+    });
+
+    const documentIndex = packets.findIndex(packet => packet.id === 'document');
+    if (documentIndex > 0) {
+      throw new Error('document包必须是第一个数据包');
+    }
+
+    return packets;
+  }
+}
+
+export default CzmlFileUtils;
\ No newline at end of file
@@ -0,0 +1,105 @@
+/**
+ * 文件工具类
+ * 提供浏览器端的文件选择、读取和下载功能
+ */
+class FileUtils {
+  /**
+   * 获取文件扩展名（小写，包含点号）
+   * @param {string} fileName 文件名
+   * @returns {string} 扩展名，如 '.czml'；没有扩展名时返回空字符串
+   */
+  static getExtension(fileName) {
+    if (!fileName || typeof fileName !== 'string') return '';
+
+    const dotIndex = fileName.lastIndexOf('.');
+    return dotIndex >= 0 ? fileName.slice(dotIndex).toLowerCase() : '';
+  }
+
+  /**
+   * 以文本方式读取文件
+   * @param {File|Blob} file 文件对象
+   * @returns {Promise<string>} 文件内容
+   */
+  static readAsText(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(new Error(`读取文件失败: ${file.name || '未知文件'}`));
+      reader.readAsText(file);
+    });
+  }
+
+  /**
+   * 以二进制方式读取文件
+   * @param {File|Blob} file 文件对象
+   * @returns {Promise<ArrayBuffer>} 文件内容
+   */
+  static readAsArrayBuffer(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(new Error(`读取文件失败: ${file.name || '未知文件'}`));
+      reader.readAsArrayBuffer(file);
+    });
+  }
+
+  /**
+   * 打开系统文件选择对话框
+   * 必须在用户操作（点击、按键）的事件处理中调用
+   * @param {Object} options 选项
+   * @param {string} options.accept 接受的文件类型 (如 '.czml,.json')
+   * @param {boolean} options.multiple 是否允许多选
+   * @returns {Promise<Array<File>>} 选中的文件，用户取消时为空数组
+   */
+  static pickFiles(options = {}) {
+    return new Promise((resolve) => {
+      const input = document.createElement('input');
+      input.type = 'file';
+      input.accept = options.accept || '';
+      input.multiple = !!options.multiple;
+      input.style.display = 'none';
+
+      const cleanup = () => {
+        if (input.parentNode) {
+          input.parentNode.removeChild(input);
+        }
+      };
+
+      input.addEventListener('change', () => {
+        const files = Array.from(input.files || []);
+        cleanup();
+        resolve(files);
+      });
+
+      input.addEventListener('cancel', () => {
+        cleanup();
+        resolve([]);
+      });
+
+      document.body.appendChild(input);
+      input.click();
+    });
+  }
+
+  /**
+   * 将内容作为文件下载
+   * @param {string|Blob} content 文件内容
+   * @param {string} fileName 文件名
+   * @param {string} mimeType MIME类型
+   */
+  static download(content, fileName, mimeType = 'application/octet-stream') {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+
+    URL.revokeObjectURL(url);
+  }
+}
+
+export default FileUtils;
\ No newline at end of file
@@ -0,0 +1,291 @@
+import EntityTypeRegistry from '../models/EntityTypeRegistry.js';
+import GeometryUtils from './GeometryUtils.js';
+
+/**
+ * GeoJSON几何类型
+ */
+const GEOJSON_GEOMETRY_TYPES = [
+  'Point', 'MultiPoint',
+  'LineString', 'MultiLineString',
+  'Polygon', 'MultiPolygon',
+  'GeometryCollection'
+];
+
+/**
+ * GeoJSON工具类
+ * 负责GeoJSON与编辑器几何记录、CZML文档之间的转换
+ *
+ * 几何记录格式（供CzmlModel.createGeometryPacket使用）:
+ * { type: 'point'|'polyline'|'polygon', coordinates, holes, name, properties }
+ */
+class GeoJsonUtils {
+  /**
+   * 判断数据是否为GeoJSON对象
+   * @param {*} data 解析后的JSON数据
+   * @returns {boolean} 是否为GeoJSON
+   */
+  static isGeoJson(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) return false;
+    return data.type === 'FeatureCollection' ||
+      data.type === 'Feature' ||
+      GEOJSON_GEOMETRY_TYPES.includes(data.type);
+  }
+
+  /**
+   * 解析GeoJSON文本
+   * @param {string} text GeoJSON文本
+   * @returns {Object} { records, skipped }：几何记录数组和被跳过的要素说明
+   */
+  static parse(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`JSON格式错误: ${error.message}`);
+    }
+
+    if (!this.isGeoJson(data)) {
+      throw new Error('不是有效的GeoJSON (缺少 FeatureCollection、Feature 或几何类型)');
+    }
+
+    return this.toRecords(data);
+  }
+
+  /**
+   * 将GeoJSON对象转换为几何记录
+   * Multi*几何拆分为多个实体，缺少高度时默认为0
+   * @param {Object} geojson FeatureCollection、Feature 或 Geometry
+   * @returns {Object} { records, skipped }
+   */
+  static toRecords(geojson) {
+    const records = [];
+    const skipped = [];
+
+    let features;
+    if (geojson.type === 'FeatureCollection') {
+      features = Array.isArray(geojson.features) ? geojson.features : [];
+    } else if (geojson.type === 'Feature') {
+      features = [geojson];
+    } else {
+      features = [{ type: 'Feature', geometry: geojson, properties: {} }];
+    }
+
+    features.forEach((feature, index) => {
+      const label = `要素${index + 1}`;
+
+      if (!feature || feature.type !== 'Feature') {
+        skipped.push(`${label}: 不是Feature`);
+        return;
+      }
+      if (!feature.geometry) {
+        skipped.push(`${label}: 没有几何`);
+        return;
+      }
+
+      const properties = feature.properties && typeof feature.properties === 'object' ? feature.properties : {};
+      const name = typeof properties.name === 'string' && properties.name ? properties.name : null;
+
+      try {
+        this.geometryToRecords(feature.geometry).forEach(record => {
+          records.push({ ...record, name, properties: { ...properties } });
+        });
+      } catch (error) {
+        skipped.push(`${label}: ${error.message}`);
+      }
+    });
+
+    return { records, skipped };
+  }
+
+  /**
+   * 将单个GeoJSON几何转换为几何记录（不含属性）
+   * @param {Object} geometry GeoJSON几何
+   * @returns {Array} 几何记录数组
+   */
+  static geometryToRecords(geometry) {
+    const { type, coordinates } = geometry;
+
+    switch (type) {
+      case 'Point':
+        return [{ type: 'point', coordinates: [this.toCoordinate(coordinates)] }];
+
+      case 'MultiPoint':
+        return coordinates.map(position => ({ type: 'point', coordinates: [this.toCoordinate(position)] }));
+
+      case 'LineString':
+        return [{ type: 'polyline', coordinates: this.toLine(coordinates) }];
+
+      case 'MultiLineString':
+        return coordinates.map(line => ({ type: 'polyline', coordinates: this.toLine(line) }));
+
+      case 'Polygon':
+        return [this.toPolygonRecord(coordinates)];
+
+      case 'MultiPolygon':
+        return coordinates.map(rings => this.toPolygonRecord(rings));
+
+      case 'GeometryCollection':
+        return (geometry.geometries || []).flatMap(item => this.geometryToRecords(item));
+
+      default:
+        throw new Error(`不支持的几何类型: ${type}`);
+    }
+  }
+
+  /**
+   * 将GeoJSON位置 [lon, lat, height?] 转换为坐标对象
+   * @param {Array} position GeoJSON位置
+   * @returns {Object} 坐标 {lon, lat, height}
+   */
+  static toCoordinate(position) {
+    if (!Array.isArray(position) || position.length < 2) {
+      throw new Error('坐标格式错误');
+    }
+
+    const coord = {
+      lon: position[0],
+      lat: position[1],
+      height: position.length > 2 ? position[2] : 0
+    };
+
+    if (!GeometryUtils.validateCoordinate(coord)) {
+      throw new Error(`坐标无效: [${position.join(', ')}]`);
+    }
+
+    return coord;
+  }
+
+  /**
+   * 转换线坐标
+   * @param {Array} positions GeoJSON位置数组
+   * @returns {Array} 坐标对象数组
+   */
+  static toLine(positions) {
+    if (!Array.isArray(positions) || positions.length < 2) {
+      throw new Error('LineString至少需要2个点');
+    }
+    return positions.map(position => this.toCoordinate(position));
+  }
+
+  /**
+   * 转换多边形坐标环：第一个为外环，其余为内环
+   * 闭合点在记录中去掉，由CzmlModel重新闭合
+   * @param {Array} rings GeoJSON线性环数组
+   * @returns {Object} 多边形几何记录
+   */
+  static toPolygonRecord(rings) {
+    if (!Array.isArray(rings) || rings.length === 0) {
+      throw new Error('Polygon没有坐标环');
+    }
+
+    const [outer, ...holes] = rings.map(ring => this.toRing(ring));
+    return { type: 'polygon', coordinates: outer, holes };
+  }
+
+  /**
+   * 转换线性环，去掉与首点相同的闭合点
+   * @param {Array} positions GeoJSON位置数组
+   * @returns {Array} 坐标对象数组
+   */
+  static toRing(positions) {
+    const ring = (positions || []).map(position => this.toCoordinate(position));
+    const first = ring[0];
+    const last = ring[ring.length - 1];
+    if (ring.length > 1 && first.lon === last.lon && first.lat === last.lat && first.height === last.height) {
+      ring.pop();
+    }
+
+    if (ring.length < 3) {
+      throw new Error('Polygon的坐标环至少需要3个不同的点');
+    }
+    return ring;
+  }
+
+  /**
+   * 将CZML文档转换为GeoJSON FeatureCollection
+   * 点 → Point，线 → LineString，面 → Polygon（含内环），坐标始终带高度
+   * @param {Array} czmlDocument CZML文档
+   * @returns {Object} { geojson, exported, skipped }
+   */
+  static fromCzml(czmlDocument) {
+    const features = [];
+    const skipped = [];
+
+    czmlDocument.forEach(entity => {
+      if (entity.id === 'document') return;
+
+      const definition = EntityTypeRegistry.resolve(entity);
+      const geometry = definition ? this.createGeometry(definition.type, entity) : null;
+
+      if (!geometry) {
+        skipped.push(entity.id);
+        return;
+      }
+
+      const properties = { ...(entity.properties || {}) };
+      if (entity.name && properties.name === undefined) {
+        properties.name = entity.name;
+      }
+      if (typeof entity.description === 'string' && properties.description === undefined) {
+        properties.description = entity.description;
+      }
+
+      features.push({
+        type: 'Feature',
+        id: entity.id,
+        geometry,
+        properties
+      });
+    });
+
+    return {
+      geojson: { type: 'FeatureCollection', features },
+      exported: features.length,
+      skipped
+    };
+  }
+
+  /**
+   * 根据实体类型创建GeoJSON几何
+   * @param {string} type 实体类型 ('point'、'polyline'、'polygon')
+   * @param {Object} entity CZML实体
+   * @returns {Object|null} GeoJSON几何，无法转换时返回null
+   */
+  static createGeometry(type, entity) {
+    const coordinates = GeometryUtils.getEntityCoordinates(entity);
+    const toPosition = coord => [coord.lon, coord.lat, coord.height];
+
+    if (type === 'point' && coordinates.length === 1) {
+      return { type: 'Point', coordinates: toPosition(coordinates[0]) };
+    }
+
+    if (type === 'polyline' && coordinates.length >= 2) {
+      return { type: 'LineString', coordinates: coordinates.map(toPosition) };
+    }
+
+    if (type === 'polygon' && coordinates.length >= 3) {
+      const holes = entity.polygon.holes && Array.isArray(entity.polygon.holes.cartographicDegrees)
+        ? entity.polygon.holes.cartographicDegrees.map(hole => GeometryUtils.cartographicDegreesToCoordinates(hole))
+        : [];
+
+      const rings = [coordinates, ...holes].map(ring => this.closeRing(ring.map(toPosition)));
+      return { type: 'Polygon', coordinates: rings };
+    }
+
+    return null;
+  }
+
+  /**
+   * 闭合GeoJSON线性环（首尾位置相同）
+   * @param {Array} positions 位置数组
+   * @returns {Array} 闭合后的位置数组
+   */
+  static closeRing(positions) {
+    const first = positions[0];
+    const last = positions[positions.length - 1];
+    const isClosed = first.every((value, index) => value === last[index]);
+    return isClosed ? positions : [...positions, [...first]];
+  }
+}
+
+export default GeoJsonUtils;
\ No newline at end of file
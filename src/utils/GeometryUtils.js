@@ -1,37 +1,104 @@
+import TimeUtils from './TimeUtils.js';
+import ProjectionUtils from './ProjectionUtils.js';
+
+const WGS84_A = 6378137; // WGS84椭球长半轴（米）
+const WGS84_F = 1 / 298.257223563; // WGS84椭球扁率
+
+// 坐标文本的词法单元：数字（可带指数和度、分、秒、米单位）、半球字母、分隔符、极坐标的"<"
+const NUMBER_SOURCE = '[+-]?(?:\\d+\\.?\\d*|\\.\\d+)(?:[eE][+-]?\\d+)?';
+const COORDINATE_TOKEN_PATTERNS = [
+  { type: 'separator', pattern: /[,，;；]/y },
+  { type: 'angle', pattern: /</y },
+  { type: 'number', pattern: new RegExp(`(${NUMBER_SOURCE})\\s*(°|º|deg(?![a-z])|d(?![a-z])|''|['′’]|["″”]|m(?![a-z]))?`, 'iy') },
+  { type: 'hemisphere', pattern: /([NSEW])(?![a-z])/iy }
+];
+
+const COORDINATE_UNITS = {
+  '°': 'deg', 'º': 'deg', deg: 'deg', d: 'deg',
+  "'": 'min', '′': 'min', '’': 'min',
+  "''": 'sec', '"': 'sec', '″': 'sec', '”': 'sec',
+  m: 'm'
+};
+
+const COORDINATE_FORMAT_HINT = 'lon,lat[,height]、30°15\'20"N 120°10\'E、utm 51N 352000 3456000、51RUQ5200056000、@东,北[,高差] 或 @距离<方位角';
+
+// 坐标显示格式：degrees 经纬度，utm UTM（毫米精度），mgrs MGRS（1米精度）
+const COORDINATE_FORMATS = ['degrees', 'utm', 'mgrs'];
+const COORDINATE_FORMAT_NAMES = { degrees: '经纬度', utm: 'UTM', mgrs: 'MGRS' };
+
 /**
  * 几何工具类
  * 提供统一的坐标验证、转换和计算功能
  * 替代原来的PointModel，提供更全面的几何操作
  */
 class GeometryUtils {
+  /**
+   * CZML支持的位置插值算法
+   */
+  static INTERPOLATION_ALGORITHMS = ['LINEAR', 'LAGRANGE', 'HERMITE'];
+
+  static COORDINATE_FORMATS = COORDINATE_FORMATS;
+  static COORDINATE_FORMAT_NAMES = COORDINATE_FORMAT_NAMES;
+
+  /**
+   * 当前的坐标显示格式（编辑器级别的设置，由CoordFormat命令修改；存储始终为经纬度）
+   */
+  static coordinateFormat = 'degrees';
+
+  /**
+   * 设置坐标显示格式
+   * @param {string} format 'degrees' | 'utm' | 'mgrs'
+   */
+  static setCoordinateFormat(format) {
+    if (!COORDINATE_FORMATS.includes(format)) {
+      throw new Error(`未知的坐标显示格式: ${format}`);
+    }
+    this.coordinateFormat = format;
+  }
+
   /**
    * 验证坐标是否有效
    * @param {Object} coord 坐标对象 {lon, lat, height}
    * @returns {boolean} 是否有效
    */
   static validateCoordinate(coord) {
+    return this.getCoordinateError(coord) === null;
+  }
+
+  /**
+   * 获取坐标无效的原因
+   * @param {Object} coord 坐标对象 {lon, lat, height}
+   * @returns {string|null} 无效原因，坐标有效时返回null
+   */
+  static getCoordinateError(coord) {
     if (!coord || typeof coord !== 'object') {
-      return false;
+      return '坐标不是对象';
     }
     
     const { lon, lat, height } = coord;
     
     // 经度范围: -180 到 180
-    if (typeof lon !== 'number' || isNaN(lon) || lon < -180 || lon > 180) {
-      return false;
+    if (typeof lon !== 'number' || !Number.isFinite(lon)) {
+      return '经度不是有限数字';
+    }
+    if (lon < -180 || lon > 180) {
+      return `经度超出范围 (-180~180): ${lon}`;
     }
     
     // 纬度范围: -90 到 90
-    if (typeof lat !== 'number' || isNaN(lat) || lat < -90 || lat > 90) {
-      return false;
+    if (typeof lat !== 'number' || !Number.isFinite(lat)) {
+      return '纬度不是有限数字';
+    }
+    if (lat < -90 || lat > 90) {
+      return `纬度超出范围 (-90~90): ${lat}`;
     }
     
-    // 高度应该是数字
-    if (typeof height !== 'number' || isNaN(height)) {
-      return false;
+    // 高度应该是有限数字（Infinity序列化为JSON时会变成null）
+    if (typeof height !== 'number' || !Number.isFinite(height)) {
+      return '高度不是有限数字';
     }
     
-    return true;
+    return null;
   }
 
   /**
@@ -60,6 +127,9 @@ class GeometryUtils {
     }
     
     const { lon, lat, height } = coord;
+    if (this.coordinateFormat !== 'degrees' && ProjectionUtils.isInUtmRange(coord)) {
+      return `${COORDINATE_FORMAT_NAMES[this.coordinateFormat]}: ${this.formatPlanar(coord)}, 高度: ${height.toFixed(2)}m`;
+    }
     return `经度: ${lon.toFixed(precision)}, 纬度: ${lat.toFixed(precision)}, 高度: ${height.toFixed(2)}m`;
   }
 
@@ -74,50 +144,471 @@ class GeometryUtils {
       return '无效';
     }
     
-    const { lon, lat, height } = coord;
-    return `${lon.toFixed(precision)}, ${lat.toFixed(precision)}, ${height.toFixed(0)}m`;
+    return `${this.formatPlanar(coord, precision)}, ${coord.height.toFixed(0)}m`;
+  }
+
+  /**
+   * 按当前显示格式格式化坐标（用于命令消息），高度保留2位小数
+   * @param {Object} coord 坐标对象
+   * @returns {string} 如 "120.500000, 30.200000, 12.00m" 或 "51N 352000.000 3456000.000, 12.00m"
+   */
+  static formatPosition(coord) {
+    if (!this.validateCoordinate(coord)) {
+      return '无效坐标';
+    }
+    return `${this.formatPlanar(coord)}, ${coord.height.toFixed(2)}m`;
+  }
+
+  /**
+   * 按当前显示格式格式化水平位置（不含高度）
+   * UTM和MGRS不适用的极地坐标仍显示为经纬度
+   * @param {Object} coord 坐标对象 {lon, lat}
+   * @param {number} precision 经纬度的小数位数，默认6位
+   * @returns {string} 格式化后的位置
+   */
+  static formatPlanar(coord, precision = 6) {
+    const projected = this.coordinateFormat === 'utm' ? ProjectionUtils.formatUtm(coord) :
+      this.coordinateFormat === 'mgrs' ? ProjectionUtils.formatMgrs(coord) :
+      null;
+    return projected || `${coord.lon.toFixed(precision)}, ${coord.lat.toFixed(precision)}`;
   }
 
   /**
    * 解析坐标字符串
-   * @param {string} input 坐标字符串 "lon,lat,height"
+   * 支持的绝对坐标写法（分隔符可以是逗号、分号或空格）：
+   *   "120.5,30.2,100"、"120.5, 30.2"、"1.2e2 30"       经度,纬度[,高度]，高度可写作 100m
+   *   "30°15'20"N 120°10'E"、"N30.5 E120"、"30N,120E"    度分秒和半球字母，带半球字母时按字母区分经纬度
+   *   "utm 51N 352000 3456000 12"、"51RUQ5200056000"     UTM和MGRS（见ProjectionUtils.parseProjectedInput）
+   * 以及相对于上一个点的坐标：
+   *   "@东,北[,高差]"  东向和北向距离（米），高差省略时为0
+   *   "@距离<方位角"   距离（米）和方位角（度，正北为0°，顺时针）
+   * 相对坐标在WGS84椭球面上求解（Vincenty正解），高度为上一个点的高度加高差
+   * @param {string} input 坐标字符串
+   * @param {Object|null} lastPoint 上一个点，相对坐标需要
+   * @param {number|Function} defaultHeight 省略高度时的高度，或按经纬度取高度的函数 (lon, lat) => number
    * @returns {Object|null} 坐标对象或null
    */
-  static parseCoordinate(input) {
-    try {
-      const trimmed = input.trim();
-      
-      // 检查格式
-      if (!/^-?\d+\.?\d*,-?\d+\.?\d*,-?\d+\.?\d*$/.test(trimmed)) {
-        return null;
+  static parseCoordinate(input, lastPoint = null, defaultHeight = 0) {
+    return this.parseCoordinateInput(input, { lastPoint, defaultHeight }).coord;
+  }
+
+  /**
+   * 解析坐标字符串，失败时给出指向出错位置的原因（写法见parseCoordinate）
+   * @param {string} input 坐标字符串
+   * @param {Object} options 选项 { lastPoint, defaultHeight }
+   * @returns {Object} { coord, error }，成功时error为null，失败时coord为null
+   */
+  static parseCoordinateInput(input, options = {}) {
+    const { lastPoint = null, defaultHeight = 0 } = options;
+    const text = String(input);
+    const offset = text.length - text.trimStart().length;
+    const trimmed = text.trim();
+
+    if (!trimmed) {
+      return { coord: null, error: `坐标为空，请使用: ${COORDINATE_FORMAT_HINT}` };
+    }
+
+    if (this.isRelativeCoordinateInput(trimmed)) {
+      const tokenized = this.tokenizeCoordinate(text, offset + 1);
+      return tokenized.error ?
+        { coord: null, error: tokenized.error } :
+        this.parseRelativeTokens(text, tokenized.tokens, lastPoint);
+    }
+
+    if (ProjectionUtils.isProjectedInput(trimmed)) {
+      const projected = ProjectionUtils.parseProjectedInput(text);
+      if (projected.error) {
+        return { coord: null, error: projected.error };
       }
-      
-      const parts = trimmed.split(',').map(s => parseFloat(s.trim()));
-      
-      if (parts.length === 3 && parts.every(p => !isNaN(p))) {
-        const coord = {
-          lon: parts[0],
-          lat: parts[1],
-          height: parts[2]
-        };
-        
-        // 验证解析后的坐标
-        return this.validateCoordinate(coord) ? coord : null;
+      const { lon, lat } = projected.coord;
+      const height = projected.height !== null ? projected.height : this.resolveDefaultHeight(defaultHeight, lon, lat);
+      return { coord: { lon, lat, height }, error: null };
+    }
+
+    const tokenized = this.tokenizeCoordinate(text, offset);
+    return tokenized.error ?
+      { coord: null, error: tokenized.error } :
+      this.parseAbsoluteTokens(text, tokenized.tokens, defaultHeight);
+  }
+
+  /**
+   * 省略高度时使用的高度
+   * @param {number|Function} defaultHeight 高度，或按经纬度取高度的函数 (lon, lat) => number
+   * @param {number} lon 经度
+   * @param {number} lat 纬度
+   * @returns {number} 高度，无效时为0
+   */
+  static resolveDefaultHeight(defaultHeight, lon, lat) {
+    const height = typeof defaultHeight === 'function' ? defaultHeight(lon, lat) : defaultHeight;
+    return Number.isFinite(height) ? height : 0;
+  }
+
+  /**
+   * 将坐标文本切分为词法单元
+   * @param {string} text 坐标文本
+   * @param {number} start 开始位置
+   * @returns {Object} { tokens } 或 { error }
+   *   token: { type, text, start, end, value, unit, gapBefore }
+   */
+  static tokenizeCoordinate(text, start = 0) {
+    const tokens = [];
+    let index = start;
+    let gapBefore = false;
+
+    while (index < text.length) {
+      if (/\s/.test(text[index])) {
+        gapBefore = true;
+        index++;
+        continue;
       }
-    } catch (error) {
-      console.error('坐标解析失败:', error);
+
+      let token = null;
+      for (const { type, pattern } of COORDINATE_TOKEN_PATTERNS) {
+        pattern.lastIndex = index;
+        const match = pattern.exec(text);
+        if (!match) continue;
+
+        token = { type, text: match[0], start: index, end: index + match[0].length, gapBefore };
+        if (type === 'number') {
+          token.value = parseFloat(match[1]);
+          if (!Number.isFinite(token.value)) {
+            return { error: `数值超出范围 "${match[0]}"（第${index + 1}个字符）` };
+          }
+          token.unit = match[2] ? COORDINATE_UNITS[match[2].toLowerCase()] : null;
+        } else if (type === 'hemisphere') {
+          token.value = match[1].toUpperCase();
+        }
+        break;
+      }
+
+      if (!token) {
+        const bad = text.slice(index).match(/^[^\s,，;；]+/)[0];
+        return { error: `无法识别 "${bad}"（第${index + 1}个字符）\n可用写法: ${COORDINATE_FORMAT_HINT}` };
+      }
+
+      tokens.push(token);
+      index = token.end;
+      gapBefore = false;
     }
-    
-    return null;
+
+    return { tokens };
   }
 
   /**
-   * 检查输入是否为坐标格式
+   * 将词法单元分组为坐标分量（每个分量为 [半球] 度 [分] [秒] [半球] 或带单位的数值）
+   * @param {string} text 坐标文本（用于错误提示）
+   * @param {Array} tokens 词法单元
+   * @returns {Object} { components } 或 { error }
+   *   component: { degrees, minutes, seconds, hemisphere, tokens }
+   */
+  static groupCoordinateComponents(text, tokens) {
+    const components = [];
+    const at = token => `"${token.text}"（第${token.start + 1}个字符）`;
+    const create = () => ({ degrees: null, minutes: null, seconds: null, hemisphere: null, tokens: [] });
+    let current = create();
+
+    for (let index = 0; index < tokens.length; index++) {
+      const token = tokens[index];
+
+      if (token.type === 'separator') {
+        if (current.tokens.length === 0) {
+          return { error: `分隔符 ${at(token)} 前面缺少数值` };
+        }
+        if (!current.degrees) {
+          return { error: `半球 ${at(current.hemisphere)} 后面缺少数值` };
+        }
+        components.push(current);
+        current = create();
+        if (index === tokens.length - 1) {
+          return { error: `分隔符 ${at(token)} 后面缺少数值` };
+        }
+        continue;
+      }
+
+      if (token.type === 'angle') {
+        return { error: `${at(token)} 只能用于相对极坐标 @距离<方位角` };
+      }
+
+      if (token.type === 'hemisphere') {
+        const next = tokens[index + 1];
+        const previous = tokens[index - 1];
+        const attachedToPrevious = !token.gapBefore && previous && previous.type === 'number';
+        const attachedToNext = next && next.type === 'number' && !next.gapBefore;
+
+        if (current.degrees && !current.hemisphere && (attachedToPrevious || !attachedToNext)) {
+          current.hemisphere = token;
+          current.tokens.push(token);
+          continue;
+        }
+        if (current.hemisphere && !current.degrees) {
+          return { error: `半球 ${at(token)} 重复` };
+        }
+        if (current.degrees) {
+          components.push(current);
+          current = create();
+        }
+        current.hemisphere = token;
+        current.tokens.push(token);
+        continue;
+      }
+
+      if (token.unit === 'min') {
+        if (!current.degrees || current.degrees.unit !== 'deg' || current.minutes || current.seconds ||
+          current.tokens[current.tokens.length - 1].type === 'hemisphere') {
+          return { error: `分 ${at(token)} 前面缺少度数（如 30°15'）` };
+        }
+        current.minutes = token;
+      } else if (token.unit === 'sec') {
+        if (!current.degrees || current.degrees.unit !== 'deg' || current.seconds ||
+          current.tokens[current.tokens.length - 1].type === 'hemisphere') {
+          return { error: `秒 ${at(token)} 前面缺少度数（如 30°15'20"）` };
+        }
+        current.seconds = token;
+      } else {
+        if (current.degrees) {
+          components.push(current);
+          current = create();
+        }
+        current.degrees = token;
+      }
+      current.tokens.push(token);
+    }
+
+    if (current.tokens.length > 0) {
+      if (!current.degrees) {
+        return { error: `半球 ${at(current.hemisphere)} 后面缺少数值` };
+      }
+      components.push(current);
+    }
+
+    components.forEach(component => {
+      const first = component.tokens[0];
+      const last = component.tokens[component.tokens.length - 1];
+      component.start = first.start;
+      component.text = text.slice(first.start, last.end);
+    });
+    return { components };
+  }
+
+  /**
+   * 计算坐标分量的数值（度分秒换算为度，S和W为负）
+   * @param {Object} component 坐标分量
+   * @returns {Object} { value } 或 { error }
+   */
+  static getComponentValue(component) {
+    const { degrees, minutes, seconds, hemisphere } = component;
+    const at = token => `"${token.text}"（第${token.start + 1}个字符）`;
+
+    for (const part of [minutes, seconds]) {
+      if (part && (part.value < 0 || part.value >= 60 || /^[+-]/.test(part.text))) {
+        return { error: `分和秒应在0到60之间: ${at(part)}` };
+      }
+    }
+
+    const negative = degrees.text.startsWith('-');
+    const southOrWest = hemisphere && ['S', 'W'].includes(hemisphere.value);
+    if (negative && hemisphere) {
+      return { error: `负号和半球 ${at(hemisphere)} 不能同时使用` };
+    }
+    if ((minutes || seconds) && !Number.isInteger(degrees.value)) {
+      return { error: `带分秒时度数应为整数: ${at(degrees)}` };
+    }
+
+    const value = Math.abs(degrees.value) +
+      (minutes ? minutes.value / 60 : 0) +
+      (seconds ? seconds.value / 3600 : 0);
+    return { value: negative || southOrWest ? -value : value };
+  }
+
+  /**
+   * 解析绝对坐标的词法单元
+   * @param {string} text 坐标文本
+   * @param {Array} tokens 词法单元
+   * @param {number|Function} defaultHeight 省略高度时的高度
+   * @returns {Object} { coord, error }
+   */
+  static parseAbsoluteTokens(text, tokens, defaultHeight) {
+    const grouped = this.groupCoordinateComponents(text, tokens);
+    if (grouped.error) {
+      return { coord: null, error: grouped.error };
+    }
+
+    const components = grouped.components;
+    const at = component => `"${component.text}"（第${component.start + 1}个字符）`;
+    const fail = error => ({ coord: null, error });
+
+    if (components.length < 2) {
+      return fail(`坐标至少需要经度和纬度两个值，"${text.trim()}" 只有${components.length}个\n可用写法: ${COORDINATE_FORMAT_HINT}`);
+    }
+    if (components.length > 3) {
+      return fail(`多余的值 ${at(components[3])}，坐标最多为 经度,纬度,高度`);
+    }
+
+    const [first, second, heightComponent] = components;
+    for (const component of [first, second]) {
+      if (component.degrees.unit === 'm') {
+        return fail(`经纬度不能使用米作单位: ${at(component)}`);
+      }
+    }
+    if (heightComponent && (heightComponent.hemisphere || heightComponent.minutes || heightComponent.seconds ||
+      heightComponent.degrees.unit === 'deg')) {
+      return fail(`高度只能是数值（米）: ${at(heightComponent)}`);
+    }
+
+    // 带半球字母时按字母区分经纬度，否则按 经度,纬度 的顺序
+    const axisOf = component => component.hemisphere ?
+      (['N', 'S'].includes(component.hemisphere.value) ? 'lat' : 'lon') : null;
+    const firstAxis = axisOf(first);
+    const secondAxis = axisOf(second);
+    if (firstAxis && firstAxis === secondAxis) {
+      const name = firstAxis === 'lat' ? '纬度' : '经度';
+      return fail(`${at(first)} 和 ${at(second)} 都是${name}`);
+    }
+    const [lonComponent, latComponent] = firstAxis === 'lat' || secondAxis === 'lon' ?
+      [second, first] : [first, second];
+
+    const lon = this.getComponentValue(lonComponent);
+    if (lon.error) return fail(lon.error);
+    const lat = this.getComponentValue(latComponent);
+    if (lat.error) return fail(lat.error);
+
+    if (lon.value < -180 || lon.value > 180) {
+      return fail(`经度超出范围 (-180~180): ${at(lonComponent)}`);
+    }
+    if (lat.value < -90 || lat.value > 90) {
+      return fail(`纬度超出范围 (-90~90): ${at(latComponent)}`);
+    }
+
+    const height = heightComponent ?
+      heightComponent.degrees.value :
+      this.resolveDefaultHeight(defaultHeight, lon.value, lat.value);
+
+    const coord = { lon: lon.value, lat: lat.value, height };
+    const error = this.getCoordinateError(coord);
+    return error ? fail(error) : { coord, error: null };
+  }
+
+  /**
+   * 解析相对坐标 "@东,北[,高差]" 或 "@距离<方位角"
+   * @param {string} input 坐标字符串
+   * @param {Object|null} lastPoint 上一个点
+   * @returns {Object|null} 坐标对象，格式错误或没有上一个点时返回null
+   */
+  static parseRelativeCoordinate(input, lastPoint) {
+    return this.parseCoordinateInput(input, { lastPoint }).coord;
+  }
+
+  /**
+   * 解析相对坐标的词法单元（"@"之后的部分）
+   * @param {string} text 坐标文本
+   * @param {Array} tokens 词法单元
+   * @param {Object|null} lastPoint 上一个点
+   * @returns {Object} { coord, error }
+   */
+  static parseRelativeTokens(text, tokens, lastPoint) {
+    const fail = error => ({ coord: null, error });
+    const at = component => `"${component.text}"（第${component.start + 1}个字符）`;
+    const usage = '相对坐标格式: @东,北[,高差] 或 @距离<方位角';
+
+    if (!this.validateCoordinate(lastPoint)) {
+      return fail('还没有上一个点，无法使用相对坐标，请先点击地图或输入绝对坐标 (lon,lat,height)');
+    }
+
+    // 按"<"拆分为距离和方位角两部分，各自只能有一个值
+    const angleIndex = tokens.findIndex(token => token.type === 'angle');
+    const parts = angleIndex >= 0 ?
+      [tokens.slice(0, angleIndex), tokens.slice(angleIndex + 1)] :
+      [tokens];
+    const groups = [];
+    for (const part of parts) {
+      const grouped = this.groupCoordinateComponents(text, part);
+      if (grouped.error) return fail(grouped.error);
+      groups.push(grouped.components);
+    }
+
+    const values = [];
+    for (const component of groups.flat()) {
+      if (component.hemisphere || component.minutes || component.seconds) {
+        return fail(`相对坐标不能使用半球或分秒: ${at(component)}\n${usage}`);
+      }
+      values.push(component.degrees);
+    }
+
+    let distance;
+    let bearing;
+    let heightDelta = 0;
+
+    if (angleIndex >= 0) {
+      const angle = tokens[angleIndex];
+      if (groups[0].length !== 1 || groups[1].length !== 1) {
+        const extra = groups[0][1] || groups[1][1];
+        return fail(extra ?
+          `多余的值 ${at(extra)}\n${usage}` :
+          `"<"（第${angle.start + 1}个字符）${groups[0].length === 0 ? '前面缺少距离' : '后面缺少方位角'}\n${usage}`);
+      }
+      const [distanceToken, bearingToken] = values;
+      if (distanceToken.unit === 'deg') {
+        return fail(`距离应以米为单位: ${at(groups[0][0])}`);
+      }
+      if (bearingToken.unit === 'm') {
+        return fail(`方位角应以度为单位: ${at(groups[1][0])}`);
+      }
+      if (distanceToken.value < 0) {
+        return fail(`距离不能为负数: ${at(groups[0][0])}`);
+      }
+      distance = distanceToken.value;
+      bearing = bearingToken.value;
+    } else {
+      const components = groups[0];
+      if (components.length < 2) {
+        return fail(`相对坐标至少需要东向和北向两个值\n${usage}`);
+      }
+      if (components.length > 3) {
+        return fail(`多余的值 ${at(components[3])}\n${usage}`);
+      }
+      const degreeComponent = components.find(component => component.degrees.unit === 'deg');
+      if (degreeComponent) {
+        return fail(`东、北和高差应以米为单位: ${at(degreeComponent)}`);
+      }
+      const [east, north, dh] = values.map(token => token.value);
+      heightDelta = dh !== undefined ? dh : 0;
+      distance = Math.hypot(east, north);
+      bearing = Math.atan2(east, north) * 180 / Math.PI;
+    }
+
+    const coord = distance === 0 ?
+      { lon: lastPoint.lon, lat: lastPoint.lat } :
+      this.calculateDestination(lastPoint, distance, bearing);
+    if (!coord) {
+      return fail('无法计算相对坐标');
+    }
+
+    coord.height = (lastPoint.height || 0) + heightDelta;
+    const error = this.getCoordinateError(coord);
+    return error ? fail(error) : { coord, error: null };
+  }
+
+  /**
+   * 检查输入是否为相对坐标（以@开头）
    * @param {string} input 输入字符串
-   * @returns {boolean} 是否为坐标格式
+   * @returns {boolean} 是否为相对坐标
+   */
+  static isRelativeCoordinateInput(input) {
+    return input.trim().startsWith('@');
+  }
+
+  /**
+   * 检查输入是否为坐标输入（不检查能否解析，解析错误由parseCoordinateInput给出原因）
+   * 以@或utm开头、为MGRS写法，或以数字、正负号、半球字母加数字开头；单独的整数（如顶点序号）不算坐标
+   * @param {string} input 输入字符串
+   * @returns {boolean} 是否为坐标输入
    */
   static isCoordinateInput(input) {
-    return /^-?\d+\.?\d*,-?\d+\.?\d*,-?\d+\.?\d*$/.test(input.trim());
+    const trimmed = input.trim();
+    if (this.isRelativeCoordinateInput(trimmed) || ProjectionUtils.isProjectedInput(trimmed)) {
+      return true;
+    }
+    return /^[NSEW]?\s*[+-]?\.?\d/i.test(trimmed) && !/^\d+$/.test(trimmed);
   }
 
   /**
@@ -163,6 +654,124 @@ class GeometryUtils {
     }
   }
 
+  /**
+   * 将CZML的cartographicDegrees扁平数组转换为坐标对象数组
+   * @param {Array} cartographicDegrees [lon1, lat1, height1, lon2, lat2, height2, ...]
+   * @returns {Array} 坐标对象数组 [{lon, lat, height}, ...]
+   */
+  static cartographicDegreesToCoordinates(cartographicDegrees) {
+    const coordinates = [];
+    if (!Array.isArray(cartographicDegrees)) {
+      return coordinates;
+    }
+    
+    for (let i = 0; i + 2 < cartographicDegrees.length; i += 3) {
+      coordinates.push({
+        lon: cartographicDegrees[i],
+        lat: cartographicDegrees[i + 1],
+        height: cartographicDegrees[i + 2]
+      });
+    }
+    
+    return coordinates;
+  }
+
+  /**
+   * 获取CZML实体的坐标
+   * 点返回 position，线和面返回 positions；多边形不含内环
+   * @param {Object} czmlEntity CZML实体数据包
+   * @returns {Array} 坐标对象数组 [{lon, lat, height}, ...]，没有静态经纬度坐标时返回空数组
+   */
+  static getEntityCoordinates(czmlEntity) {
+    if (!czmlEntity) return [];
+
+    if (czmlEntity.position) {
+      // 时间采样位置取第一个航点
+      if (this.isSampledPosition(czmlEntity.position)) {
+        const samples = this.getPositionSamples(czmlEntity.position);
+        return samples.length > 0 ? [samples[0].coord] : [];
+      }
+      return this.cartographicDegreesToCoordinates(czmlEntity.position.cartographicDegrees);
+    }
+
+    const graphics = czmlEntity.polyline || czmlEntity.polygon;
+    if (graphics && graphics.positions) {
+      return this.cartographicDegreesToCoordinates(graphics.positions.cartographicDegrees);
+    }
+
+    return [];
+  }
+
+  /**
+   * 判断CZML position是否为时间采样位置
+   * 采样格式: cartographicDegrees 为 [t, lon, lat, height, t, lon, lat, height, ...]，
+   * t为相对epoch的秒数或ISO 8601时间字符串
+   * @param {Object} position CZML position属性
+   * @returns {boolean} 是否为采样位置
+   */
+  static isSampledPosition(position) {
+    const values = position && position.cartographicDegrees;
+    return Array.isArray(values) && values.length >= 4 && values.length % 4 === 0;
+  }
+
+  /**
+   * 读取时间采样位置的航点
+   * @param {Object} position CZML position属性 { epoch, cartographicDegrees: [t, lon, lat, height, ...] }
+   * @returns {Array} 按时间排序的航点 [{ time, coord }]，time为ISO字符串；格式无效时返回空数组
+   */
+  static getPositionSamples(position) {
+    if (!this.isSampledPosition(position)) {
+      return [];
+    }
+
+    const values = position.cartographicDegrees;
+    const epoch = position.epoch ? TimeUtils.parseTime(position.epoch) : null;
+    const samples = [];
+
+    for (let i = 0; i < values.length; i += 4) {
+      let time;
+      if (typeof values[i] === 'string') {
+        time = TimeUtils.parseTime(values[i]);
+      } else if (typeof values[i] === 'number' && epoch) {
+        time = TimeUtils.addSeconds(epoch, values[i]);
+      } else {
+        time = null;
+      }
+
+      const coord = { lon: values[i + 1], lat: values[i + 2], height: values[i + 3] };
+      if (!time || !this.validateCoordinate(coord)) {
+        return [];
+      }
+      samples.push({ time, coord });
+    }
+
+    return samples.sort((a, b) => TimeUtils.secondsBetween(b.time, a.time));
+  }
+
+  /**
+   * 根据航点创建时间采样位置
+   * epoch为最早的航点时间，t为相对epoch的秒数
+   * @param {Array} samples 航点 [{ time, coord }]，time为ISO字符串
+   * @param {Object} options 插值设置 { algorithm: 'LINEAR'|'LAGRANGE'|'HERMITE', degree }
+   * @returns {Object} CZML position属性
+   */
+  static createSampledPosition(samples, options = {}) {
+    const sorted = [...samples].sort((a, b) => TimeUtils.secondsBetween(b.time, a.time));
+    const epoch = sorted[0].time;
+
+    const cartographicDegrees = [];
+    sorted.forEach(({ time, coord }) => {
+      cartographicDegrees.push(TimeUtils.secondsBetween(epoch, time), coord.lon, coord.lat, coord.height);
+    });
+
+    return {
+      epoch,
+      cartographicDegrees,
+      interpolationAlgorithm: options.algorithm || 'LINEAR',
+      interpolationDegree: options.degree || 1
+    };
+  }
+
   /**
    * 计算两点之间的距离
    * @param {Object} coord1 第一个点的坐标
@@ -212,6 +821,345 @@ class GeometryUtils {
     return totalDistance;
   }
 
+  /**
+   * 计算从第一个点到第二个点的初始方位角（大圆航向，正北为0°，顺时针）
+   * @param {Object} coord1 起点坐标
+   * @param {Object} coord2 终点坐标
+   * @returns {number|null} 方位角（度，0-360），两点重合或坐标无效时返回null
+   */
+  static calculateBearing(coord1, coord2) {
+    if (!this.validateCoordinate(coord1) || !this.validateCoordinate(coord2)) {
+      return null;
+    }
+
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const lat1 = toRadians(coord1.lat);
+    const lat2 = toRadians(coord2.lat);
+    const deltaLon = toRadians(coord2.lon - coord1.lon);
+
+    const y = Math.sin(deltaLon) * Math.cos(lat2);
+    const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(deltaLon);
+    if (Math.abs(x) < 1e-15 && Math.abs(y) < 1e-15) {
+      return null;
+    }
+
+    return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+  }
+
+  /**
+   * 计算坐标相对于原点的局部东北天偏移（原点处的切平面，适合局部范围）
+   * @param {Object} origin 原点坐标
+   * @param {Object} coord 坐标
+   * @returns {Object|null} { east, north, up }（米），失败返回null
+   */
+  static toLocalOffset(origin, coord) {
+    const originCartesian = this.geographicToCartesian(origin);
+    const cartesian = this.geographicToCartesian(coord);
+    if (!originCartesian || !cartesian) {
+      return null;
+    }
+
+    const toLocal = Cesium.Matrix4.inverseTransformation(
+      Cesium.Transforms.eastNorthUpToFixedFrame(originCartesian), new Cesium.Matrix4());
+    const local = Cesium.Matrix4.multiplyByPoint(toLocal, cartesian, new Cesium.Cartesian3());
+    return { east: local.x, north: local.y, up: local.z };
+  }
+
+  /**
+   * 由原点和局部东北天偏移计算坐标（toLocalOffset的逆运算）
+   * @param {Object} origin 原点坐标
+   * @param {Object} offset { east, north, up }（米）
+   * @returns {Object|null} 坐标 {lon, lat, height}，失败返回null
+   */
+  static fromLocalOffset(origin, offset) {
+    const originCartesian = this.geographicToCartesian(origin);
+    if (!originCartesian) {
+      return null;
+    }
+
+    const local = new Cesium.Cartesian3(offset.east, offset.north, offset.up || 0);
+    const cartesian = Cesium.Matrix4.multiplyByPoint(
+      Cesium.Transforms.eastNorthUpToFixedFrame(originCartesian), local, new Cesium.Cartesian3());
+    return this.cartesianToGeographic(cartesian);
+  }
+
+  /**
+   * 正交：把坐标限制在经过起点的经线（南北）或纬线（东西）上，取偏移较大的方向
+   * @param {Object} anchor 起点坐标
+   * @param {Object} coord 光标坐标
+   * @returns {Object|null} { coord, bearing }，与起点重合或计算失败时返回null
+   */
+  static constrainOrtho(anchor, coord) {
+    const offset = this.toLocalOffset(anchor, coord);
+    if (!offset || Math.hypot(offset.east, offset.north) < 1e-9) {
+      return null;
+    }
+
+    if (Math.abs(offset.east) >= Math.abs(offset.north)) {
+      return { coord: { lon: coord.lon, lat: anchor.lat, height: coord.height }, bearing: offset.east > 0 ? 90 : 270 };
+    }
+    return { coord: { lon: anchor.lon, lat: coord.lat, height: coord.height }, bearing: offset.north > 0 ? 0 : 180 };
+  }
+
+  /**
+   * 极轴追踪：把坐标限制在从起点出发、方位角为增量整数倍的方向上
+   * 在起点的切平面内把坐标投影到最接近的方向上，高度保持不变
+   * @param {Object} anchor 起点坐标
+   * @param {Object} coord 光标坐标
+   * @param {number} increment 方位角增量（度）
+   * @returns {Object|null} { coord, bearing }，与起点重合或计算失败时返回null
+   */
+  static constrainToBearing(anchor, coord, increment) {
+    const offset = this.toLocalOffset(anchor, coord);
+    if (!offset || Math.hypot(offset.east, offset.north) < 1e-9) {
+      return null;
+    }
+
+    const bearing = Math.atan2(offset.east, offset.north) * 180 / Math.PI;
+    const constrained = ((Math.round(bearing / increment) * increment) % 360 + 360) % 360;
+    const radians = constrained * Math.PI / 180;
+    const distance = offset.east * Math.sin(radians) + offset.north * Math.cos(radians);
+
+    const result = this.fromLocalOffset(anchor, {
+      east: distance * Math.sin(radians),
+      north: distance * Math.cos(radians),
+      up: 0
+    });
+    if (!result) {
+      return null;
+    }
+
+    result.height = coord.height;
+    return { coord: result, bearing: constrained };
+  }
+
+  /**
+   * 把坐标捕捉到最近的栅格节点（高度保持不变）
+   * @param {Object} coord 坐标
+   * @param {Object} step { lon, lat, origin } 经纬度间隔（度）和栅格原点
+   * @returns {Object} 捕捉后的坐标
+   */
+  static snapToGrid(coord, step) {
+    const origin = step.origin || { lon: 0, lat: 0 };
+    const snap = (value, base, spacing) => base + Math.round((value - base) / spacing) * spacing;
+
+    let lon = snap(coord.lon, origin.lon, step.lon);
+    if (lon > 180) lon -= 360;
+    if (lon < -180) lon += 360;
+
+    return {
+      lon,
+      lat: Math.max(-90, Math.min(90, snap(coord.lat, origin.lat, step.lat))),
+      height: coord.height
+    };
+  }
+
+  /**
+   * 由起点、距离和方位角计算终点（WGS84椭球面上的Vincenty正解）
+   * @param {Object} origin 起点坐标
+   * @param {number} distance 沿椭球面的距离（米）
+   * @param {number} bearing 起点处的方位角（度，正北为0°，顺时针）
+   * @returns {Object|null} 终点坐标 {lon, lat, height}（高度与起点相同），不收敛时返回null
+   */
+  static calculateDestination(origin, distance, bearing) {
+    const a = WGS84_A;
+    const f = WGS84_F;
+    const b = a * (1 - f);
+    const toRadians = degrees => degrees * Math.PI / 180;
+
+    const alpha1 = toRadians(bearing);
+    const sinAlpha1 = Math.sin(alpha1);
+    const cosAlpha1 = Math.cos(alpha1);
+
+    const tanU1 = (1 - f) * Math.tan(toRadians(origin.lat));
+    const cosU1 = 1 / Math.sqrt(1 + tanU1 * tanU1);
+    const sinU1 = tanU1 * cosU1;
+    const sigma1 = Math.atan2(tanU1, cosAlpha1);
+    const sinAlpha = cosU1 * sinAlpha1;
+    const cosSqAlpha = 1 - sinAlpha * sinAlpha;
+    const uSq = cosSqAlpha * (a * a - b * b) / (b * b);
+    const A = 1 + uSq / 16384 * (4096 + uSq * (-768 + uSq * (320 - 175 * uSq)));
+    const B = uSq / 1024 * (256 + uSq * (-128 + uSq * (74 - 47 * uSq)));
+
+    let sigma = distance / (b * A);
+    let sinSigma;
+    let cosSigma;
+    let cos2SigmaM;
+    let iterations = 0;
+    let previousSigma;
+    do {
+      cos2SigmaM = Math.cos(2 * sigma1 + sigma);
+      sinSigma = Math.sin(sigma);
+      cosSigma = Math.cos(sigma);
+      const deltaSigma = B * sinSigma * (cos2SigmaM + B / 4 * (cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM) -
+        B / 6 * cos2SigmaM * (-3 + 4 * sinSigma * sinSigma) * (-3 + 4 * cos2SigmaM * cos2SigmaM)));
+      previousSigma = sigma;
+      sigma = distance / (b * A) + deltaSigma;
+    } while (Math.abs(sigma - previousSigma) > 1e-12 && ++iterations < 200);
+
+    if (iterations >= 200) {
+      return null;
+    }
+
+    const x = sinU1 * sinSigma - cosU1 * cosSigma * cosAlpha1;
+    const lat2 = Math.atan2(sinU1 * cosSigma + cosU1 * sinSigma * cosAlpha1,
+      (1 - f) * Math.sqrt(sinAlpha * sinAlpha + x * x));
+    const lambda = Math.atan2(sinSigma * sinAlpha1, cosU1 * cosSigma - sinU1 * sinSigma * cosAlpha1);
+    const C = f / 16 * cosSqAlpha * (4 + f * (4 - 3 * cosSqAlpha));
+    const L = lambda - (1 - C) * f * sinAlpha *
+      (sigma + C * sinSigma * (cos2SigmaM + C * cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM)));
+
+    let lon = origin.lon + L * 180 / Math.PI;
+    if (lon > 180) lon -= 360;
+    if (lon < -180) lon += 360;
+
+    return {
+      lon,
+      lat: lat2 * 180 / Math.PI,
+      height: origin.height || 0
+    };
+  }
+
+  /**
+   * 计算两点之间的大地线（WGS84椭球面上的Vincenty反解，高度不参与计算）
+   * 近似对跖点不收敛时退回到平均半径球面上的大圆
+   * @param {Object} coord1 起点坐标
+   * @param {Object} coord2 终点坐标
+   * @returns {Object|null} { distance, bearing, finalBearing } 距离（米）和起点、终点处的方位角（度，两点重合时为null），坐标无效时返回null
+   */
+  static calculateGeodesic(coord1, coord2) {
+    if (!this.validateCoordinate(coord1) || !this.validateCoordinate(coord2)) {
+      return null;
+    }
+
+    const a = WGS84_A;
+    const f = WGS84_F;
+    const b = a * (1 - f);
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const toBearing = radians => (radians * 180 / Math.PI + 360) % 360;
+
+    const L = toRadians(coord2.lon - coord1.lon);
+    const tanU1 = (1 - f) * Math.tan(toRadians(coord1.lat));
+    const cosU1 = 1 / Math.sqrt(1 + tanU1 * tanU1);
+    const sinU1 = tanU1 * cosU1;
+    const tanU2 = (1 - f) * Math.tan(toRadians(coord2.lat));
+    const cosU2 = 1 / Math.sqrt(1 + tanU2 * tanU2);
+    const sinU2 = tanU2 * cosU2;
+
+    let lambda = L;
+    let sinLambda;
+    let cosLambda;
+    let sinSigma;
+    let cosSigma;
+    let sigma;
+    let cosSqAlpha;
+    let cos2SigmaM;
+    let iterations = 0;
+    let previousLambda;
+    do {
+      sinLambda = Math.sin(lambda);
+      cosLambda = Math.cos(lambda);
+      const sinSqSigma = (cosU2 * sinLambda) ** 2 + (cosU1 * sinU2 - sinU1 * cosU2 * cosLambda) ** 2;
+      sinSigma = Math.sqrt(sinSqSigma);
+      if (sinSigma === 0) {
+        return { distance: 0, bearing: null, finalBearing: null };
+      }
+      cosSigma = sinU1 * sinU2 + cosU1 * cosU2 * cosLambda;
+      sigma = Math.atan2(sinSigma, cosSigma);
+      const sinAlpha = cosU1 * cosU2 * sinLambda / sinSigma;
+      cosSqAlpha = 1 - sinAlpha * sinAlpha;
+      // 两点都在赤道上时cosSqAlpha为0
+      cos2SigmaM = cosSqAlpha !== 0 ? cosSigma - 2 * sinU1 * sinU2 / cosSqAlpha : 0;
+      const C = f / 16 * cosSqAlpha * (4 + f * (4 - 3 * cosSqAlpha));
+      previousLambda = lambda;
+      lambda = L + (1 - C) * f * sinAlpha *
+        (sigma + C * sinSigma * (cos2SigmaM + C * cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM)));
+    } while (Math.abs(lambda - previousLambda) > 1e-12 && ++iterations < 200);
+
+    if (iterations >= 200) {
+      const centralAngle = Math.acos(Math.max(-1, Math.min(1,
+        Math.sin(toRadians(coord1.lat)) * Math.sin(toRadians(coord2.lat)) +
+        Math.cos(toRadians(coord1.lat)) * Math.cos(toRadians(coord2.lat)) * Math.cos(L))));
+      return {
+        distance: centralAngle * (2 * a + b) / 3,
+        bearing: this.calculateBearing(coord1, coord2),
+        finalBearing: null
+      };
+    }
+
+    const uSq = cosSqAlpha * (a * a - b * b) / (b * b);
+    const A = 1 + uSq / 16384 * (4096 + uSq * (-768 + uSq * (320 - 175 * uSq)));
+    const B = uSq / 1024 * (256 + uSq * (-128 + uSq * (74 - 47 * uSq)));
+    const deltaSigma = B * sinSigma * (cos2SigmaM + B / 4 * (cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM) -
+      B / 6 * cos2SigmaM * (-3 + 4 * sinSigma * sinSigma) * (-3 + 4 * cos2SigmaM * cos2SigmaM)));
+
+    return {
+      distance: b * A * (sigma - deltaSigma),
+      bearing: toBearing(Math.atan2(cosU2 * sinLambda, cosU1 * sinU2 - sinU1 * cosU2 * cosLambda)),
+      finalBearing: toBearing(Math.atan2(cosU1 * sinLambda, -sinU1 * cosU2 + cosU1 * sinU2 * cosLambda))
+    };
+  }
+
+  /**
+   * 计算多边形面积（自动闭合，高度不参与计算）
+   * 在与WGS84等面积的球面（authalic sphere）上把纬度换算为等面积纬度后求球面多边形面积，
+   * 边按大圆处理；不适用于包含极点的多边形
+   * @param {Array} coordinates 顶点坐标数组（至少3个点）
+   * @returns {number|null} 面积（平方米），失败返回null
+   */
+  static calculatePolygonArea(coordinates) {
+    if (!this.validateCoordinates(coordinates, 3)) {
+      return null;
+    }
+
+    const e2 = WGS84_F * (2 - WGS84_F);
+    const e = Math.sqrt(e2);
+    const q = sinLat => (1 - e2) * (sinLat / (1 - e2 * sinLat * sinLat) -
+      Math.log((1 - e * sinLat) / (1 + e * sinLat)) / (2 * e));
+    const qPolar = q(1);
+    const authalicRadiusSq = WGS84_A * WGS84_A * qPolar / 2;
+    const toAuthalic = lat => Math.asin(Math.max(-1, Math.min(1, q(Math.sin(lat * Math.PI / 180)) / qPolar)));
+
+    let excess = 0;
+    for (let i = 0; i < coordinates.length; i++) {
+      const c1 = coordinates[i];
+      const c2 = coordinates[(i + 1) % coordinates.length];
+      let deltaLon = (c2.lon - c1.lon) * Math.PI / 180;
+      if (deltaLon > Math.PI) deltaLon -= 2 * Math.PI;
+      if (deltaLon < -Math.PI) deltaLon += 2 * Math.PI;
+
+      const t1 = Math.tan(toAuthalic(c1.lat) / 2);
+      const t2 = Math.tan(toAuthalic(c2.lat) / 2);
+      excess += 2 * Math.atan2(Math.tan(deltaLon / 2) * (t1 + t2), 1 + t1 * t2);
+    }
+
+    return Math.abs(excess) * authalicRadiusSq;
+  }
+
+  /**
+   * 格式化距离：1千米以下显示米，以上显示千米
+   * @param {number|null} meters 距离（米）
+   * @returns {string} 格式化后的距离
+   */
+  static formatDistance(meters) {
+    if (meters === null || meters === undefined || isNaN(meters)) {
+      return '未知距离';
+    }
+    return meters < 1000 ? `${meters.toFixed(2)} m` : `${(meters / 1000).toFixed(3)} km`;
+  }
+
+  /**
+   * 格式化面积：1平方千米以下显示平方米，以上显示平方千米
+   * @param {number|null} squareMeters 面积（平方米）
+   * @returns {string} 格式化后的面积
+   */
+  static formatArea(squareMeters) {
+    if (squareMeters === null || squareMeters === undefined || isNaN(squareMeters)) {
+      return '未知面积';
+    }
+    return squareMeters < 1e6 ? `${squareMeters.toFixed(2)} m²` : `${(squareMeters / 1e6).toFixed(6)} km²`;
+  }
+
   /**
    * 获取坐标数组的边界框
    * @param {Array} coordinates 坐标数组
@@ -265,6 +1213,90 @@ class GeometryUtils {
     };
   }
 
+  /**
+   * 两个坐标之间的线性插值（与getCenterPoint一致，按经纬度和高度分别插值）
+   * @param {Object} coord1 起点坐标
+   * @param {Object} coord2 终点坐标
+   * @param {number} t 插值比例，0为起点，1为终点
+   * @returns {Object} 插值坐标 {lon, lat, height}
+   */
+  static interpolateCoordinate(coord1, coord2, t) {
+    return {
+      lon: coord1.lon + (coord2.lon - coord1.lon) * t,
+      lat: coord1.lat + (coord2.lat - coord1.lat) * t,
+      height: (coord1.height || 0) + ((coord2.height || 0) - (coord1.height || 0)) * t
+    };
+  }
+
+  /**
+   * 两个坐标之间沿大地线插值（与Cesium绘制的折线一致，跨180°经线时也在较短的一侧）
+   * 高度按比例线性插值；大地线无法求解时按经纬度插值（经度差先取到-180~180之间）
+   * @param {Object} coord1 起点坐标
+   * @param {Object} coord2 终点坐标
+   * @param {number} t 插值比例，0为起点，1为终点
+   * @returns {Object} 插值坐标 {lon, lat, height}
+   */
+  static interpolateGeodesic(coord1, coord2, t) {
+    const height = (coord1.height || 0) + ((coord2.height || 0) - (coord1.height || 0)) * t;
+    const geodesic = this.calculateGeodesic(coord1, coord2);
+    const destination = geodesic && geodesic.bearing !== null ?
+      this.calculateDestination(coord1, geodesic.distance * t, geodesic.bearing) :
+      null;
+    if (destination) {
+      return { ...destination, height };
+    }
+
+    let deltaLon = coord2.lon - coord1.lon;
+    if (deltaLon > 180) deltaLon -= 360;
+    if (deltaLon < -180) deltaLon += 360;
+    let lon = coord1.lon + deltaLon * t;
+    if (lon > 180) lon -= 360;
+    if (lon < -180) lon += 360;
+    return { lon, lat: coord1.lat + (coord2.lat - coord1.lat) * t, height };
+  }
+
+  /**
+   * 判断平面点是否在多边形内（射线法，用于屏幕坐标的框选和套索选择）
+   * @param {Object} point 点 {x, y}
+   * @param {Array} polygon 多边形顶点 [{x, y}, ...]（首尾不必重复）
+   * @returns {boolean} 是否在多边形内
+   */
+  static isPointInPolygon(point, polygon) {
+    if (!point || !Array.isArray(polygon) || polygon.length < 3) {
+      return false;
+    }
+
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+      const a = polygon[i];
+      const b = polygon[j];
+      if ((a.y > point.y) !== (b.y > point.y) &&
+          point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  }
+
+  /**
+   * 平面点到线段的最近点（垂足，超出线段时取端点；用于屏幕坐标的对象捕捉）
+   * @param {Object} point 点 {x, y}
+   * @param {Object} a 线段起点 {x, y}
+   * @param {Object} b 线段终点 {x, y}
+   * @returns {Object} { x, y, t: 最近点在线段上的比例(0-1), distance: 到最近点的距离 }
+   */
+  static closestPointOnSegment(point, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared === 0 ? 0 :
+      Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSquared));
+
+    const x = a.x + dx * t;
+    const y = a.y + dy * t;
+    return { x, y, t, distance: Math.hypot(point.x - x, point.y - y) };
+  }
+
   /**
    * 生成随机坐标（用于测试）
    * @param {Object} bounds 边界 {minLon, maxLon, minLat, maxLat, minHeight, maxHeight}
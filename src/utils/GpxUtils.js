@@ -0,0 +1,185 @@
+import GeometryUtils from './GeometryUtils.js';
+
+/**
+ * GPX工具类
+ * 负责将GPX文档转换为编辑器几何记录：
+ * <wpt> → 点，<trk> 的每个 <trkseg> 和 <rte> → 线
+ *
+ * 高程 <ele> 作为高度（缺少时为0）；时间 <time> 保存在CZML properties中：
+ * 航点为 properties.time（ISO 8601字符串），
+ * 航迹为 properties.timestamps（CZML数组 { array: [...] }，与顶点一一对应），以便之后转换为时间动态路径
+ * 几何记录格式见 GeoJsonUtils
+ */
+class GpxUtils {
+  /**
+   * 解析GPX文本
+   * @param {string} text GPX文本
+   * @returns {Object} { records, skipped }：几何记录数组和被跳过的元素说明
+   */
+  static parse(text) {
+    const xml = new DOMParser().parseFromString(text, 'application/xml');
+    if (xml.getElementsByTagName('parsererror').length > 0) {
+      throw new Error('GPX格式错误: 不是有效的XML');
+    }
+    if (!xml.documentElement || xml.documentElement.localName !== 'gpx') {
+      throw new Error('不是有效的GPX (缺少gpx根元素)');
+    }
+
+    const records = [];
+    const skipped = [];
+
+    Array.from(xml.getElementsByTagName('wpt')).forEach((wpt, index) => {
+      const label = this.getChildText(wpt, 'name') || `航点${index + 1}`;
+      try {
+        records.push(this.waypointToRecord(wpt));
+      } catch (error) {
+        skipped.push(`${label}: ${error.message}`);
+      }
+    });
+
+    Array.from(xml.getElementsByTagName('trk')).forEach((trk, index) => {
+      const name = this.getChildText(trk, 'name') || `航迹${index + 1}`;
+      const segments = Array.from(trk.children).filter(child => child.localName === 'trkseg');
+
+      segments.forEach((segment, segmentIndex) => {
+        const segmentName = segments.length > 1 ? `${name} (段${segmentIndex + 1})` : name;
+        try {
+          records.push(this.pathToRecord(segment, 'trkpt', segmentName, trk));
+        } catch (error) {
+          skipped.push(`${segmentName}: ${error.message}`);
+        }
+      });
+    });
+
+    Array.from(xml.getElementsByTagName('rte')).forEach((rte, index) => {
+      const name = this.getChildText(rte, 'name') || `路线${index + 1}`;
+      try {
+        records.push(this.pathToRecord(rte, 'rtept', name, rte));
+      } catch (error) {
+        skipped.push(`${name}: ${error.message}`);
+      }
+    });
+
+    return { records, skipped };
+  }
+
+  /**
+   * 将航点转换为点记录
+   * @param {Element} wpt wpt元素
+   * @returns {Object} 几何记录
+   */
+  static waypointToRecord(wpt) {
+    const coord = this.readCoordinate(wpt);
+    const properties = {};
+
+    const time = this.readTime(wpt);
+    if (time) properties.time = time;
+
+    ['cmt', 'sym', 'type'].forEach(name => {
+      const value = this.getChildText(wpt, name);
+      if (value) properties[name] = value;
+    });
+
+    return {
+      type: 'point',
+      coordinates: [coord],
+      name: this.getChildText(wpt, 'name'),
+      description: this.getChildText(wpt, 'desc'),
+      properties
+    };
+  }
+
+  /**
+   * 将航迹段或路线转换为线记录
+   * @param {Element} container trkseg 或 rte 元素
+   * @param {string} pointTag 点元素名称 ('trkpt' 或 'rtept')
+   * @param {string} name 线名称
+   * @param {Element} owner 提供描述的 trk 或 rte 元素
+   * @returns {Object} 几何记录
+   */
+  static pathToRecord(container, pointTag, name, owner) {
+    const points = Array.from(container.children).filter(child => child.localName === pointTag);
+    if (points.length < 2) {
+      throw new Error('至少需要2个点');
+    }
+
+    const coordinates = points.map(point => this.readCoordinate(point));
+    const times = points.map(point => this.readTime(point));
+    const hasElevation = points.some(point => this.getChild(point, 'ele'));
+
+    // 只有所有顶点都有时间时才保存时间序列
+    const properties = {};
+    if (times.every(Boolean)) {
+      properties.timestamps = { array: times };
+    }
+
+    const type = this.getChildText(owner, 'type');
+    if (type) properties.type = type;
+
+    return {
+      type: 'polyline',
+      coordinates,
+      name,
+      description: this.getChildText(owner, 'desc'),
+      properties,
+      // 有高程时按绝对高度显示，否则贴地
+      style: { clampToGround: !hasElevation }
+    };
+  }
+
+  /**
+   * 读取点元素的坐标（lat/lon属性和ele子元素）
+   * @param {Element} element wpt / trkpt / rtept 元素
+   * @returns {Object} 坐标 {lon, lat, height}
+   */
+  static readCoordinate(element) {
+    const ele = this.getChildText(element, 'ele');
+    const coord = {
+      lon: parseFloat(element.getAttribute('lon')),
+      lat: parseFloat(element.getAttribute('lat')),
+      height: ele ? parseFloat(ele) : 0
+    };
+
+    const error = GeometryUtils.getCoordinateError(coord);
+    if (error) {
+      throw new Error(`坐标无效 (lat="${element.getAttribute('lat')}" lon="${element.getAttribute('lon')}"): ${error}`);
+    }
+    return coord;
+  }
+
+  /**
+   * 读取并规范化时间
+   * @param {Element} element 点元素
+   * @returns {string|null} ISO 8601时间字符串，没有或无法解析时返回null
+   */
+  static readTime(element) {
+    const text = this.getChildText(element, 'time');
+    if (!text) return null;
+
+    const date = new Date(text);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+  }
+
+  /**
+   * 获取指定名称的直接子元素
+   * @param {Element} element 父元素
+   * @param {string} name 子元素名称
+   * @returns {Element|null} 子元素
+   */
+  static getChild(element, name) {
+    return Array.from(element.children).find(child => child.localName === name) || null;
+  }
+
+  /**
+   * 获取指定名称的直接子元素文本
+   * @param {Element} element 父元素
+   * @param {string} name 子元素名称
+   * @returns {string|null} 去除首尾空白的文本，不存在时返回null
+   */
+  static getChildText(element, name) {
+    const child = this.getChild(element, name);
+    return child ? child.textContent.trim() : null;
+  }
+}
+
+export default GpxUtils;
\ No newline at end of file
@@ -0,0 +1,466 @@
+import EntityTypeRegistry from '../models/EntityTypeRegistry.js';
+import GeometryUtils from './GeometryUtils.js';
+
+/**
+ * KML工具类
+ * 负责KML与编辑器几何记录、CZML文档之间的转换
+ *
+ * 导入支持 Placemark 中的 Point / LineString / Polygon（含 MultiGeometry），
+ * 名称、描述、ExtendedData，以及 IconStyle / LineStyle / PolyStyle 的颜色
+ * 几何记录格式见 GeoJsonUtils，额外的 style 字段为 CzmlModel 样式参数
+ */
+class KmlUtils {
+  /**
+   * 解析KML文本
+   * @param {string} text KML文本
+   * @returns {Object} { records, skipped }：几何记录数组和被跳过的Placemark说明
+   */
+  static parse(text) {
+    const xml = new DOMParser().parseFromString(text, 'application/xml');
+    if (xml.getElementsByTagName('parsererror').length > 0) {
+      throw new Error('KML格式错误: 不是有效的XML');
+    }
+    if (!xml.documentElement || xml.documentElement.localName !== 'kml') {
+      throw new Error('不是有效的KML (缺少kml根元素)');
+    }
+
+    const styles = this.collectStyles(xml);
+    const records = [];
+    const skipped = [];
+
+    Array.from(xml.getElementsByTagName('Placemark')).forEach((placemark, index) => {
+      const name = this.getChildText(placemark, 'name');
+      const label = name || `Placemark${index + 1}`;
+
+      try {
+        const placemarkRecords = this.placemarkToRecords(placemark, styles);
+        if (placemarkRecords.length === 0) {
+          skipped.push(`${label}: 没有支持的几何 (Point/LineString/Polygon)`);
+        }
+        records.push(...placemarkRecords);
+      } catch (error) {
+        skipped.push(`${label}: ${error.message}`);
+      }
+    });
+
+    return { records, skipped };
+  }
+
+  /**
+   * 收集共享样式（Style 和 StyleMap 的 normal 样式）
+   * @param {Document} xml KML文档
+   * @returns {Map} 样式ID → 样式对象 { iconColor, lineColor, lineWidth, polyColor }
+   */
+  static collectStyles(xml) {
+    const styles = new Map();
+
+    Array.from(xml.getElementsByTagName('Style')).forEach(element => {
+      const id = element.getAttribute('id');
+      if (id) {
+        styles.set(id, this.readStyle(element));
+      }
+    });
+
+    Array.from(xml.getElementsByTagName('StyleMap')).forEach(element => {
+      const id = element.getAttribute('id');
+      if (!id) return;
+
+      const normalPair = Array.from(element.getElementsByTagName('Pair'))
+        .find(pair => this.getChildText(pair, 'key') === 'normal');
+      const styleUrl = normalPair ? this.getChildText(normalPair, 'styleUrl') : null;
+      if (styleUrl && styles.has(styleUrl.replace(/^#/, ''))) {
+        styles.set(id, styles.get(styleUrl.replace(/^#/, '')));
+      }
+    });
+
+    return styles;
+  }
+
+  /**
+   * 读取Style元素中的颜色和线宽
+   * @param {Element} element Style元素
+   * @returns {Object} 样式对象 { iconColor, lineColor, lineWidth, polyColor }
+   */
+  static readStyle(element) {
+    const style = {};
+
+    const iconStyle = this.getChild(element, 'IconStyle');
+    const iconColor = iconStyle ? this.parseColor(this.getChildText(iconStyle, 'color')) : null;
+    if (iconColor) style.iconColor = iconColor;
+
+    const lineStyle = this.getChild(element, 'LineStyle');
+    if (lineStyle) {
+      const lineColor = this.parseColor(this.getChildText(lineStyle, 'color'));
+      const lineWidth = parseFloat(this.getChildText(lineStyle, 'width'));
+      if (lineColor) style.lineColor = lineColor;
+      if (!isNaN(lineWidth) && lineWidth > 0) style.lineWidth = lineWidth;
+    }
+
+    const polyStyle = this.getChild(element, 'PolyStyle');
+    const polyColor = polyStyle ? this.parseColor(this.getChildText(polyStyle, 'color')) : null;
+    if (polyColor) style.polyColor = polyColor;
+
+    return style;
+  }
+
+  /**
+   * 获取Placemark的样式：共享样式在前，内联样式覆盖
+   * @param {Element} placemark Placemark元素
+   * @param {Map} styles 共享样式
+   * @returns {Object} 样式对象
+   */
+  static resolvePlacemarkStyle(placemark, styles) {
+    const styleUrl = this.getChildText(placemark, 'styleUrl');
+    const shared = styleUrl ? styles.get(styleUrl.replace(/^#/, '')) : null;
+    const inlineElement = this.getChild(placemark, 'Style');
+    const inline = inlineElement ? this.readStyle(inlineElement) : {};
+
+    return { ...(shared || {}), ...inline };
+  }
+
+  /**
+   * 将Placemark转换为几何记录
+   * @param {Element} placemark Placemark元素
+   * @param {Map} styles 共享样式
+   * @returns {Array} 几何记录数组
+   */
+  static placemarkToRecords(placemark, styles) {
+    const name = this.getChildText(placemark, 'name');
+    const description = this.getChildText(placemark, 'description');
+    const properties = this.readExtendedData(placemark);
+    const style = this.resolvePlacemarkStyle(placemark, styles);
+
+    const records = [];
+    this.collectGeometries(placemark).forEach(geometry => {
+      const record = this.geometryToRecord(geometry, style);
+      records.push({ ...record, name, description, properties: { ...properties } });
+    });
+
+    return records;
+  }
+
+  /**
+   * 收集Placemark下的几何元素（展开MultiGeometry）
+   * @param {Element} parent 父元素
+   * @returns {Array<Element>} Point / LineString / Polygon 元素
+   */
+  static collectGeometries(parent) {
+    const geometries = [];
+    Array.from(parent.children).forEach(child => {
+      if (['Point', 'LineString', 'Polygon'].includes(child.localName)) {
+        geometries.push(child);
+      } else if (child.localName === 'MultiGeometry') {
+        geometries.push(...this.collectGeometries(child));
+      }
+    });
+    return geometries;
+  }
+
+  /**
+   * 将几何元素转换为几何记录（不含名称和属性）
+   * @param {Element} geometry Point / LineString / Polygon 元素
+   * @param {Object} style Placemark样式
+   * @returns {Object} 几何记录
+   */
+  static geometryToRecord(geometry, style) {
+    const altitudeMode = this.getChildText(geometry, 'altitudeMode') || 'clampToGround';
+
+    if (geometry.localName === 'Point') {
+      const coordinates = this.parseCoordinates(this.getChildText(geometry, 'coordinates'));
+      if (coordinates.length !== 1) {
+        throw new Error('Point必须有1个坐标');
+      }
+      return {
+        type: 'point',
+        coordinates,
+        style: style.iconColor ? { color: style.iconColor } : {}
+      };
+    }
+
+    if (geometry.localName === 'LineString') {
+      const coordinates = this.parseCoordinates(this.getChildText(geometry, 'coordinates'));
+      if (coordinates.length < 2) {
+        throw new Error('LineString至少需要2个点');
+      }
+
+      const lineStyle = { clampToGround: altitudeMode === 'clampToGround' };
+      if (style.lineColor) lineStyle.color = style.lineColor;
+      if (style.lineWidth) lineStyle.width = style.lineWidth;
+      return { type: 'polyline', coordinates, style: lineStyle };
+    }
+
+    // Polygon：outerBoundaryIs 为外环，innerBoundaryIs 为内环
+    const outer = this.getChild(geometry, 'outerBoundaryIs');
+    const coordinates = outer ? this.readRing(outer) : [];
+    if (coordinates.length < 3) {
+      throw new Error('Polygon外环至少需要3个不同的点');
+    }
+
+    const holes = Array.from(geometry.children)
+      .filter(child => child.localName === 'innerBoundaryIs')
+      .map(inner => this.readRing(inner))
+      .filter(ring => ring.length >= 3);
+
+    const polygonStyle = {};
+    if (style.polyColor) polygonStyle.color = style.polyColor;
+    if (style.lineColor) polygonStyle.outlineColor = style.lineColor;
+    return { type: 'polygon', coordinates, holes, style: polygonStyle };
+  }
+
+  /**
+   * 读取边界中的LinearRing坐标，去掉闭合点
+   * @param {Element} boundary outerBoundaryIs / innerBoundaryIs 元素
+   * @returns {Array} 坐标对象数组
+   */
+  static readRing(boundary) {
+    const linearRing = this.getChild(boundary, 'LinearRing');
+    const ring = linearRing ? this.parseCoordinates(this.getChildText(linearRing, 'coordinates')) : [];
+
+    const first = ring[0];
+    const last = ring[ring.length - 1];
+    if (ring.length > 1 && first.lon === last.lon && first.lat === last.lat && first.height === last.height) {
+      ring.pop();
+    }
+    return ring;
+  }
+
+  /**
+   * 解析KML坐标文本 "lon,lat[,alt] lon,lat[,alt] ..."
+   * @param {string} text 坐标文本
+   * @returns {Array} 坐标对象数组，缺少高度时为0
+   */
+  static parseCoordinates(text) {
+    if (!text) return [];
+
+    return text.trim().split(/\s+/).filter(Boolean).map(tuple => {
+      const values = tuple.split(',').map(Number);
+      const coord = {
+        lon: values[0],
+        lat: values[1],
+        height: values.length > 2 ? values[2] : 0
+      };
+
+      if (!GeometryUtils.validateCoordinate(coord)) {
+        throw new Error(`坐标无效: ${tuple}`);
+      }
+      return coord;
+    });
+  }
+
+  /**
+   * 读取ExtendedData中的Data和SimpleData
+   * @param {Element} placemark Placemark元素
+   * @returns {Object} 属性对象
+   */
+  static readExtendedData(placemark) {
+    const properties = {};
+    const extendedData = this.getChild(placemark, 'ExtendedData');
+    if (!extendedData) return properties;
+
+    Array.from(extendedData.getElementsByTagName('Data')).forEach(data => {
+      const name = data.getAttribute('name');
+      if (name) properties[name] = this.getChildText(data, 'value') || '';
+    });
+
+    Array.from(extendedData.getElementsByTagName('SimpleData')).forEach(data => {
+      const name = data.getAttribute('name');
+      if (name) properties[name] = (data.textContent || '').trim();
+    });
+
+    return properties;
+  }
+
+  /**
+   * 解析KML颜色 (aabbggrr 十六进制)
+   * @param {string} text KML颜色文本
+   * @returns {Array|null} CZML rgba数组 [r, g, b, a]，格式错误时返回null
+   */
+  static parseColor(text) {
+    const hex = (text || '').trim().replace(/^#/, '');
+    if (!/^[0-9a-fA-F]{8}$/.test(hex)) return null;
+
+    const a = parseInt(hex.slice(0, 2), 16);
+    const b = parseInt(hex.slice(2, 4), 16);
+    const g = parseInt(hex.slice(4, 6), 16);
+    const r = parseInt(hex.slice(6, 8), 16);
+    return [r, g, b, a];
+  }
+
+  /**
+   * 将CZML rgba数组转换为KML颜色 (aabbggrr)
+   * @param {Array} rgba [r, g, b, a]
+   * @returns {string} KML颜色文本
+   */
+  static formatColor(rgba) {
+    const [r, g, b, a = 255] = rgba;
+    return [a, b, g, r].map(value => Math.round(value).toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * 将CZML文档转换为KML文本
+   * 点 → Point，线 → LineString，面 → Polygon（含内环），颜色写入内联Style
+   * @param {Array} czmlDocument CZML文档
+   * @returns {Object} { kml, exported, skipped }
+   */
+  static fromCzml(czmlDocument) {
+    const placemarks = [];
+    const skipped = [];
+
+    const documentPacket = czmlDocument.find(entity => entity.id === 'document');
+    const documentName = documentPacket && documentPacket.name ? documentPacket.name : 'CZML Editor';
+
+    czmlDocument.forEach(entity => {
+      if (entity.id === 'document') return;
+
+      const definition = EntityTypeRegistry.resolve(entity);
+      const placemark = definition ? this.createPlacemark(definition.type, entity) : null;
+
+      if (!placemark) {
+        skipped.push(entity.id);
+        return;
+      }
+      placemarks.push(placemark);
+    });
+
+    const kml = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<kml xmlns="http://www.opengis.net/kml/2.2">',
+      '  <Document>',
+      `    <name>${this.escapeXml(documentName)}</name>`,
+      ...placemarks,
+      '  </Document>',
+      '</kml>'
+    ].join('\n');
+
+    return { kml, exported: placemarks.length, skipped };
+  }
+
+  /**
+   * 根据实体类型创建Placemark
+   * @param {string} type 实体类型 ('point'、'polyline'、'polygon')
+   * @param {Object} entity CZML实体
+   * @returns {string|null} Placemark XML，无法转换时返回null
+   */
+  static createPlacemark(type, entity) {
+    const coordinates = GeometryUtils.getEntityCoordinates(entity);
+    let style;
+    let geometry;
+
+    if (type === 'point' && coordinates.length === 1) {
+      const color = this.getRgba(entity.point.color);
+      style = color ? `<IconStyle><color>${this.formatColor(color)}</color></IconStyle>` : '';
+      geometry = `<Point><altitudeMode>absolute</altitudeMode><coordinates>${this.formatCoordinates(coordinates)}</coordinates></Point>`;
+    } else if (type === 'polyline' && coordinates.length >= 2) {
+      const color = this.getRgba(entity.polyline.material && entity.polyline.material.solidColor && entity.polyline.material.solidColor.color);
+      const width = entity.polyline.width;
+      style = `<LineStyle>${color ? `<color>${this.formatColor(color)}</color>` : ''}${typeof width === 'number' ? `<width>${width}</width>` : ''}</LineStyle>`;
+      const altitude = entity.polyline.clampToGround
+        ? '<tessellate>1</tessellate><altitudeMode>clampToGround</altitudeMode>'
+        : '<altitudeMode>absolute</altitudeMode>';
+      geometry = `<LineString>${altitude}<coordinates>${this.formatCoordinates(coordinates)}</coordinates></LineString>`;
+    } else if (type === 'polygon' && coordinates.length >= 3) {
+      const fill = this.getRgba(entity.polygon.material && entity.polygon.material.solidColor && entity.polygon.material.solidColor.color);
+      const outline = this.getRgba(entity.polygon.outlineColor);
+      style = `${outline ? `<LineStyle><color>${this.formatColor(outline)}</color></LineStyle>` : ''}${fill ? `<PolyStyle><color>${this.formatColor(fill)}</color></PolyStyle>` : ''}`;
+
+      const holes = entity.polygon.holes && Array.isArray(entity.polygon.holes.cartographicDegrees)
+        ? entity.polygon.holes.cartographicDegrees.map(hole => GeometryUtils.cartographicDegreesToCoordinates(hole))
+        : [];
+      const ring = ringCoordinates => `<LinearRing><coordinates>${this.formatCoordinates(this.closeRing(ringCoordinates))}</coordinates></LinearRing>`;
+
+      geometry = '<Polygon><altitudeMode>absolute</altitudeMode>' +
+        `<outerBoundaryIs>${ring(coordinates)}</outerBoundaryIs>` +
+        holes.map(hole => `<innerBoundaryIs>${ring(hole)}</innerBoundaryIs>`).join('') +
+        '</Polygon>';
+    } else {
+      return null;
+    }
+
+    const lines = ['    <Placemark id="' + this.escapeXml(entity.id) + '">'];
+    if (entity.name) {
+      lines.push(`      <name>${this.escapeXml(entity.name)}</name>`);
+    }
+    if (typeof entity.description === 'string' && entity.description) {
+      lines.push(`      <description>${this.escapeXml(entity.description)}</description>`);
+    }
+    if (style) {
+      lines.push(`      <Style>${style}</Style>`);
+    }
+    if (entity.properties && Object.keys(entity.properties).length > 0) {
+      const data = Object.entries(entity.properties)
+        .map(([key, value]) => `<Data name="${this.escapeXml(key)}"><value>${this.escapeXml(typeof value === 'object' ? JSON.stringify(value) : String(value))}</value></Data>`)
+        .join('');
+      lines.push(`      <ExtendedData>${data}</ExtendedData>`);
+    }
+    lines.push(`      ${geometry}`);
+    lines.push('    </Placemark>');
+
+    return lines.join('\n');
+  }
+
+  /**
+   * 获取CZML颜色属性的rgba值
+   * @param {Object} color CZML颜色属性 { rgba }
+   * @returns {Array|null} rgba数组
+   */
+  static getRgba(color) {
+    return color && Array.isArray(color.rgba) && color.rgba.length >= 3 ? color.rgba : null;
+  }
+
+  /**
+   * 格式化KML坐标文本
+   * @param {Array} coordinates 坐标对象数组
+   * @returns {string} "lon,lat,alt lon,lat,alt ..."
+   */
+  static formatCoordinates(coordinates) {
+    return coordinates.map(coord => `${coord.lon},${coord.lat},${coord.height}`).join(' ');
+  }
+
+  /**
+   * 闭合坐标环
+   * @param {Array} coordinates 坐标对象数组
+   * @returns {Array} 首尾相同的坐标数组
+   */
+  static closeRing(coordinates) {
+    const first = coordinates[0];
+    const last = coordinates[coordinates.length - 1];
+    const isClosed = first.lon === last.lon && first.lat === last.lat && first.height === last.height;
+    return isClosed ? coordinates : [...coordinates, first];
+  }
+
+  /**
+   * 转义XML特殊字符
+   * @param {string} text 文本
+   * @returns {string} 转义后的文本
+   */
+  static escapeXml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * 获取指定名称的直接子元素
+   * @param {Element} element 父元素
+   * @param {string} name 子元素名称
+   * @returns {Element|null} 子元素
+   */
+  static getChild(element, name) {
+    return Array.from(element.children).find(child => child.localName === name) || null;
+  }
+
+  /**
+   * 获取指定名称的直接子元素文本
+   * @param {Element} element 父元素
+   * @param {string} name 子元素名称
+   * @returns {string|null} 去除首尾空白的文本，不存在时返回null
+   */
+  static getChildText(element, name) {
+    const child = this.getChild(element, name);
+    return child ? child.textContent.trim() : null;
+  }
+}
+
+export default KmlUtils;
\ No newline at end of file
@@ -0,0 +1,476 @@
+const WGS84_A = 6378137; // WGS84椭球长半轴（米）
+const WGS84_F = 1 / 298.257223563; // WGS84椭球扁率
+const UTM_SCALE = 0.9996; // 中央经线比例因子
+const FALSE_EASTING = 500000;
+const FALSE_NORTHING_SOUTH = 10000000;
+
+// UTM覆盖的纬度范围（两极使用UPS，不支持）
+const UTM_MIN_LAT = -80;
+const UTM_MAX_LAT = 84;
+
+// MGRS纬度带（每8°一个，X带为72°~84°），以及100km方格的列、行字母（不含I和O）
+const LATITUDE_BANDS = 'CDEFGHJKLMNPQRSTUVWX';
+const MGRS_COLUMN_LETTERS = ['ABCDEFGH', 'JKLMNPQR', 'STUVWXYZ'];
+const MGRS_ROW_LETTERS = ['ABCDEFGHJKLMNPQRSTUV', 'FGHJKLMNPQRSTUVABCDE'];
+
+const NUMBER_PATTERN = /^[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?$/;
+const UTM_INPUT_PATTERN = /^utm(?![a-z])/i;
+const MGRS_INPUT_PATTERN = /^(?:mgrs\s+)?\d{1,2}\s*[C-HJ-NP-X]\s*[A-HJ-NP-Z]\s*[A-HJ-NP-V](?![A-Z])/i;
+
+// Krüger级数（展开到n⁶，在UTM分带内精度远小于1毫米）
+const N = WGS84_F / (2 - WGS84_F);
+const E = Math.sqrt(WGS84_F * (2 - WGS84_F));
+const RECTIFYING_RADIUS = WGS84_A / (1 + N) * (1 + N ** 2 / 4 + N ** 4 / 64 + N ** 6 / 256);
+const ALPHA = [
+  null,
+  N / 2 - 2 / 3 * N ** 2 + 5 / 16 * N ** 3 + 41 / 180 * N ** 4 - 127 / 288 * N ** 5 + 7891 / 37800 * N ** 6,
+  13 / 48 * N ** 2 - 3 / 5 * N ** 3 + 557 / 1440 * N ** 4 + 281 / 630 * N ** 5 - 1983433 / 1935360 * N ** 6,
+  61 / 240 * N ** 3 - 103 / 140 * N ** 4 + 15061 / 26880 * N ** 5 + 167603 / 181440 * N ** 6,
+  49561 / 161280 * N ** 4 - 179 / 168 * N ** 5 + 6601661 / 7257600 * N ** 6,
+  34729 / 80640 * N ** 5 - 3418889 / 1995840 * N ** 6,
+  212378941 / 319334400 * N ** 6
+];
+const BETA = [
+  null,
+  N / 2 - 2 / 3 * N ** 2 + 37 / 96 * N ** 3 - 1 / 360 * N ** 4 - 81 / 512 * N ** 5 + 96199 / 604800 * N ** 6,
+  1 / 48 * N ** 2 + 1 / 15 * N ** 3 - 437 / 1440 * N ** 4 + 46 / 105 * N ** 5 - 1118711 / 3870720 * N ** 6,
+  17 / 480 * N ** 3 - 37 / 840 * N ** 4 - 209 / 4480 * N ** 5 + 5569 / 90720 * N ** 6,
+  4397 / 161280 * N ** 4 - 11 / 504 * N ** 5 - 830251 / 7257600 * N ** 6,
+  4583 / 161280 * N ** 5 - 108847 / 3991680 * N ** 6,
+  20648693 / 638668800 * N ** 6
+];
+
+const toRadians = degrees => degrees * Math.PI / 180;
+const toDegrees = radians => radians * 180 / Math.PI;
+
+/**
+ * 投影坐标工具类
+ * WGS84经纬度与UTM、MGRS之间的转换（横轴墨卡托投影使用Krüger级数，往返误差在微米级），
+ * 以及UTM/MGRS文本的解析和格式化。模型中的坐标始终为经纬度，投影坐标只用于输入和显示
+ */
+class ProjectionUtils {
+  /**
+   * 经纬度所在的UTM带号（含挪威和斯瓦尔巴群岛的特殊分带）
+   * @param {number} lon 经度
+   * @param {number} lat 纬度
+   * @returns {number} 带号 1-60
+   */
+  static getUtmZone(lon, lat) {
+    let zone = Math.floor((lon + 180) / 6) + 1;
+    if (zone > 60) zone = 60;
+
+    if (lat >= 56 && lat < 64 && lon >= 3 && lon < 12) {
+      zone = 32;
+    }
+    if (lat >= 72 && lat < 84 && lon >= 0 && lon < 42) {
+      zone = lon < 9 ? 31 : lon < 21 ? 33 : lon < 33 ? 35 : 37;
+    }
+    return zone;
+  }
+
+  /**
+   * 纬度所在的MGRS纬度带字母
+   * @param {number} lat 纬度
+   * @returns {string|null} 纬度带字母，超出UTM范围时返回null
+   */
+  static getLatitudeBand(lat) {
+    if (lat < UTM_MIN_LAT || lat > UTM_MAX_LAT) {
+      return null;
+    }
+    return LATITUDE_BANDS[Math.min(Math.floor((lat + 80) / 8), LATITUDE_BANDS.length - 1)];
+  }
+
+  /**
+   * 经纬度是否在UTM覆盖范围内
+   * @param {Object} coord 坐标 {lon, lat}
+   * @returns {boolean} 是否在范围内
+   */
+  static isInUtmRange(coord) {
+    return !!coord && coord.lat >= UTM_MIN_LAT && coord.lat <= UTM_MAX_LAT &&
+      coord.lon >= -180 && coord.lon <= 180;
+  }
+
+  /**
+   * 经纬度转UTM
+   * @param {Object} coord 坐标 {lon, lat}
+   * @param {number} zone 指定带号，省略时按经纬度计算
+   * @returns {Object|null} { zone, hemisphere: 'N'|'S', easting, northing }，超出UTM范围时返回null
+   */
+  static toUtm(coord, zone = null) {
+    if (!this.isInUtmRange(coord)) {
+      return null;
+    }
+
+    const utmZone = zone || this.getUtmZone(coord.lon, coord.lat);
+    const centralMeridian = (utmZone - 1) * 6 - 180 + 3;
+    let deltaLon = coord.lon - centralMeridian;
+    if (deltaLon > 180) deltaLon -= 360;
+    if (deltaLon < -180) deltaLon += 360;
+
+    const phi = toRadians(coord.lat);
+    const lambda = toRadians(deltaLon);
+    const cosLambda = Math.cos(lambda);
+    const sinLambda = Math.sin(lambda);
+
+    // 等角纬度
+    const tau = Math.tan(phi);
+    const sigma = Math.sinh(E * Math.atanh(E * tau / Math.sqrt(1 + tau * tau)));
+    const tauPrime = tau * Math.sqrt(1 + sigma * sigma) - sigma * Math.sqrt(1 + tau * tau);
+
+    const xiPrime = Math.atan2(tauPrime, cosLambda);
+    const etaPrime = Math.asinh(sinLambda / Math.sqrt(tauPrime * tauPrime + cosLambda * cosLambda));
+
+    let xi = xiPrime;
+    let eta = etaPrime;
+    for (let j = 1; j <= 6; j++) {
+      xi += ALPHA[j] * Math.sin(2 * j * xiPrime) * Math.cosh(2 * j * etaPrime);
+      eta += ALPHA[j] * Math.cos(2 * j * xiPrime) * Math.sinh(2 * j * etaPrime);
+    }
+
+    const hemisphere = coord.lat < 0 ? 'S' : 'N';
+    return {
+      zone: utmZone,
+      hemisphere,
+      easting: UTM_SCALE * RECTIFYING_RADIUS * eta + FALSE_EASTING,
+      northing: UTM_SCALE * RECTIFYING_RADIUS * xi + (hemisphere === 'S' ? FALSE_NORTHING_SOUTH : 0)
+    };
+  }
+
+  /**
+   * UTM转经纬度
+   * @param {Object} utm { zone, hemisphere: 'N'|'S', easting, northing }
+   * @returns {Object} 坐标 {lon, lat}
+   */
+  static fromUtm(utm) {
+    const centralMeridian = (utm.zone - 1) * 6 - 180 + 3;
+    const x = utm.easting - FALSE_EASTING;
+    const y = utm.northing - (utm.hemisphere === 'S' ? FALSE_NORTHING_SOUTH : 0);
+
+    const eta = x / (UTM_SCALE * RECTIFYING_RADIUS);
+    const xi = y / (UTM_SCALE * RECTIFYING_RADIUS);
+
+    let xiPrime = xi;
+    let etaPrime = eta;
+    for (let j = 1; j <= 6; j++) {
+      xiPrime -= BETA[j] * Math.sin(2 * j * xi) * Math.cosh(2 * j * eta);
+      etaPrime -= BETA[j] * Math.cos(2 * j * xi) * Math.sinh(2 * j * eta);
+    }
+
+    const sinhEtaPrime = Math.sinh(etaPrime);
+    const sinXiPrime = Math.sin(xiPrime);
+    const cosXiPrime = Math.cos(xiPrime);
+    const tauPrime = sinXiPrime / Math.sqrt(sinhEtaPrime * sinhEtaPrime + cosXiPrime * cosXiPrime);
+
+    // 由等角纬度迭代求大地纬度（牛顿法）
+    let tau = tauPrime;
+    for (let iteration = 0; iteration < 10; iteration++) {
+      const sigma = Math.sinh(E * Math.atanh(E * tau / Math.sqrt(1 + tau * tau)));
+      const tauIPrime = tau * Math.sqrt(1 + sigma * sigma) - sigma * Math.sqrt(1 + tau * tau);
+      const delta = (tauPrime - tauIPrime) / Math.sqrt(1 + tauIPrime * tauIPrime) *
+        (1 + (1 - E * E) * tau * tau) / ((1 - E * E) * Math.sqrt(1 + tau * tau));
+      tau += delta;
+      if (Math.abs(delta) < 1e-14) break;
+    }
+
+    let lon = centralMeridian + toDegrees(Math.atan2(sinhEtaPrime, cosXiPrime));
+    if (lon > 180) lon -= 360;
+    if (lon < -180) lon += 360;
+    return { lon, lat: toDegrees(Math.atan(tau)) };
+  }
+
+  /**
+   * 经纬度转MGRS
+   * @param {Object} coord 坐标 {lon, lat}
+   * @returns {Object|null} { zone, band, column, row, easting, northing }（easting/northing为100km方格内的米数），
+   *   超出UTM范围时返回null
+   */
+  static toMgrs(coord) {
+    const utm = this.toUtm(coord);
+    if (!utm) {
+      return null;
+    }
+
+    const columnIndex = Math.floor(utm.easting / 100000) - 1;
+    const rowIndex = Math.floor(utm.northing / 100000) % 20;
+    return {
+      zone: utm.zone,
+      band: this.getLatitudeBand(coord.lat),
+      column: MGRS_COLUMN_LETTERS[(utm.zone - 1) % 3][columnIndex],
+      row: MGRS_ROW_LETTERS[(utm.zone - 1) % 2][rowIndex],
+      easting: utm.easting % 100000,
+      northing: utm.northing % 100000
+    };
+  }
+
+  /**
+   * MGRS转UTM（按纬度带确定northing所在的2000km周期）
+   * @param {Object} mgrs { zone, band, column, row, easting, northing }
+   * @returns {Object|null} UTM坐标，方格字母不属于该带时返回null
+   */
+  static mgrsToUtm(mgrs) {
+    const columnIndex = MGRS_COLUMN_LETTERS[(mgrs.zone - 1) % 3].indexOf(mgrs.column);
+    const rowIndex = MGRS_ROW_LETTERS[(mgrs.zone - 1) % 2].indexOf(mgrs.row);
+    const bandIndex = LATITUDE_BANDS.indexOf(mgrs.band);
+    if (columnIndex < 0 || rowIndex < 0 || bandIndex < 0) {
+      return null;
+    }
+
+    const hemisphere = mgrs.band >= 'N' ? 'N' : 'S';
+    const easting = (columnIndex + 1) * 100000 + mgrs.easting;
+
+    // 纬度带南边界在中央经线上的northing（取整到100km），方格northing加上若干个2000km周期后不小于它
+    const centralMeridian = (mgrs.zone - 1) * 6 - 180 + 3;
+    const bandSouth = this.toUtm({ lon: centralMeridian, lat: bandIndex * 8 - 80 }, mgrs.zone);
+    const bandNorthing = Math.floor(bandSouth.northing / 100000) * 100000;
+    let northing = rowIndex * 100000 + mgrs.northing;
+    while (northing < bandNorthing) {
+      northing += 2000000;
+    }
+
+    return { zone: mgrs.zone, hemisphere, easting, northing };
+  }
+
+  /**
+   * 格式化UTM坐标
+   * @param {Object} coord 坐标 {lon, lat}
+   * @param {number} precision 小数位数，默认3（毫米）
+   * @returns {string|null} 如 "51N 352000.000 3456000.000"，超出UTM范围时返回null
+   */
+  static formatUtm(coord, precision = 3) {
+    const utm = this.toUtm(coord);
+    if (!utm) return null;
+    return `${utm.zone}${utm.hemisphere} ${utm.easting.toFixed(precision)} ${utm.northing.toFixed(precision)}`;
+  }
+
+  /**
+   * 格式化MGRS坐标（按MGRS惯例截断而不是四舍五入，即方格西南角）
+   * @param {Object} coord 坐标 {lon, lat}
+   * @param {number} digits 方格内每个方向的位数 0-5，默认5（1米）
+   * @returns {string|null} 如 "51R UQ 52000 56000"，超出UTM范围时返回null
+   */
+  static formatMgrs(coord, digits = 5) {
+    const mgrs = this.toMgrs(coord);
+    if (!mgrs) return null;
+
+    const square = `${mgrs.zone}${mgrs.band} ${mgrs.column}${mgrs.row}`;
+    if (digits === 0) return square;
+
+    // 先按0.1毫米取整，避免浮点误差使截断结果少1
+    const truncate = value => String(Math.min(
+      Math.floor(Math.round(value * 1e4) / 1e4 / 10 ** (5 - digits)),
+      10 ** digits - 1
+    )).padStart(digits, '0');
+    return `${square} ${truncate(mgrs.easting)} ${truncate(mgrs.northing)}`;
+  }
+
+  /**
+   * 检查输入是否为投影坐标（以utm开头，或为MGRS写法如 51RUQ...）
+   * @param {string} input 输入字符串
+   * @returns {boolean} 是否为投影坐标
+   */
+  static isProjectedInput(input) {
+    const trimmed = String(input).trim();
+    return UTM_INPUT_PATTERN.test(trimmed) || MGRS_INPUT_PATTERN.test(trimmed);
+  }
+
+  /**
+   * 解析投影坐标输入
+   *   utm 51N 352000 3456000 [高度]     带号+半球（N/S），也可用纬度带字母（C-X）代替半球
+   *   51RUQ5200056000 [高度]            MGRS，也可写作 51R UQ 52000 56000 或加 mgrs 前缀；
+   *                                     分开写时可带小数（如 52000.125），位数少于5时表示方格西南角
+   * @param {string} text 输入文本
+   * @returns {Object} { coord: {lon, lat}, height: number|null } 或 { error }
+   */
+  static parseProjectedInput(text) {
+    const parts = [];
+    const partPattern = /[^\s,，;；]+/g;
+    let match;
+    while ((match = partPattern.exec(text)) !== null) {
+      parts.push({ text: match[0], start: match.index });
+    }
+
+    return UTM_INPUT_PATTERN.test(parts[0].text) ?
+      this.parseUtmParts(parts) :
+      this.parseMgrsParts(text, parts);
+  }
+
+  /**
+   * 解析UTM输入的各部分
+   * @param {Array} parts 输入的各部分 [{ text, start }]
+   * @returns {Object} { coord, height } 或 { error }
+   */
+  static parseUtmParts(parts) {
+    const usage = 'UTM格式: utm 带号半球 东坐标 北坐标 [高度]，如 utm 51N 352000 3456000 12';
+    const at = part => `"${part.text}"（第${part.start + 1}个字符）`;
+    const values = parts.slice(1);
+
+    // 带号和半球可以连写（51N）或分开写（51 N）
+    let zoneMatch = values[0] && values[0].text.match(/^(\d{1,2})([A-Z])$/i);
+    let valueIndex = 1;
+    if (!zoneMatch && values[0] && /^\d{1,2}$/.test(values[0].text) && values[1] && /^[A-Z]$/i.test(values[1].text)) {
+      zoneMatch = [null, values[0].text, values[1].text];
+      valueIndex = 2;
+    }
+    if (!zoneMatch) {
+      return { error: values[0] ? `带号和半球无效: ${at(values[0])}\n${usage}` : usage };
+    }
+
+    const zone = parseInt(zoneMatch[1], 10);
+    const letter = zoneMatch[2].toUpperCase();
+    if (zone < 1 || zone > 60) {
+      return { error: `UTM带号应为1到60: ${at(values[0])}` };
+    }
+    if (letter !== 'S' && letter !== 'N' && !LATITUDE_BANDS.includes(letter)) {
+      return { error: `半球应为N或S（或纬度带字母C-X）: ${at(values[valueIndex - 1])}` };
+    }
+    // 单独的N/S表示半球；其他字母为纬度带，N及之后的字母在北半球
+    const hemisphere = letter === 'S' || letter < 'N' ? 'S' : 'N';
+
+    const rest = values.slice(valueIndex);
+    if (rest.length < 2) {
+      return { error: `缺少${rest.length === 0 ? '东坐标和北坐标' : '北坐标'}\n${usage}` };
+    }
+    if (rest.length > 3) {
+      return { error: `多余的值 ${at(rest[3])}\n${usage}` };
+    }
+
+    const [eastingPart, northingPart, heightPart] = rest;
+    for (const part of [eastingPart, northingPart]) {
+      if (!NUMBER_PATTERN.test(part.text)) {
+        return { error: `无法识别 ${at(part)}\n${usage}` };
+      }
+    }
+    const easting = parseFloat(eastingPart.text);
+    const northing = parseFloat(northingPart.text);
+    if (easting <= 0 || easting >= 1000000) {
+      return { error: `东坐标应在0到1000000米之间: ${at(eastingPart)}` };
+    }
+    if (northing < 0 || northing > FALSE_NORTHING_SOUTH) {
+      return { error: `北坐标应在0到10000000米之间: ${at(northingPart)}` };
+    }
+
+    const height = this.parseHeightPart(heightPart);
+    if (height.error) return height;
+
+    const coord = this.fromUtm({ zone, hemisphere, easting, northing });
+    if (!this.isInUtmRange(coord)) {
+      return { error: `UTM坐标超出范围（纬度${coord.lat.toFixed(2)}°），UTM只适用于南纬80°到北纬84°` };
+    }
+    return { coord, height: height.value };
+  }
+
+  /**
+   * 解析MGRS输入的各部分
+   * @param {string} text 输入文本
+   * @param {Array} parts 输入的各部分 [{ text, start }]
+   * @returns {Object} { coord, height } 或 { error }
+   */
+  static parseMgrsParts(text, parts) {
+    const usage = 'MGRS格式: 51RUQ5200056000 或 51R UQ 52000 56000 [高度]';
+    const at = part => `"${part.text}"（第${part.start + 1}个字符）`;
+
+    // 带号、纬度带、方格字母和紧跟的数字可能分在不同部分，先合并出方格前缀
+    const values = /^mgrs$/i.test(parts[0].text) ? parts.slice(1) : parts.slice();
+    const squarePattern = /^(\d{1,2})([C-HJ-NP-X])([A-HJ-NP-Z])([A-HJ-NP-V])(\d*)$/i;
+    let squareMatch = null;
+    let consumed = 0;
+    let joined = '';
+    for (let index = 0; index < Math.min(values.length, 3) && !squareMatch; index++) {
+      joined += values[index].text;
+      squareMatch = joined.match(squarePattern);
+      consumed = index + 1;
+    }
+    if (!squareMatch) {
+      return { error: `无法识别MGRS方格: ${at(values[0])}\n${usage}` };
+    }
+
+    const zone = parseInt(squareMatch[1], 10);
+    const band = squareMatch[2].toUpperCase();
+    const column = squareMatch[3].toUpperCase();
+    const row = squareMatch[4].toUpperCase();
+    const squarePart = { text: values.slice(0, consumed).map(part => part.text).join(' '), start: values[0].start };
+    if (zone < 1 || zone > 60) {
+      return { error: `UTM带号应为1到60: ${at(squarePart)}` };
+    }
+
+    // 方格内坐标：连写的偶数位数字，或分开写的两个位数相同的数（可带小数）
+    const rest = values.slice(consumed);
+    let eastingText;
+    let northingText;
+    let heightPart;
+    const digitCount = value => value.split('.')[0].length;
+
+    if (squareMatch[5]) {
+      if (squareMatch[5].length % 2 !== 0 || squareMatch[5].length > 10) {
+        return { error: `方格内坐标应为偶数位（最多10位）: ${at(values[consumed - 1])}` };
+      }
+      const half = squareMatch[5].length / 2;
+      eastingText = squareMatch[5].slice(0, half);
+      northingText = squareMatch[5].slice(half);
+      heightPart = rest[0];
+      if (rest.length > 1) return { error: `多余的值 ${at(rest[1])}\n${usage}` };
+    } else if (rest.length >= 2 && /^\d+(\.\d+)?$/.test(rest[0].text) && /^\d+(\.\d+)?$/.test(rest[1].text) &&
+      digitCount(rest[0].text) === digitCount(rest[1].text)) {
+      eastingText = rest[0].text;
+      northingText = rest[1].text;
+      heightPart = rest[2];
+      if (rest.length > 3) return { error: `多余的值 ${at(rest[3])}\n${usage}` };
+      if (digitCount(eastingText) > 5) {
+        return { error: `方格内坐标每个方向最多5位: ${at(rest[0])}` };
+      }
+      if ((eastingText.includes('.') || northingText.includes('.')) && digitCount(eastingText) !== 5) {
+        return { error: `带小数时方格内坐标应为5位整数: ${at(rest[0])}` };
+      }
+    } else if (rest.length > 0 && /^\d+$/.test(rest[0].text)) {
+      const digits = rest[0].text;
+      if (digits.length % 2 !== 0 || digits.length > 10) {
+        return { error: `方格内坐标应为偶数位（最多10位）: ${at(rest[0])}` };
+      }
+      eastingText = digits.slice(0, digits.length / 2);
+      northingText = digits.slice(digits.length / 2);
+      heightPart = rest[1];
+      if (rest.length > 2) return { error: `多余的值 ${at(rest[2])}\n${usage}` };
+    } else if (rest.length > 0) {
+      return { error: `无法识别 ${at(rest[0])}\n${usage}` };
+    } else {
+      eastingText = '';
+      northingText = '';
+    }
+
+    const scale = value => value ? parseFloat(value) * 10 ** (5 - digitCount(value)) : 0;
+    const utm = this.mgrsToUtm({ zone, band, column, row, easting: scale(eastingText), northing: scale(northingText) });
+    if (!utm) {
+      return { error: `方格字母 ${column}${row} 不属于第${zone}带: ${at(squarePart)}` };
+    }
+
+    const height = this.parseHeightPart(heightPart);
+    if (height.error) return height;
+
+    const coord = this.fromUtm(utm);
+    const bandSouth = LATITUDE_BANDS.indexOf(band) * 8 - 80;
+    const bandNorth = band === 'X' ? UTM_MAX_LAT : bandSouth + 8;
+    if (coord.lat < bandSouth - 0.5 || coord.lat > bandNorth + 0.5) {
+      return { error: `坐标不在纬度带 ${band} 内（纬度${coord.lat.toFixed(2)}°）: ${at(squarePart)}` };
+    }
+    return { coord, height: height.value };
+  }
+
+  /**
+   * 解析可选的高度部分（可带m单位）
+   * @param {Object|undefined} part 输入部分 { text, start }
+   * @returns {Object} { value: number|null } 或 { error }
+   */
+  static parseHeightPart(part) {
+    if (!part) {
+      return { value: null };
+    }
+    const text = part.text.replace(/m$/i, '');
+    const value = parseFloat(text);
+    if (!NUMBER_PATTERN.test(text) || !Number.isFinite(value)) {
+      return { error: `高度无效: "${part.text}"（第${part.start + 1}个字符）` };
+    }
+    return { value };
+  }
+}
+
+export default ProjectionUtils;
\ No newline at end of file
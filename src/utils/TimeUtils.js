@@ -0,0 +1,139 @@
+/**
+ * ISO 8601 日期时间格式 (如 2024-05-01T08:00:00Z、2024-05-01T08:00:00.5+08:00、2024-05-01)
+ */
+const ISO_DATE_TIME = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+
+/**
+ * 时长格式: 数字加可选单位 s/m/h/d，可带前导 +（如 30、30s、5m、1.5h、+2d）
+ */
+const DURATION = /^\+?(\d+(?:\.\d+)?)\s*(s|m|h|d)?$/i;
+
+const UNIT_SECONDS = { s: 1, m: 60, h: 3600, d: 86400 };
+
+/**
+ * 时间工具类
+ * 负责CZML时间相关的解析与格式化：ISO 8601时间、时长和 "开始/结束" 时间区间
+ * 编辑器内部统一使用UTC的ISO 8601字符串（去掉 .000 毫秒）
+ */
+class TimeUtils {
+  /**
+   * 解析ISO 8601时间
+   * @param {string} text 时间文本
+   * @returns {string|null} 规范化的UTC ISO字符串，格式错误时返回null
+   */
+  static parseTime(text) {
+    const trimmed = (text || '').trim();
+    if (!ISO_DATE_TIME.test(trimmed)) {
+      return null;
+    }
+
+    // 没有时区的时间按UTC处理（与CZML一致），而不是浏览器本地时间
+    const hasZone = /(Z|[+-]\d{2}:\d{2})$/.test(trimmed) || !trimmed.includes('T');
+    const date = new Date(hasZone ? trimmed : `${trimmed}Z`);
+    return isNaN(date.getTime()) ? null : this.toIso(date);
+  }
+
+  /**
+   * 判断输入是否为ISO 8601时间
+   * @param {string} text 输入文本
+   * @returns {boolean} 是否为时间
+   */
+  static isTime(text) {
+    return this.parseTime(text) !== null;
+  }
+
+  /**
+   * 将日期转换为ISO字符串（整秒时省略毫秒）
+   * @param {Date|number|string} value 日期、时间戳或可解析的时间字符串
+   * @returns {string} UTC ISO字符串
+   */
+  static toIso(value) {
+    return new Date(value).toISOString().replace('.000Z', 'Z');
+  }
+
+  /**
+   * 当前时间（取整到秒）
+   * @returns {string} UTC ISO字符串
+   */
+  static now() {
+    return this.toIso(Math.floor(Date.now() / 1000) * 1000);
+  }
+
+  /**
+   * 解析时长
+   * @param {string} text 时长文本 (如 30、30s、5m、1.5h、+2d，无单位时为秒)
+   * @returns {number|null} 秒数，格式错误时返回null
+   */
+  static parseDuration(text) {
+    const match = DURATION.exec((text || '').trim());
+    if (!match) {
+      return null;
+    }
+
+    const unit = (match[2] || 's').toLowerCase();
+    return parseFloat(match[1]) * UNIT_SECONDS[unit];
+  }
+
+  /**
+   * 格式化时长
+   * @param {number} seconds 秒数
+   * @returns {string} 时长文本 (如 90s、5m、2h)
+   */
+  static formatDuration(seconds) {
+    if (seconds !== 0 && seconds % 3600 === 0) return `${seconds / 3600}h`;
+    if (seconds !== 0 && seconds % 60 === 0) return `${seconds / 60}m`;
+    return `${seconds}s`;
+  }
+
+  /**
+   * 时间加上秒数
+   * @param {string} time ISO时间
+   * @param {number} seconds 秒数（可为负）
+   * @returns {string} ISO时间
+   */
+  static addSeconds(time, seconds) {
+    return this.toIso(new Date(time).getTime() + seconds * 1000);
+  }
+
+  /**
+   * 计算两个时间之间的秒数
+   * @param {string} start 开始时间
+   * @param {string} stop 结束时间
+   * @returns {number} 秒数（stop早于start时为负）
+   */
+  static secondsBetween(start, stop) {
+    return (new Date(stop).getTime() - new Date(start).getTime()) / 1000;
+  }
+
+  /**
+   * 解析CZML时间区间 "开始/结束"
+   * @param {string} text 区间文本
+   * @returns {Object|null} { start, stop }，格式错误或结束早于开始时返回null
+   */
+  static parseInterval(text) {
+    const parts = (text || '').split('/');
+    if (parts.length !== 2) {
+      return null;
+    }
+
+    const start = this.parseTime(parts[0]);
+    const stop = this.parseTime(parts[1]);
+    if (!start || !stop || this.secondsBetween(start, stop) < 0) {
+      return null;
+    }
+
+    return { start, stop };
+  }
+
+  /**
+   * 格式化CZML时间区间
+   * @param {string} start 开始时间
+   * @param {string} stop 结束时间
+   * @returns {string} "开始/结束"
+   */
+  static formatInterval(start, stop) {
+    return `${start}/${stop}`;
+  }
+}
+
+export default TimeUtils;
\ No newline at end of file
@@ -0,0 +1,176 @@
+/**
+ * ZIP工具类
+ * 提供KMZ等ZIP包的最小读写功能：
+ * 读取支持存储(0)和deflate(8)压缩方式，写入使用deflate压缩
+ * 压缩/解压依赖浏览器内置的 CompressionStream / DecompressionStream
+ */
+class ZipUtils {
+  static CRC_TABLE = null;
+
+  /**
+   * 读取ZIP包中的所有文件
+   * @param {ArrayBuffer} buffer ZIP数据
+   * @returns {Promise<Array>} 文件数组 [{ name, data: Uint8Array }]
+   */
+  static async unzip(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const view = new DataView(buffer);
+
+    const endOffset = this.findEndOfCentralDirectory(view);
+    if (endOffset < 0) {
+      throw new Error('不是有效的ZIP文件');
+    }
+
+    const entryCount = view.getUint16(endOffset + 10, true);
+    let offset = view.getUint32(endOffset + 16, true);
+    const entries = [];
+
+    for (let i = 0; i < entryCount; i++) {
+      if (view.getUint32(offset, true) !== 0x02014b50) {
+        throw new Error('ZIP目录损坏');
+      }
+
+      const method = view.getUint16(offset + 10, true);
+      const compressedSize = view.getUint32(offset + 20, true);
+      const nameLength = view.getUint16(offset + 28, true);
+      const extraLength = view.getUint16(offset + 30, true);
+      const commentLength = view.getUint16(offset + 32, true);
+      const localOffset = view.getUint32(offset + 42, true);
+      const name = new TextDecoder().decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+      entries.push({ name, method, compressedSize, localOffset });
+      offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    const files = [];
+    for (const entry of entries) {
+      if (entry.name.endsWith('/')) continue; // 目录
+
+      const localNameLength = view.getUint16(entry.localOffset + 26, true);
+      const localExtraLength = view.getUint16(entry.localOffset + 28, true);
+      const dataStart = entry.localOffset + 30 + localNameLength + localExtraLength;
+      const compressed = bytes.subarray(dataStart, dataStart + entry.compressedSize);
+
+      let data;
+      if (entry.method === 0) {
+        data = compressed.slice();
+      } else if (entry.method === 8) {
+        data = await this.transform(compressed, new DecompressionStream('deflate-raw'));
+      } else {
+        throw new Error(`不支持的ZIP压缩方式: ${entry.method} (${entry.name})`);
+      }
+
+      files.push({ name: entry.name, data });
+    }
+
+    return files;
+  }
+
+  /**
+   * 将文件打包为ZIP
+   * @param {Array} files 文件数组 [{ name, data: string|Uint8Array }]
+   * @returns {Promise<Blob>} ZIP数据
+   */
+  static async zip(files) {
+    const encoder = new TextEncoder();
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const file of files) {
+      const nameBytes = encoder.encode(file.name);
+      const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+      const compressed = await this.transform(data, new CompressionStream('deflate-raw'));
+      const crc = this.crc32(data);
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true);
+      local.setUint16(4, 20, true);            // 解压所需版本
+      local.setUint16(6, 0x0800, true);        // UTF-8文件名
+      local.setUint16(8, 8, true);             // deflate
+      local.setUint32(14, crc, true);
+      local.setUint32(18, compressed.length, true);
+      local.setUint32(22, data.length, true);
+      local.setUint16(26, nameBytes.length, true);
+
+      const central = new DataView(new ArrayBuffer(46));
+      central.setUint32(0, 0x02014b50, true);
+      central.setUint16(4, 20, true);
+      central.setUint16(6, 20, true);
+      central.setUint16(8, 0x0800, true);
+      central.setUint16(10, 8, true);
+      central.setUint32(16, crc, true);
+      central.setUint32(20, compressed.length, true);
+      central.setUint32(24, data.length, true);
+      central.setUint16(28, nameBytes.length, true);
+      central.setUint32(42, offset, true);
+
+      localParts.push(new Uint8Array(local.buffer), nameBytes, compressed);
+      centralParts.push(new Uint8Array(central.buffer), nameBytes);
+      offset += 30 + nameBytes.length + compressed.length;
+    }
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...localParts, ...centralParts, new Uint8Array(end.buffer)], { type: 'application/zip' });
+  }
+
+  /**
+   * 查找中央目录结束记录（从文件末尾向前搜索）
+   * @param {DataView} view ZIP数据
+   * @returns {number} 记录偏移，未找到时返回-1
+   */
+  static findEndOfCentralDirectory(view) {
+    const minOffset = Math.max(0, view.byteLength - 22 - 0xffff);
+    for (let offset = view.byteLength - 22; offset >= minOffset; offset--) {
+      if (view.getUint32(offset, true) === 0x06054b50) {
+        return offset;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * 通过压缩/解压流转换数据
+   * @param {Uint8Array} data 输入数据
+   * @param {TransformStream} stream 压缩或解压流
+   * @returns {Promise<Uint8Array>} 输出数据
+   */
+  static async transform(data, stream) {
+    const output = new Blob([data]).stream().pipeThrough(stream);
+    return new Uint8Array(await new Response(output).arrayBuffer());
+  }
+
+  /**
+   * 计算CRC32校验值
+   * @param {Uint8Array} data 数据
+   * @returns {number} CRC32（无符号）
+   */
+  static crc32(data) {
+    if (!this.CRC_TABLE) {
+      this.CRC_TABLE = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        this.CRC_TABLE[n] = c >>> 0;
+      }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < data.length; i++) {
+      crc = this.CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+}
+
+export default ZipUtils;
\ No newline at end of file
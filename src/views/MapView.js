@@ -1,8 +1,17 @@
+import EntityTypeRegistry from '../models/EntityTypeRegistry.js';
+import GeometryUtils from '../utils/GeometryUtils.js';
+import SnapSettings from '../models/SnapSettings.js';
+
+const MAX_GRID_LINES = 200; // 每个方向最多绘制的栅格线数量
+const SNAP_SUBDIVISION_LENGTH = 50000; // 线上最近点捕捉时，长线段按大地线细分的长度（米）
+const SNAP_MAX_SUBDIVISIONS = 64; // 每条线段最多细分的段数
+const SNAP_REFINE_ITERATIONS = 30; // 在细分段内搜索最近点的黄金分割迭代次数
+
 /**
  * 地图视图类 - 最终修复版本
  * 负责管理Cesium地图的显示和交互
  * 支持左键选点和右键确认
- * 支持临时polyline预览
+ * 支持临时polyline/polygon预览
  * 支持实体选择功能（用于EditPoint命令）
  * 修复了右键确认的重复执行问题
  */
@@ -15,9 +24,35 @@ class MapView {
     this.tempEntity = null;
     this.tempPolylineEntity = null;
     this.tempPolylinePoints = [];
+    this.tempPolygonEntity = null;
+    this.czmlDataSource = null; // 🔧 承载CZML文档的数据源
     this.onMapClickCallback = null;
     this.onRightClickConfirmCallback = null;
     this.onEntityClickCallback = null;
+    this.selectionHandler = null; // 无命令时的点击选择（独立于命令交互的clickHandler）
+    this.onSelectionClickCallback = null;
+    this.regionHandler = null; // 框选/套索选择
+    this.regionOverlay = null; // 选择区域的SVG覆盖层
+    this._cameraInputsEnabled = true;
+    this.vertexEditHandler = null; // 顶点控制柄的拖动和点击（EditPolyline）
+    this.vertexHandles = []; // 顶点和线段中点控制柄实体
+    this._vertexCoordinates = []; // 控制柄对应的顶点坐标，用于拖动预览
+    this._vertexHandleEntityId = null; // 控制柄所属的折线ID
+    this.dragHandler = null; // 无命令时直接拖动点和顶点
+    this._dragActive = false;
+    this.coordinateHandler = null; // 状态栏的光标坐标
+    this.cursorHandler = null; // 光标预览（橡皮筋线段和提示框）
+    this.cursorTooltip = null;
+    this.rubberBandEntity = null;
+    this._rubberBandPositions = [];
+    this.snapSettings = null; // 对象捕捉设置（由EditorController提供）
+    this.snapMarkerEntity = null;
+    this._snapCache = null;
+    this._snapGeometryCache = new WeakMap(); // 实体 -> 捕捉用的顶点和包围球（常量位置才缓存）
+    this._getTrackingAnchor = null; // 正交和极轴追踪的起点（上一个顶点）
+    this.gridEntities = []; // 栅格线实体
+    this._gridStep = null;
+    this._removeGridCameraListener = null;
     
     // 交互模式标记
     this.interactionMode = 'normal'; // 'normal', 'entity_selection', 'map_click'
@@ -25,18 +60,31 @@ class MapView {
     // 防重复执行标志
     this._rightClickInProgress = false;
     
+    // CZML数据源的异步更新队列，保证全量加载与增量更新按顺序执行
+    this._czmlUpdateQueue = Promise.resolve();
+    
+    // 高亮状态（文档重新加载后需要恢复）
+    this._selectablePointsHighlighted = false;
+    this._highlightedEntityIds = new Set();
+    
     this.init();
   }
 
   init() {
     Cesium.Ion.defaultAccessToken = import.meta.env.VITE_CESIUM_ION_TOKEN;
 
+    // 🔧 启用动画和时间轴控件，用于播放时间采样位置（移动目标）
     this.viewer = new Cesium.Viewer(this.containerId, {
-      animation: false,
-      timeline: false,
+      animation: true,
+      timeline: true,
       shouldAnimate: true,
     });
 
+    // 🔧 CZML文档通过CzmlDataSource渲染，viewer.entities只保留编辑器的临时预览实体
+    // 第一个加入的数据源会被viewer跟踪时钟：document包的clock变化时，自动同步viewer时钟和时间轴范围
+    this.czmlDataSource = new Cesium.CzmlDataSource('CZML编辑器');
+    this.viewer.dataSources.add(this.czmlDataSource);
+
     this.viewer.cesiumWidget.canvas.oncontextmenu = function(e) {
       e.preventDefault();
       return false;
@@ -49,6 +97,14 @@ class MapView {
     return this.viewer;
   }
 
+  /**
+   * 获取地图容器元素
+   * @returns {HTMLElement} 容器元素
+   */
+  getContainer() {
+    return this.viewer.container;
+  }
+
   addPointToMap(coord, options = {}) {
     const defaultOptions = {
       pixelSize: 10,
@@ -104,10 +160,13 @@ class MapView {
 
   /**
    * 启用点击地图添加点的功能
+   * @param {Function} onMapClick 点击回调 (coord) => void
+   * @param {Object} options { getAnchor: 返回上一个顶点的函数，用于正交和极轴追踪 }
    */
-  enableMapClickToAddPoint(onMapClick) {
+  enableMapClickToAddPoint(onMapClick, options = {}) {
     this.interactionMode = 'map_click';
     this.onMapClickCallback = onMapClick;
+    this._getTrackingAnchor = options.getAnchor || null;
 
     if (this.clickHandler) {
       this.clickHandler.destroy();
@@ -116,15 +175,11 @@ class MapView {
     this.clickHandler = new Cesium.ScreenSpaceEventHandler(this.viewer.canvas);
 
     this.clickHandler.setInputAction((click) => {
-      const cartesian = this.viewer.scene.pickPosition(click.position);
-      if (!cartesian) return;
+      // 🔧 对象捕捉、栅格捕捉和正交/极轴追踪都在拾取和回调之间处理
+      const resolved = this.resolveDrawingPosition(click.position);
+      if (!resolved) return;
 
-      const cartographic = Cesium.Cartographic.fromCartesian(cartesian);
-      const coord = {
-        lon: Cesium.Math.toDegrees(cartographic.longitude),
-        lat: Cesium.Math.toDegrees(cartographic.latitude),
-        height: cartographic.height
-      };
+      const coord = { ...resolved.coord };
 
       // 在map_click模式下才显示临时预览点
       if (this.interactionMode === 'map_click') {
@@ -137,6 +192,11 @@ class MapView {
 
     }, Cesium.ScreenSpaceEventType.LEFT_CLICK);
 
+    // 鼠标移动时显示捕捉标记
+    this.clickHandler.setInputAction((movement) => {
+      this.resolveDrawingPosition(movement.endPosition);
+    }, Cesium.ScreenSpaceEventType.MOUSE_MOVE);
+
     console.log('✅ 地图点击模式已启用（会显示临时预览点）');
   }
 
@@ -204,10 +264,12 @@ class MapView {
       this.clickHandler = null;
     }
     this.onMapClickCallback = null;
+    this._getTrackingAnchor = null;
     
     // 清理临时实体
     this.hideTemporaryPoint();
-    this.hideTemporaryPolyline();
+    this.hideTemporaryPolygon();
+    this.hideSnapMarker();
     
     console.log('✅ 地图点击模式已禁用');
   }
@@ -331,6 +393,83 @@ class MapView {
     console.log('临时polyline已隐藏');
   }
 
+  /**
+   * 更新临时polygon预览
+   * 边线预览复用临时polyline（自动闭合），3个点以上时再叠加半透明填充
+   */
+  updateTemporaryPolygon(coordinates) {
+    this.hideTemporaryPolygon();
+
+    if (coordinates.length < 3) {
+      this.updateTemporaryPolyline(coordinates);
+      return;
+    }
+
+    this.updateTemporaryPolyline([...coordinates, coordinates[0]]);
+
+    const positions = coordinates.map(coord => 
+      Cesium.Cartesian3.fromDegrees(coord.lon, coord.lat, coord.height)
+    );
+
+    this.tempPolygonEntity = this.viewer.entities.add({
+      polygon: {
+        hierarchy: new Cesium.PolygonHierarchy(positions),
+        material: Cesium.Color.YELLOW.withAlpha(0.3),
+        classificationType: Cesium.ClassificationType.TERRAIN
+      },
+      name: `临时多边形 (${coordinates.length} 点)`,
+      _isTemporary: true
+    });
+
+    console.log(`临时polygon已更新: ${coordinates.length}个顶点`);
+  }
+
+  /**
+   * 隐藏临时polygon预览
+   */
+  hideTemporaryPolygon() {
+    if (this.tempPolygonEntity) {
+      this.viewer.entities.remove(this.tempPolygonEntity);
+      this.tempPolygonEntity = null;
+    }
+
+    this.hideTemporaryPolyline();
+  }
+
+  /**
+   * 显示测量标注（Measure命令在线段中点显示长度和方位角）
+   * @param {Array} labels [{ coord, text }]
+   */
+  showMeasureLabels(labels) {
+    this.hideMeasureLabels();
+
+    labels.forEach(({ coord, text }) => {
+      this.viewer.entities.add({
+        position: Cesium.Cartesian3.fromDegrees(coord.lon, coord.lat, coord.height || 0),
+        label: {
+          text: text,
+          font: '12px monospace',
+          fillColor: Cesium.Color.WHITE,
+          showBackground: true,
+          backgroundColor: Cesium.Color.BLACK.withAlpha(0.7),
+          pixelOffset: new Cesium.Cartesian2(0, -12),
+          disableDepthTestDistance: Number.POSITIVE_INFINITY
+        },
+        name: '测量标注',
+        _isMeasureLabel: true,
+        _isTemporary: true
+      });
+    });
+  }
+
+  /**
+   * 隐藏测量标注
+   */
+  hideMeasureLabels() {
+    const entitiesToRemove = this.viewer.entities.values.filter(entity => entity._isMeasureLabel);
+    entitiesToRemove.forEach(entity => this.viewer.entities.remove(entity));
+  }
+
   getTemporaryPolylinePointCount() {
     return this.tempPolylinePoints.length;
   }
@@ -341,9 +480,16 @@ class MapView {
 
   clearAllEntities() {
     this.viewer.entities.removeAll();
+    this.czmlDataSource.entities.removeAll();
+    this._highlightedEntityIds.clear();
     this.tempEntity = null;
     this.tempPolylineEntity = null;
+    this.tempPolygonEntity = null;
     this.tempPolylinePoints = [];
+    this.rubberBandEntity = null;
+    this.snapMarkerEntity = null;
+    this._snapCache = null;
+    this.gridEntities = [];
   }
 
   // =============================================
@@ -351,9 +497,11 @@ class MapView {
   // =============================================
 
   /**
-   * 启用实体选择模式（专门用于EditPoint命令）
+   * 启用实体选择模式（用于EditPoint、SetAvailability等命令）
+   * @param {Function} onEntityClick 选择结果回调
+   * @param {Array} entityTypes 可选择的实体类型，默认只允许选择点
    */
-  enableEntitySelection(onEntityClick) {
+  enableEntitySelection(onEntityClick, entityTypes = ['point']) {
     this.interactionMode = 'entity_selection';
     this.onEntityClickCallback = onEntityClick;
 
@@ -390,26 +538,29 @@ class MapView {
           return;
         }
         
-        // 检查是否是点实体
-        if (entity.point && entity.id.startsWith('PT_')) {
-          console.log('✅ 选中了点实体:', entity.id, entity.name);
+        // 通过实体类型注册表识别实体类型
+        const definition = EntityTypeRegistry.getByEntityId(entity.id);
+        
+        // 检查是否是可选择的实体类型
+        if (definition && entityTypes.includes(definition.type) && entity[definition.czmlKey]) {
+          console.log(`✅ 选中了${definition.label}实体:`, entity.id, entity.name);
           
           if (this.onEntityClickCallback) {
             this.onEntityClickCallback({
               success: true,
               entityId: entity.id,
               entityName: entity.name,
-              entityType: 'point',
+              entityType: definition.type,
               entity: entity
             });
           }
-        } else if (entity.polyline && entity.id.startsWith('PL_')) {
-          console.log('❌ 选中了线实体:', entity.id);
+        } else if (definition) {
+          console.log(`❌ 选中了${definition.label}实体:`, entity.id);
           if (this.onEntityClickCallback) {
             this.onEntityClickCallback({
               success: false,
               error: 'wrong_entity_type',
-              message: '请点击地图上的点（红色圆点），不是线条'
+              message: `请点击地图上的点（红色圆点），不是${definition.label}`
             });
           }
         } else {
@@ -457,41 +608,16 @@ class MapView {
    * 高亮所有可选择的点（修复版本）
    */
   highlightSelectablePoints(highlight = true) {
-    const entities = this.viewer.entities.values;
+    const entities = this.czmlDataSource.entities.values;
     let pointCount = 0;
     
+    this._selectablePointsHighlighted = highlight;
+    
     entities.forEach(entity => {
-      // 只处理真实的点实体，跳过临时实体
-      if (entity.point && entity.id.startsWith('PT_') && !entity._isTemporary) {
+      // 只处理CZML文档中的点实体
+      if (entity.point && EntityTypeRegistry.isOfType(entity.id, 'point')) {
         pointCount++;
-        
-        if (highlight) {
-          if (!entity._originalPointStyle) {
-            entity._originalPointStyle = {
-              pixelSize: entity.point.pixelSize._value || entity.point.pixelSize,
-              color: entity.point.color._value || entity.point.color,
-              outlineWidth: entity.point.outlineWidth ? 
-                (entity.point.outlineWidth._value || entity.point.outlineWidth) : 0,
-              outlineColor: entity.point.outlineColor ? 
-                (entity.point.outlineColor._value || entity.point.outlineColor) : Cesium.Color.BLACK
-            };
-          }
-          
-          entity.point.pixelSize = entity._originalPointStyle.pixelSize * 1.3;
-          entity.point.outlineWidth = 2;
-          entity.point.outlineColor = Cesium.Color.YELLOW;
-          
-          console.log(`高亮点: ${entity.id}`);
-        } else {
-          if (entity._originalPointStyle) {
-            entity.point.pixelSize = entity._originalPointStyle.pixelSize;
-            entity.point.outlineWidth = entity._originalPointStyle.outlineWidth;
-            entity.point.outlineColor = entity._originalPointStyle.outlineColor;
-            delete entity._originalPointStyle;
-            
-            console.log(`恢复点样式: ${entity.id}`);
-          }
-        }
+        this.applySelectableHighlight(entity, highlight);
       }
     });
     
@@ -502,18 +628,51 @@ class MapView {
     }
   }
 
+  /**
+   * 设置单个点的可选择高亮样式
+   * @param {Object} entity Cesium点实体
+   * @param {boolean} highlight 是否高亮
+   */
+  applySelectableHighlight(entity, highlight) {
+    if (highlight) {
+      if (!entity._originalPointStyle) {
+        entity._originalPointStyle = {
+          pixelSize: this.getPropertyValue(entity.point.pixelSize, 1),
+          color: this.getPropertyValue(entity.point.color, Cesium.Color.WHITE),
+          outlineWidth: this.getPropertyValue(entity.point.outlineWidth, 0),
+          outlineColor: this.getPropertyValue(entity.point.outlineColor, Cesium.Color.BLACK)
+        };
+      }
+      
+      entity.point.pixelSize = entity._originalPointStyle.pixelSize * 1.3;
+      entity.point.outlineWidth = 2;
+      entity.point.outlineColor = Cesium.Color.YELLOW;
+    } else if (entity._originalPointStyle) {
+      entity.point.pixelSize = entity._originalPointStyle.pixelSize;
+      entity.point.outlineWidth = entity._originalPointStyle.outlineWidth;
+      entity.point.outlineColor = entity._originalPointStyle.outlineColor;
+      delete entity._originalPointStyle;
+    }
+  }
+
   /**
    * 高亮特定的点（选中状态）
    */
   highlightSpecificPoint(entityId, highlight = true) {
-    const entity = this.viewer.entities.getById(entityId);
+    const entity = this.getCzmlEntity(entityId);
     
-    if (entity && entity.point && !entity._isTemporary) {
+    if (highlight) {
+      this._highlightedEntityIds.add(entityId);
+    } else {
+      this._highlightedEntityIds.delete(entityId);
+    }
+    
+    if (entity && entity.point) {
       if (highlight) {
         if (!entity._selectedPointStyle) {
           entity._selectedPointStyle = {
-            pixelSize: entity.point.pixelSize._value || entity.point.pixelSize,
-            color: entity.point.color._value || entity.point.color
+            pixelSize: this.getPropertyValue(entity.point.pixelSize, 1),
+            color: this.getPropertyValue(entity.point.color, Cesium.Color.WHITE)
           };
         }
         
@@ -538,244 +697,1387 @@ class MapView {
     }
   }
 
-  isValidPointEntity(entityId) {
-    const entity = this.viewer.entities.getById(entityId);
-    return entity && entity.point && entity.id.startsWith('PT_') && !entity._isTemporary;
+  /**
+   * 高亮特定实体（选中状态）
+   * 点使用 highlightSpecificPoint 的样式；线改为黄色并加宽，面改为半透明黄色
+   * @param {string} entityId 实体ID
+   * @param {boolean} highlight 是否高亮
+   */
+  highlightSpecificEntity(entityId, highlight = true) {
+    if (EntityTypeRegistry.isOfType(entityId, 'point')) {
+      this.highlightSpecificPoint(entityId, highlight);
+      return;
+    }
+
+    if (highlight) {
+      this._highlightedEntityIds.add(entityId);
+    } else {
+      this._highlightedEntityIds.delete(entityId);
+    }
+
+    const entity = this.getCzmlEntity(entityId);
+    if (!entity) return;
+
+    if (entity.polyline) {
+      if (highlight) {
+        if (!entity._selectedStyle) {
+          entity._selectedStyle = {
+            width: this.getPropertyValue(entity.polyline.width, 1),
+            material: entity.polyline.material
+          };
+        }
+        entity.polyline.width = entity._selectedStyle.width + 3;
+        entity.polyline.material = Cesium.Color.YELLOW;
+      } else if (entity._selectedStyle) {
+        entity.polyline.width = entity._selectedStyle.width;
+        entity.polyline.material = entity._selectedStyle.material;
+        delete entity._selectedStyle;
+      }
+    } else if (entity.polygon) {
+      if (highlight) {
+        if (!entity._selectedStyle) {
+          entity._selectedStyle = { material: entity.polygon.material };
+        }
+        entity.polygon.material = Cesium.Color.YELLOW.withAlpha(0.5);
+      } else if (entity._selectedStyle) {
+        entity.polygon.material = entity._selectedStyle.material;
+        delete entity._selectedStyle;
+      }
+    }
   }
 
+  // =============================================
+  // 点击选择（没有活动命令时）
+  // =============================================
+
   /**
-   * 获取所有真实点实体的信息（排除临时实体）
+   * 启用点击选择：单击选择实体（点击空白处清空），Shift+单击追加或取消选择
+   * @param {Function} onSelect 回调 ({ entityId, additive }) => void，entityId为null表示点击了空白处
    */
-  getAllPointEntities() {
-    const entities = this.viewer.entities.values;
-    const points = [];
-    
-    entities.forEach(entity => {
-      if (entity.point && entity.id.startsWith('PT_') && !entity._isTemporary) {
-        points.push({
-          id: entity.id,
-          name: entity.name,
-          position: entity.position
-        });
+  enableClickSelection(onSelect) {
+    this.disableClickSelection();
+    this.onSelectionClickCallback = onSelect;
+
+    this.selectionHandler = new Cesium.ScreenSpaceEventHandler(this.viewer.canvas);
+
+    const handleClick = (click, additive) => {
+      // 点击顶点控制柄不改变选择集
+      if (this.pickVertexHandle(click.position)) return;
+
+      if (this.onSelectionClickCallback) {
+        this.onSelectionClickCallback({ entityId: this.pickEntityId(click.position), additive });
       }
-    });
-    
-    return points;
+    };
+
+    this.selectionHandler.setInputAction(
+      (click) => handleClick(click, false),
+      Cesium.ScreenSpaceEventType.LEFT_CLICK
+    );
+    this.selectionHandler.setInputAction(
+      (click) => handleClick(click, true),
+      Cesium.ScreenSpaceEventType.LEFT_CLICK,
+      Cesium.KeyboardEventModifier.SHIFT
+    );
   }
 
   /**
-   * 测试实体选择功能
+   * 禁用点击选择
    */
-  testEntitySelection() {
-    console.log('🧪 测试实体选择功能（修复版）...');
-    
-    // 先清理临时实体
-    this.hideTemporaryPoint();
-    this.hideTemporaryPolyline();
-    
-    const points = this.getAllPointEntities();
-    console.log(`找到 ${points.length} 个真实点实体:`, points);
-    
-    if (points.length === 0) {
-      console.log('⚠️ 没有找到点实体，先添加一些点进行测试');
-      return;
+  disableClickSelection() {
+    if (this.selectionHandler) {
+      this.selectionHandler.destroy();
+      this.selectionHandler = null;
     }
-    
-    // 测试高亮功能
-    this.highlightSelectablePoints(true);
-    
-    setTimeout(() => {
-      console.log('恢复原始样式...');
-      this.highlightSelectablePoints(false);
-    }, 3000);
-    
-    // 测试实体选择
-    this.enableEntitySelection((result) => {
-      console.log('实体选择测试结果:', result);
-      this.disableEntitySelection();
-    });
-    
-    console.log('现在点击地图上的点进行测试（应该不会创建临时预览点）...');
+    this.onSelectionClickCallback = null;
+  }
+
+  /**
+   * 拾取屏幕位置上的文档实体
+   * @param {Cesium.Cartesian2} position 屏幕坐标
+   * @returns {string|null} 实体ID，没有拾取到可识别的文档实体时返回null
+   */
+  pickEntityId(position) {
+    const pickedObject = this.viewer.scene.pick(position);
+    const entity = pickedObject && pickedObject.id;
+
+    if (!entity || entity._isTemporary || !EntityTypeRegistry.getByEntityId(entity.id)) {
+      return null;
+    }
+    return this.getCzmlEntity(entity.id) === entity ? entity.id : null;
   }
 
   // =============================================
-  // CZML数据同步方法
+  // 区域选择（SelectWindow命令）
   // =============================================
 
   /**
-   * 根据CZML数据更新地图显示 - 修复版本
+   * 启用区域选择：按住左键拖出矩形（box）或自由绘制套索（lasso），松开时回调
+   * 🔧 区域选择期间禁用相机输入，否则拖动会同时平移地图
+   * @param {string} shape 'box' | 'lasso'
+   * @param {Function} onComplete 回调 (region) => void，region为屏幕坐标多边形 [{x, y}]，区域过小时为null
    */
-  updateFromCzml(czmlDocument) {
-    try {
-      console.log('🔄 开始根据CZML更新地图显示...');
-      
-      // 保存临时实体状态
-      const tempEntityState = {
-        tempEntity: this.tempEntity,
-        tempPolylineEntity: this.tempPolylineEntity,
-        tempPolylinePoints: [...this.tempPolylinePoints]
-      };
-      
-      // 清除现有实体
-      this.viewer.entities.removeAll();
-      
-      // 重新加载CZML数据
-      if (czmlDocument && czmlDocument.length > 1) {
-        console.log(`处理 ${czmlDocument.length - 1} 个CZML实体...`);
-        
-        for (let i = 1; i < czmlDocument.length; i++) {
-          const czmlEntity = czmlDocument[i];
-          console.log(`处理实体 ${i}: ${czmlEntity.id} (${czmlEntity.name})`);
-          
-          if (czmlEntity.position && czmlEntity.point) {
-            this.addCzmlPointEntity(czmlEntity);
-          } else if (czmlEntity.polyline) {
-            this.addCzmlPolylineEntity(czmlEntity);
-          }
-        }
-      }
+  enableRegionSelection(shape, onComplete) {
+    this.disableRegionSelection();
+    this.interactionMode = 'region_selection';
+
+    const cameraController = this.viewer.scene.screenSpaceCameraController;
+    this._cameraInputsEnabled = cameraController.enableInputs;
+    cameraController.enableInputs = false;
+
+    this.regionHandler = new Cesium.ScreenSpaceEventHandler(this.viewer.canvas);
+    let path = null;
+
+    const toRegion = () => {
+      if (shape !== 'box') return path;
+      const [start, end] = [path[0], path[path.length - 1]];
+      return [
+        { x: start.x, y: start.y },
+        { x: end.x, y: start.y },
+        { x: end.x, y: end.y },
+        { x: start.x, y: end.y }
+      ];
+    };
 
-      // 根据当前交互模式决定是否恢复临时实体
-      if (this.interactionMode === 'map_click') {
-        // 在map_click模式下恢复临时实体
-        if (tempEntityState.tempEntity && tempEntityState.tempEntity.position) {
-          this.tempEntity = tempEntityState.tempEntity;
-          this.viewer.entities.add(tempEntityState.tempEntity);
-        }
-        
-        if (tempEntityState.tempPolylineEntity && tempEntityState.tempPolylineEntity.polyline) {
-          this.tempPolylineEntity = tempEntityState.tempPolylineEntity;
-          this.viewer.entities.add(tempEntityState.tempPolylineEntity);
-        }
-        
-        if (tempEntityState.tempPolylinePoints.length > 0) {
-          this.tempPolylinePoints = tempEntityState.tempPolylinePoints;
-          this.updateTemporaryPolyline(this.tempPolylinePoints);
-        }
-      } else {
-        // 在entity_selection模式下不恢复临时实体
-        console.log('🎯 实体选择模式 - 不恢复临时实体');
-        this.tempEntity = null;
-        this.tempPolylineEntity = null;
-        this.tempPolylinePoints = [];
+    this.regionHandler.setInputAction((down) => {
+      path = [{ x: down.position.x, y: down.position.y }];
+    }, Cesium.ScreenSpaceEventType.LEFT_DOWN);
+
+    this.regionHandler.setInputAction((movement) => {
+      if (!path) return;
+
+      const position = { x: movement.endPosition.x, y: movement.endPosition.y };
+      const last = path[path.length - 1];
+      if (shape === 'box') {
+        path = [path[0], position];
+      } else if (Math.hypot(position.x - last.x, position.y - last.y) >= 3) {
+        path.push(position);
       }
+      this.showRegionOverlay(toRegion());
+    }, Cesium.ScreenSpaceEventType.MOUSE_MOVE);
 
-      console.log('✅ 地图已根据CZML数据更新');
-      
-      const allEntities = this.viewer.entities.values;
-      const ptEntities = allEntities.filter(e => e.id.startsWith('PT_') && !e._isTemporary);
-      const plEntities = allEntities.filter(e => e.id.startsWith('PL_') && !e._isTemporary);
-      console.log(`✅ 更新完成: ${ptEntities.length} 个真实点, ${plEntities.length} 条真实线`);
-      
-    } catch (error) {
-      console.error('❌ 更新地图显示时出错:', error);
+    this.regionHandler.setInputAction(() => {
+      if (!path) return;
+
+      const region = toRegion();
+      path = null;
+      this.hideRegionOverlay();
+
+      const xs = region.map(point => point.x);
+      const ys = region.map(point => point.y);
+      const isTooSmall = region.length < 3 ||
+        Math.max(...xs) - Math.min(...xs) < 3 || Math.max(...ys) - Math.min(...ys) < 3;
+
+      onComplete(isTooSmall ? null : region);
+    }, Cesium.ScreenSpaceEventType.LEFT_UP);
+  }
+
+  /**
+   * 禁用区域选择并恢复相机输入
+   */
+  disableRegionSelection() {
+    if (!this.regionHandler) return;
+
+    this.regionHandler.destroy();
+    this.regionHandler = null;
+    this.hideRegionOverlay();
+    this.viewer.scene.screenSpaceCameraController.enableInputs = this._cameraInputsEnabled;
+    this.interactionMode = 'normal';
+  }
+
+  /**
+   * 显示选择区域覆盖层
+   * @param {Array} region 屏幕坐标多边形 [{x, y}]
+   */
+  showRegionOverlay(region) {
+    if (!this.regionOverlay) {
+      const svgNamespace = 'http://www.w3.org/2000/svg';
+      this.regionOverlay = document.createElementNS(svgNamespace, 'svg');
+      this.regionOverlay.style.cssText =
+        'position: absolute; top: 0; left: 0; width: 100%; height: 100%; pointer-events: none;';
+
+      const polygon = document.createElementNS(svgNamespace, 'polygon');
+      polygon.setAttribute('fill', 'rgba(0, 123, 255, 0.15)');
+      polygon.setAttribute('stroke', '#007bff');
+      polygon.setAttribute('stroke-width', '1.5');
+      polygon.setAttribute('stroke-dasharray', '6 3');
+      this.regionOverlay.appendChild(polygon);
+
+      this.viewer.cesiumWidget.container.appendChild(this.regionOverlay);
     }
+
+    this.regionOverlay.firstChild.setAttribute('points', region.map(point => `${point.x},${point.y}`).join(' '));
   }
 
-  addCzmlPointEntity(czmlEntity) {
-    try {
-      const coord = {
-        lon: czmlEntity.position.cartographicDegrees[0],
-        lat: czmlEntity.position.cartographicDegrees[1],
-        height: czmlEntity.position.cartographicDegrees[2]
-      };
-      
-      let color = Cesium.Color.RED;
-      if (czmlEntity.point.color && czmlEntity.point.color.rgba) {
-        const rgba = czmlEntity.point.color.rgba;
-        color = Cesium.Color.fromBytes(rgba[0], rgba[1], rgba[2], rgba[3]);
+  /**
+   * 隐藏选择区域覆盖层
+   */
+  hideRegionOverlay() {
+    if (this.regionOverlay) {
+      this.regionOverlay.remove();
+      this.regionOverlay = null;
+    }
+  }
+
+  /**
+   * 查找顶点投影到屏幕后落在区域内的点和折线
+   * 只考虑当前时刻可用（availability）且没有被地球遮挡的顶点
+   * @param {Array} region 屏幕坐标多边形 [{x, y}]
+   * @param {boolean} crossing false: 所有顶点都在区域内（窗口选择）；true: 任一顶点在区域内（交叉选择）
+   * @returns {Array} 实体ID数组
+   */
+  getEntitiesInRegion(region, crossing = false) {
+    const scene = this.viewer.scene;
+    const time = this.viewer.clock.currentTime;
+    const occluder = scene.mode === Cesium.SceneMode.SCENE3D ?
+      new Cesium.EllipsoidalOccluder(scene.globe.ellipsoid, scene.camera.positionWC) :
+      null;
+
+    const isInside = (position) => {
+      if (!position || (occluder && !occluder.isPointVisible(position))) {
+        return false;
       }
-      
-      const entity = this.viewer.entities.add({
-        id: czmlEntity.id,
-        name: czmlEntity.name,
+      const windowPosition = Cesium.SceneTransforms.worldToWindowCoordinates(scene, position);
+      return !!windowPosition && GeometryUtils.isPointInPolygon(windowPosition, region);
+    };
+
+    return this.czmlDataSource.entities.values.filter(entity => {
+      if (!entity.isAvailable(time)) return false;
+
+      let positions = [];
+      if (entity.point && EntityTypeRegistry.isOfType(entity.id, 'point')) {
+        positions = [this.getPropertyValue(entity.position, null)];
+      } else if (entity.polyline && EntityTypeRegistry.isOfType(entity.id, 'polyline')) {
+        positions = this.getPropertyValue(entity.polyline.positions, []);
+      }
+
+      if (positions.length === 0) return false;
+      return crossing ? positions.some(isInside) : positions.every(isInside);
+    }).map(entity => entity.id);
+  }
+
+  // =============================================
+  // 顶点控制柄和拖动编辑（EditPolyline命令、无命令时直接拖动）
+  // =============================================
+
+  /**
+   * 显示折线的顶点控制柄（带序号），可选显示线段中点的插入控制柄
+   * @param {Array} coordinates 顶点坐标数组 [{lon, lat, height}]
+   * @param {number} activeIndex 选中的顶点索引（黄色显示），-1表示没有
+   * @param {Object} options { entityId: 所属折线ID, midpoints: 是否显示中点控制柄（默认true）}
+   */
+  showVertexHandles(coordinates, activeIndex = -1, options = {}) {
+    this.hideVertexHandles();
+    this._vertexCoordinates = coordinates.map(coord => ({ ...coord }));
+    this._vertexHandleEntityId = options.entityId || null;
+
+    coordinates.forEach((coord, index) => {
+      const isActive = index === activeIndex;
+      this.vertexHandles.push(this.viewer.entities.add({
         position: Cesium.Cartesian3.fromDegrees(coord.lon, coord.lat, coord.height),
         point: {
-          pixelSize: czmlEntity.point.pixelSize || 10,
-          color: color,
-          outlineWidth: 0,
-          outlineColor: Cesium.Color.BLACK
+          pixelSize: isActive ? 14 : 11,
+          color: isActive ? Cesium.Color.YELLOW : Cesium.Color.WHITE,
+          outlineColor: Cesium.Color.BLACK,
+          outlineWidth: 2,
+          disableDepthTestDistance: Number.POSITIVE_INFINITY
         },
-        _isTemporary: false
-      });
-      
-      console.log(`✅ 添加真实点实体: ${entity.id} (${entity.name})`);
-      return entity;
-      
-    } catch (error) {
-      console.error('❌ 添加点实体失败:', czmlEntity.id, error);
-      return null;
+        label: {
+          text: `${index + 1}`,
+          font: '12px sans-serif',
+          style: Cesium.LabelStyle.FILL_AND_OUTLINE,
+          fillColor: Cesium.Color.WHITE,
+          outlineColor: Cesium.Color.BLACK,
+          outlineWidth: 2,
+          pixelOffset: new Cesium.Cartesian2(0, -16),
+          disableDepthTestDistance: Number.POSITIVE_INFINITY
+        },
+        name: `顶点 ${index + 1}`,
+        _isTemporary: true,
+        _vertexHandle: { kind: 'vertex', index }
+      }));
+    });
+
+    if (options.midpoints === false) return;
+
+    for (let index = 0; index < coordinates.length - 1; index++) {
+      const midpoint = GeometryUtils.interpolateGeodesic(coordinates[index], coordinates[index + 1], 0.5);
+      this.vertexHandles.push(this.viewer.entities.add({
+        position: Cesium.Cartesian3.fromDegrees(midpoint.lon, midpoint.lat, midpoint.height),
+        point: {
+          pixelSize: 8,
+          color: Cesium.Color.WHITE.withAlpha(0.4),
+          outlineColor: Cesium.Color.BLACK,
+          outlineWidth: 1,
+          disableDepthTestDistance: Number.POSITIVE_INFINITY
+        },
+        name: `插入顶点 ${index + 1}-${index + 2}`,
+        _isTemporary: true,
+        _vertexHandle: { kind: 'midpoint', index }
+      }));
     }
   }
 
-  addCzmlPolylineEntity(czmlEntity) {
-    try {
-      console.log('处理polyline实体:', JSON.stringify(czmlEntity, null, 2));
-      
-      if (!czmlEntity.polyline.positions || !czmlEntity.polyline.positions.cartographicDegrees) {
-        console.error('Polyline实体缺少positions数据:', czmlEntity);
-        return null;
-      }
-      
-      const cartographicDegrees = czmlEntity.polyline.positions.cartographicDegrees;
-      
-      const positions = [];
-      for (let j = 0; j < cartographicDegrees.length; j += 3) {
-        positions.push(Cesium.Cartesian3.fromDegrees(
-          cartographicDegrees[j],
-          cartographicDegrees[j + 1], 
-          cartographicDegrees[j + 2]
-        ));
-      }
-      
-      console.log('转换后的polyline坐标数量:', positions.length);
-      
-      let color = Cesium.Color.CYAN;
-      let width = 3;
-      
-      if (czmlEntity.polyline.material && 
-          czmlEntity.polyline.material.solidColor && 
-          czmlEntity.polyline.material.solidColor.color &&
-          czmlEntity.polyline.material.solidColor.color.rgba) {
-        const rgba = czmlEntity.polyline.material.solidColor.color.rgba;
-        color = Cesium.Color.fromBytes(rgba[0], rgba[1], rgba[2], rgba[3]);
-      }
-      
-      if (czmlEntity.polyline.width) {
-        width = czmlEntity.polyline.width;
-      }
-      
-      const entity = this.viewer.entities.add({
-        id: czmlEntity.id,
-        name: czmlEntity.name,
-        polyline: {
-          positions: positions,
-          width: width,
-          material: color,
-          clampToGround: czmlEntity.polyline.clampToGround !== false
-        },
-        _isTemporary: false
-      });
-      
-      console.log(`✅ 添加真实线实体: ${entity.id} (${entity.name})`);
-      return entity;
-      
-    } catch (error) {
-      console.error('❌ 添加线实体失败:', czmlEntity.id, error);
-      return null;
+  /**
+   * 隐藏顶点控制柄
+   */
+  hideVertexHandles() {
+    this.vertexHandles.forEach(entity => this.viewer.entities.remove(entity));
+    this.vertexHandles = [];
+  }
+
+  /**
+   * 启用顶点控制柄交互（EditPolyline）：按住控制柄拖动时实时预览，松开时回调；没有拖动则视为点击
+   * @param {Object} callbacks { onHandleClick(handle), onHandleDrag(handle, coord) }，handle为 { kind: 'vertex' | 'midpoint', index }
+   */
+  enableVertexEditing(callbacks) {
+    this.disableVertexEditing();
+    this.interactionMode = 'vertex_editing';
+
+    this.vertexEditHandler = this.createDragHandler({
+      pickTarget: (position) => this.pickVertexHandle(position),
+      onPreview: (handle, coord) => this.previewVertexDrag(handle, coord),
+      onDrop: callbacks.onHandleDrag,
+      onClick: callbacks.onHandleClick
+    });
+  }
+
+  /**
+   * 禁用顶点控制柄交互并隐藏控制柄
+   */
+  disableVertexEditing() {
+    if (this.vertexEditHandler) {
+      this.vertexEditHandler.destroy();
+      this.vertexEditHandler = null;
+      this.interactionMode = 'normal';
     }
+    this.endDrag();
+    this.hideVertexHandles();
+  }
+
+  /**
+   * 启用直接拖动编辑（没有活动命令时）：拖动文档中的点，或拖动已显示控制柄的折线顶点
+   * 与点击选择同时启用；按下后没有拖动时不回调，由点击选择处理
+   * @param {Function} onDragEnd 回调 (target, coord) => void，target为 { kind: 'point', entityId } 或 { kind: 'vertex', entityId, index }
+   */
+  enableDragEditing(onDragEnd) {
+    this.disableDragEditing();
+
+    this.dragHandler = this.createDragHandler({
+      pickTarget: (position) => this.pickDragTarget(position),
+      onPreview: (target, coord) => {
+        if (target.kind === 'point') {
+          this.showTemporaryPoint(coord);
+        } else {
+          this.previewVertexDrag(target, coord);
+        }
+      },
+      onDrop: onDragEnd
+    });
+  }
+
+  /**
+   * 禁用直接拖动编辑
+   */
+  disableDragEditing() {
+    if (this.dragHandler) {
+      this.dragHandler.destroy();
+      this.dragHandler = null;
+    }
+    this.endDrag();
+  }
+
+  /**
+   * 创建拖动交互：在可拖动目标上按下左键并移动时实时预览，松开时回调
+   * 🔧 拖动期间禁用相机输入，否则会同时平移地图
+   * @param {Object} options { pickTarget(position), onPreview(target, coord), onDrop(target, coord), onClick(target) }
+   * @returns {Cesium.ScreenSpaceEventHandler} 事件处理器
+   */
+  createDragHandler({ pickTarget, onPreview, onDrop, onClick = null }) {
+    const handler = new Cesium.ScreenSpaceEventHandler(this.viewer.canvas);
+    const cameraController = this.viewer.scene.screenSpaceCameraController;
+    let drag = null;
+
+    handler.setInputAction((down) => {
+      const target = pickTarget(down.position);
+      if (!target) return;
+
+      drag = { target, start: Cesium.Cartesian2.clone(down.position), coord: null };
+      this._cameraInputsEnabled = cameraController.enableInputs;
+      this._dragActive = true;
+      cameraController.enableInputs = false;
+    }, Cesium.ScreenSpaceEventType.LEFT_DOWN);
+
+    handler.setInputAction((movement) => {
+      if (!drag) return;
+      // 5像素与ScreenSpaceEventHandler默认的点击容差一致，拖动后不会再触发LEFT_CLICK
+      if (!drag.coord && Cesium.Cartesian2.distance(drag.start, movement.endPosition) < 5) return;
+
+      const coord = this.screenToCoordinate(movement.endPosition);
+      if (!coord) return;
+
+      drag.coord = coord;
+      onPreview(drag.target, coord);
+    }, Cesium.ScreenSpaceEventType.MOUSE_MOVE);
+
+    handler.setInputAction(() => {
+      if (!drag) return;
+
+      const { target, coord } = drag;
+      drag = null;
+      this.endDrag();
+
+      if (coord) {
+        onDrop(target, coord);
+      } else if (onClick) {
+        onClick(target);
+      }
+    }, Cesium.ScreenSpaceEventType.LEFT_UP);
+
+    return handler;
+  }
+
+  /**
+   * 结束拖动：清除预览并恢复相机输入
+   */
+  endDrag() {
+    if (!this._dragActive) return;
+
+    this._dragActive = false;
+    this.hideTemporaryPoint();
+    this.hideTemporaryPolyline();
+    this.viewer.scene.screenSpaceCameraController.enableInputs = this._cameraInputsEnabled;
+  }
+
+  /**
+   * 拖动顶点或中点控制柄时预览折线
+   * @param {Object} handle { kind: 'vertex' | 'midpoint', index }
+   * @param {Object} coord 当前坐标
+   */
+  previewVertexDrag(handle, coord) {
+    const preview = [...this._vertexCoordinates];
+    if (handle.kind === 'vertex') {
+      preview[handle.index] = coord;
+    } else {
+      preview.splice(handle.index + 1, 0, coord);
+    }
+    this.updateTemporaryPolyline(preview);
+  }
+
+  /**
+   * 拾取可直接拖动的目标：顶点控制柄优先，其次是文档中的点
+   * @param {Cesium.Cartesian2} position 屏幕坐标
+   * @returns {Object|null} { kind: 'vertex', entityId, index } 或 { kind: 'point', entityId }
+   */
+  pickDragTarget(position) {
+    const handle = this.pickVertexHandle(position);
+    if (handle) {
+      return handle.kind === 'vertex' && this._vertexHandleEntityId ?
+        { kind: 'vertex', entityId: this._vertexHandleEntityId, index: handle.index } :
+        null;
+    }
+
+    const entityId = this.pickEntityId(position);
+    return entityId && this.isValidPointEntity(entityId) ? { kind: 'point', entityId } : null;
+  }
+
+  /**
+   * 拾取屏幕位置上的顶点控制柄
+   * @param {Cesium.Cartesian2} position 屏幕坐标
+   * @returns {Object|null} { kind, index }，没有拾取到控制柄时返回null
+   */
+  pickVertexHandle(position) {
+    const pickedObject = this.viewer.scene.pick(position);
+    const entity = pickedObject && pickedObject.id;
+    return entity && entity._vertexHandle ? { ...entity._vertexHandle } : null;
+  }
+
+  /**
+   * 屏幕位置转换为地理坐标（优先拾取场景深度，失败时与椭球面求交）
+   * @param {Cesium.Cartesian2} position 屏幕坐标
+   * @returns {Object|null} 坐标 {lon, lat, height}
+   */
+  screenToCoordinate(position) {
+    const scene = this.viewer.scene;
+    const cartesian = (scene.pickPositionSupported && scene.pickPosition(position)) ||
+      scene.camera.pickEllipsoid(position, scene.globe.ellipsoid);
+    return cartesian ? GeometryUtils.cartesianToGeographic(cartesian) : null;
+  }
+
+  /**
+   * 启用光标坐标跟踪：鼠标在地图上移动时回调光标处的坐标（始终启用，与命令交互无关）
+   * @param {Function} onMove 回调 (coord) => void，光标不在地球上时coord为null
+   */
+  enableCursorCoordinate(onMove) {
+    if (this.coordinateHandler) {
+      this.coordinateHandler.destroy();
+    }
+
+    this.coordinateHandler = new Cesium.ScreenSpaceEventHandler(this.viewer.canvas);
+    this.coordinateHandler.setInputAction((movement) => {
+      onMove(this.screenToCoordinate(movement.endPosition));
+    }, Cesium.ScreenSpaceEventType.MOUSE_MOVE);
+  }
+
+  // =============================================
+  // 光标预览（橡皮筋线段和测量提示框）
+  // =============================================
+
+  /**
+   * 启用光标预览：鼠标移动时画出从最后一个顶点到光标的橡皮筋线段，并在光标旁显示提示框
+   * @param {Function} getPreview 每次移动时调用，返回 { anchors, closed, showTotal }，返回null时不显示
+   *   anchors: 已确定的顶点，为空时提示框只显示光标坐标
+   *   closed: 多边形预览，同时画出光标到第一个顶点的闭合线
+   *   showTotal: 是否显示总长（默认显示）
+   */
+  enableCursorPreview(getPreview) {
+    this.disableCursorPreview();
+
+    this.cursorHandler = new Cesium.ScreenSpaceEventHandler(this.viewer.canvas);
+    this.cursorHandler.setInputAction((movement) => {
+      const preview = getPreview();
+      const resolved = preview ? this.resolveDrawingPosition(movement.endPosition) : null;
+      const coord = resolved && resolved.coord;
+      if (!coord) {
+        this.hideCursorPreview();
+        return;
+      }
+
+      const anchors = preview.anchors || [];
+      if (anchors.length === 0) {
+        this.updateRubberBand([]);
+        this.showCursorTooltip(movement.endPosition, [GeometryUtils.formatCoordinateShort(coord, 6)]);
+        return;
+      }
+
+      const last = anchors[anchors.length - 1];
+      const bearing = GeometryUtils.calculateBearing(last, coord);
+      const lines = [
+        `${preview.showTotal === false ? '距离' : '线段'}: ${GeometryUtils.formatDistance(GeometryUtils.calculateDistance(last, coord))}`,
+        `方位: ${bearing === null ? '-' : `${bearing.toFixed(1)}°`}`
+      ];
+      if (preview.showTotal !== false) {
+        lines.push(`总长: ${GeometryUtils.formatDistance(GeometryUtils.calculatePolylineLength([...anchors, coord]))}`);
+      }
+      if (resolved.tracking) {
+        lines.push(`追踪: ${resolved.tracking}`);
+      }
+
+      const closing = preview.closed && anchors.length >= 2 ? [anchors[0]] : [];
+      this.updateRubberBand([last, coord, ...closing]);
+      this.showCursorTooltip(movement.endPosition, lines);
+    }, Cesium.ScreenSpaceEventType.MOUSE_MOVE);
+  }
+
+  /**
+   * 禁用光标预览
+   */
+  disableCursorPreview() {
+    if (this.cursorHandler) {
+      this.cursorHandler.destroy();
+      this.cursorHandler = null;
+    }
+    this.hideCursorPreview();
+  }
+
+  /**
+   * 隐藏橡皮筋线段和提示框（不移除鼠标监听）
+   */
+  hideCursorPreview() {
+    this.updateRubberBand([]);
+    if (this.cursorTooltip) {
+      this.cursorTooltip.remove();
+      this.cursorTooltip = null;
+    }
+  }
+
+  /**
+   * 更新橡皮筋线段
+   * 🔧 位置通过CallbackProperty读取，鼠标移动时不重建实体
+   * @param {Array} coordinates 线段顶点，少于2个时移除
+   */
+  updateRubberBand(coordinates) {
+    this._rubberBandPositions = coordinates.map(coord =>
+      Cesium.Cartesian3.fromDegrees(coord.lon, coord.lat, coord.height || 0)
+    );
+
+    if (coordinates.length < 2) {
+      if (this.rubberBandEntity) {
+        this.viewer.entities.remove(this.rubberBandEntity);
+        this.rubberBandEntity = null;
+      }
+      return;
+    }
+
+    if (!this.rubberBandEntity) {
+      const material = new Cesium.PolylineDashMaterialProperty({
+        color: Cesium.Color.YELLOW,
+        dashLength: 12
+      });
+      this.rubberBandEntity = this.viewer.entities.add({
+        polyline: {
+          positions: new Cesium.CallbackProperty(() => this._rubberBandPositions, false),
+          width: 2,
+          material: material,
+          depthFailMaterial: material
+        },
+        name: '橡皮筋预览',
+        _isTemporary: true
+      });
+    }
+  }
+
+  /**
+   * 在光标右下方显示提示框
+   * @param {Cesium.Cartesian2} position 屏幕坐标
+   * @param {Array} lines 文本行
+   */
+  showCursorTooltip(position, lines) {
+    if (!this.cursorTooltip) {
+      this.cursorTooltip = document.createElement('div');
+      this.cursorTooltip.className = 'cursor-tooltip';
+      this.cursorTooltip.style.cssText = `
+        position: absolute;
+        pointer-events: none;
+        z-index: 10;
+        padding: 4px 8px;
+        border-radius: 3px;
+        background: rgba(0, 0, 0, 0.75);
+        color: #fff;
+        font: 12px monospace;
+        white-space: pre;
+      `;
+      this.viewer.cesiumWidget.container.appendChild(this.cursorTooltip);
+    }
+
+    this.cursorTooltip.textContent = lines.join('\n');
+    this.cursorTooltip.style.left = `${position.x + 15}px`;
+    this.cursorTooltip.style.top = `${position.y + 15}px`;
+  }
+
+  // =============================================
+  // 对象捕捉（在地图拾取和onMapClick回调之间）
+  // =============================================
+
+  /**
+   * 设置对象捕捉设置（由EditorController提供，未设置时不捕捉）
+   * @param {SnapSettings} snapSettings 捕捉设置
+   */
+  setSnapSettings(snapSettings) {
+    this.snapSettings = snapSettings;
+  }
+
+  /**
+   * 解析绘制时光标位置对应的坐标，并更新捕捉标记
+   * 对象捕捉优先；没有捕捉到要素时依次应用栅格捕捉和正交/极轴追踪（相对于上一个顶点）
+   * 🔧 同一帧内同一位置只计算一次（地图点击和光标预览的鼠标移动监听会先后调用）
+   * @param {Cesium.Cartesian2} position 屏幕坐标
+   * @returns {Object|null} { coord, snap, tracking }，snap为对象捕捉结果，tracking为追踪方向说明
+   */
+  resolveDrawingPosition(position) {
+    const frameNumber = this.viewer.scene.frameState.frameNumber;
+    const cache = this._snapCache;
+    if (cache && cache.frameNumber === frameNumber && cache.x === position.x && cache.y === position.y) {
+      return cache.result;
+    }
+
+    const settings = this.snapSettings;
+    const snap = this.findSnap(position);
+    let coord = snap ? { ...snap.coord } : this.screenToCoordinate(position);
+    let tracking = null;
+
+    if (coord && !snap && settings) {
+      if (settings.grid) {
+        coord = GeometryUtils.snapToGrid(coord, settings.getGridStep());
+      }
+
+      const anchor = (settings.ortho || settings.polar) && this._getTrackingAnchor ? this._getTrackingAnchor() : null;
+      const constrained = anchor && (settings.ortho ?
+        GeometryUtils.constrainOrtho(anchor, coord) :
+        GeometryUtils.constrainToBearing(anchor, coord, settings.polarIncrement));
+      if (constrained) {
+        coord = constrained.coord;
+        tracking = `${settings.ortho ? '正交' : '极轴'} ${constrained.bearing}°`;
+      }
+    }
+
+    if (snap) {
+      this.showSnapMarker(snap);
+    } else {
+      this.hideSnapMarker();
+    }
+
+    const result = coord ? { coord, snap, tracking } : null;
+    this._snapCache = { frameNumber, x: position.x, y: position.y, result };
+    return result;
+  }
+
+  /**
+   * 查找屏幕位置容差内的捕捉点
+   * 候选点：点的位置、折线和多边形的顶点、线段中点、线段上的垂足；
+   * 按捕捉模式的优先级选择，优先级相同时取离光标最近的
+   * 🔧 先用实体包围球和光标射线粗筛，只投影光标附近实体的顶点，文档很大时鼠标移动的开销不随顶点数增长
+   * @param {Cesium.Cartesian2} position 屏幕坐标
+   * @returns {Object|null} 捕捉结果 { coord, mode, entityId }
+   */
+  findSnap(position) {
+    const settings = this.snapSettings;
+    if (!settings || !settings.enabled || settings.modes.size === 0) {
+      return null;
+    }
+
+    const scene = this.viewer.scene;
+    const time = this.viewer.clock.currentTime;
+    const occluder = scene.mode === Cesium.SceneMode.SCENE3D ?
+      new Cesium.EllipsoidalOccluder(scene.globe.ellipsoid, scene.camera.positionWC) :
+      null;
+
+    // 投影到屏幕，被地球遮挡的位置不参与捕捉
+    const project = (cartesian, knownCoord = null) => {
+      if (!cartesian || (occluder && !occluder.isPointVisible(cartesian))) {
+        return null;
+      }
+      const windowPosition = Cesium.SceneTransforms.worldToWindowCoordinates(scene, cartesian);
+      const coord = windowPosition && (knownCoord || GeometryUtils.cartesianToGeographic(cartesian));
+      return coord ? { coord, cartesian, x: windowPosition.x, y: windowPosition.y } : null;
+    };
+    const projectCoord = coord => project(GeometryUtils.geographicToCartesian(coord), coord);
+
+    let best = null;
+    const consider = (mode, coord, distance, entityId) => {
+      if (!settings.isModeActive(mode) || distance > settings.tolerance) return;
+      const priority = SnapSettings.MODES.indexOf(mode);
+      if (!best || priority < best.priority || (priority === best.priority && distance < best.distance)) {
+        best = { coord, mode, entityId, priority, distance };
+      }
+    };
+    const considerVertex = (mode, vertex, entityId) => {
+      if (vertex) {
+        consider(mode, vertex.coord, Math.hypot(vertex.x - position.x, vertex.y - position.y), entityId);
+      }
+    };
+    // 🔧 线段按大地线绘制：中点和最近点都取在大地线上（跨180°经线时也正确）
+    const considerSegment = (a, b, entityId) => {
+      if (!a || !b) return;
+      if (settings.isModeActive('midpoint')) {
+        considerVertex('midpoint', projectCoord(GeometryUtils.interpolateGeodesic(a.coord, b.coord, 0.5)), entityId);
+      }
+      if (settings.isModeActive('nearest')) {
+        const nearest = this.findNearestOnSegment(position, a, b, projectCoord, settings.tolerance);
+        if (nearest) consider('nearest', nearest.coord, nearest.distance, entityId);
+      }
+    };
+
+    const isNearCursor = this.createSnapCullTest(position, settings.tolerance);
+
+    this.czmlDataSource.entities.values.forEach(entity => {
+      if (!entity.isAvailable(time)) return;
+
+      const geometry = this.getSnapGeometry(entity);
+      if (!geometry || (isNearCursor && !isNearCursor(geometry.boundingSphere))) return;
+
+      const vertices = geometry.positions.map(cartesian => project(cartesian));
+      if (geometry.type === 'point') {
+        considerVertex('endpoint', vertices[0], entity.id);
+      } else if (geometry.type === 'polyline') {
+        vertices.forEach((vertex, index) => {
+          const isEnd = index === 0 || index === vertices.length - 1;
+          considerVertex(isEnd ? 'endpoint' : 'vertex', vertex, entity.id);
+          if (index > 0) considerSegment(vertices[index - 1], vertex, entity.id);
+        });
+      } else {
+        vertices.forEach((vertex, index) => {
+          considerVertex('vertex', vertex, entity.id);
+          considerSegment(vertex, vertices[(index + 1) % vertices.length], entity.id);
+        });
+      }
+    });
+
+    return best ? { coord: best.coord, mode: best.mode, entityId: best.entityId } : null;
+  }
+
+  /**
+   * 获取实体参与捕捉的顶点和包围球
+   * 位置为常量时按实体缓存（文档更新时CzmlDataSource会重建变化的实体，缓存随之失效）
+   * @param {Cesium.Entity} entity 实体
+   * @returns {Object|null} { type, positions, boundingSphere }，不是可捕捉的实体或没有位置时返回null
+   */
+  getSnapGeometry(entity) {
+    const cached = this._snapGeometryCache.get(entity);
+    if (cached) {
+      return cached.geometry;
+    }
+
+    let type = null;
+    let property = null;
+    let positions = [];
+    if (entity.point && EntityTypeRegistry.isOfType(entity.id, 'point')) {
+      type = 'point';
+      property = entity.position;
+      positions = [this.getPropertyValue(property, null)];
+    } else if (entity.polyline && EntityTypeRegistry.isOfType(entity.id, 'polyline')) {
+      type = 'polyline';
+      property = entity.polyline.positions;
+      positions = this.getPropertyValue(property, []);
+    } else if (entity.polygon && EntityTypeRegistry.isOfType(entity.id, 'polygon')) {
+      type = 'polygon';
+      property = entity.polygon.hierarchy;
+      const hierarchy = this.getPropertyValue(property, null);
+      positions = hierarchy ? hierarchy.positions : [];
+    }
+    positions = (positions || []).filter(Boolean);
+
+    let geometry = null;
+    if (type && positions.length > 0) {
+      // 线段按大地线绘制，会向外凸出弦线：包围球按最长弦的拱高加大
+      let longestChord = 0;
+      for (let index = 1; index < positions.length; index++) {
+        longestChord = Math.max(longestChord, Cesium.Cartesian3.distance(positions[index - 1], positions[index]));
+      }
+      if (type === 'polygon') {
+        longestChord = Math.max(longestChord, Cesium.Cartesian3.distance(positions[positions.length - 1], positions[0]));
+      }
+      const boundingSphere = Cesium.BoundingSphere.fromPoints(positions);
+      boundingSphere.radius += longestChord * longestChord / (8 * Cesium.Ellipsoid.WGS84.minimumRadius);
+      geometry = { type, positions, boundingSphere };
+    }
+
+    if (property && property.isConstant) {
+      this._snapGeometryCache.set(entity, { geometry });
+    }
+    return geometry;
+  }
+
+  /**
+   * 创建捕捉粗筛函数：包围球到光标射线的距离不超过 半径 + 容差对应的地面距离 时才需要投影顶点
+   * 容差按包围球最远处的深度换算，保证不会漏掉容差内的顶点；只在3D模式下使用
+   * @param {Cesium.Cartesian2} position 屏幕坐标
+   * @param {number} tolerance 捕捉容差（像素）
+   * @returns {Function|null} (boundingSphere) => boolean，无法粗筛时返回null
+   */
+  createSnapCullTest(position, tolerance) {
+    const scene = this.viewer.scene;
+    if (scene.mode !== Cesium.SceneMode.SCENE3D) {
+      return null;
+    }
+
+    const camera = scene.camera;
+    const ray = camera.getPickRay(position);
+    if (!ray) {
+      return null;
+    }
+
+    const offset = new Cesium.Cartesian3();
+    const pixelSize = new Cesium.Cartesian2();
+    return boundingSphere => {
+      Cesium.Cartesian3.subtract(boundingSphere.center, ray.origin, offset);
+      const along = Cesium.Cartesian3.dot(offset, ray.direction);
+      const radius = boundingSphere.radius;
+      if (along < -radius) {
+        return false; // 在相机后方
+      }
+
+      const depth = Math.max(along + radius, camera.frustum.near || 1);
+      camera.frustum.getPixelDimensions(scene.drawingBufferWidth, scene.drawingBufferHeight, depth, scene.pixelRatio, pixelSize);
+      const reach = radius + tolerance * Math.max(pixelSize.x, pixelSize.y);
+      return Cesium.Cartesian3.magnitudeSquared(offset) - along * along <= reach * reach;
+    };
+  }
+
+  /**
+   * 查找线段上离光标最近的点（屏幕距离）
+   * 透视投影下屏幕上的比例与沿线的比例不一致，不能用屏幕上的垂足比例直接插值：
+   * 先把线段按大地线细分并投影到屏幕，找到最近的一小段，再在这一段内做黄金分割搜索，结果始终在大地线上
+   * @param {Cesium.Cartesian2} position 屏幕坐标
+   * @param {Object} a 起点 { coord, cartesian, x, y }
+   * @param {Object} b 终点 { coord, cartesian, x, y }
+   * @param {Function} projectCoord 坐标投影到屏幕的函数，被遮挡时返回null
+   * @param {number} tolerance 捕捉容差（像素）
+   * @returns {Object|null} { coord, distance }，超出容差时返回null
+   */
+  findNearestOnSegment(position, a, b, projectCoord, tolerance) {
+    const geodesic = GeometryUtils.calculateGeodesic(a.coord, b.coord);
+    const coordAt = t => {
+      const destination = geodesic && geodesic.bearing !== null ?
+        GeometryUtils.calculateDestination(a.coord, geodesic.distance * t, geodesic.bearing) :
+        null;
+      const height = (a.coord.height || 0) + ((b.coord.height || 0) - (a.coord.height || 0)) * t;
+      return destination ? { ...destination, height } : GeometryUtils.interpolateGeodesic(a.coord, b.coord, t);
+    };
+    const pointAt = t => t === 0 ? a : (t === 1 ? b : projectCoord(coordAt(t)));
+    const distanceAt = t => {
+      const point = pointAt(t);
+      return point ? Math.hypot(point.x - position.x, point.y - position.y) : Infinity;
+    };
+
+    const length = geodesic ? geodesic.distance : 0;
+    const count = Math.min(SNAP_MAX_SUBDIVISIONS, Math.max(1, Math.ceil(length / SNAP_SUBDIVISION_LENGTH)));
+    let piece = null;
+    let previous = a;
+    for (let i = 1; i <= count; i++) {
+      const current = pointAt(i / count);
+      if (previous && current) {
+        const nearest = GeometryUtils.closestPointOnSegment(position, previous, current);
+        if (!piece || nearest.distance < piece.distance) {
+          piece = { start: (i - 1) / count, end: i / count, distance: nearest.distance };
+        }
+      }
+      previous = current;
+    }
+    if (!piece || piece.distance > tolerance) {
+      return null;
+    }
+
+    const ratio = (Math.sqrt(5) - 1) / 2;
+    let low = piece.start;
+    let high = piece.end;
+    let t1 = high - ratio * (high - low);
+    let t2 = low + ratio * (high - low);
+    let d1 = distanceAt(t1);
+    let d2 = distanceAt(t2);
+    for (let i = 0; i < SNAP_REFINE_ITERATIONS; i++) {
+      if (d1 < d2) {
+        high = t2;
+        t2 = t1;
+        d2 = d1;
+        t1 = high - ratio * (high - low);
+        d1 = distanceAt(t1);
+      } else {
+        low = t1;
+        t1 = t2;
+        d1 = d2;
+        t2 = low + ratio * (high - low);
+        d2 = distanceAt(t2);
+      }
+    }
+
+    const t = (low + high) / 2;
+    const distance = distanceAt(t);
+    return distance <= tolerance ? { coord: coordAt(t), distance } : null;
+  }
+
+  /**
+   * 显示捕捉标记（空心圆圈和捕捉模式名称）
+   * @param {Object} snap 捕捉结果 { coord, mode }
+   */
+  showSnapMarker(snap) {
+    const position = Cesium.Cartesian3.fromDegrees(snap.coord.lon, snap.coord.lat, snap.coord.height);
+    const text = SnapSettings.MODE_NAMES[snap.mode];
+
+    if (this.snapMarkerEntity) {
+      this.snapMarkerEntity.position = position;
+      this.snapMarkerEntity.label.text = text;
+      return;
+    }
+
+    this.snapMarkerEntity = this.viewer.entities.add({
+      position: position,
+      point: {
+        pixelSize: 14,
+        color: Cesium.Color.TRANSPARENT,
+        outlineColor: Cesium.Color.LIME,
+        outlineWidth: 3,
+        disableDepthTestDistance: Number.POSITIVE_INFINITY
+      },
+      label: {
+        text: text,
+        font: '12px sans-serif',
+        fillColor: Cesium.Color.LIME,
+        showBackground: true,
+        backgroundColor: Cesium.Color.BLACK.withAlpha(0.6),
+        pixelOffset: new Cesium.Cartesian2(12, -12),
+        horizontalOrigin: Cesium.HorizontalOrigin.LEFT,
+        disableDepthTestDistance: Number.POSITIVE_INFINITY
+      },
+      name: '捕捉标记',
+      _isTemporary: true
+    });
+  }
+
+  /**
+   * 隐藏捕捉标记
+   */
+  hideSnapMarker() {
+    if (this.snapMarkerEntity) {
+      this.viewer.entities.remove(this.snapMarkerEntity);
+      this.snapMarkerEntity = null;
+    }
+    this._snapCache = null;
+  }
+
+  // =============================================
+  // 栅格线覆盖层（栅格捕捉打开时显示）
+  // =============================================
+
+  /**
+   * 显示或隐藏栅格线
+   * 只绘制当前视野内的栅格线，相机停止移动后重新绘制
+   * @param {Object|null} step { lon, lat, origin } 经纬度间隔（度）和栅格原点，null表示隐藏
+   */
+  setGridOverlay(step) {
+    this._gridStep = step;
+
+    if (step && !this._removeGridCameraListener) {
+      this._removeGridCameraListener = this.viewer.camera.moveEnd.addEventListener(() => this.updateGridOverlay());
+    } else if (!step && this._removeGridCameraListener) {
+      this._removeGridCameraListener();
+      this._removeGridCameraListener = null;
+    }
+
+    this.updateGridOverlay();
+  }
+
+  /**
+   * 按当前视野重新绘制栅格线（视野内栅格线过多时不绘制）
+   */
+  updateGridOverlay() {
+    this.gridEntities.forEach(entity => this.viewer.entities.remove(entity));
+    this.gridEntities = [];
+
+    const step = this._gridStep;
+    const rectangle = step && this.viewer.camera.computeViewRectangle(this.viewer.scene.globe.ellipsoid);
+    if (!rectangle) return;
+
+    const west = Cesium.Math.toDegrees(rectangle.west);
+    let east = Cesium.Math.toDegrees(rectangle.east);
+    if (east < west) east += 360; // 视野跨越180°经线
+    const south = Math.max(Cesium.Math.toDegrees(rectangle.south), -89);
+    const north = Math.min(Cesium.Math.toDegrees(rectangle.north), 89);
+
+    if ((east - west) / step.lon > MAX_GRID_LINES || (north - south) / step.lat > MAX_GRID_LINES) {
+      console.log('栅格线过密，放大地图后显示');
+      return;
+    }
+
+    const origin = step.origin || { lon: 0, lat: 0 };
+    const gridValues = (min, max, base, spacing) => {
+      const values = [];
+      const first = Math.ceil((min - base) / spacing);
+      for (let index = first; base + index * spacing <= max; index++) {
+        values.push(base + index * spacing);
+      }
+      return values;
+    };
+
+    const material = Cesium.Color.WHITE.withAlpha(0.35);
+    const addLine = (degrees, arcType) => {
+      this.gridEntities.push(this.viewer.entities.add({
+        polyline: {
+          positions: Cesium.Cartesian3.fromDegreesArray(degrees),
+          width: 1,
+          material: material,
+          depthFailMaterial: material,
+          arcType: arcType
+        },
+        name: '栅格线',
+        _isTemporary: true
+      }));
+    };
+
+    // 经线沿大圆绘制；纬线是等角航线，分段（每段不超过90°）避免跨度过大时走反方向
+    gridValues(west, east, origin.lon, step.lon).forEach(lon => {
+      addLine([lon, south, lon, north], Cesium.ArcType.GEODESIC);
+    });
+    gridValues(south, north, origin.lat, step.lat).forEach(lat => {
+      const degrees = [];
+      for (let lon = west; lon < east; lon += 90) {
+        degrees.push(lon, lat);
+      }
+      degrees.push(east, lat);
+      addLine(degrees, Cesium.ArcType.RHUMB);
+    });
+  }
+
+  /**
+   * 地图视野中心的坐标（用于米制栅格的原点）
+   * @returns {Object|null} 坐标 {lon, lat, height}
+   */
+  getViewCenter() {
+    const canvas = this.viewer.canvas;
+    return this.screenToCoordinate(new Cesium.Cartesian2(canvas.clientWidth / 2, canvas.clientHeight / 2));
+  }
+
+  /**
+   * 地形高度（地形瓦片未加载时返回null）
+   * @param {number} lon 经度
+   * @param {number} lat 纬度
+   * @returns {number|null} 高度（米）
+   */
+  getTerrainHeight(lon, lat) {
+    const height = this.viewer.scene.globe.getHeight(Cesium.Cartographic.fromDegrees(lon, lat));
+    return Number.isFinite(height) ? height : null;
+  }
+
+  isValidPointEntity(entityId) {
+    const entity = this.getCzmlEntity(entityId);
+    return !!entity && !!entity.point && EntityTypeRegistry.isOfType(entity.id, 'point');
+  }
+
+  /**
+   * 获取所有真实点实体的信息（排除临时实体）
+   */
+  getAllPointEntities() {
+    const entities = this.czmlDataSource.entities.values;
+    const points = [];
+    
+    entities.forEach(entity => {
+      if (entity.point && EntityTypeRegistry.isOfType(entity.id, 'point')) {
+        points.push({
+          id: entity.id,
+          name: entity.name,
+          position: entity.position
+        });
+      }
+    });
+    
+    return points;
+  }
+
+  /**
+   * 测试实体选择功能
+   */
+  testEntitySelection() {
+    console.log('🧪 测试实体选择功能（修复版）...');
+    
+    // 先清理临时实体
+    this.hideTemporaryPoint();
+    this.hideTemporaryPolyline();
+    
+    const points = this.getAllPointEntities();
+    console.log(`找到 ${points.length} 个真实点实体:`, points);
+    
+    if (points.length === 0) {
+      console.log('⚠️ 没有找到点实体，先添加一些点进行测试');
+      return;
+    }
+    
+    // 测试高亮功能
+    this.highlightSelectablePoints(true);
+    
+    setTimeout(() => {
+      console.log('恢复原始样式...');
+      this.highlightSelectablePoints(false);
+    }, 3000);
+    
+    // 测试实体选择
+    this.enableEntitySelection((result) => {
+      console.log('实体选择测试结果:', result);
+      this.disableEntitySelection();
+    });
+    
+    console.log('现在点击地图上的点进行测试（应该不会创建临时预览点）...');
+  }
+
+  // =============================================
+  // CZML数据同步方法
+  // =============================================
+
+  /**
+   * 根据CZML数据更新地图显示
+   * 🔧 通过CzmlDataSource加载完整文档，支持标签、广告牌、时间动态属性、笛卡尔坐标等所有CZML特性
+   * 临时预览实体位于viewer.entities中，不受文档更新影响
+   * 🔧 传入增量变更集时只处理变化的实体，不再整体重建
+   * @param {Array} czmlDocument CZML文档
+   * @param {Object} changes 变更集 {reset, added, updated, removed}，省略时全量加载
+   * @returns {Promise} 更新完成的Promise
+   */
+  updateFromCzml(czmlDocument, changes = null) {
+    // 非map_click模式下不保留临时实体
+    if (this.interactionMode !== 'map_click') {
+      this.hideTemporaryPoint();
+      this.hideTemporaryPolyline();
+      this.hideTemporaryPolygon();
+    }
+    
+    const isIncremental = changes && !changes.reset;
+    
+    this._czmlUpdateQueue = this._czmlUpdateQueue.then(() => {
+      if (isIncremental) {
+        return this.applyCzmlChanges(czmlDocument, changes);
+      }
+      return this.loadCzmlDocument(czmlDocument);
+    }).catch(error => {
+      console.error('❌ 更新地图显示时出错:', error);
+    });
+    
+    return this._czmlUpdateQueue;
+  }
+
+  /**
+   * 全量加载CZML文档（替换数据源中的所有实体）
+   * @param {Array} czmlDocument CZML文档
+   * @returns {Promise} 加载完成的Promise
+   */
+  loadCzmlDocument(czmlDocument) {
+    console.log('🔄 全量加载CZML文档...');
+    
+    return this.czmlDataSource.load(czmlDocument || []).then(() => {
+      // 重新加载会重建实体，需要恢复高亮状态
+      this.restoreHighlightState();
+      this.fitTimelineToAvailability(czmlDocument);
+      
+      const allEntities = this.czmlDataSource.entities.values;
+      const summary = EntityTypeRegistry.getAll().map(definition => {
+        const count = allEntities.filter(e => EntityTypeRegistry.isOfType(e.id, definition.type)).length;
+        return `${count} 个${definition.label}`;
+      });
+      console.log(`✅ 地图已根据CZML数据更新: 共 ${allEntities.length} 个实体 (${summary.join(', ')})`);
+    });
+  }
+
+  /**
+   * 将增量变更集应用到CZML数据源
+   * 删除使用CZML的delete包；更新先删除再重建，避免残留已移除的属性
+   * @param {Array} czmlDocument CZML文档
+   * @param {Object} changes 变更集 {added, updated, removed}
+   * @returns {Promise} 处理完成的Promise
+   */
+  applyCzmlChanges(czmlDocument, changes) {
+    const packetsById = new Map();
+    const changedIds = [...changes.added, ...changes.updated];
+    
+    if (changedIds.length > 0) {
+      const wanted = new Set(changedIds);
+      czmlDocument.forEach(packet => {
+        if (wanted.has(packet.id)) packetsById.set(packet.id, packet);
+      });
+    }
+    
+    const packets = [];
+    
+    changes.removed.forEach(id => {
+      packets.push({ id, delete: true });
+    });
+    
+    changedIds.forEach(id => {
+      const packet = packetsById.get(id);
+      if (!packet) return; // 实体在异步更新前已被删除
+      
+      if (id !== 'document') {
+        packets.push({ id, delete: true });
+      }
+      packets.push(packet);
+    });
+    
+    if (packets.length === 0) {
+      return Promise.resolve();
+    }
+    
+    return this.czmlDataSource.process(packets).then(() => {
+      this.restoreHighlightState(changedIds);
+      this.fitTimelineToAvailability(czmlDocument);
+      console.log(`✅ 地图增量更新: +${changes.added.length} ~${changes.updated.length} -${changes.removed.length}`);
+    });
+  }
+
+  /**
+   * 文档没有时钟时，让时钟和时间轴范围覆盖所有实体的可用时间，便于拖动时间轴查看
+   * 实体的显示/隐藏由Cesium按 entity.isAvailable(当前时间) 处理，拖动时间轴时自动生效
+   * 🔧 CzmlDataSource只在第一次遇到availability时据此创建时钟，之后修改可用时间不会再更新时间轴
+   * @param {Array} czmlDocument CZML文档
+   */
+  fitTimelineToAvailability(czmlDocument) {
+    const documentPacket = czmlDocument && czmlDocument[0];
+    if (!documentPacket || documentPacket.clock) return;
+
+    const availability = this.czmlDataSource.entities.computeAvailability();
+    if (availability.start.equals(Cesium.Iso8601.MINIMUM_VALUE) ||
+        availability.stop.equals(Cesium.Iso8601.MAXIMUM_VALUE)) {
+      return; // 没有实体设置可用时间
+    }
+
+    const clock = this.viewer.clock;
+    if (clock.startTime.equals(availability.start) && clock.stopTime.equals(availability.stop)) return;
+
+    clock.startTime = availability.start.clone();
+    clock.stopTime = availability.stop.clone();
+    if (Cesium.JulianDate.lessThan(clock.currentTime, clock.startTime) ||
+        Cesium.JulianDate.greaterThan(clock.currentTime, clock.stopTime)) {
+      clock.currentTime = clock.startTime.clone();
+    }
+    if (this.viewer.timeline) {
+      this.viewer.timeline.zoomTo(clock.startTime, clock.stopTime);
+    }
+  }
+
+  /**
+   * 等待所有挂起的地图更新完成
+   * @returns {Promise} 更新完成的Promise
+   */
+  whenCzmlUpdated() {
+    return this._czmlUpdateQueue;
+  }
+
+  /**
+   * 获取CZML数据源中的实体
+   * @param {string} entityId 实体ID
+   * @returns {Object|undefined} Cesium实体
+   */
+  getCzmlEntity(entityId) {
+    return this.czmlDataSource.entities.getById(entityId);
+  }
+
+  /**
+   * 读取Cesium属性在当前时刻的值
+   * @param {*} property Cesium属性或原始值
+   * @param {*} fallback 默认值
+   * @returns {*} 属性值
+   */
+  getPropertyValue(property, fallback) {
+    if (property === undefined || property === null) return fallback;
+    if (typeof property.getValue === 'function') {
+      const value = property.getValue(this.viewer.clock.currentTime);
+      return value === undefined ? fallback : value;
+    }
+    return property;
+  }
+
+  /**
+   * 文档更新后恢复高亮状态
+   * @param {Array} entityIds 只处理这些实体，省略时处理全部
+   */
+  restoreHighlightState(entityIds = null) {
+    if (!entityIds) {
+      if (this._selectablePointsHighlighted) {
+        this.highlightSelectablePoints(true);
+      }
+      entityIds = Array.from(this._highlightedEntityIds);
+    } else if (this._selectablePointsHighlighted) {
+      entityIds.forEach(entityId => {
+        const entity = this.getCzmlEntity(entityId);
+        if (entity && entity.point && EntityTypeRegistry.isOfType(entityId, 'point')) {
+          this.applySelectableHighlight(entity, true);
+        }
+      });
+    }
+    
+    entityIds.forEach(entityId => {
+      if (!this._highlightedEntityIds.has(entityId)) return;
+      
+      if (this.getCzmlEntity(entityId)) {
+        this.highlightSpecificEntity(entityId, true);
+      } else {
+        this._highlightedEntityIds.delete(entityId);
+      }
+    });
   }
 
   destroy() {
     if (this.clickHandler) {
       this.clickHandler.destroy();
     }
+    this.disableClickSelection();
+    this.disableRegionSelection();
+    this.disableVertexEditing();
+    this.disableDragEditing();
+    this.disableCursorPreview();
+    this.setGridOverlay(null);
     if (this.rightClickHandler) {
       this.rightClickHandler.destroy();
     }
     if (this.viewer) {
       this.viewer.destroy();
     }
+    this.czmlDataSource = null;
   }
 }
 
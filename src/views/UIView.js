@@ -1,3 +1,6 @@
+import EntityTypeRegistry from '../models/EntityTypeRegistry.js';
+import { CLOCK_RANGES, CLOCK_STEPS } from '../models/CzmlModel.js';
+
 /**
  * 用户界面视图类
  * 负责管理编辑器面板的UI元素和交互
@@ -10,6 +13,7 @@ class UIView {
     this.listeners = {}; // 存储各种UI事件的监听器
     this.commandInput = null;
     this.outputArea = null;
+    this.selectedEntityIds = new Set(); // 当前选择集（列表项重新渲染时保持选中样式）
     
     this.init();
   }
@@ -44,6 +48,10 @@ class UIView {
           <span class="status-label">几何体:</span>
           <span id="geometries-count">0</span>
         </div>
+        <div class="status-item">
+          <span class="status-label">选中:</span>
+          <span id="selection-count">0</span>
+        </div>
         <div class="status-item">
           <span class="status-label">命令:</span>
           <span id="commands-count">0</span>
@@ -56,6 +64,10 @@ class UIView {
           <span class="status-label">可重做:</span>
           <span id="redo-status">否</span>
         </div>
+        <div class="status-item" id="cursor-coordinate-item">
+          <span class="status-label">光标:</span>
+          <span id="cursor-coordinate">-</span>
+        </div>
       </div>
       
       <div id="command-output">
@@ -81,6 +93,10 @@ class UIView {
             <span class="tab-icon">📄</span>
             CZML代码
           </button>
+          <button id="documentViewTab" class="tab-button" data-view="document">
+            <span class="tab-icon">⚙️</span>
+            文档
+          </button>
         </div>
         
         <div id="list-view" class="tab-content active">
@@ -97,6 +113,7 @@ class UIView {
             <button id="copyJsonBtn" class="mini-btn" title="复制CZML代码">📋 复制</button>
             <button id="formatJsonBtn" class="mini-btn" title="格式化JSON">🔧 格式化</button>
             <button id="exportJsonBtn" class="mini-btn" title="导出JSON文件">💾 导出</button>
+            <button id="importFileBtn" class="mini-btn" title="导入CZML文件（也可拖放文件到地图或面板）">📂 导入</button>
           </div>
           <div id="czml-display-container">
             <pre id="czml-code-display"><code>[]</code></pre>
@@ -111,12 +128,38 @@ class UIView {
                 <li>修改 <code>position.cartographicDegrees</code> 可以改变点的位置 [经度, 纬度, 高度]</li>
                 <li>修改 <code>polyline.material.solidColor.color.rgba</code> 可以改变线条颜色</li>
                 <li>修改 <code>polyline.width</code> 可以改变线条宽度</li>
+                <li>修改 <code>polygon.material.solidColor.color.rgba</code> 可以改变多边形填充颜色</li>
                 <li>修改 <code>name</code> 可以改变实体名称</li>
                 <li>请保持JSON格式正确，否则无法保存</li>
               </ul>
             </div>
           </div>
         </div>
+        
+        <div id="document-view" class="tab-content">
+          <div class="document-form">
+            <label>名称 <input type="text" id="docName"></label>
+            <label>描述 <textarea id="docDescription" rows="2"></textarea></label>
+            <label>CZML版本 <input type="text" id="docVersion" placeholder="1.0"></label>
+            <div class="document-form-section">时钟（开始和结束都留空表示不设置时钟）</div>
+            <label>开始时间 <input type="text" id="docClockStart" placeholder="2024-05-01T00:00:00Z"></label>
+            <label>结束时间 <input type="text" id="docClockStop" placeholder="2024-05-01T01:00:00Z"></label>
+            <label>当前时间 <input type="text" id="docClockCurrent" placeholder="留空为开始时间"></label>
+            <label>倍速 <input type="number" id="docClockMultiplier" step="any" placeholder="1"></label>
+            <label>到达边界 (range) <select id="docClockRange">
+              <option value="">默认</option>
+              ${CLOCK_RANGES.map(range => `<option value="${range}">${range}</option>`).join('')}
+            </select></label>
+            <label>推进方式 (step) <select id="docClockStep">
+              <option value="">默认</option>
+              ${CLOCK_STEPS.map(step => `<option value="${step}">${step}</option>`).join('')}
+            </select></label>
+            <div class="czml-controls">
+              <button id="resetDocumentBtn" class="mini-btn" title="还原为当前文档属性">↺ 还原</button>
+              <button id="applyDocumentBtn" class="mini-btn save-btn" title="校验并应用（可撤销）">✔ 应用</button>
+            </div>
+          </div>
+        </div>
       </div>
       
       <div id="quick-help">
@@ -177,6 +220,8 @@ class UIView {
       #status-bar {
         display: flex;
         justify-content: space-between;
+        flex-wrap: wrap;
+        row-gap: 4px;
         padding: 8px 12px;
         background: linear-gradient(135deg, #f8f9fa 0%, #e9ecef 100%);
         border: 1px solid #dee2e6;
@@ -198,6 +243,7 @@ class UIView {
       }
 
       #geometries-count,
+      #selection-count,
       #commands-count {
         font-weight: bold;
         color: #007bff;
@@ -219,6 +265,15 @@ class UIView {
       #redo-status.disabled {
         color: #6c757d;
       }
+
+      #cursor-coordinate-item {
+        flex-basis: 100%;
+      }
+
+      #cursor-coordinate {
+        font-family: 'Consolas', 'Monaco', 'Courier New', monospace;
+        color: #495057;
+      }
       
       #command-output {
         background-color: #1e1e1e;
@@ -248,6 +303,7 @@ class UIView {
       .output-line {
         margin: 3px 0;
         word-wrap: break-word;
+        white-space: pre-wrap;
       }
       
       .output-success {
@@ -370,6 +426,28 @@ class UIView {
         background-color: #e9ecef;
       }
       
+      .point-item {
+        cursor: pointer;
+      }
+      
+      .point-item.selected {
+        background-color: #fff3cd;
+        box-shadow: inset 0 0 0 2px #ffc107;
+      }
+      
+      /* 序号由CSS计数器生成，增量插入/删除列表项时无需重新编号 */
+      #points-container {
+        counter-reset: geometry-index;
+      }
+      
+      #points-container .point-item {
+        counter-increment: geometry-index;
+      }
+      
+      .point-item .point-index::before {
+        content: '#' counter(geometry-index);
+      }
+      
       .point-item .point-name {
         font-weight: bold;
         margin-bottom: 6px;
@@ -383,6 +461,30 @@ class UIView {
         line-height: 1.3;
       }
       
+      .entity-availability {
+        display: flex;
+        align-items: center;
+        gap: 4px;
+        margin-top: 6px;
+        font-size: 11px;
+        color: #6c757d;
+      }
+      
+      .entity-availability .availability-value {
+        flex: 1;
+        font-family: 'Consolas', 'Monaco', 'Courier New', monospace;
+        word-break: break-all;
+      }
+      
+      .entity-availability .availability-input {
+        flex: 1;
+        min-width: 0;
+        padding: 2px 4px;
+        font-size: 11px;
+        border: 1px solid #ced4da;
+        border-radius: 3px;
+      }
+      
       .no-points {
         color: #999;
         font-style: italic;
@@ -518,6 +620,43 @@ class UIView {
         border-color: #007bff;
       }
       
+      .document-form {
+        display: flex;
+        flex-direction: column;
+        gap: 6px;
+      }
+      
+      .document-form label {
+        display: flex;
+        flex-direction: column;
+        gap: 2px;
+        font-size: 12px;
+        color: #495057;
+      }
+      
+      .document-form input,
+      .document-form textarea,
+      .document-form select {
+        padding: 4px 6px;
+        font-size: 12px;
+        border: 1px solid #ced4da;
+        border-radius: 3px;
+        font-family: inherit;
+      }
+      
+      .document-form-section {
+        margin-top: 6px;
+        padding-top: 6px;
+        border-top: 1px solid #dee2e6;
+        font-size: 11px;
+        color: #6c757d;
+      }
+      
+      .file-drag-over {
+        outline: 3px dashed #007bff;
+        outline-offset: -3px;
+      }
+      
       #edit-help {
         margin-top: 10px;
         padding: 10px;
@@ -627,7 +766,7 @@ class UIView {
     const redoStatus = document.getElementById('redo-status');
 
     if (geometriesCount) {
-      const totalGeometries = (stats.totalPoints || 0) + (stats.totalPolylines || 0);
+      const totalGeometries = (stats.totalPoints || 0) + (stats.totalPolylines || 0) + (stats.totalPolygons || 0);
       geometriesCount.textContent = totalGeometries;
     }
 
@@ -646,6 +785,17 @@ class UIView {
     }
   }
 
+  /**
+   * 更新状态栏中的光标坐标
+   * @param {string} text 格式化后的坐标，光标不在地图上时为 '-'
+   */
+  updateCursorCoordinate(text) {
+    const element = document.getElementById('cursor-coordinate');
+    if (element) {
+      element.textContent = text;
+    }
+  }
+
   /**
    * 绑定命令行UI事件
    */
@@ -667,6 +817,15 @@ class UIView {
     
     // CZML控制按钮事件
     this.bindCzmlControlEvents();
+    
+    // 文档属性面板事件
+    this.bindDocumentPanelEvents();
+    
+    // 列表项可用时间编辑事件
+    this.bindAvailabilityEvents();
+    
+    // 列表项点击选择事件
+    this.bindListSelectionEvents();
   }
 
   /**
@@ -769,11 +928,266 @@ class UIView {
         this.notifyListener('exportCzml');
       });
     }
+
+    // 导入按钮（不带文件，由Import命令打开文件选择框）
+    const importBtn = document.getElementById('importFileBtn');
+    if (importBtn) {
+      importBtn.addEventListener('click', () => {
+        this.notifyListener('importFiles', null);
+      });
+    }
+  }
+
+  /**
+   * 绑定列表项点击选择事件：单击选择，Shift+单击追加或取消选择
+   */
+  bindListSelectionEvents() {
+    const container = document.getElementById('points-container');
+    if (!container) return;
+
+    container.addEventListener('click', (e) => {
+      // 列表项中的按钮和输入框有自己的用途
+      if (e.target.closest('button, input, .entity-availability')) return;
+
+      const item = e.target.closest('.point-item');
+      if (!item) return;
+
+      this.notifyListener('listItemClick', {
+        entityId: item.dataset.entityId,
+        additive: e.shiftKey
+      });
+    });
+  }
+
+  /**
+   * 更新列表中的选中样式
+   * @param {Array} ids 选中的实体ID
+   */
+  setSelectedEntities(ids) {
+    this.selectedEntityIds = new Set(ids);
+
+    const container = document.getElementById('points-container');
+    if (container) {
+      container.querySelectorAll('.point-item').forEach(item => {
+        item.classList.toggle('selected', this.selectedEntityIds.has(item.dataset.entityId));
+      });
+    }
+
+    const selectionCount = document.getElementById('selection-count');
+    if (selectionCount) {
+      selectionCount.textContent = ids.length;
+    }
+  }
+
+  /**
+   * 绑定列表项中可用时间编辑的事件（事件委托，列表项增量更新后无需重新绑定）
+   */
+  bindAvailabilityEvents() {
+    const container = document.getElementById('points-container');
+    if (!container) return;
+
+    container.addEventListener('click', (e) => {
+      const row = e.target.closest('.entity-availability');
+      if (!row) return;
+
+      if (e.target.classList.contains('availability-edit-btn')) {
+        this.enterAvailabilityEdit(row);
+      } else if (e.target.classList.contains('availability-apply-btn')) {
+        this.submitAvailabilityEdit(row);
+      } else if (e.target.classList.contains('availability-cancel-btn')) {
+        this.exitAvailabilityEdit(row);
+      }
+    });
+
+    container.addEventListener('keydown', (e) => {
+      if (!e.target.classList.contains('availability-input')) return;
+
+      const row = e.target.closest('.entity-availability');
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        this.submitAvailabilityEdit(row);
+      } else if (e.key === 'Escape') {
+        e.preventDefault();
+        this.exitAvailabilityEdit(row);
+      }
+    });
+  }
+
+  /**
+   * 渲染可用时间行（显示状态）
+   * @param {HTMLElement} row 可用时间行元素，data-availability 保存当前值
+   */
+  renderAvailabilityRow(row) {
+    const value = row.dataset.availability;
+    row.innerHTML = `
+      <span>⏱ 可用时间:</span>
+      <span class="availability-value"></span>
+      <button class="mini-btn availability-edit-btn" title="设置可用时间 (SetAvailability)">编辑</button>
+    `;
+    row.querySelector('.availability-value').textContent = value || '始终可见';
+  }
+
+  /**
+   * 可用时间行进入编辑状态
+   * @param {HTMLElement} row 可用时间行元素
+   */
+  enterAvailabilityEdit(row) {
+    row.innerHTML = `
+      <input class="availability-input" placeholder="开始/结束 (ISO 8601)，留空表示始终可见">
+      <button class="mini-btn save-btn availability-apply-btn">应用</button>
+      <button class="mini-btn availability-cancel-btn">取消</button>
+    `;
+
+    const input = row.querySelector('.availability-input');
+    input.value = row.dataset.availability || '';
+    input.focus();
+  }
+
+  /**
+   * 提交可用时间编辑（成功时模型更新会重新渲染列表项）
+   * @param {HTMLElement} row 可用时间行元素
+   */
+  submitAvailabilityEdit(row) {
+    const item = row.closest('.point-item');
+    const input = row.querySelector('.availability-input');
+    if (!item || !input) return;
+
+    this.notifyListener('setAvailability', {
+      entityId: item.dataset.entityId,
+      text: input.value.trim()
+    });
+  }
+
+  /**
+   * 取消可用时间编辑
+   * @param {HTMLElement} row 可用时间行元素
+   */
+  exitAvailabilityEdit(row) {
+    this.renderAvailabilityRow(row);
+  }
+
+  /**
+   * 绑定文档属性面板事件
+   */
+  bindDocumentPanelEvents() {
+    const applyBtn = document.getElementById('applyDocumentBtn');
+    if (applyBtn) {
+      applyBtn.addEventListener('click', () => {
+        this.notifyListener('updateDocument', this.readDocumentPanel());
+      });
+    }
+
+    const resetBtn = document.getElementById('resetDocumentBtn');
+    if (resetBtn) {
+      resetBtn.addEventListener('click', () => {
+        this.notifyListener('requestDocumentUpdate');
+      });
+    }
+  }
+
+  /**
+   * 用文档属性填充文档面板
+   * @param {Object} properties { name, description, version, clock }
+   */
+  updateDocumentPanel(properties) {
+    const setValue = (id, value) => {
+      const element = document.getElementById(id);
+      if (element) element.value = value ?? '';
+    };
+
+    const clock = properties.clock || {};
+    const [start, stop] = (clock.interval || '').split('/');
+
+    setValue('docName', properties.name);
+    setValue('docDescription', properties.description);
+    setValue('docVersion', properties.version);
+    setValue('docClockStart', start);
+    setValue('docClockStop', stop);
+    setValue('docClockCurrent', clock.currentTime);
+    setValue('docClockMultiplier', clock.multiplier);
+    setValue('docClockRange', clock.range);
+    setValue('docClockStep', clock.step);
+  }
+
+  /**
+   * 读取文档面板中的属性（校验由Document命令和模型完成）
+   * @returns {Object} { name, description, version, clock }
+   */
+  readDocumentPanel() {
+    const getValue = (id) => {
+      const element = document.getElementById(id);
+      return element ? element.value.trim() : '';
+    };
+
+    const start = getValue('docClockStart');
+    const stop = getValue('docClockStop');
+    let clock = null;
+
+    if (start || stop) {
+      clock = { interval: `${start}/${stop}` };
+      if (getValue('docClockCurrent')) clock.currentTime = getValue('docClockCurrent');
+      if (getValue('docClockMultiplier')) clock.multiplier = Number(getValue('docClockMultiplier'));
+      if (getValue('docClockRange')) clock.range = getValue('docClockRange');
+      if (getValue('docClockStep')) clock.step = getValue('docClockStep');
+    }
+
+    return {
+      name: getValue('docName') || null,
+      description: getValue('docDescription') || null,
+      version: getValue('docVersion') || null,
+      clock
+    };
+  }
+
+  /**
+   * 启用文件拖放导入
+   * 面板本身始终是拖放目标，可额外指定其他元素（如地图容器）
+   * @param {Array<HTMLElement>} extraElements 额外的拖放目标元素
+   */
+  enableFileDrop(extraElements = []) {
+    const targets = [this.panel, ...extraElements].filter(Boolean);
+    const hasFiles = (e) => e.dataTransfer && Array.from(e.dataTransfer.types || []).includes('Files');
+
+    targets.forEach(element => {
+      let dragDepth = 0; // 子元素间移动会触发成对的dragenter/dragleave
+
+      element.addEventListener('dragenter', (e) => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        dragDepth++;
+        element.classList.add('file-drag-over');
+      });
+
+      element.addEventListener('dragover', (e) => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+      });
+
+      element.addEventListener('dragleave', () => {
+        dragDepth = Math.max(dragDepth - 1, 0);
+        if (dragDepth === 0) {
+          element.classList.remove('file-drag-over');
+        }
+      });
+
+      element.addEventListener('drop', (e) => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        dragDepth = 0;
+        element.classList.remove('file-drag-over');
+
+        const files = Array.from(e.dataTransfer.files || []);
+        if (files.length > 0) {
+          this.notifyListener('importFiles', files);
+        }
+      });
+    });
   }
 
   /**
    * 切换Tab视图
-   * @param {string} viewType 视图类型 ('list' | 'czml')
+   * @param {string} viewType 视图类型 ('list' | 'czml' | 'document')
    */
   switchTab(viewType) {
     // 更新Tab按钮状态
@@ -791,6 +1205,8 @@ class UIView {
     // 如果切换到CZML视图，更新CZML显示
     if (viewType === 'czml') {
       this.notifyListener('requestCzmlUpdate');
+    } else if (viewType === 'document') {
+      this.notifyListener('requestDocumentUpdate');
     }
   }
 
@@ -1083,11 +1499,13 @@ class UIView {
   }
 
   /**
-   * 更新几何实体列表显示（点和线）
+   * 更新几何实体列表显示（点、线和面）
+   * 🔧 传入增量变更集时只更新变化的列表项，不再重建整个列表
    * @param {Array} geometries 几何实体数据数组
    * @param {Array} czmlData 完整的CZML数据
+   * @param {Object} changes 变更集 {reset, added, updated, removed}，省略时全量重建
    */
-  updatePointsList(geometries, czmlData = null) {
+  updatePointsList(geometries, czmlData = null, changes = null) {
     const container = document.getElementById('points-container');
     const countElement = document.getElementById('point-count');
     
@@ -1099,61 +1517,106 @@ class UIView {
     // 更新几何实体列表视图
     if (!geometries || geometries.length === 0) {
       container.innerHTML = '<p class="no-points">暂无几何实体</p>';
+    } else if (changes && !changes.reset && !container.querySelector('.no-points')) {
+      this.applyPointsListChanges(container, geometries, changes);
     } else {
-      let html = '';
-      geometries.forEach((entity, index) => {
-        // 处理点实体
-        if (entity.position && entity.point) {
-          const coords = entity.position.cartographicDegrees;
-          html += `
-            <div class="point-item">
-              <div class="point-name">📍 ${entity.name} #${index + 1}</div>
-              <div class="point-coords">
-                经度: ${coords[0].toFixed(6)}<br>
-                纬度: ${coords[1].toFixed(6)}<br>
-                高度: ${coords[2].toFixed(2)}m
-              </div>
-            </div>
-          `;
-        }
-        // 处理polyline实体
-        else if (entity.polyline && entity.polyline.positions && entity.polyline.positions.cartographicDegrees) {
-          const cartographicDegrees = entity.polyline.positions.cartographicDegrees;
-          const pointCount = cartographicDegrees.length / 3;
-          
-          // 显示polyline的第一个和最后一个点
-          const firstPoint = {
-            lon: cartographicDegrees[0],
-            lat: cartographicDegrees[1],
-            height: cartographicDegrees[2]
-          };
-          const lastPoint = {
-            lon: cartographicDegrees[cartographicDegrees.length - 3],
-            lat: cartographicDegrees[cartographicDegrees.length - 2],
-            height: cartographicDegrees[cartographicDegrees.length - 1]
-          };
-          
-          html += `
-            <div class="point-item" style="border-left-color: #00ffff;">
-              <div class="point-name">📏 ${entity.name} #${index + 1}</div>
-              <div class="point-coords">
-                点数: ${pointCount}<br>
-                起点: ${firstPoint.lon.toFixed(3)}, ${firstPoint.lat.toFixed(3)}<br>
-                终点: ${lastPoint.lon.toFixed(3)}, ${lastPoint.lat.toFixed(3)}
-              </div>
-            </div>
-          `;
-        }
+      container.innerHTML = '';
+      geometries.forEach(entity => {
+        const item = this.createGeometryItemElement(entity);
+        if (item) container.appendChild(item);
       });
-      container.innerHTML = html;
     }
 
-    // 更新CZML代码视图
-    if (czmlData) {
+    // 更新CZML代码视图（仅在CZML标签页可见时，切换标签页时会重新请求）
+    const czmlView = document.getElementById('czml-view');
+    if (czmlData && czmlView && czmlView.classList.contains('active')) {
       this.updateCzmlDisplay(czmlData);
     }
   }
 
+  /**
+   * 将增量变更集应用到几何实体列表
+   * @param {HTMLElement} container 列表容器
+   * @param {Array} geometries 当前几何实体数组（用于确定插入位置）
+   * @param {Object} changes 变更集
+   */
+  applyPointsListChanges(container, geometries, changes) {
+    const findItem = (id) => container.querySelector(`.point-item[data-entity-id="${CSS.escape(id)}"]`);
+
+    changes.removed.forEach(id => {
+      const item = findItem(id);
+      if (item) item.remove();
+    });
+
+    const geometriesById = new Map(geometries.map((entity, index) => [entity.id, { entity, index }]));
+
+    changes.updated.forEach(id => {
+      const item = findItem(id);
+      const record = geometriesById.get(id);
+      if (item && record) {
+        const newItem = this.createGeometryItemElement(record.entity);
+        if (newItem) {
+          item.replaceWith(newItem);
+        } else {
+          item.remove();
+        }
+      }
+    });
+
+    changes.added.forEach(id => {
+      const record = geometriesById.get(id);
+      if (!record || findItem(id)) return;
+
+      const newItem = this.createGeometryItemElement(record.entity);
+      if (!newItem) return;
+
+      // 插入到模型中位于其后的第一个已渲染实体之前，保持与文档顺序一致
+      let nextItem = null;
+      for (let i = record.index + 1; i < geometries.length && !nextItem; i++) {
+        nextItem = findItem(geometries[i].id);
+      }
+      container.insertBefore(newItem, nextItem);
+    });
+  }
+
+  /**
+   * 通过实体类型注册表渲染单个列表项的HTML
+   * @param {Object} entity CZML实体
+   * @returns {string} 列表项HTML，无法识别的实体返回空字符串
+   */
+  renderGeometryItem(entity) {
+    const definition = EntityTypeRegistry.resolve(entity);
+    if (definition && definition.validate(entity)) {
+      return definition.renderListItem(entity);
+    }
+    return '';
+  }
+
+  /**
+   * 创建单个列表项DOM元素
+   * @param {Object} entity CZML实体
+   * @returns {HTMLElement|null} 列表项元素
+   */
+  createGeometryItemElement(entity) {
+    const html = this.renderGeometryItem(entity);
+    if (!html) return null;
+
+    const template = document.createElement('template');
+    template.innerHTML = html.trim();
+    const item = template.content.firstElementChild;
+
+    // 所有类型共用的可用时间行
+    const row = document.createElement('div');
+    row.className = 'entity-availability';
+    const availability = entity.availability;
+    row.dataset.availability = Array.isArray(availability) ? availability.join(', ') : (availability || '');
+    this.renderAvailabilityRow(row);
+    item.appendChild(row);
+
+    item.classList.toggle('selected', this.selectedEntityIds.has(entity.id));
+    return item;
+  }
+
   /**
    * 显示状态消息（在命令行输出中）
    * @param {string} message 消息内容
@@ -134,6 +134,101 @@ if (typeof window.czmlEditor === 'undefined') {
       return newStats.totalPolylines === initialStats.totalPolylines + 1;
     });
 
+    // 4b. AddPolygon测试（异步）
+    await runAsyncTest('AddPolygon命令', async () => {
+      const initialStats = window.czmlEditor.getStats();
+      console.log(`   初始多边形数: ${initialStats.totalPolygons}`);
+      
+      window.czmlEditor.addPolygon([
+        { lon: -95, lat: 30, height: 0 },
+        { lon: -90, lat: 30, height: 0 },
+        { lon: -90, lat: 35, height: 0 },
+        { lon: -95, lat: 35, height: 0 }
+      ]);
+      
+      // 4个顶点 + 回车准备 + 回车确认
+      await new Promise(resolve => setTimeout(resolve, 800));
+      
+      const newStats = window.czmlEditor.getStats();
+      console.log(`   执行后多边形数: ${newStats.totalPolygons}`);
+      
+      // 闭合环：首尾坐标相同
+      const polygon = window.czmlEditor.getCzmlData().filter(e => e.id.startsWith('PG_')).pop();
+      const degrees = polygon ? polygon.polygon.positions.cartographicDegrees : [];
+      const isClosed = degrees.length === 15 &&
+        degrees[0] === degrees[12] && degrees[1] === degrees[13];
+      console.log(`   闭合环检查: ${isClosed ? '已闭合' : '未闭合'}`);
+      
+      return newStats.totalPolygons === initialStats.totalPolygons + 1 && isClosed;
+    });
+
+    // 4c. 实体类型注册表测试
+    runSyncTest('实体类型注册表', () => {
+      const registry = window.czmlEditor.entityTypes;
+      const prefixes = registry.getPrefixes();
+      console.log(`   已注册前缀: ${prefixes.join(', ')}`);
+      
+      const hasBuiltins = ['PT', 'PL', 'PG'].every(prefix => prefixes.includes(prefix));
+      
+      // 现有的每个几何实体都应能被解析并通过校验
+      const geometries = window.czmlEditor.getCzmlData().filter(e => e.id !== 'document');
+      const allResolved = geometries.every(entity => {
+        const definition = registry.resolve(entity);
+        return definition && definition.validate(entity);
+      });
+      console.log(`   几何实体解析: ${allResolved ? '全部通过' : '存在无法解析的实体'}`);
+      
+      return hasBuiltins && allResolved && registry.isOfType('PT_abcdefgh', 'point');
+    });
+
+    // 4e. 模型细粒度事件与批处理测试
+    runSyncTest('模型细粒度事件与批处理', () => {
+      const czmlModel = window.czmlEditor.controller.czmlModel;
+      const events = [];
+      let documentNotifications = 0;
+      
+      const countDocumentNotification = () => documentNotifications++;
+      czmlModel.addListener(countDocumentNotification);
+      const unsubscribers = ['entityAdded', 'entityChanged', 'entityRemoved'].map(eventName =>
+        czmlModel.on(eventName, event => events.push(`${eventName}:${event.id}`))
+      );
+      
+      let keptId = null;
+      let droppedId = null;
+      czmlModel.batch(() => {
+        keptId = czmlModel.addPoint({ lon: 10, lat: 10, height: 0 });
+        droppedId = czmlModel.addPoint({ lon: 11, lat: 11, height: 0 });
+        czmlModel.removeEntityById(droppedId);
+      });
+      const batchNotifications = documentNotifications;
+      
+      czmlModel.removeEntityById(keptId);
+      
+      unsubscribers.forEach(unsubscribe => unsubscribe());
+      czmlModel.removeListener(countDocumentNotification);
+      
+      console.log(`   事件序列: ${events.join(', ')}`);
+      console.log(`   批处理通知次数: ${batchNotifications}`);
+      
+      return batchNotifications === 1 &&
+        events.length === 2 &&
+        events[0] === `entityAdded:${keptId}` &&
+        events[1] === `entityRemoved:${keptId}`;
+    });
+
+    // 4d. CzmlDataSource渲染测试（异步）
+    await runAsyncTest('CzmlDataSource渲染', async () => {
+      // 等待数据源异步加载完成
+      await new Promise(resolve => setTimeout(resolve, 300));
+      
+      const dataSource = window.czmlEditor.controller.mapView.czmlDataSource;
+      const geometries = window.czmlEditor.getCzmlData().filter(e => e.id !== 'document');
+      const rendered = geometries.filter(entity => dataSource.entities.getById(entity.id));
+      console.log(`   文档实体: ${geometries.length}, 已渲染: ${rendered.length}`);
+      
+      return geometries.length > 0 && rendered.length === geometries.length;
+    });
+
     // 5. 撤销功能测试（异步，修复版）
     await runAsyncTest('撤销功能', async () => {
       const beforeStats = window.czmlEditor.getStats();
@@ -162,6 +257,910 @@ if (typeof window.czmlEditor === 'undefined') {
       return afterUndoStats.totalPoints === beforeStats.totalPoints;
     });
 
+    // 5b. 导入CZML文件测试（合并模式，一次撤销恢复）
+    await runAsyncTest('导入CZML文件', async () => {
+      const beforeStats = window.czmlEditor.getStats();
+      const beforeHistory = window.czmlEditor.getCommandHistory();
+      
+      const czml = [
+        { id: 'document', name: 'Import Test', version: '1.0' },
+        { id: 'PT_importA1', name: 'Imported-A', position: { cartographicDegrees: [100, 30, 0] }, point: { pixelSize: 8 } },
+        { id: 'PT_importB2', name: 'Imported-B', position: { cartographicDegrees: [101, 31, 0] }, point: { pixelSize: 8 } },
+        { id: 'label-only', position: { cartographicDegrees: [102, 32, 0] }, label: { text: 'Hello' } }
+      ];
+      const file = new File([JSON.stringify(czml)], 'import-test.czml', { type: 'application/json' });
+      
+      window.czmlEditor.importFiles([file], 'merge');
+      await new Promise(resolve => setTimeout(resolve, 500));
+      
+      const afterImportStats = window.czmlEditor.getStats();
+      const afterImportHistory = window.czmlEditor.getCommandHistory();
+      const hasLabel = window.czmlEditor.getCzmlData().some(e => e.id === 'label-only');
+      console.log(`   导入后点数: ${beforeStats.totalPoints} -> ${afterImportStats.totalPoints}`);
+      console.log(`   新增撤销步骤: ${afterImportHistory.totalCommands - beforeHistory.totalCommands}`);
+      
+      window.czmlEditor.undo();
+      await new Promise(resolve => setTimeout(resolve, 300));
+      
+      const afterUndoStats = window.czmlEditor.getStats();
+      const labelRemoved = !window.czmlEditor.getCzmlData().some(e => e.id === 'label-only');
+      console.log(`   撤销后点数: ${afterUndoStats.totalPoints}`);
+      
+      return afterImportStats.totalPoints === beforeStats.totalPoints + 2 &&
+        hasLabel &&
+        afterImportHistory.totalCommands === beforeHistory.totalCommands + 1 &&
+        afterUndoStats.totalPoints === beforeStats.totalPoints &&
+        labelRemoved;
+    });
+
+    // 5c. 导入GeoJSON文件测试（Multi*拆分、properties和高度保留）
+    await runAsyncTest('导入GeoJSON文件', async () => {
+      const beforeStats = window.czmlEditor.getStats();
+      
+      const geojson = {
+        type: 'FeatureCollection',
+        features: [
+          { type: 'Feature', properties: { name: 'GJ-Point', code: 7 }, geometry: { type: 'MultiPoint', coordinates: [[110, 20, 35.5], [111, 21]] } },
+          { type: 'Feature', properties: { road: 'G60' }, geometry: { type: 'LineString', coordinates: [[110, 20, 5], [112, 22, 6]] } }
+        ]
+      };
+      const file = new File([JSON.stringify(geojson)], 'import-test.geojson', { type: 'application/geo+json' });
+      
+      window.czmlEditor.importFiles([file], 'merge');
+      await new Promise(resolve => setTimeout(resolve, 500));
+      
+      const afterImportStats = window.czmlEditor.getStats();
+      const czmlData = window.czmlEditor.getCzmlData();
+      const importedPoint = czmlData.find(e => e.name === 'GJ-Point' && e.position.cartographicDegrees[2] === 35.5);
+      const importedLine = czmlData.find(e => e.properties && e.properties.road === 'G60');
+      console.log(`   导入后: 点 ${beforeStats.totalPoints} -> ${afterImportStats.totalPoints}, 线 ${beforeStats.totalPolylines} -> ${afterImportStats.totalPolylines}`);
+      
+      window.czmlEditor.undo();
+      await new Promise(resolve => setTimeout(resolve, 300));
+      
+      const afterUndoStats = window.czmlEditor.getStats();
+      
+      return afterImportStats.totalPoints === beforeStats.totalPoints + 2 &&
+        afterImportStats.totalPolylines === beforeStats.totalPolylines + 1 &&
+        !!importedPoint && importedPoint.properties.code === 7 &&
+        !!importedLine && importedLine.polyline.positions.cartographicDegrees[5] === 6 &&
+        afterUndoStats.totalPoints === beforeStats.totalPoints;
+    });
+
+    // 5d. 导入KML文件测试（名称、描述、样式颜色映射到CZML）
+    await runAsyncTest('导入KML文件', async () => {
+      const beforeStats = window.czmlEditor.getStats();
+      
+      const kml = `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2"><Document>
+  <Style id="red"><IconStyle><color>ff0000ff</color></IconStyle></Style>
+  <Placemark><name>KML-Point</name><description>测试描述</description><styleUrl>#red</styleUrl>
+    <Point><coordinates>115,25,40</coordinates></Point></Placemark>
+  <Placemark><name>KML-Line</name><Style><LineStyle><color>7f00ff00</color><width>4</width></LineStyle></Style>
+    <LineString><coordinates>115,25,0 116,26,0</coordinates></LineString></Placemark>
+</Document></kml>`;
+      const file = new File([kml], 'import-test.kml', { type: 'application/vnd.google-earth.kml+xml' });
+      
+      window.czmlEditor.importFiles([file], 'merge');
+      await new Promise(resolve => setTimeout(resolve, 500));
+      
+      const afterImportStats = window.czmlEditor.getStats();
+      const czmlData = window.czmlEditor.getCzmlData();
+      const importedPoint = czmlData.find(e => e.name === 'KML-Point');
+      const importedLine = czmlData.find(e => e.name === 'KML-Line');
+      console.log(`   导入后: 点 ${beforeStats.totalPoints} -> ${afterImportStats.totalPoints}, 线 ${beforeStats.totalPolylines} -> ${afterImportStats.totalPolylines}`);
+      
+      window.czmlEditor.undo();
+      await new Promise(resolve => setTimeout(resolve, 300));
+      
+      const afterUndoStats = window.czmlEditor.getStats();
+      
+      return !!importedPoint && importedPoint.description === '测试描述' &&
+        importedPoint.point.color.rgba.join(',') === '255,0,0,255' &&
+        importedPoint.position.cartographicDegrees[2] === 40 &&
+        !!importedLine && importedLine.polyline.material.solidColor.color.rgba.join(',') === '0,255,0,127' &&
+        importedLine.polyline.width === 4 &&
+        afterUndoStats.totalPolylines === beforeStats.totalPolylines;
+    });
+
+    // 5e. 导入CSV表格测试（列映射、序号连线、拒绝无效行）
+    await runAsyncTest('导入CSV表格', async () => {
+      const beforeStats = window.czmlEditor.getStats();
+      
+      const csv = 'name,x,y,elev,seq\nS-2,113.1,23.1,8,2\nS-1,113.0,23.0,5,1\nBAD,113.2,123.2,0,3\n';
+      const file = new File([csv], 'survey.csv', { type: 'text/csv' });
+      
+      window.czmlEditor.importFiles([file]);
+      await new Promise(resolve => setTimeout(resolve, 300));
+      
+      // 高程列名无法自动识别，手动映射后回车导入
+      window.czmlEditor.executeCommand('height=elev');
+      window.czmlEditor.executeCommand('');
+      await new Promise(resolve => setTimeout(resolve, 400));
+      
+      const afterImportStats = window.czmlEditor.getStats();
+      const czmlData = window.czmlEditor.getCzmlData();
+      const first = czmlData.find(e => e.name === 'S-1');
+      const line = czmlData.filter(e => e.polyline).pop();
+      console.log(`   导入后: 点 ${beforeStats.totalPoints} -> ${afterImportStats.totalPoints}, 线 ${beforeStats.totalPolylines} -> ${afterImportStats.totalPolylines}`);
+      
+      window.czmlEditor.undo();
+      await new Promise(resolve => setTimeout(resolve, 300));
+      
+      const afterUndoStats = window.czmlEditor.getStats();
+      
+      return afterImportStats.totalPoints === beforeStats.totalPoints + 2 &&
+        afterImportStats.totalPolylines === beforeStats.totalPolylines + 1 &&
+        !!first && first.position.cartographicDegrees[2] === 5 &&
+        !!line && line.polyline.positions.cartographicDegrees[0] === 113.0 &&
+        afterUndoStats.totalPoints === beforeStats.totalPoints &&
+        afterUndoStats.totalPolylines === beforeStats.totalPolylines;
+    });
+
+    // 5f. 导入GPX文件测试（高程、时间保留，一次撤销恢复）
+    await runAsyncTest('导入GPX文件', async () => {
+      const beforeStats = window.czmlEditor.getStats();
+      
+      const gpx = `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="test" xmlns="http://www.topografix.com/GPX/1/1">
+  <wpt lat="22.5" lon="114.1"><ele>88.5</ele><time>2024-05-01T08:00:00Z</time><name>GPX-WPT</name></wpt>
+  <trk><name>GPX-TRK</name><trkseg>
+    <trkpt lat="22.50" lon="114.10"><ele>10</ele><time>2024-05-01T08:00:00Z</time></trkpt>
+    <trkpt lat="22.51" lon="114.11"><ele>12</ele><time>2024-05-01T08:01:00Z</time></trkpt>
+  </trkseg></trk>
+</gpx>`;
+      const file = new File([gpx], 'track.gpx', { type: 'application/gpx+xml' });
+      
+      window.czmlEditor.importFiles([file], 'merge');
+      await new Promise(resolve => setTimeout(resolve, 500));
+      
+      const afterImportStats = window.czmlEditor.getStats();
+      const czmlData = window.czmlEditor.getCzmlData();
+      const waypoint = czmlData.find(e => e.name === 'GPX-WPT');
+      const track = czmlData.find(e => e.name === 'GPX-TRK');
+      console.log(`   导入后: 点 ${beforeStats.totalPoints} -> ${afterImportStats.totalPoints}, 线 ${beforeStats.totalPolylines} -> ${afterImportStats.totalPolylines}`);
+      
+      window.czmlEditor.undo();
+      await new Promise(resolve => setTimeout(resolve, 300));
+      
+      const afterUndoStats = window.czmlEditor.getStats();
+      
+      return !!waypoint && waypoint.position.cartographicDegrees[2] === 88.5 &&
+        waypoint.properties.time === '2024-05-01T08:00:00.000Z' &&
+        !!track && track.polyline.positions.cartographicDegrees[5] === 12 &&
+        track.properties.timestamps.array.length === 2 &&
+        afterUndoStats.totalPoints === beforeStats.totalPoints &&
+        afterUndoStats.totalPolylines === beforeStats.totalPolylines;
+    });
+
+    // 5g. RecordWaypoints测试（时间采样位置、document时钟，一次撤销恢复）
+    await runAsyncTest('RecordWaypoints命令', async () => {
+      window.czmlEditor.addPoint(120, 30, 100);
+      await new Promise(resolve => setTimeout(resolve, 400));
+      
+      const points = window.czmlEditor.getCzmlData().filter(e => e.id.startsWith('PT_'));
+      const pointId = points[points.length - 1].id;
+      const clockBefore = window.czmlEditor.getCzmlData()[0].clock;
+      
+      window.czmlEditor.executeCommand('RecordWaypoints lagrange 2');
+      window.czmlEditor.executeCommand(pointId);
+      window.czmlEditor.executeCommand('+60s 120.01,30,100');
+      window.czmlEditor.executeCommand('120.02,30.01,120');
+      window.czmlEditor.executeCommand('');
+      window.czmlEditor.executeCommand('');
+      await new Promise(resolve => setTimeout(resolve, 400));
+      
+      const recorded = window.czmlEditor.getCzmlData().find(e => e.id === pointId);
+      const position = recorded.position;
+      const clock = window.czmlEditor.getCzmlData()[0].clock;
+      console.log(`   航点数: ${position.cartographicDegrees.length / 4}, 时钟: ${clock && clock.interval}`);
+      
+      const recordedOk = !!position.epoch &&
+        position.cartographicDegrees.length === 12 &&
+        position.cartographicDegrees[4] === 60 &&
+        position.cartographicDegrees[8] === 120 &&
+        position.interpolationAlgorithm === 'LAGRANGE' &&
+        position.interpolationDegree === 2 &&
+        !!clock && typeof clock.interval === 'string';
+      
+      window.czmlEditor.undo();
+      await new Promise(resolve => setTimeout(resolve, 300));
+      
+      const restored = window.czmlEditor.getCzmlData().find(e => e.id === pointId);
+      
+      return recordedOk &&
+        restored.position.cartographicDegrees.length === 3 &&
+        restored.position.cartographicDegrees[0] === 120 &&
+        JSON.stringify(window.czmlEditor.getCzmlData()[0].clock) === JSON.stringify(clockBefore);
+    });
+
+    // 5h. Document命令测试（名称与时钟、校验、一次撤销恢复）
+    await runAsyncTest('Document命令', async () => {
+      const before = window.czmlEditor.getDocument();
+      
+      window.czmlEditor.executeCommand('Document name=Test Scenario interval=2024-05-01T00:00:00Z/2024-05-01T01:00:00Z multiplier=10');
+      window.czmlEditor.executeCommand('range=CLAMPED');
+      window.czmlEditor.executeCommand('');
+      await new Promise(resolve => setTimeout(resolve, 300));
+      
+      const documentPacket = window.czmlEditor.getCzmlData()[0];
+      console.log(`   文档: ${documentPacket.name}, 时钟: ${documentPacket.clock && documentPacket.clock.interval}`);
+      const appliedOk = documentPacket.name === 'Test Scenario' &&
+        documentPacket.clock.interval === '2024-05-01T00:00:00Z/2024-05-01T01:00:00Z' &&
+        documentPacket.clock.multiplier === 10 &&
+        documentPacket.clock.range === 'CLAMPED';
+      
+      // 当前时间不在区间内，面板提交应被拒绝且不产生修改
+      const historyBefore = window.czmlEditor.getCommandHistory().totalCommands;
+      window.czmlEditor.updateDocument({
+        ...window.czmlEditor.getDocument(),
+        clock: { interval: '2024-05-01T00:00:00Z/2024-05-01T01:00:00Z', currentTime: '2024-05-02T00:00:00Z' }
+      });
+      const rejectedOk = window.czmlEditor.getCommandHistory().totalCommands === historyBefore &&
+        window.czmlEditor.getCzmlData()[0].clock.range === 'CLAMPED';
+      
+      window.czmlEditor.undo();
+      await new Promise(resolve => setTimeout(resolve, 300));
+      
+      return appliedOk && rejectedOk &&
+        JSON.stringify(window.czmlEditor.getDocument()) === JSON.stringify(before);
+    });
+
+    // 5i. SetAvailability命令测试（命令行设置、列表提交校验、撤销移除）
+    await runAsyncTest('SetAvailability命令', async () => {
+      const points = window.czmlEditor.getCzmlData().filter(e => e.id.startsWith('PT_'));
+      const pointId = points[points.length - 1].id;
+      
+      window.czmlEditor.executeCommand(`SetAvailability ${pointId} 2024-05-01T08:00:00Z/2024-05-01T09:00:00Z`);
+      window.czmlEditor.executeCommand('');
+      await new Promise(resolve => setTimeout(resolve, 300));
+      
+      const availability = window.czmlEditor.getCzmlData().find(e => e.id === pointId).availability;
+      console.log(`   可用时间: ${availability}`);
+      const setOk = availability === '2024-05-01T08:00:00Z/2024-05-01T09:00:00Z';
+      
+      // 结束早于开始的区间应被拒绝
+      const historyBefore = window.czmlEditor.getCommandHistory().totalCommands;
+      window.czmlEditor.setAvailability(pointId, '2024-05-01T09:00:00Z/2024-05-01T08:00:00Z');
+      const rejectedOk = window.czmlEditor.getCommandHistory().totalCommands === historyBefore;
+      
+      window.czmlEditor.undo();
+      await new Promise(resolve => setTimeout(resolve, 300));
+      
+      return setOk && rejectedOk &&
+        window.czmlEditor.getCzmlData().find(e => e.id === pointId).availability === undefined;
+    });
+
+    // 5j. Delete命令测试（多ID删除、撤销恢复原位置）
+    await runAsyncTest('Delete命令', async () => {
+      window.czmlEditor.addPoint(121, 31, 0);
+      await new Promise(resolve => setTimeout(resolve, 400));
+      window.czmlEditor.addPoint(121.1, 31.1, 0);
+      await new Promise(resolve => setTimeout(resolve, 400));
+      
+      const orderBefore = window.czmlEditor.getCzmlData().map(e => e.id);
+      const points = orderBefore.filter(id => id.startsWith('PT_'));
+      const targets = points.slice(-2);
+      
+      window.czmlEditor.executeCommand(`Delete ${targets.join(' ')}`);
+      await new Promise(resolve => setTimeout(resolve, 300));
+      
+      const remaining = window.czmlEditor.getCzmlData().map(e => e.id);
+      console.log(`   删除后实体数: ${remaining.length} (删除前 ${orderBefore.length})`);
+      const deletedOk = targets.every(id => !remaining.includes(id)) &&
+        remaining.length === orderBefore.length - 2;
+      
+      window.czmlEditor.undo();
+      await new Promise(resolve => setTimeout(resolve, 300));
+      
+      return deletedOk &&
+        JSON.stringify(window.czmlEditor.getCzmlData().map(e => e.id)) === JSON.stringify(orderBefore);
+    });
+
+    // 5k. 选择集测试（Select按ID和名称选择、Delete作用于选择集、删除后选择集同步）
+    await runAsyncTest('选择集与Select命令', async () => {
+      const points = window.czmlEditor.getCzmlData().filter(e => e.id.startsWith('PT_'));
+      const target = points[points.length - 1];
+      
+      window.czmlEditor.executeCommand(`Select ${target.id}`);
+      const byIdOk = JSON.stringify(window.czmlEditor.getSelection()) === JSON.stringify([target.id]);
+      
+      window.czmlEditor.executeCommand('Select none');
+      window.czmlEditor.executeCommand(`Select "${target.name}"`);
+      const byNameOk = window.czmlEditor.getSelection().includes(target.id);
+      
+      window.czmlEditor.executeCommand('Delete');
+      await new Promise(resolve => setTimeout(resolve, 300));
+      
+      const deletedOk = !window.czmlEditor.getCzmlData().some(e => e.id === target.id) &&
+        window.czmlEditor.getSelection().length === 0;
+      console.log(`   按ID: ${byIdOk}, 按名称: ${byNameOk}, 删除选择集: ${deletedOk}`);
+      
+      window.czmlEditor.undo();
+      await new Promise(resolve => setTimeout(resolve, 300));
+      
+      return byIdOk && byNameOk && deletedOk &&
+        window.czmlEditor.getCzmlData().some(e => e.id === target.id);
+    });
+
+    // 5l. SelectWindow命令测试（参数校验、区域选择结果写入选择集、不进入撤销历史）
+    await runAsyncTest('SelectWindow命令', async () => {
+      const controller = window.czmlEditor.controller;
+      const historyBefore = window.czmlEditor.getCommandHistory().totalCommands;
+      
+      window.czmlEditor.executeCommand('SelectWindow bogus');
+      const rejectedOk = !controller.commandSystem.getCurrentCommandStatus().hasCommand;
+      
+      // 模拟拖出覆盖整个地图的矩形
+      const canvas = controller.mapView.viewer.canvas;
+      const region = [
+        { x: 0, y: 0 },
+        { x: canvas.clientWidth, y: 0 },
+        { x: canvas.clientWidth, y: canvas.clientHeight },
+        { x: 0, y: canvas.clientHeight }
+      ];
+      window.czmlEditor.executeCommand('SelectWindow crossing');
+      const regionModeOk = controller.currentMapMode === 'select_region';
+      controller.mapInteractionCallbacks.onRegionSelect(region);
+      await new Promise(resolve => setTimeout(resolve, 100));
+      
+      const expected = controller.mapView.getEntitiesInRegion(region, true);
+      const selection = window.czmlEditor.getSelection();
+      console.log(`   区域内实体: ${expected.length}, 选择集: ${selection.length}`);
+      const selectedOk = JSON.stringify(selection) === JSON.stringify(expected) &&
+        !controller.commandSystem.getCurrentCommandStatus().hasCommand;
+      
+      window.czmlEditor.clearSelection();
+      
+      return rejectedOk && regionModeOk && selectedOk &&
+        window.czmlEditor.getCommandHistory().totalCommands === historyBefore;
+    });
+
+    // 5m. EditPolyline命令测试（插入、移动、删除顶点，名称点数同步，逐步撤销）
+    await runAsyncTest('EditPolyline命令', async () => {
+      window.czmlEditor.addPolyline([
+        { lon: 120, lat: 30, height: 0 },
+        { lon: 120.2, lat: 30.2, height: 0 }
+      ]);
+      await new Promise(resolve => setTimeout(resolve, 600));
+      
+      const polylines = window.czmlEditor.getCzmlData().filter(e => e.id.startsWith('PL_'));
+      const polyline = polylines[polylines.length - 1];
+      const original = JSON.stringify(polyline);
+      const getPolyline = () => window.czmlEditor.getCzmlData().find(e => e.id === polyline.id);
+      const historyBefore = window.czmlEditor.getCommandHistory().totalCommands;
+      
+      window.czmlEditor.executeCommand(`EditPolyline ${polyline.id}`);
+      window.czmlEditor.executeCommand('insert 1');
+      const insertedOk = getPolyline().polyline.positions.cartographicDegrees.length === 9 &&
+        getPolyline().name.endsWith('(3 pts)');
+      
+      window.czmlEditor.executeCommand('move 2 120.1,30.15,10');
+      const movedOk = getPolyline().polyline.positions.cartographicDegrees[4] === 30.15;
+      
+      window.czmlEditor.executeCommand('delete 1');
+      window.czmlEditor.executeCommand('');
+      await new Promise(resolve => setTimeout(resolve, 300));
+      
+      const deletedOk = getPolyline().name.endsWith('(2 pts)') &&
+        getPolyline().polyline.positions.cartographicDegrees[0] === 120.1;
+      const historyOk = window.czmlEditor.getCommandHistory().totalCommands === historyBefore + 3;
+      console.log(`   插入: ${insertedOk}, 移动: ${movedOk}, 删除: ${deletedOk}, 历史: ${historyOk}`);
+      
+      window.czmlEditor.undo();
+      window.czmlEditor.undo();
+      window.czmlEditor.undo();
+      await new Promise(resolve => setTimeout(resolve, 300));
+      
+      return insertedOk && movedOk && deletedOk && historyOk &&
+        JSON.stringify(getPolyline()) === original;
+    });
+
+    // 5n. 直接拖动编辑测试（拖动点和选中折线的顶点各生成一个可撤销命令）
+    await runAsyncTest('拖动编辑', async () => {
+      const controller = window.czmlEditor.controller;
+      const data = window.czmlEditor.getCzmlData();
+      const point = data.filter(e => e.id.startsWith('PT_')).pop();
+      const polyline = data.filter(e => e.id.startsWith('PL_')).pop();
+      const originalPoint = JSON.stringify(point);
+      const originalPolyline = JSON.stringify(polyline);
+      const historyBefore = window.czmlEditor.getCommandHistory().totalCommands;
+      
+      controller.handleDragEdit({ kind: 'point', entityId: point.id }, { lon: 121.5, lat: 31.5, height: 0 });
+      const pointOk = point.position.cartographicDegrees[0] === 121.5;
+      
+      window.czmlEditor.select([polyline.id]);
+      controller.handleDragEdit({ kind: 'vertex', entityId: polyline.id, index: 0 }, { lon: 119.9, lat: 29.9, height: 0 });
+      const vertexOk = polyline.polyline.positions.cartographicDegrees[0] === 119.9;
+      const historyOk = window.czmlEditor.getCommandHistory().totalCommands === historyBefore + 2;
+      console.log(`   拖动点: ${pointOk}, 拖动顶点: ${vertexOk}, 历史: ${historyOk}`);
+      
+      window.czmlEditor.clearSelection();
+      window.czmlEditor.undo();
+      window.czmlEditor.undo();
+      await new Promise(resolve => setTimeout(resolve, 300));
+      
+      return pointOk && vertexOk && historyOk &&
+        JSON.stringify(point) === originalPoint && JSON.stringify(polyline) === originalPolyline;
+    });
+
+    // 5o. 光标预览测试（AddPolyline的橡皮筋锚点随顶点增加，取消后移除鼠标监听）
+    await runAsyncTest('光标预览', async () => {
+      const controller = window.czmlEditor.controller;
+      const historyBefore = window.czmlEditor.getCommandHistory().totalCommands;
+      
+      window.czmlEditor.executeCommand('AddPolyline');
+      const handler = controller.commandSystem.currentHandler;
+      const emptyOk = handler.getCursorPreview().anchors.length === 0 && !!controller.mapView.cursorHandler;
+      
+      window.czmlEditor.executeCommand('120,30,0');
+      window.czmlEditor.executeCommand('120.1,30.1,0');
+      const anchors = handler.getCursorPreview().anchors;
+      const anchorsOk = anchors.length === 2 && anchors[1].lon === 120.1;
+      console.log(`   初始锚点: ${emptyOk}, 添加后锚点: ${anchors.length}`);
+      
+      controller.handleCancelCommand();
+      await new Promise(resolve => setTimeout(resolve, 100));
+      
+      return emptyOk && anchorsOk && !controller.mapView.cursorHandler &&
+        window.czmlEditor.getCommandHistory().totalCommands === historyBefore;
+    });
+
+    // 5p. 对象捕捉测试（Osnap切换模式；在点的屏幕位置附近捕捉到端点坐标，关闭后不捕捉）
+    await runAsyncTest('对象捕捉', async () => {
+      const controller = window.czmlEditor.controller;
+      const mapView = controller.mapView;
+      const point = window.czmlEditor.getCzmlData().filter(e => e.id.startsWith('PT_')).pop();
+      const [lon, lat, height] = point.position.cartographicDegrees;
+      
+      mapView.viewer.camera.setView({ destination: Cesium.Cartesian3.fromDegrees(lon, lat, 20000) });
+      await new Promise(resolve => setTimeout(resolve, 300));
+      const windowPosition = Cesium.SceneTransforms.worldToWindowCoordinates(
+        mapView.viewer.scene, Cesium.Cartesian3.fromDegrees(lon, lat, height));
+      const nearby = new Cesium.Cartesian2(windowPosition.x + 3, windowPosition.y - 3);
+      
+      window.czmlEditor.executeCommand('Osnap all');
+      const snap = mapView.findSnap(nearby);
+      const snapOk = !!snap && snap.mode === 'endpoint' && snap.entityId === point.id &&
+        Math.abs(snap.coord.lon - lon) < 1e-9 && Math.abs(snap.coord.lat - lat) < 1e-9;
+      
+      window.czmlEditor.executeCommand('Osnap -end');
+      const modeOffOk = !mapView.findSnap(nearby) || mapView.findSnap(nearby).entityId !== point.id;
+      window.czmlEditor.executeCommand('Osnap off');
+      const disabledOk = mapView.findSnap(nearby) === null;
+      console.log(`   捕捉端点: ${snapOk}, 停用端点: ${modeOffOk}, 关闭: ${disabledOk}`);
+      
+      window.czmlEditor.executeCommand('Osnap all');
+      window.czmlEditor.executeCommand('Osnap on');
+      return snapOk && modeOffOk && disabledOk;
+    });
+
+    // 5q. 正交、极轴追踪和栅格捕捉测试（相对于AddPolyline的上一个顶点解析光标位置）
+    await runAsyncTest('正交极轴和栅格', async () => {
+      const controller = window.czmlEditor.controller;
+      const mapView = controller.mapView;
+      const toWindow = (lon, lat) => Cesium.SceneTransforms.worldToWindowCoordinates(
+        mapView.viewer.scene, Cesium.Cartesian3.fromDegrees(lon, lat, 0));
+      
+      mapView.viewer.camera.setView({ destination: Cesium.Cartesian3.fromDegrees(100.05, 10.05, 50000) });
+      await new Promise(resolve => setTimeout(resolve, 300));
+      window.czmlEditor.executeCommand('Osnap off');
+      window.czmlEditor.executeCommand('Ortho on');
+      window.czmlEditor.executeCommand('AddPolyline');
+      window.czmlEditor.executeCommand('100,10,0');
+      
+      // 命令进行中的输入交给当前命令，这里直接修改设置（与F8/F9/F10相同）
+      const settings = controller.snapSettings;
+      const ortho = mapView.resolveDrawingPosition(toWindow(100.08, 10.02));
+      const orthoOk = !!ortho && Math.abs(ortho.coord.lat - 10) < 1e-9 && ortho.tracking === '正交 90°';
+      
+      settings.setPolarIncrement(45);
+      settings.setPolar(true);
+      await new Promise(resolve => setTimeout(resolve, 50));
+      const polar = mapView.resolveDrawingPosition(toWindow(100.05, 10.04));
+      const polarOk = !!polar && polar.tracking === '极轴 45°';
+      
+      settings.setPolar(false);
+      settings.setGridSpacing(0.01, 'degree');
+      settings.setGrid(true);
+      await new Promise(resolve => setTimeout(resolve, 50));
+      const grid = mapView.resolveDrawingPosition(toWindow(100.0312, 10.0487));
+      const gridOk = !!grid && Math.abs(grid.coord.lon - 100.03) < 1e-9 && Math.abs(grid.coord.lat - 10.05) < 1e-9 &&
+        mapView.gridEntities.length > 0;
+      console.log(`   正交: ${orthoOk}, 极轴: ${polarOk}, 栅格: ${gridOk}`);
+      
+      controller.handleCancelCommand();
+      window.czmlEditor.executeCommand('Grid off');
+      window.czmlEditor.executeCommand('Polar 15');
+      window.czmlEditor.executeCommand('Polar off');
+      window.czmlEditor.executeCommand('Osnap on');
+      await new Promise(resolve => setTimeout(resolve, 100));
+      
+      return orthoOk && polarOk && gridOk && mapView.gridEntities.length === 0;
+    });
+
+    // 5r. 相对坐标输入测试（@东,北 和 @距离<方位角 相对于上一个点，在椭球面上求解）
+    await runAsyncTest('相对坐标输入', async () => {
+      window.czmlEditor.executeCommand('AddPolyline');
+      window.czmlEditor.executeCommand('110,20,0');
+      window.czmlEditor.executeCommand('@1000,0,10');
+      window.czmlEditor.executeCommand('@500<180');
+      window.czmlEditor.executeCommand('');
+      window.czmlEditor.executeCommand('');
+      await new Promise(resolve => setTimeout(resolve, 300));
+      
+      const polyline = window.czmlEditor.getCzmlData().filter(e => e.id.startsWith('PL_')).pop();
+      const degrees = polyline.polyline.positions.cartographicDegrees;
+      const surfaceDistance = (i, j) => new Cesium.EllipsoidGeodesic(
+        Cesium.Cartographic.fromDegrees(degrees[i * 3], degrees[i * 3 + 1]),
+        Cesium.Cartographic.fromDegrees(degrees[j * 3], degrees[j * 3 + 1])).surfaceDistance;
+      
+      const countOk = degrees.length === 9;
+      const eastOk = Math.abs(surfaceDistance(0, 1) - 1000) < 0.001 && degrees[5] === 10;
+      const southOk = Math.abs(surfaceDistance(1, 2) - 500) < 0.001 && Math.abs(degrees[6] - degrees[3]) < 1e-12 && degrees[7] < degrees[4];
+      console.log(`   点数: ${countOk}, @1000,0,10: ${eastOk}, @500<180: ${southOk}`);
+      
+      return countOk && eastOk && southOk;
+    });
+
+    // 5s. 坐标解析测试（空格分隔、省略高度、指数、度分秒和半球字母，错误提示指出出错的部分）
+    await runAsyncTest('坐标解析', async () => {
+      const lastOutput = () => window.czmlEditor.controller.uiView.outputArea.lastElementChild.textContent;
+      
+      window.czmlEditor.executeCommand('AddPolyline');
+      window.czmlEditor.executeCommand('120.5, 30.2');
+      window.czmlEditor.executeCommand('1.2e2 30 100m');
+      window.czmlEditor.executeCommand('120.5,abc');
+      const badTokenOk = lastOutput().includes('"abc"（第7个字符）');
+      window.czmlEditor.executeCommand('120,95');
+      const rangeOk = lastOutput().includes('纬度超出范围') && lastOutput().includes('"95"');
+      window.czmlEditor.executeCommand('120,30,1e400');
+      const overflowOk = lastOutput().includes('数值超出范围 "1e400"');
+      window.czmlEditor.executeCommand('30°15\'20"N 120°10\'E');
+      window.czmlEditor.executeCommand('');
+      window.czmlEditor.executeCommand('');
+      await new Promise(resolve => setTimeout(resolve, 300));
+      
+      const polyline = window.czmlEditor.getCzmlData().filter(e => e.id.startsWith('PL_')).pop();
+      const degrees = polyline.polyline.positions.cartographicDegrees;
+      const close = (a, b) => Math.abs(a - b) < 1e-9;
+      const countOk = degrees.length === 9;
+      const spacedOk = close(degrees[0], 120.5) && close(degrees[1], 30.2) && Number.isFinite(degrees[2]);
+      const exponentOk = close(degrees[3], 120) && close(degrees[4], 30) && degrees[5] === 100;
+      const dmsOk = close(degrees[6], 120 + 10 / 60) && close(degrees[7], 30 + 15 / 60 + 20 / 3600);
+      console.log(`   点数: ${countOk}, 空格: ${spacedOk}, 指数: ${exponentOk}, 度分秒: ${dmsOk}, 错误位置: ${badTokenOk && rangeOk}, 溢出: ${overflowOk}`);
+      
+      return countOk && spacedOk && exponentOk && dmsOk && badTokenOk && rangeOk && overflowOk;
+    });
+
+    // 5t. UTM/MGRS输入和显示测试（存储仍为cartographicDegrees，UTM显示往返误差在毫米内）
+    await runAsyncTest('UTM和MGRS坐标', async () => {
+      window.czmlEditor.executeCommand('AddPolyline');
+      window.czmlEditor.executeCommand('utm 51N 352000.123 3456000.456 12');
+      window.czmlEditor.executeCommand('51R UQ 52000 56000');
+      window.czmlEditor.executeCommand('');
+      window.czmlEditor.executeCommand('');
+      await new Promise(resolve => setTimeout(resolve, 300));
+      
+      const polyline = window.czmlEditor.getCzmlData().filter(e => e.id.startsWith('PL_')).pop();
+      const degrees = polyline.polyline.positions.cartographicDegrees;
+      const storedOk = degrees.length === 6 && Math.abs(degrees[0] - 121.446) < 0.001 && Math.abs(degrees[1] - 31.2288) < 0.001 &&
+        degrees[2] === 12;
+      
+      const listText = () => document.querySelector(`.point-item[data-entity-id="${polyline.id}"] .point-coords`).textContent;
+      window.czmlEditor.executeCommand('CoordFormat utm');
+      const utmOk = listText().includes('51N 352000.123 3456000.456');
+      window.czmlEditor.executeCommand('CoordFormat mgrs');
+      const mgrsOk = listText().includes('51R UQ 52000 56000');
+      window.czmlEditor.executeCommand('CoordFormat deg');
+      const degreesOk = listText().includes(degrees[0].toFixed(3));
+      console.log(`   存储: ${storedOk}, UTM显示: ${utmOk}, MGRS显示: ${mgrsOk}, 恢复经纬度: ${degreesOk}`);
+      
+      return storedOk && utmOk && mgrsOk && degreesOk;
+    });
+
+    // 5u. 测量测试（大地线长度、方位角和闭合面积，不修改文档也不进入撤销历史）
+    await runAsyncTest('测量', async () => {
+      const output = () => window.czmlEditor.controller.uiView.outputArea.lastElementChild.textContent;
+      const documentBefore = JSON.stringify(window.czmlEditor.getCzmlData());
+      const historyBefore = window.czmlEditor.getCommandHistory().totalCommands;
+      
+      window.czmlEditor.executeCommand('Measure');
+      window.czmlEditor.executeCommand('120,30,0');
+      window.czmlEditor.executeCommand('@1000<90');
+      const segmentOk = output().includes('线段 1→2: 1.000 km，方位 90.0°');
+      window.czmlEditor.executeCommand('@1000<0');
+      window.czmlEditor.executeCommand('@1000<270');
+      window.czmlEditor.executeCommand('c');
+      await new Promise(resolve => setTimeout(resolve, 300));
+      
+      const report = output();
+      const area = parseFloat(report.match(/面积: ([\d.]+) m²/)[1]);
+      const reportOk = report.includes('线段 4→1') && report.includes('总长: 4.000 km') && Math.abs(area - 1e6) < 100;
+      const documentOk = JSON.stringify(window.czmlEditor.getCzmlData()) === documentBefore;
+      const historyOk = window.czmlEditor.getCommandHistory().totalCommands === historyBefore;
+      const overlaysOk = !window.czmlEditor.controller.mapView.viewer.entities.values.some(entity => entity._isMeasureLabel);
+      console.log(`   线段: ${segmentOk}, 结果: ${reportOk}, 文档不变: ${documentOk}, 撤销历史不变: ${historyOk}, 临时图形已清除: ${overlaysOk}`);
+      
+      return segmentOk && reportOk && documentOk && historyOk && overlaysOk;
+    });
+
+    // 5v. 导入GeoJSON的null、数组和对象属性（null去掉，数组和对象保存为JSON字符串，要素正常显示）
+    await runAsyncTest('导入GeoJSON特殊属性', async () => {
+      const geojson = {
+        type: 'Feature',
+        properties: { name: 'GJ-Props', a: null, b: [1, 2], c: { d: 1 } },
+        geometry: { type: 'Point', coordinates: [115, 25] }
+      };
+      const file = new File([JSON.stringify(geojson)], 'props.geojson', { type: 'application/geo+json' });
+      
+      window.czmlEditor.importFiles([file], 'merge');
+      await new Promise(resolve => setTimeout(resolve, 500));
+      
+      const imported = window.czmlEditor.getCzmlData().find(e => e.name === 'GJ-Props');
+      const properties = imported ? imported.properties : {};
+      const valuesOk = !('a' in properties) && properties.b === '[1,2]' && properties.c === '{"d":1}';
+      const dataSource = window.czmlEditor.controller.mapView.czmlDataSource;
+      const renderedOk = !!imported && !!dataSource.entities.getById(imported.id);
+      console.log(`   属性: ${valuesOk}, 已渲染: ${renderedOk}`);
+      
+      window.czmlEditor.undo();
+      await new Promise(resolve => setTimeout(resolve, 300));
+      
+      return valuesOk && renderedOk;
+    });
+
+    // 5w. RecordWaypoints中 +数字 开头的坐标（不带单位的 +120.5 是经度，不是时间间隔）
+    await runAsyncTest('航点坐标与时间间隔', async () => {
+      window.czmlEditor.addPoint(120, 30, 0);
+      await new Promise(resolve => setTimeout(resolve, 400));
+      
+      const points = window.czmlEditor.getCzmlData().filter(e => e.id.startsWith('PT_'));
+      const pointId = points[points.length - 1].id;
+      
+      window.czmlEditor.executeCommand('RecordWaypoints');
+      window.czmlEditor.executeCommand(pointId);
+      window.czmlEditor.executeCommand('+120.5 30.2 10');
+      window.czmlEditor.executeCommand('+90s 120.6 30.3 10');
+      window.czmlEditor.executeCommand('');
+      window.czmlEditor.executeCommand('');
+      await new Promise(resolve => setTimeout(resolve, 400));
+      
+      const degrees = window.czmlEditor.getCzmlData().find(e => e.id === pointId).position.cartographicDegrees;
+      const coordinateOk = degrees.length === 12 && degrees[5] === 120.5 && degrees[6] === 30.2 && degrees[7] === 10;
+      const offsetOk = degrees[8] - degrees[4] === 90 && degrees[9] === 120.6;
+      console.log(`   +120.5 为坐标: ${coordinateOk}, +90s 为间隔: ${offsetOk}`);
+      
+      window.czmlEditor.undo();
+      window.czmlEditor.undo();
+      await new Promise(resolve => setTimeout(resolve, 300));
+      
+      return coordinateOk && offsetOk;
+    });
+
+    // 5x. 按ID删除导入的实体（任意ID，不限于紧凑ID前缀）
+    await runAsyncTest('删除导入实体', async () => {
+      const czml = [
+        { id: 'document', version: '1.0' },
+        { id: 'my-vehicle', position: { cartographicDegrees: [116, 40, 0] }, point: { pixelSize: 8 } }
+      ];
+      const file = new File([JSON.stringify(czml)], 'vehicle.czml', { type: 'application/json' });
+      
+      window.czmlEditor.importFiles([file], 'merge');
+      await new Promise(resolve => setTimeout(resolve, 500));
+      const importedOk = window.czmlEditor.getCzmlData().some(e => e.id === 'my-vehicle');
+      
+      window.czmlEditor.executeCommand('Delete my-vehicle');
+      await new Promise(resolve => setTimeout(resolve, 300));
+      const deletedOk = !window.czmlEditor.getCzmlData().some(e => e.id === 'my-vehicle');
+      
+      window.czmlEditor.undo();
+      await new Promise(resolve => setTimeout(resolve, 300));
+      const restoredOk = window.czmlEditor.getCzmlData().some(e => e.id === 'my-vehicle');
+      console.log(`   导入: ${importedOk}, 删除: ${deletedOk}, 撤销恢复: ${restoredOk}`);
+      
+      window.czmlEditor.undo();
+      await new Promise(resolve => setTimeout(resolve, 300));
+      
+      return importedOk && deletedOk && restoredOk;
+    });
+
+    // 5y. 导入同ID的多个数据包（逐个属性合并，合并模式下提示忽略document包）
+    await runAsyncTest('导入同ID数据包', async () => {
+      const czml = [
+        { id: 'document', version: '1.0', clock: { interval: '2024-01-01T00:00:00Z/2024-01-02T00:00:00Z' } },
+        { id: 'multi-packet', position: { cartographicDegrees: [117, 39, 0] }, point: { pixelSize: 8 } },
+        { id: 'multi-packet', point: { color: { rgba: [255, 0, 0, 255] } }, label: { text: 'M' } }
+      ];
+      const file = new File([JSON.stringify(czml)], 'multi.czml', { type: 'application/json' });
+      
+      window.czmlEditor.importFiles([file], 'merge');
+      await new Promise(resolve => setTimeout(resolve, 500));
+      
+      const summary = window.czmlEditor.controller.uiView.outputArea.lastElementChild.textContent;
+      const imported = window.czmlEditor.getCzmlData().filter(e => e.id === 'multi-packet');
+      const mergedOk = imported.length === 1 && imported[0].point.pixelSize === 8 &&
+        imported[0].point.color.rgba[0] === 255 && imported[0].label.text === 'M';
+      const summaryOk = summary.includes('1 个点') && !summary.includes('替换了同ID') && summary.includes('忽略了文件中的document数据包');
+      console.log(`   属性合并: ${mergedOk}, 摘要: ${summaryOk}`);
+      
+      window.czmlEditor.undo();
+      await new Promise(resolve => setTimeout(resolve, 300));
+      
+      return mergedOk && summaryOk;
+    });
+
+    // 5z. 撤销历史不重复添加同一个命令（处理器完成时和命令系统都会添加result.command）
+    await runAsyncTest('撤销历史不重复', async () => {
+      const history = window.czmlEditor.controller.commandSystem.commandHistory;
+      const beforeStats = window.czmlEditor.getStats();
+      
+      window.czmlEditor.addPoint(118, 32, 0);
+      await new Promise(resolve => setTimeout(resolve, 400));
+      
+      const lastCommand = history.history[history.currentIndex];
+      const sizeBefore = history.history.length;
+      history.addCommand(lastCommand);
+      const uniqueOk = history.history.length === sizeBefore &&
+        history.history.filter(command => command === lastCommand).length === 1;
+      
+      window.czmlEditor.undo();
+      await new Promise(resolve => setTimeout(resolve, 300));
+      const undoOk = window.czmlEditor.getStats().totalPoints === beforeStats.totalPoints &&
+        history.history[history.currentIndex] !== lastCommand;
+      console.log(`   只添加一次: ${uniqueOk}, 一次撤销恢复: ${undoOk}`);
+      
+      return uniqueOk && undoOk;
+    });
+
+    // 5aa. 跨180°经线的线段插入顶点（插在大地线中点，而不是地球另一侧的经度0°）
+    await runAsyncTest('跨180°经线插入顶点', async () => {
+      window.czmlEditor.addPolyline([
+        { lon: 179, lat: 10, height: 0 },
+        { lon: -179, lat: 10, height: 0 }
+      ]);
+      await new Promise(resolve => setTimeout(resolve, 600));
+      
+      const polylines = window.czmlEditor.getCzmlData().filter(e => e.id.startsWith('PL_'));
+      const polylineId = polylines[polylines.length - 1].id;
+      
+      window.czmlEditor.executeCommand(`EditPolyline ${polylineId}`);
+      window.czmlEditor.executeCommand('insert 1');
+      window.czmlEditor.executeCommand('');
+      await new Promise(resolve => setTimeout(resolve, 300));
+      
+      const degrees = window.czmlEditor.getCzmlData().find(e => e.id === polylineId).polyline.positions.cartographicDegrees;
+      const insertedOk = degrees.length === 9 && Math.abs(Math.abs(degrees[3]) - 180) < 1e-6 && Math.abs(degrees[4] - 10) < 0.01;
+      console.log(`   插入点: ${degrees[3]}, ${degrees[4]}`);
+      
+      window.czmlEditor.undo();
+      window.czmlEditor.undo();
+      await new Promise(resolve => setTimeout(resolve, 300));
+      
+      return insertedOk;
+    });
+
+    // 5ab. 导入名称含HTML标记的实体（列表中按文本显示，不执行脚本）
+    await runAsyncTest('导入名称含HTML', async () => {
+      const markup = '<img src=x onerror="window.__czmlInjected=true">';
+      const czml = [
+        { id: 'document', version: '1.0' },
+        { id: 'markup"id', name: markup, position: { cartographicDegrees: [118, 35, 0] }, point: { pixelSize: 8 } }
+      ];
+      const file = new File([JSON.stringify(czml)], 'markup.czml', { type: 'application/json' });
+      
+      window.czmlEditor.importFiles([file], 'merge');
+      await new Promise(resolve => setTimeout(resolve, 500));
+      
+      const item = document.querySelector(`#points-container .point-item[data-entity-id="${CSS.escape('markup"id')}"]`);
+      const escapedOk = !!item && !item.querySelector('img') &&
+        item.querySelector('.point-name').textContent.includes(markup);
+      const scriptOk = !window.__czmlInjected;
+      console.log(`   按文本显示: ${escapedOk}, 未执行脚本: ${scriptOk}`);
+      
+      window.czmlEditor.undo();
+      await new Promise(resolve => setTimeout(resolve, 300));
+      
+      return escapedOk && scriptOk;
+    });
+
+    // 5ac. 合并导入只有 delete: true 的数据包（删除同ID的已有实体，不作为实体保存）
+    await runAsyncTest('导入删除标记', async () => {
+      const first = [
+        { id: 'document', version: '1.0' },
+        { id: 'to-delete', position: { cartographicDegrees: [119, 36, 0] }, point: { pixelSize: 8 } }
+      ];
+      window.czmlEditor.importFiles([new File([JSON.stringify(first)], 'first.czml', { type: 'application/json' })], 'merge');
+      await new Promise(resolve => setTimeout(resolve, 500));
+      
+      const second = [
+        { id: 'document', version: '1.0' },
+        { id: 'to-delete', delete: true },
+        { id: 'never-existed', delete: true }
+      ];
+      window.czmlEditor.importFiles([new File([JSON.stringify(second)], 'delete.czml', { type: 'application/json' })], 'merge');
+      await new Promise(resolve => setTimeout(resolve, 500));
+      
+      const data = window.czmlEditor.getCzmlData();
+      const deletedOk = !data.some(e => e.id === 'to-delete');
+      const noMarkerOk = !data.some(e => e.id === 'never-existed' || e.delete);
+      console.log(`   已删除: ${deletedOk}, 未保存删除标记: ${noMarkerOk}`);
+      
+      window.czmlEditor.undo();
+      await new Promise(resolve => setTimeout(resolve, 300));
+      const restoredOk = window.czmlEditor.getCzmlData().some(e => e.id === 'to-delete');
+      window.czmlEditor.undo();
+      await new Promise(resolve => setTimeout(resolve, 300));
+      
+      return deletedOk && noMarkerOk && restoredOk;
+    });
+
+    // 5ad. 多边形顶点高度（有非零高度时按顶点高度绘制，否则贴在椭球面）
+    await runAsyncTest('多边形顶点高度', async () => {
+      window.czmlEditor.addPolygon([
+        { lon: 100, lat: 10, height: 500 },
+        { lon: 101, lat: 10, height: 800 },
+        { lon: 101, lat: 11, height: 500 }
+      ]);
+      await new Promise(resolve => setTimeout(resolve, 600));
+      window.czmlEditor.addPolygon([
+        { lon: 102, lat: 10, height: 0 },
+        { lon: 103, lat: 10, height: 0 },
+        { lon: 103, lat: 11, height: 0 }
+      ]);
+      await new Promise(resolve => setTimeout(resolve, 600));
+      
+      const polygons = window.czmlEditor.getCzmlData().filter(e => e.id.startsWith('PG_'));
+      const [raised, flat] = polygons.slice(-2).map(e => e.polygon);
+      const raisedOk = raised.perPositionHeight === true && raised.height === undefined &&
+        raised.positions.cartographicDegrees[5] === 800;
+      const flatOk = flat.height === 0 && !flat.perPositionHeight;
+      console.log(`   按顶点高度: ${raisedOk}, 贴椭球面: ${flatOk}`);
+      
+      window.czmlEditor.undo();
+      window.czmlEditor.undo();
+      await new Promise(resolve => setTimeout(resolve, 300));
+      
+      return raisedOk && flatOk;
+    });
+
+    // 5ae. RecordWaypoints中 u 撤销替换的航点（恢复原航点，而不是删除该时间的航点）
+    await runAsyncTest('撤销替换的航点', async () => {
+      window.czmlEditor.addPoint(121, 31, 0);
+      await new Promise(resolve => setTimeout(resolve, 400));
+      
+      const points = window.czmlEditor.getCzmlData().filter(e => e.id.startsWith('PT_'));
+      const pointId = points[points.length - 1].id;
+      
+      window.czmlEditor.executeCommand('RecordWaypoints');
+      window.czmlEditor.executeCommand(pointId);
+      window.czmlEditor.executeCommand('2024-01-01T00:00:00Z 121.1 31.1 0');
+      window.czmlEditor.executeCommand('2024-01-01T00:01:00Z 121.2 31.2 0');
+      window.czmlEditor.executeCommand('');
+      window.czmlEditor.executeCommand('');
+      await new Promise(resolve => setTimeout(resolve, 400));
+      const recorded = JSON.stringify(window.czmlEditor.getCzmlData().find(e => e.id === pointId).position);
+      
+      window.czmlEditor.executeCommand('RecordWaypoints');
+      window.czmlEditor.executeCommand(pointId);
+      window.czmlEditor.executeCommand('2024-01-01T00:01:00Z 150 50 0');
+      window.czmlEditor.executeCommand('u');
+      window.czmlEditor.executeCommand('');
+      window.czmlEditor.executeCommand('');
+      await new Promise(resolve => setTimeout(resolve, 400));
+      
+      const restored = JSON.stringify(window.czmlEditor.getCzmlData().find(e => e.id === pointId).position);
+      const restoredOk = restored === recorded;
+      console.log(`   原航点已恢复: ${restoredOk}`);
+      
+      window.czmlEditor.undo();
+      window.czmlEditor.undo();
+      window.czmlEditor.undo();
+      await new Promise(resolve => setTimeout(resolve, 300));
+      
+      return restoredOk;
+    });
+
     // 6. 重做功能测试（异步，修复版）
     await runAsyncTest('重做功能', async () => {
       const beforeStats = window.czmlEditor.getStats();
@@ -451,6 +1450,60 @@ window.czmlEditorPerformanceTest = async function() {
   };
 };
 
+// 增量更新基准测试：对比增量变更集与全量重建的地图/列表更新耗时
+window.czmlEditorIncrementalBenchmark = async function(entityCount = 2000, editCount = 50) {
+  console.log(`🚀 开始增量更新基准测试 (${entityCount} 个实体, ${editCount} 次编辑)...`);
+  
+  const { czmlModel, mapView } = window.czmlEditor.controller;
+  
+  window.czmlEditor.clearAll();
+  await new Promise(resolve => setTimeout(resolve, 300));
+  
+  // 批量准备实体：批处理中的通知合并为一次，最后的全量通知让地图只做一次全量加载
+  czmlModel.batch(() => {
+    for (let i = 0; i < entityCount; i++) {
+      czmlModel.addPoint({
+        lon: -180 + Math.random() * 360,
+        lat: -85 + Math.random() * 170,
+        height: Math.random() * 1000
+      });
+    }
+    czmlModel.notifyListeners();
+  });
+  await mapView.whenCzmlUpdated();
+  
+  const points = czmlModel.getAllPoints();
+  
+  // 每次编辑修改一个点的高度并通知监听器
+  const measure = async (notify) => {
+    const startTime = performance.now();
+    for (let i = 0; i < editCount; i++) {
+      const point = points[i % points.length];
+      point.position.cartographicDegrees[2] += 1;
+      notify(point.id);
+    }
+    await mapView.whenCzmlUpdated();
+    return performance.now() - startTime;
+  };
+  
+  const fullTime = await measure(() => czmlModel.notifyListeners());
+  const incrementalTime = await measure(id => czmlModel.notifyEntitiesUpdated(id));
+  const speedup = fullTime / Math.max(incrementalTime, 0.001);
+  
+  console.log(`\n📊 增量更新基准测试结果:`);
+  console.log(`🐢 全量重建: ${fullTime.toFixed(2)}ms (每次 ${(fullTime / editCount).toFixed(2)}ms)`);
+  console.log(`⚡ 增量更新: ${incrementalTime.toFixed(2)}ms (每次 ${(incrementalTime / editCount).toFixed(2)}ms)`);
+  console.log(`🏃 加速比: ${speedup.toFixed(1)}x`);
+  
+  return {
+    entityCount,
+    editCount,
+    fullTime,
+    incrementalTime,
+    speedup
+  };
+};
+
 // 提供清理函数
 window.czmlEditorCleanup = function() {
   console.log('🧹 清理测试数据...');
@@ -470,4 +1523,5 @@ console.log('• runCzmlTests() - 运行完整测试套件');
 console.log('• czmlEditorDiagnose("AddPoint") - 诊断AddPoint问题');
 console.log('• czmlEditorDiagnose("AddPolyline") - 诊断AddPolyline问题');
 console.log('• czmlEditorPerformanceTest() - 运行性能测试');
+console.log('• czmlEditorIncrementalBenchmark(2000, 50) - 对比增量更新与全量重建');
 console.log('• czmlEditorCleanup() - 清理测试数据');
\ No newline at end of file